@@ -0,0 +1,111 @@
+/**
+ * ejecutarApplicationEvents.js
+ *
+ * Verifica el orden de entrega del stream de eventos de postulaciones
+ * (services/applicationEventService.js) contra MongoDB, sin servidor HTTP:
+ *
+ * 1. Publica dos eventos EN PARALELO y comprueba que una conexión abierta
+ *    recibe ambos, en orden de event_id (ninguno se descarta).
+ * 2. Reconecta con Last-Event-ID anterior al primero y comprueba que el
+ *    replay devuelve los mismos dos eventos.
+ *
+ * Usa un company_id ficticio y elimina sus eventos al terminar.
+ *
+ * Uso:
+ *   node Tests/ejecutarApplicationEvents.js
+ */
+
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+
+import { connectDB } from "../connection/db.js";
+import { logger } from "../utils/logger.js";
+
+import ApplicationEvent from "../models/ApplicationEvent.js";
+import {
+    publishApplicationCreated,
+    publishApplicationStatusChanged,
+    openApplicationEventStreamService
+} from "../services/applicationEventService.js";
+
+dotenv.config();
+
+/* ---------------------------------------------------------
+ * CONFIG
+ * --------------------------------------------------------- */
+const COMPANY_ID = 900000000 + Math.floor(Math.random() * 1000000);
+const ADMIN = { type: "admin", user_id: 0, session_id: 0 };
+const QUERY = { company_id: COMPANY_ID };
+
+const application = (application_id, status) => ({
+    application_id,
+    job_id: 1,
+    candidate_id: 1,
+    company_id: COMPANY_ID,
+    status
+});
+
+function check(name, ok, detail) {
+    if (ok) logger.success(name);
+    else logger.error(`${name} — ${JSON.stringify(detail)}`);
+    return ok;
+}
+
+/* ---------------------------------------------------------
+ * EJECUCIÓN
+ * --------------------------------------------------------- */
+async function runAll() {
+    await connectDB();
+    logger.section("Eventos de postulaciones (publicación concurrente)");
+    logger.info(`company_id de prueba: ${COMPANY_ID}`);
+
+    let passed = true;
+
+    try {
+        // 1) En vivo
+        const live = [];
+        const stream = await openApplicationEventStreamService(
+            ADMIN,
+            { last_event_id: null, query: QUERY },
+            (message) => live.push(message)
+        );
+
+        await Promise.all([
+            publishApplicationCreated(application(1, "APPLIED")),
+            publishApplicationStatusChanged(application(2, "REVIEWING"), "APPLIED")
+        ]);
+        stream.close();
+
+        const liveIds = live.map((m) => m.id);
+        passed = check("En vivo: se entregan los dos eventos", live.length === 2, liveIds) && passed;
+        passed = check("En vivo: orden ascendente de event_id", liveIds[0] < liveIds[1], liveIds) && passed;
+
+        // 2) Replay
+        const replayed = [];
+        const again = await openApplicationEventStreamService(
+            ADMIN,
+            { last_event_id: liveIds[0] - 1, query: QUERY },
+            (message) => replayed.push(message)
+        );
+        again.close();
+
+        const replayIds = replayed.map((m) => m.id);
+        passed =
+            check(
+                "Replay: mismos eventos desde Last-Event-ID",
+                JSON.stringify(replayIds) === JSON.stringify(liveIds),
+                { liveIds, replayIds }
+            ) && passed;
+    } finally {
+        await ApplicationEvent.deleteMany({ company_id: COMPANY_ID });
+        await mongoose.disconnect();
+    }
+
+    logger.section(passed ? "Pruebas finalizadas" : "Pruebas con errores");
+    process.exit(passed ? 0 : 1);
+}
+
+runAll().catch((err) => {
+    logger.error(`❌ Error ejecutarApplicationEvents: ${err.message}`);
+    process.exit(1);
+});
@@ -0,0 +1,261 @@
+/**
+ * ejecutarBulkApplicationStatus.js
+ *
+ * Verifica el cambio masivo de status de postulaciones
+ * (bulkUpdateApplicationStatusService en services/applicationService.js)
+ * contra MongoDB, sin servidor HTTP:
+ *
+ * 1. Por application_ids: cada id se resuelve por separado (updated,
+ *    unchanged, error por máquina de estados) y los ids de otra empresa,
+ *    eliminados o inexistentes responden not_found sin modificarse.
+ * 2. Por filter: solo toca las postulaciones activas de la empresa que
+ *    cumplen job_id / status.
+ * 3. Payload inválido (ambos modos, filter vacío o con campos extra) → 400
+ *    invalid_payload antes de tocar nada.
+ * 4. Acceso: viewer → 403, empresa sin WITHDRAWN ni override; admin con
+ *    override=true fuerza la transición y queda marcada en el historial.
+ *
+ * Usa company_id / application_id ficticios y elimina sus datos al terminar.
+ *
+ * Uso:
+ *   node Tests/ejecutarBulkApplicationStatus.js
+ */
+
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+
+import { connectDB } from "../connection/db.js";
+import { logger } from "../utils/logger.js";
+
+import Application from "../models/Application.js";
+import ApplicationEvent from "../models/ApplicationEvent.js";
+import { bulkUpdateApplicationStatusService } from "../services/applicationService.js";
+
+dotenv.config();
+
+/* ---------------------------------------------------------
+ * CONFIG
+ * --------------------------------------------------------- */
+const BASE_ID = 900000000 + Math.floor(Math.random() * 1000000);
+const COMPANY_ID = BASE_ID;
+const OTHER_COMPANY_ID = BASE_ID + 1;
+const COMPANY_IDS = [COMPANY_ID, OTHER_COMPANY_ID];
+const JOB_ID = BASE_ID;
+const OTHER_JOB_ID = BASE_ID + 1;
+
+const APP = {
+    applied: BASE_ID,
+    reviewing: BASE_ID + 1,
+    rejected: BASE_ID + 2,
+    offered: BASE_ID + 3,
+    hidden: BASE_ID + 4,
+    otherJob: BASE_ID + 5,
+    otherCompany: BASE_ID + 6
+};
+const MISSING_ID = BASE_ID + 7;
+
+const OWNER = { type: "company", user_id: 0, company_id: COMPANY_ID, company_role: "owner" };
+const VIEWER = { ...OWNER, company_role: "viewer" };
+const ADMIN = { type: "admin", user_id: 0, session_id: 0 };
+
+function check(name, ok, detail) {
+    if (ok) logger.success(name);
+    else logger.error(`${name} — ${JSON.stringify(detail)}`);
+    return ok;
+}
+
+async function errorOf(promise) {
+    try {
+        await promise;
+        return null;
+    } catch (err) {
+        return err;
+    }
+}
+
+async function seed() {
+    const application = (application_id, status, { job_id = JOB_ID, company_id = COMPANY_ID, deleted_at = null } = {}) => ({
+        application_id,
+        job_id,
+        candidate_id: application_id,
+        company_id,
+        status,
+        status_history: [],
+        applied_at: new Date(),
+        deleted_at
+    });
+
+    // Inserción directa: cada postulación arranca en el status a probar
+    await Application.collection.insertMany([
+        application(APP.applied, "APPLIED"),
+        application(APP.reviewing, "REVIEWING"),
+        application(APP.rejected, "REJECTED"),
+        application(APP.offered, "OFFERED"),
+        application(APP.hidden, "REVIEWING", { deleted_at: new Date() }),
+        application(APP.otherJob, "REVIEWING", { job_id: OTHER_JOB_ID }),
+        application(APP.otherCompany, "APPLIED", { company_id: OTHER_COMPANY_ID })
+    ]);
+}
+
+async function statusOf(application_id) {
+    const app = await Application.findOne({ application_id }).select({ status: 1 }).lean();
+    return app?.status ?? null;
+}
+
+const resultOf = (out, application_id) => out?.results?.find((r) => r.application_id === application_id) ?? null;
+
+/* ---------------------------------------------------------
+ * EJECUCIÓN
+ * --------------------------------------------------------- */
+async function runAll() {
+    await connectDB();
+    logger.section("Cambio masivo de status de postulaciones");
+    logger.info(`ids de prueba: ${BASE_ID}`);
+
+    let passed = true;
+
+    try {
+        await seed();
+
+        // 1) Por application_ids
+        const byIds = await bulkUpdateApplicationStatusService(OWNER, {
+            company_id: COMPANY_ID,
+            application_ids: [
+                APP.applied,
+                String(APP.applied),
+                APP.reviewing,
+                APP.rejected,
+                APP.offered,
+                APP.hidden,
+                APP.otherCompany,
+                MISSING_ID
+            ],
+            status: "REVIEWING",
+            note: "Revisión masiva"
+        });
+
+        passed = check("ids: duplicados se cuentan una vez", byIds.total === 7, byIds.total) && passed;
+        passed = check("ids: APPLIED → REVIEWING updated", resultOf(byIds, APP.applied)?.result === "updated", resultOf(byIds, APP.applied)) && passed;
+        passed = check("ids: mismo status → unchanged", resultOf(byIds, APP.reviewing)?.result === "unchanged", resultOf(byIds, APP.reviewing)) && passed;
+        passed =
+            check(
+                "ids: estado terminal → error application_locked",
+                resultOf(byIds, APP.rejected)?.result === "error" && resultOf(byIds, APP.rejected)?.code === "application_locked",
+                resultOf(byIds, APP.rejected)
+            ) && passed;
+        passed =
+            check(
+                "ids: transición ilegal → error invalid_transition",
+                resultOf(byIds, APP.offered)?.code === "invalid_transition",
+                resultOf(byIds, APP.offered)
+            ) && passed;
+        passed =
+            check(
+                "ids: eliminada, de otra empresa o inexistente → not_found",
+                [APP.hidden, APP.otherCompany, MISSING_ID].every((id) => resultOf(byIds, id)?.result === "not_found"),
+                byIds.results
+            ) && passed;
+        passed =
+            check(
+                "ids: summary",
+                byIds.summary?.updated === 1 && byIds.summary?.unchanged === 1 && byIds.summary?.failed === 5,
+                byIds.summary
+            ) && passed;
+        passed = check("ids: la de otra empresa no cambia", (await statusOf(APP.otherCompany)) === "APPLIED") && passed;
+
+        const updated = await Application.findOne({ application_id: APP.applied }).lean();
+        const transition = updated?.status_history?.at(-1);
+        passed =
+            check(
+                "ids: registra la transición con la nota",
+                transition?.from_status === "APPLIED" && transition?.to_status === "REVIEWING" && transition?.note === "Revisión masiva",
+                transition
+            ) && passed;
+
+        // 2) Por filter
+        const byFilter = await bulkUpdateApplicationStatusService(OWNER, {
+            company_id: COMPANY_ID,
+            filter: { job_id: JOB_ID, status: "REVIEWING" },
+            status: "REJECTED"
+        });
+        const touched = (byFilter.results || []).map((r) => r.application_id).sort();
+        passed =
+            check(
+                "filter: solo activas del job con ese status",
+                touched.join() === [APP.applied, APP.reviewing].sort().join() && byFilter.summary?.updated === 2,
+                byFilter.results
+            ) && passed;
+        passed =
+            check(
+                "filter: otro job y eliminadas no cambian",
+                (await statusOf(APP.otherJob)) === "REVIEWING" && (await statusOf(APP.hidden)) === "REVIEWING"
+            ) && passed;
+
+        // 3) Payload inválido
+        const invalidPayloads = [
+            { application_ids: [APP.otherJob], filter: { job_id: OTHER_JOB_ID } },
+            { filter: {} },
+            { filter: { job_id: OTHER_JOB_ID, candidate_id: APP.otherJob } },
+            { filter: { status: "UNKNOWN" } }
+        ];
+        for (const payload of invalidPayloads) {
+            const err = await errorOf(
+                bulkUpdateApplicationStatusService(OWNER, { company_id: COMPANY_ID, status: "INTERVIEW", ...payload })
+            );
+            passed = check(`payload inválido → 400 (${JSON.stringify(payload)})`, err?.code === "invalid_payload", err?.code) && passed;
+        }
+        passed = check("payload inválido: no modifica nada", (await statusOf(APP.otherJob)) === "REVIEWING") && passed;
+
+        // 4) Acceso y override
+        const viewer = await errorOf(
+            bulkUpdateApplicationStatusService(VIEWER, { company_id: COMPANY_ID, application_ids: [APP.otherJob], status: "INTERVIEW" })
+        );
+        passed = check("viewer → 403 forbidden", viewer?.httpStatus === 403, viewer?.code) && passed;
+
+        const withdrawn = await bulkUpdateApplicationStatusService(OWNER, {
+            company_id: COMPANY_ID,
+            application_ids: [APP.otherJob],
+            status: "WITHDRAWN"
+        });
+        passed = check("empresa: WITHDRAWN → invalid_status", withdrawn.status === "invalid_status", withdrawn.status) && passed;
+
+        const companyOverride = await errorOf(
+            bulkUpdateApplicationStatusService(OWNER, {
+                company_id: COMPANY_ID,
+                application_ids: [APP.rejected],
+                status: "REVIEWING",
+                override: true
+            })
+        );
+        passed = check("empresa: override → 403 forbidden", companyOverride?.httpStatus === 403, companyOverride?.code) && passed;
+
+        const forced = await bulkUpdateApplicationStatusService(ADMIN, {
+            company_id: COMPANY_ID,
+            application_ids: [APP.rejected],
+            status: "REVIEWING",
+            override: true,
+            note: "Corrección"
+        });
+        const reopened = await Application.findOne({ application_id: APP.rejected }).lean();
+        passed =
+            check(
+                "admin override: fuerza REJECTED → REVIEWING y lo marca en el historial",
+                forced.summary?.updated === 1 && reopened?.status === "REVIEWING" && reopened?.status_history?.at(-1)?.override === true,
+                { summary: forced.summary, history: reopened?.status_history }
+            ) && passed;
+    } finally {
+        await Promise.all([
+            Application.deleteMany({ company_id: { $in: COMPANY_IDS } }),
+            ApplicationEvent.deleteMany({ company_id: { $in: COMPANY_IDS } })
+        ]);
+        await mongoose.disconnect();
+    }
+
+    logger.section(passed ? "Pruebas finalizadas" : "Pruebas con errores");
+    process.exit(passed ? 0 : 1);
+}
+
+runAll().catch((err) => {
+    logger.error(`❌ Error ejecutarBulkApplicationStatus: ${err.message}`);
+    process.exit(1);
+});
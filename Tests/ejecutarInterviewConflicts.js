@@ -0,0 +1,178 @@
+/**
+ * ejecutarInterviewConflicts.js
+ *
+ * Verifica la detección de conflictos de entrevistas
+ * (services/interviewService.js) contra MongoDB, sin servidor HTTP:
+ *
+ * 1. Proponer un horario que se traslapa con una entrevista SCHEDULED de la
+ *    empresa → 409 interview_conflict con meta { slot_id, conflicts }.
+ * 2. Horarios contiguos ([10:00, 11:00) y [11:00, 12:00)) no chocan, ni los
+ *    de otra empresa.
+ * 3. Las entrevistas PROPOSED no bloquean; el conflicto se revalida cuando el
+ *    candidato elige slot y desaparece al cancelar la otra entrevista.
+ * 4. Reprogramar al mismo horario no choca consigo misma.
+ * 5. Las entrevistas de postulaciones eliminadas no bloquean.
+ *
+ * Usa company_id / application_id ficticios (postulaciones ya en INTERVIEW,
+ * sin eventos ni notificaciones) y elimina sus datos al terminar.
+ *
+ * Uso:
+ *   node Tests/ejecutarInterviewConflicts.js
+ */
+
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+
+import { connectDB } from "../connection/db.js";
+import { logger } from "../utils/logger.js";
+
+import Application from "../models/Application.js";
+import Interview from "../models/Interview.js";
+import {
+    createInterviewService,
+    selectInterviewSlotService,
+    rescheduleInterviewService,
+    cancelInterviewService
+} from "../services/interviewService.js";
+
+dotenv.config();
+
+/* ---------------------------------------------------------
+ * CONFIG
+ * --------------------------------------------------------- */
+const BASE_ID = 900000000 + Math.floor(Math.random() * 1000000);
+const COMPANY_ID = BASE_ID;
+const OTHER_COMPANY_ID = BASE_ID + 1;
+const COMPANY_IDS = [COMPANY_ID, OTHER_COMPANY_ID];
+
+// Una postulación (y un candidato) por entrevista
+const APP = { first: BASE_ID, adjacent: BASE_ID + 1, late: BASE_ID + 2, hidden: BASE_ID + 3, other: BASE_ID + 4 };
+
+const ADMIN = { type: "admin", user_id: 0, session_id: 0 };
+const HOUR_MS = 60 * 60 * 1000;
+
+// Slots en horas desde la medianoche de pasado mañana (hora del servidor)
+const DAY = new Date(Date.now() + 2 * 24 * HOUR_MS);
+DAY.setHours(0, 0, 0, 0);
+const at = (hours) => new Date(DAY.getTime() + hours * HOUR_MS).toISOString();
+const slot = (from, to) => ({ start_at: at(from), end_at: at(to) });
+const candidate = (application_id) => ({ type: "candidate", candidate_id: application_id, user_id: 0 });
+
+function check(name, ok, detail) {
+    if (ok) logger.success(name);
+    else logger.error(`${name} — ${JSON.stringify(detail)}`);
+    return ok;
+}
+
+async function errorOf(promise) {
+    try {
+        await promise;
+        return null;
+    } catch (err) {
+        return err;
+    }
+}
+
+async function seed() {
+    const application = (application_id, company_id) => ({
+        application_id,
+        job_id: BASE_ID,
+        candidate_id: application_id,
+        company_id,
+        status: "INTERVIEW",
+        deleted_at: null
+    });
+
+    // Inserción directa: ya en INTERVIEW, así create no mueve el status
+    await Application.collection.insertMany([
+        application(APP.first, COMPANY_ID),
+        application(APP.adjacent, COMPANY_ID),
+        application(APP.late, COMPANY_ID),
+        application(APP.hidden, COMPANY_ID),
+        application(APP.other, OTHER_COMPANY_ID)
+    ]);
+}
+
+async function propose(application_id, slots) {
+    return createInterviewService(ADMIN, { application_id, slots, location_type: "PHONE" });
+}
+
+/* ---------------------------------------------------------
+ * EJECUCIÓN
+ * --------------------------------------------------------- */
+async function runAll() {
+    await connectDB();
+    logger.section("Conflictos de entrevistas");
+    logger.info(`ids de prueba: ${BASE_ID}`);
+
+    let passed = true;
+
+    try {
+        await seed();
+
+        // 1) Traslape con una entrevista agendada
+        const first = (await propose(APP.first, [slot(10, 11)])).interview;
+        const scheduled = await selectInterviewSlotService(candidate(APP.first), first.interview_id, { slot_id: "s1" });
+        passed = check("agendar: SCHEDULED", scheduled.interview?.status === "SCHEDULED", scheduled.status) && passed;
+
+        const overlap = await errorOf(propose(APP.adjacent, [slot(10.5, 11.5)]));
+        passed =
+            check(
+                "traslape → 409 interview_conflict",
+                overlap?.code === "interview_conflict" && overlap?.httpStatus === 409,
+                overlap?.code
+            ) && passed;
+        passed =
+            check(
+                "traslape: meta con slot_id y la entrevista que choca",
+                overlap?.meta?.slot_id === "s1" &&
+                    overlap?.meta?.conflicts?.some((c) => c.interview_id === first.interview_id),
+                overlap?.meta
+            ) && passed;
+
+        // 2) Contiguo y otra empresa
+        const adjacent = await propose(APP.adjacent, [slot(11, 12)]);
+        passed = check("contiguo: no choca", adjacent.status === "created", adjacent.status) && passed;
+
+        const other = await propose(APP.other, [slot(10, 11)]);
+        passed = check("otra empresa: no choca", other.status === "created", other.status) && passed;
+
+        // 3) PROPOSED no bloquea; se revalida al elegir slot
+        const late = await propose(APP.late, [slot(11.5, 12.5)]);
+        passed = check("PROPOSED no bloquea al proponer", late.status === "created", late.status) && passed;
+
+        const adjacentId = adjacent.interview?.interview_id;
+        const lateId = late.interview?.interview_id;
+        await selectInterviewSlotService(candidate(APP.adjacent), adjacentId, { slot_id: "s1" });
+
+        const selectConflict = await errorOf(selectInterviewSlotService(candidate(APP.late), lateId, { slot_id: "s1" }));
+        passed = check("elegir slot ocupado → 409 interview_conflict", selectConflict?.code === "interview_conflict", selectConflict?.code) && passed;
+
+        await cancelInterviewService(ADMIN, adjacentId, { reason: "Prueba de conflictos" });
+        const afterCancel = await selectInterviewSlotService(candidate(APP.late), lateId, { slot_id: "s1" });
+        passed = check("tras cancelar la otra: se puede agendar", afterCancel.interview?.status === "SCHEDULED", afterCancel.status) && passed;
+
+        // 4) Reprogramar al mismo horario
+        const rescheduled = await rescheduleInterviewService(ADMIN, first.interview_id, { slots: [slot(10, 11)] });
+        passed = check("reprogramar al mismo horario: no choca consigo misma", rescheduled.status === "ok", rescheduled.status) && passed;
+
+        // 5) Postulación eliminada
+        await Application.updateOne({ application_id: APP.late }, { $set: { deleted_at: new Date() } });
+        const overHidden = await propose(APP.hidden, [slot(11.5, 12.5)]);
+        passed = check("postulación eliminada: su entrevista no bloquea", overHidden.status === "created", overHidden.status) && passed;
+    } finally {
+        await Promise.all([
+            Interview.deleteMany({ company_id: { $in: COMPANY_IDS } }),
+            Application.deleteMany({ company_id: { $in: COMPANY_IDS } })
+        ]);
+        await mongoose.disconnect();
+    }
+
+    logger.section(passed ? "Pruebas finalizadas" : "Pruebas con errores");
+    process.exit(passed ? 0 : 1);
+}
+
+runAll().catch((err) => {
+    logger.error(`❌ Error ejecutarInterviewConflicts: ${err.message}`);
+    process.exit(1);
+});
@@ -0,0 +1,166 @@
+/**
+ * ejecutarJobLifecycle.js
+ *
+ * Verifica el ciclo de vida de los jobs (services/jobService.js +
+ * utils/jobs/jobLifecycleUtils.js) contra MongoDB, sin servidor HTTP:
+ *
+ * 1. DRAFT no es público; pause desde DRAFT → 409 invalid_transition.
+ * 2. publish → PUBLISHED y visible; PUT no cambia status ni acepta campos
+ *    del sistema (deleted_at, job_id).
+ * 3. pause → oculto; reopen → visible.
+ * 4. expires_at vencido: status efectivo EXPIRED, el barrido lo persiste y
+ *    reopen exige un expires_at futuro (409 expired).
+ * 5. close → CLOSED con closed_at.
+ * 6. Un job sin status (dato previo al ciclo de vida) cuenta como PUBLISHED.
+ *
+ * Usa un company_id ficticio y elimina sus jobs al terminar. El barrido
+ * (expireOverdueJobsService) es global: también persiste EXPIRED en otros jobs
+ * vencidos, igual que scripts/syncJobLifecycle.js.
+ *
+ * Uso:
+ *   node Tests/ejecutarJobLifecycle.js
+ */
+
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+
+import { connectDB } from "../connection/db.js";
+import { logger } from "../utils/logger.js";
+
+import Job from "../models/Job.js";
+import JobRevision from "../models/JobRevision.js";
+import {
+    createJobService,
+    updateJobService,
+    publishJobService,
+    pauseJobService,
+    reopenJobService,
+    closeJobService,
+    expireOverdueJobsService,
+    getJobsByCompanyService
+} from "../services/jobService.js";
+
+dotenv.config();
+
+/* ---------------------------------------------------------
+ * CONFIG
+ * --------------------------------------------------------- */
+const COMPANY_ID = 900000000 + Math.floor(Math.random() * 1000000);
+const OWNER = { type: "company", user_id: 0, company_id: COMPANY_ID, company_role: "owner" };
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function check(name, ok, detail) {
+    if (ok) logger.success(name);
+    else logger.error(`${name} — ${JSON.stringify(detail)}`);
+    return ok;
+}
+
+async function errorOf(promise) {
+    try {
+        await promise;
+        return null;
+    } catch (err) {
+        return err;
+    }
+}
+
+async function publicJobIds() {
+    const out = await getJobsByCompanyService(COMPANY_ID, { include_company: "false", limit: 100 });
+    return out.data.map((j) => j.job_id);
+}
+
+/* ---------------------------------------------------------
+ * EJECUCIÓN
+ * --------------------------------------------------------- */
+async function runAll() {
+    await connectDB();
+    logger.section("Ciclo de vida de jobs");
+    logger.info(`company_id de prueba: ${COMPANY_ID}`);
+
+    let passed = true;
+    const jobIds = [];
+
+    try {
+        // 1) Borrador
+        const draft = await createJobService(OWNER, { title: "Lifecycle QA Engineer", status: "DRAFT" });
+        const id = draft.job_id;
+        jobIds.push(id);
+
+        passed = check("DRAFT: se crea como borrador", draft.status === "DRAFT", draft.status) && passed;
+        passed = check("DRAFT: no es público", !(await publicJobIds()).includes(id)) && passed;
+
+        const pauseDraft = await errorOf(pauseJobService(OWNER, id));
+        passed = check("DRAFT: pause → 409 invalid_transition", pauseDraft?.code === "invalid_transition", pauseDraft?.code) && passed;
+
+        // 2) Publicación y PUT
+        const published = await publishJobService(OWNER, id);
+        passed = check("publish: PUBLISHED", published.status === "PUBLISHED", published.status) && passed;
+        passed = check("publish: es público", (await publicJobIds()).includes(id)) && passed;
+
+        const putStatus = await errorOf(updateJobService(OWNER, id, { status: "CLOSED" }));
+        passed = check("PUT: no cambia status (400)", putStatus?.httpStatus === 400, putStatus?.message) && passed;
+
+        await updateJobService(OWNER, id, { title: "Lifecycle QA Lead", deleted_at: new Date(), job_id: id + 1 });
+        const afterPut = await Job.findOne({ company_id: COMPANY_ID, title: "Lifecycle QA Lead" }).lean();
+        passed =
+            check(
+                "PUT: ignora deleted_at / job_id",
+                afterPut?.job_id === id && afterPut?.deleted_at === null,
+                { job_id: afterPut?.job_id, deleted_at: afterPut?.deleted_at }
+            ) && passed;
+
+        // 3) Pausa y reapertura
+        await pauseJobService(OWNER, id);
+        passed = check("pause: deja de ser público", !(await publicJobIds()).includes(id)) && passed;
+
+        const reopened = await reopenJobService(OWNER, id);
+        passed = check("reopen: PUBLISHED", reopened.status === "PUBLISHED", reopened.status) && passed;
+
+        // 4) Expiración
+        await Job.updateOne({ job_id: id }, { $set: { expires_at: new Date(Date.now() - DAY_MS) } });
+        passed = check("expires_at vencido: no es público", !(await publicJobIds()).includes(id)) && passed;
+
+        const owner = await getJobsByCompanyService(COMPANY_ID, { include_company: "false", status: "EXPIRED" }, OWNER);
+        passed = check("expires_at vencido: status efectivo EXPIRED", owner.data.some((j) => j.job_id === id)) && passed;
+
+        await expireOverdueJobsService();
+        const swept = await Job.findOne({ job_id: id }).select({ status: 1 }).lean();
+        passed = check("barrido: persiste EXPIRED", swept?.status === "EXPIRED", swept?.status) && passed;
+
+        const reopenExpired = await errorOf(reopenJobService(OWNER, id));
+        passed = check("reopen sin expires_at futuro → 409 expired", reopenExpired?.code === "expired", reopenExpired?.code) && passed;
+
+        const renewed = await reopenJobService(OWNER, id, { expires_at: new Date(Date.now() + 30 * DAY_MS).toISOString() });
+        passed = check("reopen con expires_at futuro: PUBLISHED", renewed.status === "PUBLISHED", renewed.status) && passed;
+
+        // 5) Cierre
+        const closed = await closeJobService(OWNER, id);
+        passed = check("close: CLOSED con closed_at", closed.status === "CLOSED" && Boolean(closed.closed_at), closed) && passed;
+
+        // 6) Job previo al ciclo de vida (sin status)
+        const legacyId = 990000000 + Math.floor(Math.random() * 1000000);
+        jobIds.push(legacyId);
+        await Job.collection.insertOne({
+            job_id: legacyId,
+            company_id: COMPANY_ID,
+            title: "Legacy job",
+            listed_time: new Date(),
+            deleted_at: null
+        });
+        passed = check("sin status: cuenta como PUBLISHED", (await publicJobIds()).includes(legacyId)) && passed;
+    } finally {
+        await Promise.all([
+            Job.deleteMany({ company_id: COMPANY_ID }),
+            JobRevision.deleteMany({ job_id: { $in: jobIds } })
+        ]);
+        await mongoose.disconnect();
+    }
+
+    logger.section(passed ? "Pruebas finalizadas" : "Pruebas con errores");
+    process.exit(passed ? 0 : 1);
+}
+
+runAll().catch((err) => {
+    logger.error(`❌ Error ejecutarJobLifecycle: ${err.message}`);
+    process.exit(1);
+});
@@ -0,0 +1,221 @@
+/**
+ * ejecutarScreeningKnockout.js
+ *
+ * Verifica las preguntas de filtro y el descarte automático (knockout) al
+ * postularse (services/jobService.js + services/applicationService.js +
+ * utils/jobs/screeningQuestionUtils.js) contra MongoDB, sin servidor HTTP:
+ *
+ * 1. Reglas knockout inválidas al crear el job → 400 invalid_payload.
+ * 2. La vista pública del job no expone las reglas knockout.
+ * 3. Respuesta requerida faltante o pregunta desconocida → 400
+ *    invalid_screening_answers con meta { question_id }.
+ * 4. Respuestas que pasan → APPLIED sin knocked_out.
+ * 5. YES_NO distinto de expected, NUMBER fuera de rango o una opción que
+ *    descarta → REJECTED con knocked_out, la transición automática
+ *    APPLIED → REJECTED (sin actor) y knockout por respuesta.
+ *
+ * Usa un company_id y candidatos ficticios y elimina sus datos al terminar.
+ *
+ * Uso:
+ *   node Tests/ejecutarScreeningKnockout.js
+ */
+
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+
+import { connectDB } from "../connection/db.js";
+import { logger } from "../utils/logger.js";
+
+import Job from "../models/Job.js";
+import JobRevision from "../models/JobRevision.js";
+import Candidate from "../models/Candidate.js";
+import Application from "../models/Application.js";
+import ApplicationEvent from "../models/ApplicationEvent.js";
+import { createJobService, getJobByIdService } from "../services/jobService.js";
+import { createApplicationService } from "../services/applicationService.js";
+
+dotenv.config();
+
+/* ---------------------------------------------------------
+ * CONFIG
+ * --------------------------------------------------------- */
+const BASE_ID = 900000000 + Math.floor(Math.random() * 1000000);
+const COMPANY_ID = BASE_ID;
+const CANDIDATE = { pass: BASE_ID, permit: BASE_ID + 1, years: BASE_ID + 2, missing: BASE_ID + 3 };
+const CANDIDATE_IDS = Object.values(CANDIDATE);
+
+const OWNER = { type: "company", user_id: 0, company_id: COMPANY_ID, company_role: "owner" };
+const ADMIN = { type: "admin", user_id: 0, session_id: 0 };
+
+const QUESTIONS = [
+    { question_id: "work_permit", prompt: "¿Tienes permiso de trabajo?", type: "YES_NO", required: true, knockout: { expected: true } },
+    { question_id: "years", prompt: "Años de experiencia", type: "NUMBER", required: true, knockout: { min: 3 } },
+    {
+        question_id: "shift",
+        prompt: "Turno preferido",
+        type: "SINGLE_CHOICE",
+        options: ["Mañana", "Tarde", "Noche"],
+        knockout: { options: ["Noche"] }
+    },
+    { question_id: "notes", prompt: "Comentarios", type: "TEXT" }
+];
+
+const answers = (work_permit, years, shift) => [
+    { question_id: "work_permit", answer: work_permit },
+    { question_id: "years", answer: years },
+    { question_id: "shift", answer: shift }
+];
+
+function check(name, ok, detail) {
+    if (ok) logger.success(name);
+    else logger.error(`${name} — ${JSON.stringify(detail)}`);
+    return ok;
+}
+
+async function errorOf(promise) {
+    try {
+        await promise;
+        return null;
+    } catch (err) {
+        return err;
+    }
+}
+
+async function seedCandidates() {
+    // Inserción directa: los ids ficticios no consumen el counter
+    await Candidate.collection.insertMany(
+        CANDIDATE_IDS.map((candidate_id) => ({
+            candidate_id,
+            full_name: `Screening QA ${candidate_id}`,
+            contact: { email: `screening-${candidate_id}@example.test` },
+            deleted_at: null
+        }))
+    );
+}
+
+const knockedOutIds = (application) =>
+    (application?.screening_answers || []).filter((a) => a.knockout).map((a) => a.question_id).sort();
+
+/* ---------------------------------------------------------
+ * EJECUCIÓN
+ * --------------------------------------------------------- */
+async function runAll() {
+    await connectDB();
+    logger.section("Preguntas de filtro y knockout");
+    logger.info(`ids de prueba: ${BASE_ID}`);
+
+    let passed = true;
+    const jobIds = [];
+
+    try {
+        await seedCandidates();
+
+        // 1) Definición inválida
+        const badRule = await errorOf(
+            createJobService(OWNER, {
+                title: "Screening QA",
+                status: "PUBLISHED",
+                screening_questions: [{ prompt: "Texto", type: "TEXT", knockout: { expected: true } }]
+            })
+        );
+        passed = check("knockout en TEXT → 400 invalid_payload", badRule?.code === "invalid_payload", badRule?.code) && passed;
+
+        const allOptions = await errorOf(
+            createJobService(OWNER, {
+                title: "Screening QA",
+                status: "PUBLISHED",
+                screening_questions: [{ prompt: "Turno", type: "SINGLE_CHOICE", options: ["A", "B"], knockout: { options: ["A", "B"] } }]
+            })
+        );
+        passed = check("descartar todas las opciones → 400 invalid_payload", allOptions?.code === "invalid_payload", allOptions?.code) && passed;
+
+        // 2) Job con preguntas; vista pública sin knockout
+        const job = await createJobService(OWNER, { title: "Screening QA", status: "PUBLISHED", screening_questions: QUESTIONS });
+        jobIds.push(job.job_id);
+
+        const publicJob = await getJobByIdService(job.job_id, { includeCompany: false });
+        const leaked = (publicJob?.screening_questions || []).filter((q) => "knockout" in q);
+        passed =
+            check(
+                "vista pública: preguntas sin reglas knockout",
+                publicJob?.screening_questions?.length === QUESTIONS.length && leaked.length === 0,
+                publicJob?.screening_questions
+            ) && passed;
+
+        const apply = (candidate_id, screening_answers) =>
+            createApplicationService(ADMIN, { candidate_id, job_id: job.job_id, screening_answers });
+
+        // 3) Respuestas inválidas
+        const missing = await errorOf(apply(CANDIDATE.missing, [{ question_id: "years", answer: 5 }]));
+        passed =
+            check(
+                "requerida sin respuesta → 400 invalid_screening_answers",
+                missing?.code === "invalid_screening_answers" && missing?.meta?.question_id === "work_permit",
+                { code: missing?.code, meta: missing?.meta }
+            ) && passed;
+
+        const unknown = await errorOf(apply(CANDIDATE.missing, [...answers(true, 5, "Tarde"), { question_id: "salary", answer: 1 }]));
+        passed =
+            check(
+                "pregunta desconocida → 400 invalid_screening_answers",
+                unknown?.code === "invalid_screening_answers" && unknown?.meta?.question_id === "salary",
+                { code: unknown?.code, meta: unknown?.meta }
+            ) && passed;
+
+        const created = await Application.exists({ job_id: job.job_id, candidate_id: CANDIDATE.missing });
+        passed = check("respuestas inválidas: no crean postulación", !created) && passed;
+
+        // 4) Pasa el filtro (respuestas como texto, igual que en un form)
+        const ok = await apply(CANDIDATE.pass, answers("sí", "5", "Mañana"));
+        passed =
+            check(
+                "pasa el filtro: APPLIED sin knocked_out",
+                ok.application?.status === "APPLIED" && ok.application?.knocked_out === false,
+                ok.application
+            ) && passed;
+
+        // 5) Knockouts
+        const permit = await apply(CANDIDATE.permit, answers(false, 5, "Tarde"));
+        passed =
+            check(
+                "YES_NO distinto de expected: REJECTED",
+                permit.application?.status === "REJECTED" && permit.application?.knocked_out === true,
+                permit.application?.status
+            ) && passed;
+        passed = check("YES_NO: marca la respuesta que descarta", knockedOutIds(permit.application).join() === "work_permit", knockedOutIds(permit.application)) && passed;
+
+        const stored = await Application.findOne({ job_id: job.job_id, candidate_id: CANDIDATE.permit }).lean();
+        const last = stored?.status_history?.at(-1);
+        passed =
+            check(
+                "knockout: transición automática APPLIED → REJECTED sin actor",
+                stored?.status_history?.length === 2 &&
+                    last?.from_status === "APPLIED" &&
+                    last?.to_status === "REJECTED" &&
+                    last?.changed_by?.type == null &&
+                    String(last?.note ?? "").includes("work_permit"),
+                stored?.status_history
+            ) && passed;
+
+        const years = await apply(CANDIDATE.years, answers(true, 1, "Noche"));
+        passed = check("NUMBER bajo min y opción que descarta: REJECTED", years.application?.status === "REJECTED", years.application?.status) && passed;
+        passed = check("varios knockouts: marca ambas respuestas", knockedOutIds(years.application).join() === "shift,years", knockedOutIds(years.application)) && passed;
+    } finally {
+        await Promise.all([
+            Job.deleteMany({ company_id: COMPANY_ID }),
+            JobRevision.deleteMany({ job_id: { $in: jobIds } }),
+            Application.deleteMany({ company_id: COMPANY_ID }),
+            ApplicationEvent.deleteMany({ company_id: COMPANY_ID }),
+            Candidate.deleteMany({ candidate_id: { $in: CANDIDATE_IDS } })
+        ]);
+        await mongoose.disconnect();
+    }
+
+    logger.section(passed ? "Pruebas finalizadas" : "Pruebas con errores");
+    process.exit(passed ? 0 : 1);
+}
+
+runAll().catch((err) => {
+    logger.error(`❌ Error ejecutarScreeningKnockout: ${err.message}`);
+    process.exit(1);
+});
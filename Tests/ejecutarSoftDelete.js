@@ -0,0 +1,239 @@
+/**
+ * ejecutarSoftDelete.js
+ *
+ * Verifica el borrado lógico (services/softDeleteService.js vía jobService y
+ * companyService) contra MongoDB, sin servidor HTTP:
+ *
+ * 1. Borrar un job oculta sus postulaciones con el deleted_at del job.
+ * 2. Borrar la empresa oculta sus jobs, postulaciones y usuarios con el
+ *    deleted_at de la empresa y elimina los favoritos de sus jobs; el job
+ *    borrado antes conserva su propio deleted_at.
+ * 3. Restaurar el job con la empresa eliminada → 409 company_deleted.
+ * 4. Restaurar la empresa reactiva solo lo que ocultó su borrado; el job
+ *    borrado antes sigue eliminado hasta restaurarlo aparte.
+ * 5. La purga respeta la ventana de retención y, vencida, elimina la
+ *    empresa con sus jobs, postulaciones y usuarios.
+ *
+ * Inserta datos con ids ficticios y los elimina al terminar. La purga es
+ * global (igual que scripts/purgeDeleted.js): para no adelantar el corte, el
+ * script retrocede el deleted_at de SUS registros más allá de la retención.
+ *
+ * Uso:
+ *   node Tests/ejecutarSoftDelete.js
+ */
+
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+
+import { connectDB } from "../connection/db.js";
+import { logger } from "../utils/logger.js";
+
+import Company from "../models/Company.js";
+import Candidate from "../models/Candidate.js";
+import User from "../models/User.js";
+import Job from "../models/Job.js";
+import Application from "../models/Application.js";
+import Favorite from "../models/Favorite.js";
+import { deleteJobService, restoreJobService } from "../services/jobService.js";
+import { deleteCompanyService, restoreCompanyService } from "../services/companyService.js";
+import { purgeSoftDeletedService, getRetentionDays } from "../services/softDeleteService.js";
+
+dotenv.config();
+
+/* ---------------------------------------------------------
+ * CONFIG
+ * --------------------------------------------------------- */
+const BASE_ID = 900000000 + Math.floor(Math.random() * 1000000);
+const COMPANY_ID = BASE_ID;
+const CANDIDATE_ID = BASE_ID;
+const USER_ID = BASE_ID;
+const FAVORITE_ID = BASE_ID;
+const JOB_KEPT = BASE_ID;        // se borra junto con la empresa
+const JOB_EARLIER = BASE_ID + 1; // se borra antes que la empresa
+const APP_KEPT = BASE_ID;
+const APP_EARLIER = BASE_ID + 1;
+
+const ADMIN = { type: "admin", user_id: 0, session_id: 0 };
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function check(name, ok, detail) {
+    if (ok) logger.success(name);
+    else logger.error(`${name} — ${JSON.stringify(detail)}`);
+    return ok;
+}
+
+async function errorOf(promise) {
+    try {
+        await promise;
+        return null;
+    } catch (err) {
+        return err;
+    }
+}
+
+const sameDate = (a, b) => Boolean(a && b) && new Date(a).getTime() === new Date(b).getTime();
+
+async function seed() {
+    const now = new Date();
+    const job = (job_id) => ({
+        job_id,
+        company_id: COMPANY_ID,
+        title: `Soft delete job ${job_id}`,
+        status: "PUBLISHED",
+        listed_time: now,
+        deleted_at: null
+    });
+    const application = (application_id, job_id) => ({
+        application_id,
+        job_id,
+        candidate_id: CANDIDATE_ID,
+        company_id: COMPANY_ID,
+        status: "APPLIED",
+        deleted_at: null
+    });
+
+    // Inserción directa: los ids ficticios no consumen los counters
+    await Company.collection.insertOne({ company_id: COMPANY_ID, name: "Soft Delete QA", deleted_at: null });
+    await Candidate.collection.insertOne({
+        candidate_id: CANDIDATE_ID,
+        full_name: "Soft Delete QA",
+        contact: { email: `softdelete-candidate-${BASE_ID}@example.test` },
+        deleted_at: null
+    });
+    await User.collection.insertOne({
+        user_id: USER_ID,
+        type: "company",
+        company_id: COMPANY_ID,
+        company_role: "owner",
+        email: `softdelete-${BASE_ID}@example.test`,
+        password_hash: "x",
+        deleted_at: null
+    });
+    await Job.collection.insertMany([job(JOB_KEPT), job(JOB_EARLIER)]);
+    await Application.collection.insertMany([
+        application(APP_KEPT, JOB_KEPT),
+        application(APP_EARLIER, JOB_EARLIER)
+    ]);
+    await Favorite.collection.insertOne({ favorite_id: FAVORITE_ID, candidate_id: CANDIDATE_ID, job_id: JOB_KEPT });
+}
+
+async function snapshot() {
+    const [company, jobs, apps, user, favorite] = await Promise.all([
+        Company.findOne({ company_id: COMPANY_ID }).lean(),
+        Job.find({ company_id: COMPANY_ID }).lean(),
+        Application.find({ company_id: COMPANY_ID }).lean(),
+        User.findOne({ user_id: USER_ID }).lean(),
+        Favorite.findOne({ favorite_id: FAVORITE_ID }).lean()
+    ]);
+    const byJob = (id) => jobs.find((j) => j.job_id === id) ?? null;
+    const byApp = (id) => apps.find((a) => a.application_id === id) ?? null;
+
+    return {
+        company,
+        jobKept: byJob(JOB_KEPT),
+        jobEarlier: byJob(JOB_EARLIER),
+        appKept: byApp(APP_KEPT),
+        appEarlier: byApp(APP_EARLIER),
+        user,
+        favorite
+    };
+}
+
+/* ---------------------------------------------------------
+ * EJECUCIÓN
+ * --------------------------------------------------------- */
+async function runAll() {
+    await connectDB();
+    logger.section("Borrado lógico: cascada, restore y purga");
+    logger.info(`ids de prueba: ${BASE_ID}`);
+
+    let passed = true;
+
+    try {
+        await seed();
+
+        // 1) Job suelto
+        await deleteJobService(ADMIN, JOB_EARLIER);
+        let s = await snapshot();
+        const earlierAt = s.jobEarlier?.deleted_at;
+        passed = check("job: queda eliminado", Boolean(earlierAt)) && passed;
+        passed =
+            check("job: su postulación toma el mismo deleted_at", sameDate(s.appEarlier?.deleted_at, earlierAt), s.appEarlier?.deleted_at) &&
+            passed;
+
+        // 2) Empresa
+        await deleteCompanyService(ADMIN, COMPANY_ID);
+        s = await snapshot();
+        const companyAt = s.company?.deleted_at;
+        passed = check("empresa: queda eliminada", Boolean(companyAt)) && passed;
+        passed = check("empresa: job toma su deleted_at", sameDate(s.jobKept?.deleted_at, companyAt), s.jobKept?.deleted_at) && passed;
+        passed = check("empresa: postulación toma su deleted_at", sameDate(s.appKept?.deleted_at, companyAt), s.appKept?.deleted_at) && passed;
+        passed = check("empresa: usuario deshabilitado", sameDate(s.user?.deleted_at, companyAt), s.user?.deleted_at) && passed;
+        passed = check("empresa: favorito eliminado", s.favorite === null) && passed;
+        passed =
+            check("empresa: job borrado antes conserva su deleted_at", sameDate(s.jobEarlier?.deleted_at, earlierAt), s.jobEarlier?.deleted_at) &&
+            passed;
+
+        // 3) Restore del job con la empresa eliminada
+        const blocked = await errorOf(restoreJobService(ADMIN, JOB_EARLIER));
+        passed = check("restore job con empresa eliminada → 409 company_deleted", blocked?.code === "company_deleted", blocked?.code) && passed;
+
+        // 4) Restore de la empresa
+        await restoreCompanyService(ADMIN, COMPANY_ID);
+        s = await snapshot();
+        passed = check("restore empresa: empresa activa", s.company?.deleted_at === null) && passed;
+        passed = check("restore empresa: job reactivado", s.jobKept?.deleted_at === null, s.jobKept?.deleted_at) && passed;
+        passed = check("restore empresa: postulación reactivada", s.appKept?.deleted_at === null, s.appKept?.deleted_at) && passed;
+        passed = check("restore empresa: usuario reactivado", s.user?.deleted_at === null, s.user?.deleted_at) && passed;
+        passed = check("restore empresa: favorito no se recupera", s.favorite === null) && passed;
+        passed = check("restore empresa: job borrado antes sigue eliminado", sameDate(s.jobEarlier?.deleted_at, earlierAt)) && passed;
+        passed = check("restore empresa: su postulación sigue oculta", sameDate(s.appEarlier?.deleted_at, earlierAt)) && passed;
+
+        await restoreJobService(ADMIN, JOB_EARLIER);
+        s = await snapshot();
+        passed = check("restore job: postulación reactivada", s.appEarlier?.deleted_at === null, s.appEarlier?.deleted_at) && passed;
+
+        // 5) Purga
+        await deleteCompanyService(ADMIN, COMPANY_ID);
+        await purgeSoftDeletedService();
+        s = await snapshot();
+        passed = check("purga dentro de la retención: conserva la empresa", Boolean(s.company?.deleted_at)) && passed;
+
+        const old = new Date(Date.now() - (getRetentionDays() + 1) * DAY_MS);
+        await Promise.all([
+            Company.updateOne({ company_id: COMPANY_ID }, { $set: { deleted_at: old } }),
+            Job.updateMany({ company_id: COMPANY_ID }, { $set: { deleted_at: old } }),
+            Application.updateMany({ company_id: COMPANY_ID }, { $set: { deleted_at: old } }),
+            User.updateOne({ user_id: USER_ID }, { $set: { deleted_at: old } })
+        ]);
+        await purgeSoftDeletedService();
+        s = await snapshot();
+        passed =
+            check(
+                "purga vencida: elimina empresa, jobs, postulaciones y usuario",
+                !s.company && !s.jobKept && !s.jobEarlier && !s.appKept && !s.appEarlier && !s.user,
+                s
+            ) && passed;
+
+        const candidate = await Candidate.exists({ candidate_id: CANDIDATE_ID, deleted_at: null });
+        passed = check("purga vencida: el candidato activo se conserva", Boolean(candidate)) && passed;
+    } finally {
+        await Promise.all([
+            Company.deleteMany({ company_id: COMPANY_ID }),
+            Candidate.deleteMany({ candidate_id: CANDIDATE_ID }),
+            User.deleteMany({ user_id: USER_ID }),
+            Job.deleteMany({ company_id: COMPANY_ID }),
+            Application.deleteMany({ company_id: COMPANY_ID }),
+            Favorite.deleteMany({ favorite_id: FAVORITE_ID })
+        ]);
+        await mongoose.disconnect();
+    }
+
+    logger.section(passed ? "Pruebas finalizadas" : "Pruebas con errores");
+    process.exit(passed ? 0 : 1);
+}
+
+runAll().catch((err) => {
+    logger.error(`❌ Error ejecutarSoftDelete: ${err.message}`);
+    process.exit(1);
+});
@@ -14,7 +14,9 @@
  * Respuestas JSON:
  * - Todas regresan un campo "status".
  * - En errores de autorización/validación:
- *   { status:"error", code, message }
+ *   { status:"error", code, message, meta? }
+ * - Transiciones de status inválidas responden 409 con code
+ *   "invalid_transition" | "application_locked" y meta { from, to, allowed }.
  *
  * Notas para frontend:
  * - "not_found" y "no_cv" se regresan como JSON con HTTP 404 cuando corresponde.
@@ -25,6 +27,7 @@
 import {
     createApplicationService,
     getApplicationByIdService,
+    resolveApplicationCvService,
     getCompanyApplicationDetailService,
     getApplicationStatusService,
     getStatusesForJobsService,
@@ -32,8 +35,16 @@ import {
     listApplicationsByCompanyService,
     listCompanyApplicationsWithCandidateService,
     updateApplicationStatusService,
+    bulkUpdateApplicationStatusService,
+    updateApplicationReviewService,
+    addApplicationNoteService,
+    updateApplicationNoteService,
+    deleteApplicationNoteService,
     withdrawApplicationService,
-    getCompanyPipelineCountsService
+    getCompanyPipelineCountsService,
+    getCompanyApplicationHistoryService,
+    getApplicationTimelineService,
+    getCompanyApplicationAnalyticsService
 } from "../services/applicationService.js";
 
 /* =============================================================================
@@ -56,7 +67,9 @@ function sendError(res, err) {
     const httpStatus = err?.httpStatus || 500;
     const code = err?.code || "internal_error";
     const message = err?.message || "Error interno.";
-    return res.status(httpStatus).json({ status: "error", code, message });
+    const body = { status: "error", code, message };
+    if (err?.meta) body.meta = err.meta;
+    return res.status(httpStatus).json(body);
 }
 
 /* =============================================================================
@@ -66,12 +79,23 @@ function sendError(res, err) {
  * Body:
  * - candidate_id (number)
  * - job_id (number)
+ * - screening_answers? ([{ question_id, answer }]) respuestas a las preguntas
+ *   de filtro del empleo (GET /api/jobs/:id → screening_questions).
+ *   answer: boolean (YES_NO) | number (NUMBER) | string (SINGLE_CHOICE, TEXT)
+ *   | string[] (MULTI_CHOICE)
+ * - cover_letter? (string, máx. 5000) carta de presentación
+ *
+ * El CV vigente del candidato se copia a la postulación; application.cv_url
+ * apunta a esa copia (null si el candidato no tenía CV).
  *
  * Respuestas:
  * - 201 { status:"created", application }
+ *   (application.status = "REJECTED" si una respuesta activó un knockout)
  * - 200 { status:"already_exists", application }
  * - 200 { status:"candidate_not_found" }
  * - 200 { status:"job_not_found" }
+ * - 400 { status:"error", code:"invalid_screening_answers", message, meta?:{ question_id } }
+ * - 409 { status:"error", code:"job_not_open", message, meta:{ job_status, publish_at } }
  * ============================================================================
  */
 export async function createApplicationController(req, res) {
@@ -90,7 +114,7 @@ export async function createApplicationController(req, res) {
  * Obtiene una postulación por ID
  *
  * Respuestas:
- * - 200 { status:"ok", application }
+ * - 200 { status:"ok", application }  (incluye cover_letter y cv_url)
  * - 200 { status:"not_found" }
  * ============================================================================
  */
@@ -103,12 +127,45 @@ export async function getApplicationByIdController(req, res) {
     }
 }
 
+/* =============================================================================
+ * GET /api/applications/:application_id/cv
+ * Descarga el CV (PDF) enviado con la postulación.
+ * Es la copia tomada al postularse: no cambia si el candidato sube otro CV.
+ *
+ * Respuestas:
+ * - 200 application/pdf
+ * - 404 { status:"not_found" }
+ * - 404 { status:"no_cv" }
+ * ============================================================================
+ */
+export async function getApplicationCvController(req, res) {
+    try {
+        const out = await resolveApplicationCvService(req.actor, req.params.application_id);
+
+        if (out.status === "not_found" || out.status === "no_cv") return sendNotFound(res, out);
+        return res.sendFile(out.file_path);
+    } catch (err) {
+        return sendError(res, err);
+    }
+}
+
 /* =============================================================================
  * GET /api/companies/:company_id/applications/:application_id
  * Detalle de postulación para empresa (incluye candidato visible y cv_url)
  *
+ * application.cover_letter / application.cv_url: lo enviado al postularse
+ * application.recruiter_tags / recruiter_rating / recruiter_notes: evaluación
+ *   interna de la empresa (nunca se muestra al candidato)
+ * application.screening_answers: [{ question_id, prompt, type, answer, knockout }]
+ * application.knocked_out: true si fue descartada automáticamente
+ *
+ * job_posting: el empleo tal como lo vio el candidato
+ * - { revision, current_revision, changed_since_applied, content }
+ *   content = { title, description, min_salary, max_salary, pay_period,
+ *   currency, work_type, work_location_type, city, state, country } | null
+ *
  * Respuestas:
- * - 200 { status:"ok", application, candidate }
+ * - 200 { status:"ok", application, candidate, match, job_posting }
  * - 404 { status:"not_found" }
  * ============================================================================
  */
@@ -232,15 +289,22 @@ export async function listApplicationsByCompanyController(req, res) {
 /* =============================================================================
  * GET /api/companies/:company_id/applications_with_candidates
  * Lista postulaciones de una empresa incluyendo candidato visible + cv_url
+ * y match score contra el job de cada postulación
  *
  * Query:
  * - job_id?
  * - status?
  * - from? to?
+ * - tags? (a,b: todas) tags_any? (a,b: alguna)
+ * - min_rating? max_rating? (1–5) rated? (true|false)
+ * - sortBy? ("applied_at" default | "updated_at" | "status" | "rating" | "match" | ...) sortDir?
  * - page? limit?
  *
  * Respuesta:
  * - 200 { status:"ok", total, page, limit, items }
+ *   con sortBy=match: + truncated (total = postulaciones rankeadas, máx. 5000)
+ *   items[].match: { score (0–100), breakdown: { skills, headline, location, work_location } }
+ *   items[].recruiter_tags / recruiter_rating / recruiter_notes_count
  * ============================================================================
  */
 export async function listCompanyApplicationsWithCandidateController(req, res) {
@@ -262,11 +326,16 @@ export async function listCompanyApplicationsWithCandidateController(req, res) {
  *
  * Body:
  * - status: "APPLIED"|"REVIEWING"|"INTERVIEW"|"OFFERED"|"REJECTED"|"HIRED"
+ * - note?: string (privada para la empresa; máx. 1000 caracteres)
+ * - override?: boolean (solo admin; fuerza una corrección fuera del grafo)
  *
  * Respuestas:
  * - 200 { status:"ok", application }
  * - 200 { status:"invalid_status", allowed }
  * - 200 { status:"not_found" }
+ * - 409 { status:"conflict" } (otro cambio de status ocurrió al mismo tiempo)
+ * - 409 { status:"error", code:"invalid_transition"|"application_locked", message, meta }
+ * - 403 { status:"error", code:"forbidden" } (override sin ser admin)
  * ============================================================================
  */
 export async function updateApplicationStatusController(req, res) {
@@ -274,8 +343,12 @@ export async function updateApplicationStatusController(req, res) {
         const out = await updateApplicationStatusService(req.actor, {
             company_id: req.params.company_id,
             application_id: req.params.application_id,
-            status: req.body.status
+            status: req.body.status,
+            note: req.body.note,
+            override: req.body.override
         });
+
+        if (out.status === "conflict") return res.status(409).json(out);
         return sendOk(res, out);
     } catch (err) {
         return sendError(res, err);
@@ -284,15 +357,18 @@ export async function updateApplicationStatusController(req, res) {
 
 /* =============================================================================
  * DELETE /api/applications
- * Retira postulación (borra documento)
+ * Retira postulación (status -> WITHDRAWN; el documento se conserva)
  *
  * Body:
  * - candidate_id
  * - job_id
  *
  * Respuestas:
- * - 200 { status:"deleted" }
+ * - 200 { status:"withdrawn", application }
+ * - 200 { status:"already_withdrawn", application }
  * - 200 { status:"not_found" }
+ * - 409 { status:"conflict" }
+ * - 409 { status:"error", code:"application_locked", ... } (HIRED/REJECTED)
  * ============================================================================
  */
 export async function withdrawApplicationController(req, res) {
@@ -301,6 +377,8 @@ export async function withdrawApplicationController(req, res) {
             candidate_id: req.body.candidate_id,
             job_id: req.body.job_id
         });
+
+        if (out.status === "conflict") return res.status(409).json(out);
         return sendOk(res, out);
     } catch (err) {
         return sendError(res, err);
@@ -332,3 +410,224 @@ export async function getCompanyPipelineCountsController(req, res) {
         return sendError(res, err);
     }
 }
+
+/* =============================================================================
+ * GET /api/companies/:company_id/applications/:application_id/history
+ * Timeline completo de status (actor + nota)
+ *
+ * Respuestas:
+ * - 200 { status:"ok", application_id, current_status, history }
+ *   history[]: { from_status, to_status, changed_at, changed_by:{user_id,type}|null, note }
+ * - 404 { status:"not_found" }
+ * ============================================================================
+ */
+export async function getCompanyApplicationHistoryController(req, res) {
+    try {
+        const out = await getCompanyApplicationHistoryService(req.actor, {
+            company_id: req.params.company_id,
+            application_id: req.params.application_id
+        });
+
+        if (out.status === "not_found") return sendNotFound(res, out);
+        return sendOk(res, out);
+    } catch (err) {
+        return sendError(res, err);
+    }
+}
+
+/* =============================================================================
+ * GET /api/applications/:application_id/history
+ * Timeline de status para el dueño de la postulación
+ *
+ * - candidate: history[]: { status, changed_at } (sin actor ni notas)
+ * - company/admin: mismo formato que la vista de empresa
+ *
+ * Respuestas:
+ * - 200 { status:"ok", application_id, current_status, history }
+ * - 404 { status:"not_found" }
+ * ============================================================================
+ */
+export async function getApplicationTimelineController(req, res) {
+    try {
+        const out = await getApplicationTimelineService(req.actor, req.params.application_id);
+
+        if (out.status === "not_found") return sendNotFound(res, out);
+        return sendOk(res, out);
+    } catch (err) {
+        return sendError(res, err);
+    }
+}
+
+/* =============================================================================
+ * GET /api/companies/:company_id/analytics
+ * Embudo, tiempos por etapa, time-to-hire y volumen semanal
+ *
+ * Query:
+ * - job_id?
+ * - from? to? (applied_at; YYYY-MM-DD o ISO)
+ *
+ * Respuesta:
+ * - 200 {
+ *     status:"ok", range, total_applications,
+ *     funnel:[{ stage, reached, conversion_from_previous, conversion_from_applied }],
+ *     exits:{ REJECTED, WITHDRAWN },
+ *     stage_timing:[{ stage, median_days_from_applied, samples }],
+ *     time_to_hire:{ overall:{ hires, median_days, avg_days }, by_job:[...] },
+ *     weekly_volume:[{ week_start, count }]
+ *   }
+ * ============================================================================
+ */
+export async function getCompanyApplicationAnalyticsController(req, res) {
+    try {
+        const out = await getCompanyApplicationAnalyticsService(req.actor, {
+            company_id: req.params.company_id,
+            job_id: req.query.job_id,
+            from: req.query.from,
+            to: req.query.to
+        });
+        return sendOk(res, out);
+    } catch (err) {
+        return sendError(res, err);
+    }
+}
+
+/* =============================================================================
+ * POST /api/companies/:company_id/applications/bulk_status
+ * Cambia el status de varias postulaciones (p. ej. rechazo masivo)
+ *
+ * Body:
+ * - application_ids?: number[]
+ * - filter?: { job_id?, status?, from?, to? } (alternativa a application_ids)
+ * - status: status destino (mismos valores que el PATCH individual)
+ * - note?: string, override?: boolean (solo admin)
+ *
+ * Cada postulación se procesa por separado; las que fallan no revierten las
+ * que ya se actualizaron.
+ *
+ * Respuestas:
+ * - 200 { status:"ok", target_status, total, summary: { updated, unchanged, failed }, results }
+ *   results[]: { application_id, result, from?, to?, code?, message? }
+ * - 200 { status:"invalid_status", allowed }
+ * - 400 { status:"error", code:"invalid_payload" | "too_many_applications", message, meta? }
+ * ============================================================================
+ */
+export async function bulkUpdateApplicationStatusController(req, res) {
+    try {
+        const out = await bulkUpdateApplicationStatusService(req.actor, {
+            company_id: req.params.company_id,
+            application_ids: req.body.application_ids,
+            filter: req.body.filter,
+            status: req.body.status,
+            note: req.body.note,
+            override: req.body.override
+        });
+        return sendOk(res, out);
+    } catch (err) {
+        return sendError(res, err);
+    }
+}
+
+/* =============================================================================
+ * PATCH /api/companies/:company_id/applications/:application_id/review
+ * Etiquetas y calificación internas de la empresa
+ *
+ * Body:
+ * - tags?: string[] (reemplaza la lista; máx. 20)
+ * - rating?: 1–5 | null
+ *
+ * Respuestas:
+ * - 200 { status:"ok", review: { application_id, tags, rating, notes } }
+ * - 404 { status:"not_found" }
+ * - 400 { status:"error", code:"invalid_payload", message }
+ * ============================================================================
+ */
+export async function updateApplicationReviewController(req, res) {
+    try {
+        const out = await updateApplicationReviewService(req.actor, {
+            company_id: req.params.company_id,
+            application_id: req.params.application_id,
+            tags: req.body.tags,
+            rating: req.body.rating
+        });
+
+        if (out.status === "not_found") return sendNotFound(res, out);
+        return sendOk(res, out);
+    } catch (err) {
+        return sendError(res, err);
+    }
+}
+
+/* =============================================================================
+ * POST /api/companies/:company_id/applications/:application_id/notes
+ * Agrega una nota interna
+ *
+ * Body:
+ * - body: string (máx. 5000)
+ *
+ * Respuestas:
+ * - 201 { status:"created", note }
+ * - 404 { status:"not_found" }
+ * ============================================================================
+ */
+export async function addApplicationNoteController(req, res) {
+    try {
+        const out = await addApplicationNoteService(req.actor, {
+            company_id: req.params.company_id,
+            application_id: req.params.application_id,
+            body: req.body.body
+        });
+
+        if (out.status === "created") return sendCreated(res, out);
+        return sendNotFound(res, out);
+    } catch (err) {
+        return sendError(res, err);
+    }
+}
+
+/* =============================================================================
+ * PATCH /api/companies/:company_id/applications/:application_id/notes/:note_id
+ * Edita una nota interna
+ *
+ * Respuestas:
+ * - 200 { status:"ok", note }
+ * - 404 { status:"not_found" }
+ * ============================================================================
+ */
+export async function updateApplicationNoteController(req, res) {
+    try {
+        const out = await updateApplicationNoteService(req.actor, {
+            company_id: req.params.company_id,
+            application_id: req.params.application_id,
+            note_id: req.params.note_id,
+            body: req.body.body
+        });
+
+        if (out.status === "not_found") return sendNotFound(res, out);
+        return sendOk(res, out);
+    } catch (err) {
+        return sendError(res, err);
+    }
+}
+
+/* =============================================================================
+ * DELETE /api/companies/:company_id/applications/:application_id/notes/:note_id
+ *
+ * Respuestas:
+ * - 200 { status:"deleted" }
+ * - 404 { status:"not_found" }
+ * ============================================================================
+ */
+export async function deleteApplicationNoteController(req, res) {
+    try {
+        const out = await deleteApplicationNoteService(req.actor, {
+            company_id: req.params.company_id,
+            application_id: req.params.application_id,
+            note_id: req.params.note_id
+        });
+
+        if (out.status === "not_found") return sendNotFound(res, out);
+        return sendOk(res, out);
+    } catch (err) {
+        return sendError(res, err);
+    }
+}
@@ -0,0 +1,130 @@
+// controllers/applicationEventController.js
+
+/**
+ * ============================================================================
+ * applicationEventController.js — Stream SSE de eventos de postulaciones
+ * ============================================================================
+ *
+ * Requisito de autenticación:
+ * - Debe existir req.actor (authActor); el alcance lo decide
+ *   applicationEventService (candidato: propias; empresa: de su empresa).
+ *
+ * Protocolo (text/event-stream):
+ * - id:    event_id (el cliente lo reenvía como Last-Event-ID al reconectar)
+ * - event: APPLICATION_CREATED | APPLICATION_STATUS_CHANGED | APPLICATION_WITHDRAWN | resync
+ *          | session_revoked (último mensaje antes de cerrar; no reconectar
+ *            con el mismo token)
+ * - data:  JSON { event_id, type, application_id, job_id, candidate_id,
+ *                 company_id, status, from_status, created_at }
+ * - Comentario ": ping" cada HEARTBEAT_MS para mantener viva la conexión.
+ *   En cada heartbeat se vuelve a validar la sesión (authActor solo corre al
+ *   abrir): si se revocó o expiró, se envía session_revoked y se cierra.
+ *
+ * Errores:
+ * - Antes de abrir el stream: JSON { status:"error", code, message } con su
+ *   HTTP status (401/403/400).
+ * - Con el stream abierto: se cierra la conexión (el cliente reconecta).
+ * ============================================================================
+ */
+
+import { openApplicationEventStreamService } from "../services/applicationEventService.js";
+import {
+    parseLastEventId,
+    formatSseMessage,
+    formatSseComment
+} from "../utils/events/applicationEventUtils.js";
+import { logger } from "../utils/logger.js";
+
+const HEARTBEAT_MS = 25 * 1000;
+const RETRY_MS = 5 * 1000;
+
+/* =============================================================================
+ * Helpers de respuesta
+ * =============================================================================
+ */
+function sendError(res, err) {
+    const httpStatus = err?.httpStatus || 500;
+    const code = err?.code || "internal_error";
+    const message = err?.message || "Error interno.";
+    const body = { status: "error", code, message };
+    if (err?.meta) body.meta = err.meta;
+    return res.status(httpStatus).json(body);
+}
+
+function openStream(res) {
+    if (res.headersSent) return;
+    res.writeHead(200, {
+        "Content-Type": "text/event-stream; charset=utf-8",
+        "Cache-Control": "no-cache, no-transform",
+        Connection: "keep-alive",
+        "X-Accel-Buffering": "no"
+    });
+    res.write(formatSseMessage({ retry: RETRY_MS }));
+}
+
+/* =============================================================================
+ * GET /api/applications/events
+ * Eventos de postulaciones en tiempo real (Server-Sent Events).
+ *
+ * Headers:
+ * - Authorization: Bearer <token>
+ * - Last-Event-ID? (reanudar; también query last_event_id)
+ *
+ * Query:
+ * - job_id? (company/admin)
+ * - company_id?, candidate_id? (solo admin)
+ *
+ * Respuestas:
+ * - 200 text/event-stream
+ * - 401 / 403 / 400 { status:"error", code, message }
+ * ============================================================================
+ */
+export async function streamApplicationEventsController(req, res) {
+    const last_event_id = parseLastEventId(req.get("Last-Event-ID") ?? req.query.last_event_id);
+
+    let disconnected = false;
+    let stream = null;
+    let heartbeat = null;
+
+    res.on("close", () => {
+        disconnected = true;
+        if (heartbeat) clearInterval(heartbeat);
+        if (stream) stream.close();
+    });
+
+    const send = (message) => {
+        if (disconnected) return;
+        openStream(res);
+        res.write(formatSseMessage(message));
+    };
+
+    try {
+        stream = await openApplicationEventStreamService(req.actor, { last_event_id, query: req.query }, send);
+    } catch (err) {
+        if (!res.headersSent) return sendError(res, err);
+        logger.warn(`Stream de eventos interrumpido: ${err?.message || err}`);
+        return res.end();
+    }
+
+    if (disconnected) return stream.close();
+
+    openStream(res);
+    heartbeat = setInterval(async () => {
+        let active = true;
+        try {
+            active = await stream.isSessionActive();
+        } catch (err) {
+            logger.warn(`No se pudo validar la sesión del stream: ${err?.message || err}`);
+        }
+        if (disconnected) return;
+
+        if (!active) {
+            send({ event: "session_revoked", data: { reason: "session_inactive" } });
+            disconnected = true;
+            clearInterval(heartbeat);
+            stream.close();
+            return res.end();
+        }
+        res.write(formatSseComment("ping"));
+    }, HEARTBEAT_MS);
+}
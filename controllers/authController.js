@@ -1,6 +1,29 @@
 // controllers/authController.js
 
-import { loginService, registerService } from "../services/authService.js";
+import {
+    loginService,
+    registerService,
+    refreshService,
+    logoutService,
+    changePasswordService,
+    deleteAccountService,
+    forgotPasswordService,
+    resetPasswordService,
+    verifyEmailService,
+    resendVerificationService,
+    unlockAccountService,
+} from "../services/authService.js";
+import { listLockoutsService } from "../services/loginThrottleService.js";
+
+/**
+ * Contexto de la petición que se guarda en la sesión.
+ */
+function requestContext(req) {
+    return {
+        ip: req.ip ?? null,
+        user_agent: req.headers["user-agent"] ?? null,
+    };
+}
 
 /**
  * POST /api/auth/login
@@ -15,7 +38,9 @@ import { loginService, registerService } from "../services/authService.js";
  *
  * Salida (200):
  * {
- *   "token": string,
+ *   "token": string,            // access token (corto)
+ *   "refresh_token": string,    // opaco, rota en /api/auth/refresh
+ *   "refresh_expires_at": Date,
  *   "actor": {
  *     "user_id": number,
  *     "type": "admin" | "company" | "candidate",
@@ -27,6 +52,7 @@ import { loginService, registerService } from "../services/authService.js";
  * Errores:
  * - 400: BAD_REQUEST (faltan campos)
  * - 401: UNAUTHORIZED (credenciales inválidas)
+ * - 429: ACCOUNT_LOCKED (demasiados intentos; header Retry-After)
  * - 500: SERVER_MISCONFIG (JWT_SECRET no configurado)
  * - 500: INTERNAL_ERROR
  */
@@ -34,9 +60,9 @@ export async function login(req, res) {
     try {
         const { email, password } = req.body;
 
-        const { token, actor } = await loginService({ email, password });
+        const out = await loginService({ email, password }, requestContext(req));
 
-        return res.status(200).json({ token, actor });
+        return res.status(200).json(out);
     } catch (err) {
         if (err.message === "BAD_REQUEST") {
             return res.status(400).json({
@@ -52,6 +78,15 @@ export async function login(req, res) {
             });
         }
 
+        if (err.message === "ACCOUNT_LOCKED") {
+            res.set("Retry-After", String(err.retryAfter ?? 60));
+            return res.status(429).json({
+                error: "ACCOUNT_LOCKED",
+                message: "Demasiados intentos fallidos. Intenta más tarde.",
+                retry_after: err.retryAfter ?? 60,
+            });
+        }
+
         if (err.message === "JWT_SECRET_NOT_CONFIGURED") {
             return res.status(500).json({
                 error: "SERVER_MISCONFIG",
@@ -112,6 +147,8 @@ export async function login(req, res) {
  * Salida (201):
  * {
  *   "token": string,
+ *   "refresh_token": string,
+ *   "refresh_expires_at": Date,
  *   "actor": {
  *     "user_id": number,
  *     "type": "admin" | "company" | "candidate",
@@ -130,15 +167,18 @@ export async function register(req, res) {
     try {
         const { type, email, password, company, candidate } = req.body;
 
-        const { token, actor } = await registerService({
-            type,
-            email,
-            password,
-            company,
-            candidate,
-        });
+        const out = await registerService(
+            {
+                type,
+                email,
+                password,
+                company,
+                candidate,
+            },
+            requestContext(req)
+        );
 
-        return res.status(201).json({ token, actor });
+        return res.status(201).json(out);
     } catch (err) {
         if (err.message === "BAD_REQUEST") {
             return res.status(400).json({
@@ -167,3 +207,437 @@ export async function register(req, res) {
         });
     }
 }
+
+/**
+ * POST /api/auth/refresh
+ * -----------------------------------------------------------------------------
+ * Rota el refresh token y emite un access token nuevo.
+ *
+ * Entrada:
+ * { "refresh_token": string }
+ *
+ * Salida (200):
+ * { "token", "refresh_token", "refresh_expires_at", "actor" }
+ *
+ * Errores:
+ * - 400: BAD_REQUEST (falta refresh_token)
+ * - 401: UNAUTHORIZED (refresh token inválido/expirado/revocado)
+ * - 401: REFRESH_TOKEN_REUSED (token ya rotado; la sesión se revoca)
+ * - 500: SERVER_MISCONFIG / INTERNAL_ERROR
+ */
+export async function refresh(req, res) {
+    try {
+        const out = await refreshService(
+            { refresh_token: req.body?.refresh_token },
+            requestContext(req)
+        );
+
+        return res.status(200).json(out);
+    } catch (err) {
+        if (err.message === "BAD_REQUEST") {
+            return res.status(400).json({
+                error: "BAD_REQUEST",
+                message: err.publicMessage || "Solicitud inválida",
+            });
+        }
+
+        if (err.message === "INVALID_REFRESH_TOKEN") {
+            return res.status(401).json({
+                error: "UNAUTHORIZED",
+                message: "Refresh token inválido o expirado",
+            });
+        }
+
+        if (err.message === "REFRESH_TOKEN_REUSED") {
+            return res.status(401).json({
+                error: "REFRESH_TOKEN_REUSED",
+                message: "Refresh token reutilizado; la sesión fue revocada",
+            });
+        }
+
+        if (err.message === "JWT_SECRET_NOT_CONFIGURED") {
+            return res.status(500).json({
+                error: "SERVER_MISCONFIG",
+                message: "JWT_SECRET no está configurado",
+            });
+        }
+
+        return res.status(500).json({
+            error: "INTERNAL_ERROR",
+            message: "Error inesperado al renovar la sesión",
+        });
+    }
+}
+
+/**
+ * POST /api/auth/logout
+ * -----------------------------------------------------------------------------
+ * Cierra la sesión actual (access token) o la del refresh_token enviado.
+ *
+ * Entrada:
+ * - Authorization: Bearer <token> (opcional si se manda refresh_token)
+ * - { "refresh_token"?: string, "all"?: boolean }
+ *
+ * Salida (200):
+ * { "revoked": number }
+ *
+ * Errores:
+ * - 400: BAD_REQUEST (sin token ni refresh_token)
+ * - 500: INTERNAL_ERROR
+ */
+export async function logout(req, res) {
+    try {
+        const out = await logoutService({
+            actor: req.actor,
+            refresh_token: req.body?.refresh_token,
+            all: req.body?.all,
+        });
+
+        return res.status(200).json(out);
+    } catch (err) {
+        if (err.message === "BAD_REQUEST") {
+            return res.status(400).json({
+                error: "BAD_REQUEST",
+                message: err.publicMessage || "Solicitud inválida",
+            });
+        }
+
+        return res.status(500).json({
+            error: "INTERNAL_ERROR",
+            message: "Error inesperado al cerrar sesión",
+        });
+    }
+}
+
+/**
+ * POST /api/auth/change-password
+ * -----------------------------------------------------------------------------
+ * Cambia el password y revoca todas las sesiones del usuario.
+ * Regresa una sesión nueva para el cliente actual.
+ *
+ * Entrada:
+ * { "current_password": string, "new_password": string }
+ *
+ * Salida (200):
+ * { "token", "refresh_token", "refresh_expires_at", "actor" }
+ *
+ * Errores:
+ * - 400: BAD_REQUEST
+ * - 401: UNAUTHORIZED (password actual incorrecto)
+ * - 500: SERVER_MISCONFIG / INTERNAL_ERROR
+ */
+export async function changePassword(req, res) {
+    try {
+        const { current_password, new_password } = req.body || {};
+
+        const out = await changePasswordService(
+            req.actor,
+            { current_password, new_password },
+            requestContext(req)
+        );
+
+        return res.status(200).json(out);
+    } catch (err) {
+        if (err.message === "BAD_REQUEST") {
+            return res.status(400).json({
+                error: "BAD_REQUEST",
+                message: err.publicMessage || "Solicitud inválida",
+            });
+        }
+
+        if (err.message === "INVALID_CREDENTIALS" || err.message === "UNAUTHORIZED") {
+            return res.status(401).json({
+                error: "UNAUTHORIZED",
+                message: "Credenciales inválidas",
+            });
+        }
+
+        if (err.message === "JWT_SECRET_NOT_CONFIGURED") {
+            return res.status(500).json({
+                error: "SERVER_MISCONFIG",
+                message: "JWT_SECRET no está configurado",
+            });
+        }
+
+        return res.status(500).json({
+            error: "INTERNAL_ERROR",
+            message: "Error inesperado al cambiar el password",
+        });
+    }
+}
+
+/**
+ * DELETE /api/auth/account
+ * -----------------------------------------------------------------------------
+ * Da de baja la cuenta del usuario autenticado (borrado lógico; un candidato
+ * elimina también su perfil, un usuario de empresa sale de la empresa) y
+ * revoca todas sus sesiones.
+ *
+ * Entrada:
+ * { "password": string }
+ *
+ * Salida (200):
+ * { "deleted": true, "revoked": number }
+ *
+ * Errores:
+ * - 400: BAD_REQUEST
+ * - 401: UNAUTHORIZED (password incorrecto)
+ * - 409: LAST_OWNER (único owner de la empresa)
+ * - 500: INTERNAL_ERROR
+ */
+export async function deleteAccount(req, res) {
+    try {
+        const out = await deleteAccountService(req.actor, { password: req.body?.password });
+
+        return res.status(200).json(out);
+    } catch (err) {
+        if (err.message === "BAD_REQUEST") {
+            return res.status(400).json({
+                error: "BAD_REQUEST",
+                message: err.publicMessage || "Solicitud inválida",
+            });
+        }
+
+        if (err.message === "INVALID_CREDENTIALS" || err.message === "UNAUTHORIZED") {
+            return res.status(401).json({
+                error: "UNAUTHORIZED",
+                message: "Credenciales inválidas",
+            });
+        }
+
+        if (err.message === "LAST_OWNER") {
+            return res.status(409).json({
+                error: "LAST_OWNER",
+                message: "Eres el único owner de la empresa: asigna otro owner antes de eliminar tu cuenta",
+            });
+        }
+
+        return res.status(500).json({
+            error: "INTERNAL_ERROR",
+            message: "Error inesperado al eliminar la cuenta",
+        });
+    }
+}
+
+/**
+ * POST /api/auth/forgot-password
+ * -----------------------------------------------------------------------------
+ * Envía link de restablecimiento. Responde 200 aunque el email no exista.
+ *
+ * Entrada:
+ * { "email": string }
+ *
+ * Salida (200):
+ * { "sent": true }
+ *
+ * Errores:
+ * - 400: BAD_REQUEST
+ * - 500: INTERNAL_ERROR
+ */
+export async function forgotPassword(req, res) {
+    try {
+        const out = await forgotPasswordService({ email: req.body?.email });
+
+        return res.status(200).json(out);
+    } catch (err) {
+        if (err.message === "BAD_REQUEST") {
+            return res.status(400).json({
+                error: "BAD_REQUEST",
+                message: err.publicMessage || "Solicitud inválida",
+            });
+        }
+
+        return res.status(500).json({
+            error: "INTERNAL_ERROR",
+            message: "Error inesperado al solicitar el restablecimiento",
+        });
+    }
+}
+
+/**
+ * POST /api/auth/reset-password
+ * -----------------------------------------------------------------------------
+ * Restablece el password con el token del correo y revoca todas las sesiones.
+ *
+ * Entrada:
+ * { "token": string, "new_password": string }
+ *
+ * Salida (200):
+ * { "reset": true }
+ *
+ * Errores:
+ * - 400: BAD_REQUEST
+ * - 400: INVALID_TOKEN (inexistente, expirado o ya usado)
+ * - 500: INTERNAL_ERROR
+ */
+export async function resetPassword(req, res) {
+    try {
+        const { token, new_password } = req.body || {};
+
+        const out = await resetPasswordService({ token, new_password });
+
+        return res.status(200).json(out);
+    } catch (err) {
+        if (err.message === "BAD_REQUEST") {
+            return res.status(400).json({
+                error: "BAD_REQUEST",
+                message: err.publicMessage || "Solicitud inválida",
+            });
+        }
+
+        if (err.message === "INVALID_TOKEN") {
+            return res.status(400).json({
+                error: "INVALID_TOKEN",
+                message: "El enlace es inválido, expiró o ya fue usado",
+            });
+        }
+
+        return res.status(500).json({
+            error: "INTERNAL_ERROR",
+            message: "Error inesperado al restablecer el password",
+        });
+    }
+}
+
+/**
+ * POST /api/auth/verify-email
+ * -----------------------------------------------------------------------------
+ * Confirma el correo con el token recibido.
+ *
+ * Entrada:
+ * { "token": string }
+ *
+ * Salida (200):
+ * { "verified": true }
+ *
+ * Errores:
+ * - 400: BAD_REQUEST
+ * - 400: INVALID_TOKEN (inexistente, expirado o ya usado)
+ * - 500: INTERNAL_ERROR
+ */
+export async function verifyEmail(req, res) {
+    try {
+        const out = await verifyEmailService({ token: req.body?.token });
+
+        return res.status(200).json(out);
+    } catch (err) {
+        if (err.message === "BAD_REQUEST") {
+            return res.status(400).json({
+                error: "BAD_REQUEST",
+                message: err.publicMessage || "Solicitud inválida",
+            });
+        }
+
+        if (err.message === "INVALID_TOKEN") {
+            return res.status(400).json({
+                error: "INVALID_TOKEN",
+                message: "El enlace es inválido, expiró o ya fue usado",
+            });
+        }
+
+        return res.status(500).json({
+            error: "INTERNAL_ERROR",
+            message: "Error inesperado al verificar el correo",
+        });
+    }
+}
+
+/**
+ * POST /api/auth/verify-email/resend
+ * -----------------------------------------------------------------------------
+ * Reenvía el correo de verificación al usuario autenticado.
+ *
+ * Salida (200):
+ * { "sent": true } | { "already_verified": true }
+ *
+ * Errores:
+ * - 401: UNAUTHORIZED
+ * - 500: INTERNAL_ERROR
+ */
+export async function resendVerification(req, res) {
+    try {
+        const out = await resendVerificationService(req.actor);
+
+        return res.status(200).json(out);
+    } catch (err) {
+        if (err.message === "UNAUTHORIZED") {
+            return res.status(401).json({
+                error: "UNAUTHORIZED",
+                message: "Se requiere autenticación",
+            });
+        }
+
+        return res.status(500).json({
+            error: "INTERNAL_ERROR",
+            message: "Error inesperado al reenviar la verificación",
+        });
+    }
+}
+
+/**
+ * GET /api/auth/lockouts (admin)
+ * -----------------------------------------------------------------------------
+ * Lista bloqueos de login activos.
+ *
+ * Query:
+ * - kind? ("email" | "ip"), page?, limit?
+ *
+ * Salida (200):
+ * { "total", "page", "limit", "items": [{ key, kind, locked_until, lock_count, ... }] }
+ */
+export async function listLockouts(req, res) {
+    try {
+        const out = await listLockoutsService(req.query);
+
+        return res.status(200).json(out);
+    } catch (_err) {
+        return res.status(500).json({
+            error: "INTERNAL_ERROR",
+            message: "Error inesperado al listar bloqueos",
+        });
+    }
+}
+
+/**
+ * POST /api/auth/unlock (admin)
+ * -----------------------------------------------------------------------------
+ * Desbloquea una cuenta (por user_id o email) y/o una IP.
+ *
+ * Entrada:
+ * { "user_id"?: number, "email"?: string, "ip"?: string }
+ *
+ * Salida (200):
+ * { "unlocked": number }
+ *
+ * Errores:
+ * - 400: BAD_REQUEST
+ * - 404: NOT_FOUND (user_id no existe)
+ */
+export async function unlockAccount(req, res) {
+    try {
+        const { user_id, email, ip } = req.body || {};
+
+        const out = await unlockAccountService({ user_id, email, ip });
+
+        return res.status(200).json(out);
+    } catch (err) {
+        if (err.message === "BAD_REQUEST") {
+            return res.status(400).json({
+                error: "BAD_REQUEST",
+                message: err.publicMessage || "Solicitud inválida",
+            });
+        }
+
+        if (err.message === "USER_NOT_FOUND") {
+            return res.status(404).json({
+                error: "NOT_FOUND",
+                message: "Usuario no encontrado",
+            });
+        }
+
+        return res.status(500).json({
+            error: "INTERNAL_ERROR",
+            message: "Error inesperado al desbloquear",
+        });
+    }
+}
@@ -29,6 +29,8 @@
 import {
     getCandidateByIdService,
     updateCandidateService,
+    deleteCandidateService,
+    restoreCandidateService,
     listCandidatesForCompanyService,
     resolveCandidateCvService,
     uploadCandidateCvService
@@ -80,10 +82,18 @@ export async function getCandidateByIdController(req, res) {
  * Body:
  * - solo campos presentes se actualizan:
  *   full_name?, contact?, country?, state?, city?, headline?
+ * - perfil estructurado (cada campo reemplaza al anterior):
+ *   experience?: [{ title, company_name, location?, start_date, end_date?, description? }]
+ *   education?: [{ institution, degree?, field_of_study?, start_date?, end_date?, description? }]
+ *   skills?: [{ name, proficiency?: BEGINNER|INTERMEDIATE|ADVANCED|EXPERT, years? }]
+ *   languages?: [{ language, proficiency: BASIC|CONVERSATIONAL|FLUENT|NATIVE }]
+ *   desired_salary?: { min?, max?, currency?, pay_period? } | null
+ *   work_location_preferences?: ["ONSITE" | "HYBRID" | "REMOTE"]
  *
  * Respuestas:
  * - 200 { status:"ok", candidate: {..., cv_url } }
  * - 200 { status:"not_found" }
+ * - 400 { status:"error", code:"invalid_payload", message:"<campo>: <detalle>" }
  * - 403/401 { status:"error", ... }
  * =============================================================================
  */
@@ -96,6 +106,48 @@ export async function updateCandidateController(req, res) {
     }
 }
 
+/* =============================================================================
+ * DELETE /api/candidates/:candidate_id
+ * Elimina (borrado lógico) el perfil del candidato
+ *
+ * Efecto:
+ * - sus postulaciones se ocultan y sus usuarios quedan deshabilitados
+ *   (sin login ni refresh) hasta que un admin lo restaure o se purgue
+ *
+ * Respuestas:
+ * - 200 { status:"deleted" }
+ * - 200 { status:"not_found" }
+ * - 403/401 { status:"error", ... }
+ * =============================================================================
+ */
+export async function deleteCandidateController(req, res) {
+    try {
+        const out = await deleteCandidateService(req.actor, req.params.candidate_id);
+        return sendOk(res, out);
+    } catch (err) {
+        return sendError(res, err);
+    }
+}
+
+/* =============================================================================
+ * POST /api/candidates/:candidate_id/restore
+ * Restaura un candidato eliminado (admin)
+ *
+ * Respuestas:
+ * - 200 { status:"ok", candidate: {..., cv_url } }
+ * - 200 { status:"not_found" } | { status:"not_deleted" }
+ * - 403/401 { status:"error", ... }
+ * =============================================================================
+ */
+export async function restoreCandidateController(req, res) {
+    try {
+        const out = await restoreCandidateService(req.actor, req.params.candidate_id);
+        return sendOk(res, out);
+    } catch (err) {
+        return sendError(res, err);
+    }
+}
+
 /* =============================================================================
  * GET /api/companies/:company_id/candidates
  * Lista candidatos visibles para una empresa (solo quienes postularon)
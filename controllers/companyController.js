@@ -17,6 +17,8 @@
  * - DELETE /api/companies/:id
  * - PUT    /api/companies/:id/logo
  *
+ * Miembros/invitaciones: ver companyMemberController.js
+ *
  * Formatos de respuesta:
  * - Listado:
  *   { meta: { page, limit, total, totalPages }, data: Company[] }
@@ -45,6 +47,7 @@ import {
     createCompanyService,
     updateCompanyService,
     deleteCompanyService,
+    restoreCompanyService,
     updateCompanyLogoService
 } from "../services/companyService.js";
 
@@ -299,7 +302,9 @@ export async function updateCompany(req, res) {
 /**
  * DELETE /api/companies/:id
  *
- * Elimina una empresa por company_id.
+ * Elimina (borrado lógico) una empresa por company_id. Sus jobs y
+ * postulaciones se ocultan en cascada y sus usuarios quedan deshabilitados.
+ * Un admin puede restaurarla con POST /api/companies/:id/restore hasta la purga.
  *
  * Auth (Frontend):
  * - Requiere Authorization: Bearer <token>
@@ -335,6 +340,45 @@ export async function deleteCompany(req, res) {
     }
 }
 
+/* =============================================================================
+ * POST /api/companies/:id/restore
+ * =============================================================================
+ */
+
+/**
+ * POST /api/companies/:id/restore
+ *
+ * Restaura una empresa eliminada junto con sus jobs, usuarios y postulaciones
+ * eliminados en la misma operación.
+ *
+ * Auth (Frontend):
+ * - Requiere Authorization: Bearer <token> (admin)
+ *
+ * Respuesta 200:
+ * - Company (incluye logo_full_path)
+ *
+ * Respuesta 404:
+ * - { "error": "Empresa no encontrada" }
+ *
+ * Errores típicos:
+ * - 401/403
+ * - 409: la empresa no está eliminada
+ * - 500
+ */
+export async function restoreCompany(req, res) {
+    try {
+        const restored = await restoreCompanyService(req.actor, req.params.id);
+
+        if (!restored) {
+            return res.status(404).json({ error: "Empresa no encontrada" });
+        }
+
+        return res.json(restored);
+    } catch (err) {
+        return respondServiceError(err, res, "Error al restaurar empresa");
+    }
+}
+
 /* =============================================================================
  * PUT /api/companies/:id/logo
  * =============================================================================
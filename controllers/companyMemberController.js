@@ -0,0 +1,216 @@
+// controllers/companyMemberController.js
+
+/**
+ * ============================================================================
+ * companyMemberController.js — Controlador HTTP de Miembros e Invitaciones
+ * ============================================================================
+ *
+ * Requisito de autenticación (excepto aceptar invitación):
+ * - req.actor = { type: "company" | "admin", company_id?, company_role? }
+ *
+ * Respuestas JSON:
+ * - OK:    { status:"...", ...payload }
+ * - Error: { status:"error", code, message }
+ *
+ * Status HTTP:
+ * - Se deriva de err.httpStatus cuando exista; default 500.
+ * - "not_found" → 404
+ * - "email_in_use" / "last_owner" / "not_pending" → 409
+ * - "invalid_token" → 400
+ * ============================================================================
+ */
+
+import {
+    listCompanyMembersService,
+    updateCompanyMemberRoleService,
+    removeCompanyMemberService,
+    createCompanyInvitationService,
+    listCompanyInvitationsService,
+    revokeCompanyInvitationService,
+    acceptCompanyInvitationService
+} from "../services/companyMemberService.js";
+
+/* =============================================================================
+ * Helpers de respuesta
+ * =============================================================================
+ */
+function sendOk(res, body) {
+    return res.status(200).json(body);
+}
+
+function sendCreated(res, body) {
+    return res.status(201).json(body);
+}
+
+function sendNotFound(res, body) {
+    return res.status(404).json(body);
+}
+
+function sendConflict(res, body) {
+    return res.status(409).json(body);
+}
+
+function sendError(res, err) {
+    const httpStatus = err?.httpStatus || 500;
+    const code = err?.code || "internal_error";
+    const message = err?.message || "Error interno.";
+    return res.status(httpStatus).json({ status: "error", code, message });
+}
+
+const CONFLICT_STATUSES = new Set(["email_in_use", "last_owner", "not_pending"]);
+
+function sendByStatus(res, out, okSender = sendOk) {
+    if (out.status === "not_found") return sendNotFound(res, out);
+    if (CONFLICT_STATUSES.has(out.status)) return sendConflict(res, out);
+    if (out.status === "invalid_token") return res.status(400).json(out);
+    return okSender(res, out);
+}
+
+/* =============================================================================
+ * GET /api/companies/:id/members
+ *
+ * Respuesta:
+ * - 200 { status:"ok", items: [{ user_id, email, company_role, createdAt }] }
+ * ============================================================================
+ */
+export async function listCompanyMembersController(req, res) {
+    try {
+        const out = await listCompanyMembersService(req.actor, req.params.id);
+        return sendOk(res, out);
+    } catch (err) {
+        return sendError(res, err);
+    }
+}
+
+/* =============================================================================
+ * PATCH /api/companies/:id/members/:user_id
+ *
+ * Body:
+ * - role ("owner" | "recruiter" | "viewer")
+ *
+ * Respuestas:
+ * - 200 { status:"ok", member }
+ * - 404 { status:"not_found" }
+ * - 409 { status:"last_owner" }
+ * ============================================================================
+ */
+export async function updateCompanyMemberRoleController(req, res) {
+    try {
+        const out = await updateCompanyMemberRoleService(
+            req.actor,
+            { company_id: req.params.id, user_id: req.params.user_id },
+            req.body
+        );
+        return sendByStatus(res, out);
+    } catch (err) {
+        return sendError(res, err);
+    }
+}
+
+/* =============================================================================
+ * DELETE /api/companies/:id/members/:user_id
+ * Borrado lógico del usuario (deleted_at) y revocación de sus sesiones.
+ *
+ * Respuestas:
+ * - 200 { status:"removed", revoked }
+ * - 404 { status:"not_found" }
+ * - 409 { status:"last_owner" }
+ * ============================================================================
+ */
+export async function removeCompanyMemberController(req, res) {
+    try {
+        const out = await removeCompanyMemberService(req.actor, {
+            company_id: req.params.id,
+            user_id: req.params.user_id
+        });
+        return sendByStatus(res, out);
+    } catch (err) {
+        return sendError(res, err);
+    }
+}
+
+/* =============================================================================
+ * POST /api/companies/:id/invitations
+ *
+ * Body:
+ * - email, role
+ *
+ * Respuestas:
+ * - 201 { status:"created", invitation }
+ * - 404 { status:"not_found" }
+ * - 409 { status:"email_in_use" }
+ * - 502 { status:"error", code:"mail_failed", message } (invitación revocada)
+ * ============================================================================
+ */
+export async function createCompanyInvitationController(req, res) {
+    try {
+        const out = await createCompanyInvitationService(req.actor, req.params.id, req.body);
+        return sendByStatus(res, out, sendCreated);
+    } catch (err) {
+        return sendError(res, err);
+    }
+}
+
+/* =============================================================================
+ * GET /api/companies/:id/invitations
+ *
+ * Query:
+ * - status? page? limit?
+ *
+ * Respuesta:
+ * - 200 { status:"ok", total, page, limit, items }
+ * ============================================================================
+ */
+export async function listCompanyInvitationsController(req, res) {
+    try {
+        const out = await listCompanyInvitationsService(req.actor, req.params.id, req.query);
+        return sendOk(res, out);
+    } catch (err) {
+        return sendError(res, err);
+    }
+}
+
+/* =============================================================================
+ * DELETE /api/companies/:id/invitations/:invitation_id
+ *
+ * Respuestas:
+ * - 200 { status:"revoked" }
+ * - 404 { status:"not_found" }
+ * - 409 { status:"not_pending", current }
+ * ============================================================================
+ */
+export async function revokeCompanyInvitationController(req, res) {
+    try {
+        const out = await revokeCompanyInvitationService(req.actor, {
+            company_id: req.params.id,
+            invitation_id: req.params.invitation_id
+        });
+        return sendByStatus(res, out);
+    } catch (err) {
+        return sendError(res, err);
+    }
+}
+
+/* =============================================================================
+ * POST /api/companies/invitations/accept  (público)
+ *
+ * Body:
+ * - token, password
+ *
+ * Respuestas:
+ * - 201 { status:"accepted", token, refresh_token, refresh_expires_at, actor }
+ * - 400 { status:"invalid_token" }
+ * - 409 { status:"email_in_use" }
+ * ============================================================================
+ */
+export async function acceptCompanyInvitationController(req, res) {
+    try {
+        const out = await acceptCompanyInvitationService(req.body, {
+            ip: req.ip ?? null,
+            user_agent: req.headers["user-agent"] ?? null
+        });
+        return sendByStatus(res, out, sendCreated);
+    } catch (err) {
+        return sendError(res, err);
+    }
+}
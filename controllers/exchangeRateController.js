@@ -0,0 +1,122 @@
+// controllers/exchangeRateController.js
+
+/**
+ * ============================================================================
+ * exchangeRateController.js — Controlador HTTP de Tipos de Cambio
+ * ============================================================================
+ *
+ * Requisito de autenticación:
+ * - Listado: público.
+ * - Escrituras: req.actor = { type: "admin" }
+ *
+ * Respuestas JSON:
+ * - OK:    { status:"...", ...payload }
+ * - Error: { status:"error", code, message }
+ *
+ * Status HTTP:
+ * - Se deriva de err.httpStatus cuando exista; default 500.
+ * - "not_found" se regresa con HTTP 404.
+ * ============================================================================
+ */
+
+import {
+    listExchangeRatesService,
+    upsertExchangeRateService,
+    deleteExchangeRateService,
+    recomputeJobBaseSalariesService
+} from "../services/exchangeRateService.js";
+
+/* =============================================================================
+ * Helpers de respuesta
+ * =============================================================================
+ */
+function sendOk(res, body) {
+    return res.status(200).json(body);
+}
+
+function sendCreated(res, body) {
+    return res.status(201).json(body);
+}
+
+function sendNotFound(res, body) {
+    return res.status(404).json(body);
+}
+
+function sendError(res, err) {
+    const httpStatus = err?.httpStatus || 500;
+    const code = err?.code || "internal_error";
+    const message = err?.message || "Error interno.";
+    return res.status(httpStatus).json({ status: "error", code, message });
+}
+
+/* =============================================================================
+ * GET /api/exchange-rates
+ *
+ * Respuesta:
+ * - 200 { status:"ok", base, items: [{ currency, rate_to_base, updated_by, updated_at }] }
+ * ============================================================================
+ */
+export async function listExchangeRatesController(_req, res) {
+    try {
+        const out = await listExchangeRatesService();
+        return sendOk(res, out);
+    } catch (err) {
+        return sendError(res, err);
+    }
+}
+
+/* =============================================================================
+ * PUT /api/exchange-rates/:currency  (admin)
+ *
+ * Body:
+ * - rate_to_base (number > 0): unidades de moneda base por 1 unidad de :currency
+ *
+ * Respuestas:
+ * - 201 { status:"created", rate, jobs_updated }
+ * - 200 { status:"updated", rate, jobs_updated }
+ * ============================================================================
+ */
+export async function upsertExchangeRateController(req, res) {
+    try {
+        const out = await upsertExchangeRateService(req.actor, req.params.currency, req.body);
+        if (out.status === "created") return sendCreated(res, out);
+        return sendOk(res, out);
+    } catch (err) {
+        return sendError(res, err);
+    }
+}
+
+/* =============================================================================
+ * DELETE /api/exchange-rates/:currency  (admin)
+ *
+ * Respuestas:
+ * - 200 { status:"deleted", jobs_updated }
+ * - 404 { status:"not_found" }
+ * ============================================================================
+ */
+export async function deleteExchangeRateController(req, res) {
+    try {
+        const out = await deleteExchangeRateService(req.actor, req.params.currency);
+        if (out.status === "not_found") return sendNotFound(res, out);
+        return sendOk(res, out);
+    } catch (err) {
+        return sendError(res, err);
+    }
+}
+
+/* =============================================================================
+ * POST /api/exchange-rates/recompute  (admin)
+ * Recalcula los montos en moneda base de todos los jobs
+ *
+ * Respuesta:
+ * - 200 { status:"ok", base, jobs_updated, currencies: [{ currency, rate_to_base }] }
+ * ============================================================================
+ */
+export async function recomputeJobBaseSalariesController(req, res) {
+    try {
+        const out = await recomputeJobBaseSalariesService(req.actor);
+        return sendOk(res, out);
+    } catch (err) {
+        return sendError(res, err);
+    }
+}
@@ -8,6 +8,7 @@
  * Contrato:
  * - Requiere req.actor con:
  *   { type:"candidate", candidate_id:number, user_id:number }
+ * - Excepción: conteos por empresa aceptan { type:"company"|"admin" }
  *
  * Respuestas:
  * - OK:    { status:"...", ...payload }
@@ -21,7 +22,9 @@
 import {
     addFavoriteService,
     removeFavoriteService,
-    listFavoritesService
+    listFavoritesService,
+    getFavoriteStatusesForJobsService,
+    getCompanyFavoriteCountsService
 } from "../services/favoriteService.js";
 
 /* =============================================================================
@@ -99,7 +102,7 @@ export async function removeFavoriteController(req, res) {
  *     status:"ok",
  *     total, page, limit,
  *     items: [
- *       { favorited_at: Date, job: {...job} }
+ *       { favorited_at: Date, job: {...job, company} | null }
  *     ]
  *   }
  * ============================================================================= */
@@ -111,3 +114,47 @@ export async function listFavoritesController(req, res) {
         return sendError(res, err);
     }
 }
+
+/* =============================================================================
+ * POST /api/favorites/statuses
+ * Lookup en batch (job_id -> boolean) para una página de jobs
+ *
+ * Body:
+ * - job_ids (number[])
+ *
+ * Respuesta:
+ * - 200 { status:"ok", map: { "<job_id>": true|false } }
+ * ============================================================================= */
+export async function getFavoriteStatusesController(req, res) {
+    try {
+        const out = await getFavoriteStatusesForJobsService(req.actor, req.body?.job_ids);
+        return sendOk(res, out);
+    } catch (err) {
+        return sendError(res, err);
+    }
+}
+
+/* =============================================================================
+ * GET /api/favorites/companies/:company_id/counts
+ * Conteo de candidatos que guardaron cada job de la empresa
+ *
+ * Query:
+ * - job_id? (opcional)
+ *
+ * Respuestas:
+ * - 200 { status:"ok", counts: [{ job_id, count }] }
+ * - 404 { status:"not_found" } (job_id no pertenece a la empresa)
+ * ============================================================================= */
+export async function getCompanyFavoriteCountsController(req, res) {
+    try {
+        const out = await getCompanyFavoriteCountsService(req.actor, {
+            company_id: req.params.company_id,
+            job_id: req.query.job_id
+        });
+
+        if (out.status === "not_found") return res.status(404).json(out);
+        return sendOk(res, out);
+    } catch (err) {
+        return sendError(res, err);
+    }
+}
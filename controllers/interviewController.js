@@ -0,0 +1,248 @@
+// controllers/interviewController.js
+
+/**
+ * ============================================================================
+ * interviewController.js — Controlador HTTP de Entrevistas (Interview)
+ * ============================================================================
+ *
+ * Requisito de autenticación:
+ * - Debe existir req.actor con la forma:
+ *   { type: "candidate" | "company" | "admin", candidate_id?: number, company_id?: number }
+ *
+ * Respuestas JSON:
+ * - OK:    { status:"...", ...payload }
+ * - Error: { status:"error", code, message, meta? }
+ *
+ * Status HTTP:
+ * - Se deriva de err.httpStatus cuando exista; default 500.
+ * - "not_found" y "not_scheduled" se regresan con HTTP 404.
+ * - "conflict" (la entrevista cambió durante la operación) con HTTP 409.
+ * - Horarios que chocan: 409 { code:"interview_conflict", meta:{ slot_id, conflicts } }.
+ * ============================================================================
+ */
+
+import {
+    createInterviewService,
+    getInterviewService,
+    listInterviewsService,
+    selectInterviewSlotService,
+    rescheduleInterviewService,
+    cancelInterviewService,
+    addInterviewNoteService,
+    getInterviewIcsService
+} from "../services/interviewService.js";
+
+/* =============================================================================
+ * Helpers de respuesta
+ * =============================================================================
+ */
+function sendOk(res, body) {
+    return res.status(200).json(body);
+}
+
+function sendCreated(res, body) {
+    return res.status(201).json(body);
+}
+
+function sendNotFound(res, body) {
+    return res.status(404).json(body);
+}
+
+function sendConflict(res, body) {
+    return res.status(409).json(body);
+}
+
+function sendError(res, err) {
+    const httpStatus = err?.httpStatus || 500;
+    const code = err?.code || "internal_error";
+    const message = err?.message || "Error interno.";
+    const body = { status: "error", code, message };
+    if (err?.meta) body.meta = err.meta;
+    return res.status(httpStatus).json(body);
+}
+
+function sendOut(res, out) {
+    if (out.status === "not_found") return sendNotFound(res, out);
+    if (out.status === "conflict") return sendConflict(res, out);
+    return sendOk(res, out);
+}
+
+/* =============================================================================
+ * POST /api/interviews
+ * Propone horarios de entrevista (empresa). Mueve la postulación a INTERVIEW
+ * si aún no lo está.
+ *
+ * Body:
+ * - application_id (number)
+ * - slots ([{ start_at, end_at }] ISO 8601; 1..10, futuros, 15 min..8 h)
+ * - location_type? (ONSITE | VIDEO | PHONE, default VIDEO)
+ * - location? (obligatorio en ONSITE), meeting_url? (obligatorio en VIDEO)
+ * - title?, interviewers? ([{ name, email? }])
+ *
+ * Respuestas:
+ * - 201 { status:"created", interview }
+ * - 404 { status:"not_found" }
+ * - 409 { status:"error", code:"interview_conflict" | "invalid_transition" | "application_locked", ... }
+ * ============================================================================
+ */
+export async function createInterviewController(req, res) {
+    try {
+        const out = await createInterviewService(req.actor, req.body);
+
+        if (out.status === "created") return sendCreated(res, out);
+        return sendOut(res, out);
+    } catch (err) {
+        return sendError(res, err);
+    }
+}
+
+/* =============================================================================
+ * GET /api/interviews
+ * Lista entrevistas del actor (candidate: propias; company: de su empresa).
+ *
+ * Query:
+ * - application_id?, job_id?, status?, from?, to? (scheduled_start)
+ * - company_id?, candidate_id? (solo admin)
+ * - page?, limit?
+ *
+ * Respuestas:
+ * - 200 { status:"ok", meta, data }
+ * ============================================================================
+ */
+export async function listInterviewsController(req, res) {
+    try {
+        const out = await listInterviewsService(req.actor, req.query);
+        return sendOk(res, out);
+    } catch (err) {
+        return sendError(res, err);
+    }
+}
+
+/* =============================================================================
+ * GET /api/interviews/:interview_id
+ *
+ * Respuestas:
+ * - 200 { status:"ok", interview } (candidate: sin notes ni emails)
+ * - 404 { status:"not_found" }
+ * ============================================================================
+ */
+export async function getInterviewController(req, res) {
+    try {
+        const out = await getInterviewService(req.actor, req.params.interview_id);
+        return sendOut(res, out);
+    } catch (err) {
+        return sendError(res, err);
+    }
+}
+
+/* =============================================================================
+ * POST /api/interviews/:interview_id/select
+ * El candidato confirma un horario.
+ *
+ * Body:
+ * - slot_id (string)
+ *
+ * Respuestas:
+ * - 200 { status:"ok", interview }
+ * - 404 { status:"not_found" }
+ * - 409 { status:"error", code:"interview_not_pending" | "interview_conflict", ... }
+ * ============================================================================
+ */
+export async function selectInterviewSlotController(req, res) {
+    try {
+        const out = await selectInterviewSlotService(req.actor, req.params.interview_id, req.body);
+        return sendOut(res, out);
+    } catch (err) {
+        return sendError(res, err);
+    }
+}
+
+/* =============================================================================
+ * POST /api/interviews/:interview_id/reschedule
+ * La empresa propone nuevos horarios (vuelve a PROPOSED).
+ *
+ * Body:
+ * - slots (igual que al crear)
+ * - title?, location_type?, location?, meeting_url?, interviewers?
+ *
+ * Respuestas:
+ * - 200 { status:"ok", interview }
+ * - 404 { status:"not_found" }
+ * - 409 { status:"error", code:"interview_closed" | "interview_conflict", ... }
+ * ============================================================================
+ */
+export async function rescheduleInterviewController(req, res) {
+    try {
+        const out = await rescheduleInterviewService(req.actor, req.params.interview_id, req.body);
+        return sendOut(res, out);
+    } catch (err) {
+        return sendError(res, err);
+    }
+}
+
+/* =============================================================================
+ * POST /api/interviews/:interview_id/cancel
+ *
+ * Body:
+ * - reason? (string)
+ *
+ * Respuestas:
+ * - 200 { status:"cancelled" | "already_cancelled", interview }
+ * - 404 { status:"not_found" }
+ * ============================================================================
+ */
+export async function cancelInterviewController(req, res) {
+    try {
+        const out = await cancelInterviewService(req.actor, req.params.interview_id, req.body);
+        return sendOut(res, out);
+    } catch (err) {
+        return sendError(res, err);
+    }
+}
+
+/* =============================================================================
+ * POST /api/interviews/:interview_id/notes
+ * Nota de entrevistador (privada de la empresa).
+ *
+ * Body:
+ * - body (string, máx. 5000)
+ *
+ * Respuestas:
+ * - 201 { status:"created", note, notes_count }
+ * - 404 { status:"not_found" }
+ * ============================================================================
+ */
+export async function addInterviewNoteController(req, res) {
+    try {
+        const out = await addInterviewNoteService(req.actor, req.params.interview_id, req.body);
+
+        if (out.status === "created") return sendCreated(res, out);
+        return sendOut(res, out);
+    } catch (err) {
+        return sendError(res, err);
+    }
+}
+
+/* =============================================================================
+ * GET /api/interviews/:interview_id/ics
+ * Evento iCalendar (text/calendar) para agregar la entrevista al calendario.
+ * Una entrevista cancelada exporta METHOD:CANCEL con el mismo UID.
+ *
+ * Respuestas:
+ * - 200 text/calendar (attachment interview-<id>.ics)
+ * - 404 { status:"not_found" | "not_scheduled" }
+ * ============================================================================
+ */
+export async function getInterviewIcsController(req, res) {
+    try {
+        const out = await getInterviewIcsService(req.actor, req.params.interview_id);
+
+        if (out.status !== "ok") return sendNotFound(res, out);
+
+        res.set("Content-Type", "text/calendar; charset=utf-8");
+        res.set("Content-Disposition", `attachment; filename="${out.filename}"`);
+        return res.status(200).send(out.content);
+    } catch (err) {
+        return sendError(res, err);
+    }
+}
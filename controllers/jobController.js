@@ -14,6 +14,12 @@
  * - Endpoints GET: públicos (NO requieren token).
  * - Endpoints POST/PUT/DELETE: requieren token (Authorization: Bearer <token>).
  *
+ * Ciclo de vida (status: DRAFT | PUBLISHED | PAUSED | CLOSED | EXPIRED):
+ * - Los GET públicos solo devuelven empleos abiertos (PUBLISHED, publish_at
+ *   alcanzado y sin expirar).
+ * - Con token de la empresa dueña (o admin) también se ven los demás en
+ *   GET /api/jobs/:id y GET /api/jobs/company/:companyId?status=...
+ *
  * Errores (formato estable):
  * - Cuando ocurre un error controlado, se responde:
  *   {
@@ -30,12 +36,20 @@
 import {
     getJobsService,
     getJobByIdService,
+    getSimilarJobsService,
+    getJobRevisionsService,
     getJobsByCompanyService,
     getJobFilterOptionsService,
+    getSalaryInsightsService,
     getJobTitleRecommendationsService,
     createJobService,
     updateJobService,
-    deleteJobService
+    deleteJobService,
+    publishJobService,
+    pauseJobService,
+    reopenJobService,
+    closeJobService,
+    restoreJobService
 } from "../services/jobService.js";
 
 /**
@@ -96,6 +110,11 @@ function sendServiceError(res, err, fallbackMessage) {
  * - include_company: "true" | "false" (default: "true")
  *   Si "false", el backend NO adjunta el objeto `company` en cada job.
  *
+ * - currency: string (código de 3 letras, p. ej. "MXN")
+ *   Moneda del viewer. Si se envía, los filtros de salario se interpretan en
+ *   esa moneda y se comparan contra los montos convertidos (*_base), los sorts
+ *   de salario usan los montos convertidos y cada job incluye `salary_in_currency`.
+ *
  * Respuesta 200:
  * {
  *   "meta": {
@@ -113,7 +132,12 @@ function sendServiceError(res, err, fallbackMessage) {
  *     logo: string // URL absoluta
  *   }
  *
+ * Y (si currency):
+ * - salary_in_currency: { currency, min_salary, max_salary, normalized_salary } | null
+ *   (null si no hay tipo de cambio para la moneda del job)
+ *
  * Errores:
+ * - 400: { error, details } (currency inválida o sin tipo de cambio)
  * - 500: { error, details }
  */
 export async function getJobs(req, res) {
@@ -138,6 +162,7 @@ export async function getJobs(req, res) {
  * GET /api/jobs/:id
  *
  * Obtiene el detalle de un empleo por `job_id`.
+ * Un empleo no abierto responde 404, salvo para la empresa dueña o admin.
  *
  * Path params:
  * - id: number|string
@@ -146,7 +171,8 @@ export async function getJobs(req, res) {
  * - include_company: "true" | "false" (default: "true")
  *
  * Respuesta 200:
- * Job
+ * Job (incluye screening_questions; la regla knockout solo para la empresa
+ * dueña o admin)
  *
  * Respuesta 404:
  * { "error": "Empleo no encontrado" }
@@ -159,7 +185,7 @@ export async function getJobById(req, res) {
         const includeCompany =
             String(req.query.include_company ?? "true").toLowerCase() !== "false";
 
-        const job = await getJobByIdService(req.params.id, { includeCompany });
+        const job = await getJobByIdService(req.params.id, { includeCompany, actor: req.actor });
 
         if (!job) {
             return res.status(404).json({ error: "Empleo no encontrado" });
@@ -171,6 +197,102 @@ export async function getJobById(req, res) {
     }
 }
 
+/* =============================================================================
+ * GET /api/jobs/:id/similar
+ * =============================================================================
+ */
+
+/**
+ * GET /api/jobs/:id/similar
+ *
+ * Empleos similares al empleo `job_id` (títulos en común, work_type,
+ * modalidad, ubicación y banda de normalized_salary). Excluye el mismo
+ * empleo y limita cuántos vienen de la misma empresa.
+ *
+ * Path params:
+ * - id: number|string
+ *
+ * Query params:
+ * - limit: number|string (opcional, default: 10, máx: 50)
+ * - max_per_company: number|string (opcional, default: 2)
+ *
+ * Respuesta 200:
+ * { "job_id": number, "data": Array<Job> }
+ *
+ * Respuesta 404:
+ * { "error": "Empleo no encontrado" }
+ *
+ * Errores:
+ * - 500: { error, details }
+ */
+export async function getSimilarJobs(req, res) {
+    try {
+        const out = await getSimilarJobsService(req.params.id, {
+            limit: req.query.limit,
+            maxPerCompany: req.query.max_per_company,
+            actor: req.actor
+        });
+
+        if (!out) {
+            return res.status(404).json({ error: "Empleo no encontrado" });
+        }
+
+        res.json(out);
+    } catch (err) {
+        sendServiceError(res, err, "Error al obtener empleos similares");
+    }
+}
+
+/* =============================================================================
+ * GET /api/jobs/:id/revisions
+ * =============================================================================
+ */
+
+/**
+ * GET /api/jobs/:id/revisions
+ *
+ * Historial de cambios del contenido de un empleo (título, descripción,
+ * salario, ubicación, modalidad), más reciente primero. La revisión 1 es el
+ * contenido original.
+ *
+ * Mismas reglas de visibilidad que GET /api/jobs/:id. `changed_by` solo se
+ * incluye para la empresa dueña o admin.
+ *
+ * Path params:
+ * - id: number|string
+ *
+ * Query params:
+ * - page, limit (default: 1, 20)
+ * - include_snapshot: "true" | "false" (default: "false")
+ *
+ * Respuesta 200:
+ * {
+ *   "job_id": number,
+ *   "current_revision": number,
+ *   "meta": { page, limit, total, totalPages },
+ *   "data": [{ revision, created_at, changes: [{ field, from, to }], changed_by?, snapshot? }]
+ * }
+ *
+ * Respuesta 404:
+ * { "error": "Empleo no encontrado" }
+ *
+ * Errores:
+ * - 500: { error, details }
+ */
+export async function getJobRevisions(req, res) {
+    try {
+        const out = await getJobRevisionsService(req.params.id, req.query, req.actor);
+
+        if (!out) {
+            return res.status(404).json({ error: "Empleo no encontrado" });
+        }
+
+        res.json(out);
+    } catch (err) {
+        sendServiceError(res, err, "Error al obtener revisiones del empleo");
+    }
+}
+
 /* =============================================================================
  * GET /api/jobs/company/:companyId
  * =============================================================================
@@ -189,6 +311,9 @@ export async function getJobById(req, res) {
  * Query params:
  * - mismos que GET /api/jobs (excepto company_id)
  * - include_company: "true" | "false" (default: "true")
+ * - status: "ALL" | lista separada por comas (p. ej. "DRAFT,PAUSED")
+ *   Solo con token de la empresa dueña o admin; para el resto se ignora
+ *   (solo empleos abiertos). Cada job reporta su status efectivo.
  *
  * Respuesta 200:
  * { "meta": { ... }, "data": Array<Job> }
@@ -200,7 +325,7 @@ export async function getJobsByCompany(req, res) {
     try {
         const companyId = req.params.companyId;
 
-        const result = await getJobsByCompanyService(companyId, req.query);
+        const result = await getJobsByCompanyService(companyId, req.query, req.actor);
 
         res.json({
             meta: result.meta,
@@ -240,6 +365,50 @@ export async function getJobFilterOptions(req, res) {
     }
 }
 
+/* =============================================================================
+ * GET /api/jobs/insights/salary
+ * =============================================================================
+ */
+
+/**
+ * GET /api/jobs/insights/salary
+ *
+ * Percentiles de salario (normalized_salary_base, comparable entre monedas)
+ * para comparar ofertas.
+ *
+ * Query params:
+ * - q: string (opcional) keyword(s) del título
+ * - country, state, city, work_type, work_location_type, pay_period, company_id (opcionales)
+ * - listed_from, listed_to (opcionales)
+ * - group_by: "title_term" | "country" | "state" | "city" | "work_type" | "work_location_type" (opcional)
+ * - limit: number (opcional, default: 20, máx: 100) grupos a regresar
+ * - min_count: number (opcional, default: 5) empleos mínimos por grupo
+ * - currency: string (opcional) moneda de los montos; default la moneda base
+ *
+ * Respuesta 200:
+ * {
+ *   "filters": Object,
+ *   "group_by": string|null,
+ *   "currency": string,
+ *   "overall": { count, min, max, mean, p10, p25, median, p75, p90, currencies: [{ currency, count }] },
+ *   "groups": [{ key, count, min, max, mean, p10, p25, median, p75, p90, currencies }],
+ *   "unconverted": { count, currencies } (jobs con salario sin tipo de cambio; fuera de la estadística),
+ *   "generated_at": Date
+ * }
+ *
+ * Errores:
+ * - 400: { error, details } (group_by/limit/min_count/currency inválidos)
+ * - 500: { error, details }
+ */
+export async function getSalaryInsights(req, res) {
+    try {
+        const insights = await getSalaryInsightsService(req.query);
+        res.json(insights);
+    } catch (err) {
+        sendServiceError(res, err, "Error al obtener insights de salario");
+    }
+}
+
 /* =============================================================================
  * GET /api/jobs/recommendations/titles
  * =============================================================================
@@ -320,7 +489,18 @@ export async function getJobTitleRecommendations(req, res, next) {
  *     "country": string,
  *     "state": string,
  *     "city": string,
- *     "listed_time": string|Date (opcional)
+ *     "listed_time": string|Date (opcional),
+ *     "status": "DRAFT"|"PUBLISHED" (opcional, default "PUBLISHED"),
+ *     "publish_at": string ISO (opcional; publicación programada),
+ *     "expires_at": string ISO (opcional; posterior a publish_at),
+ *     "screening_questions": [{
+ *       "question_id"?: string (default q1, q2, ...),
+ *       "prompt": string,
+ *       "type": "YES_NO"|"NUMBER"|"SINGLE_CHOICE"|"MULTI_CHOICE"|"TEXT",
+ *       "required"?: boolean,
+ *       "options"?: string[] (tipos de opción),
+ *       "knockout"?: { expected } | { min?, max? } | { options } (descarte automático)
+ *     }] (opcional)
  *   }
  *
  * Nota para Front:
@@ -333,7 +513,7 @@ export async function getJobTitleRecommendations(req, res, next) {
  * Errores típicos:
  * - 401: { error, details } (sin token / token inválido)
  * - 403: { error, details } (sin permisos)
- * - 400: { error, details } (admin sin company_id)
+ * - 400: { error, details } (admin sin company_id, status, fechas o screening_questions inválidos)
  * - 500: { error, details }
  */
 export async function createJob(req, res) {
@@ -362,15 +542,21 @@ export async function createJob(req, res) {
  * - id: number|string
  *
  * Body (JSON):
- * - Campos a actualizar (parcial).
+ * - Campos a actualizar (parcial), incluidos publish_at / expires_at y
+ *   screening_questions (reemplaza la lista completa).
+ * - `status` no se cambia aquí (ver publish/pause/reopen/close).
+ *
+ * Si cambia el contenido (título, descripción, salario, ubicación, modalidad)
+ * se registra una revisión (GET /api/jobs/:id/revisions).
  *
  * Respuesta 200:
- * - Job actualizado (formateado)
+ * - Job actualizado (formateado, con `revision` vigente)
  *
  * Respuesta 404:
  * - { "error": "Empleo no encontrado" }
  *
  * Errores típicos:
+ * - 400: { error, details } (cambio de status o fechas inválidas)
  * - 401: { error, details }
  * - 403: { error, details }
  * - 500: { error, details }
@@ -397,7 +583,9 @@ export async function updateJob(req, res) {
 /**
  * DELETE /api/jobs/:id
  *
- * Elimina un empleo por `job_id`.
+ * Elimina (borrado lógico) un empleo por `job_id`. Sus postulaciones quedan
+ * marcadas con el mismo deleted_at y los favoritos que lo apuntan se borran.
+ * Un admin puede restaurarlo con POST /api/jobs/:id/restore hasta la purga.
  *
  * Auth:
  * - Requiere Authorization: Bearer <token>
@@ -429,3 +617,105 @@ export async function deleteJob(req, res) {
         sendServiceError(res, err, "Error al eliminar empleo");
     }
 }
+
+/* =============================================================================
+ * POST /api/jobs/:id/{publish|pause|reopen|close}
+ * =============================================================================
+ */
+
+/**
+ * POST /api/jobs/:id/publish  (DRAFT -> PUBLISHED)
+ * POST /api/jobs/:id/pause    (PUBLISHED -> PAUSED)
+ * POST /api/jobs/:id/reopen   (PAUSED | CLOSED | EXPIRED -> PUBLISHED)
+ * POST /api/jobs/:id/close    (DRAFT | PUBLISHED | PAUSED | EXPIRED -> CLOSED)
+ *
+ * Auth:
+ * - Requiere Authorization: Bearer <token> (empresa dueña o admin)
+ *
+ * Body (JSON, opcional):
+ * - publish: { publish_at?, expires_at? }
+ * - reopen:  { expires_at? }  (requerido si el expires_at vigente ya pasó)
+ *
+ * Respuesta 200:
+ * - Job actualizado (formateado, con `status` efectivo)
+ *
+ * Errores típicos:
+ * - 400: { error, details } (fechas inválidas)
+ * - 401 / 403: { error, details }
+ * - 404: { error, details }
+ * - 409: { error, details } (el status actual no admite la acción, o expires_at vencido)
+ * - 500: { error, details }
+ */
+export async function publishJob(req, res) {
+    try {
+        const formatted = await publishJobService(req.actor, req.params.id, req.body);
+        res.json(formatted);
+    } catch (err) {
+        sendServiceError(res, err, "Error al publicar empleo");
+    }
+}
+
+export async function pauseJob(req, res) {
+    try {
+        const formatted = await pauseJobService(req.actor, req.params.id);
+        res.json(formatted);
+    } catch (err) {
+        sendServiceError(res, err, "Error al pausar empleo");
+    }
+}
+
+export async function reopenJob(req, res) {
+    try {
+        const formatted = await reopenJobService(req.actor, req.params.id, req.body);
+        res.json(formatted);
+    } catch (err) {
+        sendServiceError(res, err, "Error al reabrir empleo");
+    }
+}
+
+export async function closeJob(req, res) {
+    try {
+        const formatted = await closeJobService(req.actor, req.params.id);
+        res.json(formatted);
+    } catch (err) {
+        sendServiceError(res, err, "Error al cerrar empleo");
+    }
+}
+
+/* =============================================================================
+ * POST /api/jobs/:id/restore
+ * =============================================================================
+ */
+
+/**
+ * POST /api/jobs/:id/restore
+ *
+ * Restaura un empleo eliminado (y las postulaciones eliminadas con él).
+ *
+ * Auth:
+ * - Requiere Authorization: Bearer <token> (admin)
+ *
+ * Respuesta 200:
+ * - Job restaurado (formateado)
+ *
+ * Respuesta 404:
+ * { "error": "Empleo no encontrado" }
+ *
+ * Errores típicos:
+ * - 401 / 403: { error, details }
+ * - 409: { error, details } (no está eliminado, o su empresa sigue eliminada)
+ * - 500: { error, details }
+ */
+export async function restoreJob(req, res) {
+    try {
+        const formatted = await restoreJobService(req.actor, req.params.id);
+
+        if (!formatted) {
+            return res.status(404).json({ error: "Empleo no encontrado" });
+        }
+
+        res.json(formatted);
+    } catch (err) {
+        sendServiceError(res, err, "Error al restaurar empleo");
+    }
+}
@@ -0,0 +1,70 @@
+// controllers/jobRecommendationController.js
+
+/**
+ * ============================================================================
+ * jobRecommendationController.js — Controlador HTTP de Empleos Recomendados
+ * ============================================================================
+ *
+ * Requisito de autenticación:
+ * - Debe existir req.actor con la forma:
+ *   { type: "candidate" | "admin", candidate_id?: number }
+ *
+ * Respuestas JSON:
+ * - OK:    { status:"ok", basis, meta, data }
+ * - Error: { status:"error", code, message }
+ *
+ * Status HTTP:
+ * - Se deriva de err.httpStatus cuando exista; default 500.
+ * - "not_found" se regresa con HTTP 404.
+ * ============================================================================
+ */
+
+import { getRecommendedJobsForCandidateService } from "../services/jobRecommendationService.js";
+
+/* =============================================================================
+ * Helpers de respuesta
+ * =============================================================================
+ */
+function sendOk(res, body) {
+    return res.status(200).json(body);
+}
+
+function sendNotFound(res, body) {
+    return res.status(404).json(body);
+}
+
+function sendError(res, err) {
+    const httpStatus = err?.httpStatus || 500;
+    const code = err?.code || "internal_error";
+    const message = err?.message || "Error interno.";
+    return res.status(httpStatus).json({ status: "error", code, message });
+}
+
+/* =============================================================================
+ * GET /api/candidates/:candidate_id/recommended-jobs
+ * Feed de empleos recomendados (excluye empleos ya postulados)
+ *
+ * Query:
+ * - page? limit?
+ * - max_per_company? (1–10, default 2)
+ * - country? state? city? work_type? work_location_type? pay_period? ...
+ *
+ * Respuestas:
+ * - 200 { status:"ok", basis: { terms, applied_count, favorites_count }, meta, data }
+ * - 404 { status:"not_found" }
+ * ============================================================================
+ */
+export async function getRecommendedJobsController(req, res) {
+    try {
+        const out = await getRecommendedJobsForCandidateService(
+            req.actor,
+            req.params.candidate_id,
+            req.query
+        );
+
+        if (out.status === "not_found") return sendNotFound(res, out);
+        return sendOk(res, out);
+    } catch (err) {
+        return sendError(res, err);
+    }
+}
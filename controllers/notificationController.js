@@ -0,0 +1,161 @@
+// controllers/notificationController.js
+
+/**
+ * ============================================================================
+ * notificationController.js — Controlador HTTP de Notificaciones (in-app)
+ * ============================================================================
+ *
+ * Requisito de autenticación:
+ * - Debe existir req.actor con la forma:
+ *   { type: "candidate" | "company" | "admin", user_id: number, ... }
+ * - La bandeja es la del usuario autenticado (actor.user_id).
+ *
+ * Respuestas JSON:
+ * - OK:    { status:"...", ...payload }
+ * - Error: { status:"error", code, message, meta? }
+ *
+ * Status HTTP:
+ * - Se deriva de err.httpStatus cuando exista; default 500.
+ * - "not_found" se regresa con HTTP 404.
+ * ============================================================================
+ */
+
+import {
+    listNotificationsService,
+    getUnreadNotificationCountService,
+    markNotificationReadService,
+    markAllNotificationsReadService,
+    getNotificationPreferencesService,
+    updateNotificationPreferencesService
+} from "../services/notificationService.js";
+
+/* =============================================================================
+ * Helpers de respuesta
+ * =============================================================================
+ */
+function sendOk(res, body) {
+    return res.status(200).json(body);
+}
+
+function sendNotFound(res, body) {
+    return res.status(404).json(body);
+}
+
+function sendError(res, err) {
+    const httpStatus = err?.httpStatus || 500;
+    const code = err?.code || "internal_error";
+    const message = err?.message || "Error interno.";
+    const body = { status: "error", code, message };
+    if (err?.meta) body.meta = err.meta;
+    return res.status(httpStatus).json(body);
+}
+
+/* =============================================================================
+ * GET /api/notifications
+ *
+ * Query:
+ * - unread? (true = solo no leídas)
+ * - type? (APPLICATION_CREATED | APPLICATION_WITHDRAWN | JOB_EXPIRED | APPLICATION_STATUS_CHANGED)
+ * - page?, limit?
+ *
+ * Respuestas:
+ * - 200 { status:"ok", meta, unread_count, data }
+ * ============================================================================
+ */
+export async function listNotificationsController(req, res) {
+    try {
+        const out = await listNotificationsService(req.actor, req.query);
+        return sendOk(res, out);
+    } catch (err) {
+        return sendError(res, err);
+    }
+}
+
+/* =============================================================================
+ * GET /api/notifications/unread-count
+ *
+ * Respuestas:
+ * - 200 { status:"ok", unread_count, by_type }
+ * ============================================================================
+ */
+export async function getUnreadNotificationCountController(req, res) {
+    try {
+        const out = await getUnreadNotificationCountService(req.actor);
+        return sendOk(res, out);
+    } catch (err) {
+        return sendError(res, err);
+    }
+}
+
+/* =============================================================================
+ * POST /api/notifications/:notification_id/read
+ *
+ * Respuestas:
+ * - 200 { status:"ok", notification }
+ * - 404 { status:"not_found" }
+ * ============================================================================
+ */
+export async function markNotificationReadController(req, res) {
+    try {
+        const out = await markNotificationReadService(req.actor, req.params.notification_id);
+        if (out.status === "not_found") return sendNotFound(res, out);
+        return sendOk(res, out);
+    } catch (err) {
+        return sendError(res, err);
+    }
+}
+
+/* =============================================================================
+ * POST /api/notifications/read-all
+ *
+ * Body:
+ * - type? (solo las de ese tipo)
+ *
+ * Respuestas:
+ * - 200 { status:"ok", updated }
+ * ============================================================================
+ */
+export async function markAllNotificationsReadController(req, res) {
+    try {
+        const out = await markAllNotificationsReadService(req.actor, req.body || {});
+        return sendOk(res, out);
+    } catch (err) {
+        return sendError(res, err);
+    }
+}
+
+/* =============================================================================
+ * GET /api/notifications/preferences
+ *
+ * Respuestas:
+ * - 200 { status:"ok", preferences: { TYPE: boolean } }
+ * ============================================================================
+ */
+export async function getNotificationPreferencesController(req, res) {
+    try {
+        const out = await getNotificationPreferencesService(req.actor);
+        return sendOk(res, out);
+    } catch (err) {
+        return sendError(res, err);
+    }
+}
+
+/* =============================================================================
+ * PUT /api/notifications/preferences
+ *
+ * Body:
+ * - preferences: { TYPE: boolean } (parcial; false = silenciar el tipo)
+ *
+ * Respuestas:
+ * - 200 { status:"ok", preferences }
+ * - 400 { status:"error", code:"invalid_payload", ... }
+ * ============================================================================
+ */
+export async function updateNotificationPreferencesController(req, res) {
+    try {
+        const out = await updateNotificationPreferencesService(req.actor, req.body || {});
+        return sendOk(res, out);
+    } catch (err) {
+        return sendError(res, err);
+    }
+}
@@ -0,0 +1,195 @@
+// controllers/savedSearchController.js
+
+/**
+ * ============================================================================
+ * savedSearchController.js — Controlador HTTP de Búsquedas Guardadas
+ * ============================================================================
+ *
+ * Requisito de autenticación:
+ * - Debe existir req.actor con la forma:
+ *   { type: "candidate" | "admin", candidate_id?: number }
+ *
+ * Respuestas JSON:
+ * - OK:    { status:"...", ...payload }
+ * - Error: { status:"error", code, message }
+ *
+ * Status HTTP:
+ * - Se deriva de err.httpStatus cuando exista; default 500.
+ * - "not_found" se regresa con HTTP 404.
+ * - "limit_reached" se regresa con HTTP 409.
+ * ============================================================================
+ */
+
+import {
+    createSavedSearchService,
+    listSavedSearchesService,
+    getSavedSearchService,
+    updateSavedSearchService,
+    deleteSavedSearchService,
+    getSavedSearchNewJobsService
+} from "../services/savedSearchService.js";
+
+/* =============================================================================
+ * Helpers de respuesta
+ * =============================================================================
+ */
+function sendOk(res, body) {
+    return res.status(200).json(body);
+}
+
+function sendCreated(res, body) {
+    return res.status(201).json(body);
+}
+
+function sendNotFound(res, body) {
+    return res.status(404).json(body);
+}
+
+function sendError(res, err) {
+    const httpStatus = err?.httpStatus || 500;
+    const code = err?.code || "internal_error";
+    const message = err?.message || "Error interno.";
+    return res.status(httpStatus).json({ status: "error", code, message });
+}
+
+function pickIds(req) {
+    return {
+        candidate_id: req.params.candidate_id,
+        saved_search_id: req.params.saved_search_id
+    };
+}
+
+/* =============================================================================
+ * POST /api/candidates/:candidate_id/saved-searches
+ * Guarda una búsqueda
+ *
+ * Body:
+ * - name (string)
+ * - params (object): q?, country?, state?, city?, work_type?,
+ *   work_location_type?, pay_period?, company_id?, min_salary?, max_salary?,
+ *   min_norm_salary?, max_norm_salary?, currency? (código de 3 letras; los
+ *   rangos de salario se interpretan en esa moneda, igual que en GET /api/jobs)
+ *
+ * Respuestas:
+ * - 201 { status:"created", saved_search }
+ * - 409 { status:"limit_reached", max }
+ * ============================================================================
+ */
+export async function createSavedSearchController(req, res) {
+    try {
+        const out = await createSavedSearchService(req.actor, req.params.candidate_id, req.body);
+
+        if (out.status === "limit_reached") return res.status(409).json(out);
+        return sendCreated(res, out);
+    } catch (err) {
+        return sendError(res, err);
+    }
+}
+
+/* =============================================================================
+ * GET /api/candidates/:candidate_id/saved-searches
+ * Lista búsquedas guardadas del candidato
+ *
+ * Query:
+ * - page? limit?
+ *
+ * Respuesta:
+ * - 200 { status:"ok", total, page, limit, items }
+ * ============================================================================
+ */
+export async function listSavedSearchesController(req, res) {
+    try {
+        const out = await listSavedSearchesService(req.actor, req.params.candidate_id, req.query);
+        return sendOk(res, out);
+    } catch (err) {
+        return sendError(res, err);
+    }
+}
+
+/* =============================================================================
+ * GET /api/candidates/:candidate_id/saved-searches/:saved_search_id
+ *
+ * Respuestas:
+ * - 200 { status:"ok", saved_search }
+ * - 404 { status:"not_found" }
+ * ============================================================================
+ */
+export async function getSavedSearchController(req, res) {
+    try {
+        const out = await getSavedSearchService(req.actor, pickIds(req));
+
+        if (out.status === "not_found") return sendNotFound(res, out);
+        return sendOk(res, out);
+    } catch (err) {
+        return sendError(res, err);
+    }
+}
+
+/* =============================================================================
+ * PATCH /api/candidates/:candidate_id/saved-searches/:saved_search_id
+ *
+ * Body:
+ * - name?
+ * - params? (reemplaza los anteriores)
+ *
+ * Respuestas:
+ * - 200 { status:"ok", saved_search }
+ * - 404 { status:"not_found" }
+ * ============================================================================
+ */
+export async function updateSavedSearchController(req, res) {
+    try {
+        const out = await updateSavedSearchService(req.actor, pickIds(req), req.body);
+
+        if (out.status === "not_found") return sendNotFound(res, out);
+        return sendOk(res, out);
+    } catch (err) {
+        return sendError(res, err);
+    }
+}
+
+/* =============================================================================
+ * DELETE /api/candidates/:candidate_id/saved-searches/:saved_search_id
+ *
+ * Respuestas:
+ * - 200 { status:"deleted" }
+ * - 404 { status:"not_found" }
+ * ============================================================================
+ */
+export async function deleteSavedSearchController(req, res) {
+    try {
+        const out = await deleteSavedSearchService(req.actor, pickIds(req));
+
+        if (out.status === "not_found") return sendNotFound(res, out);
+        return sendOk(res, out);
+    } catch (err) {
+        return sendError(res, err);
+    }
+}
+
+/* =============================================================================
+ * GET /api/candidates/:candidate_id/saved-searches/:saved_search_id/new-jobs
+ * Empleos publicados después de la última revisión
+ *
+ * Query:
+ * - page? limit?
+ * - mark_checked? ("true" para avanzar el corte)
+ *
+ * Respuestas:
+ * - 200 { status:"ok", since, checked_at, meta, data }
+ *   (con params.currency, cada job incluye salary_in_currency)
+ * - 400 { status:"error", code:"bad_request" } si ya no hay tipo de cambio
+ *   para params.currency
+ * - 404 { status:"not_found" }
+ * ============================================================================
+ */
+export async function getSavedSearchNewJobsController(req, res) {
+    try {
+        const out = await getSavedSearchNewJobsService(req.actor, pickIds(req), req.query);
+
+        if (out.status === "not_found") return sendNotFound(res, out);
+        return sendOk(res, out);
+    } catch (err) {
+        return sendError(res, err);
+    }
+}
@@ -1,10 +1,16 @@
 // middlewares/authActor.js
 import jwt from "jsonwebtoken";
 
+import Session from "../models/Session.js";
+
 /**
  * authActor(options)
  *
- * - required=false: no exige token; si viene lo valida y llena req.actor.
+ * - required=false: no exige token; si viene lo valida y llena req.actor. Un
+ *   token inválido, expirado o de una sesión revocada se ignora (req.actor =
+ *   null): los endpoints públicos responden como anónimos y /auth/logout puede
+ *   usar solo el refresh_token del body. Las rutas con required=true vuelven
+ *   a validarlo y responden 401.
  * - required=true: exige token válido.
  * - roles: lista de tipos permitidos ("admin", "company", "candidate")
  *
@@ -13,13 +19,29 @@ import jwt from "jsonwebtoken";
  *     user_id: number,
  *     type: "admin" | "company" | "candidate",
  *     company_id?: number,
- *     candidate_id?: number
+ *     candidate_id?: number,
+ *     company_role?: "owner" | "recruiter" | "viewer",
+ *     session_id: number
  *   }
+ *
+ * Sesión:
+ * - El token debe traer `sid`; la sesión debe existir, no estar revocada y no
+ *   haber expirado (logout / cambio de password invalidan el access token).
+ * - El resultado se cachea en req para no repetir la consulta cuando el
+ *   middleware corre global y por ruta en la misma petición.
  */
 export function authActor(options = {}) {
     const { required = true, roles = null } = options;
 
-    return function authActorMiddleware(req, res, next) {
+    return async function authActorMiddleware(req, res, next) {
+        const unauthorized = (message) => {
+            if (!required) {
+                req.actor = null;
+                return next();
+            }
+            return res.status(401).json({ error: "UNAUTHORIZED", message });
+        };
+
         const header = req.headers.authorization || "";
         const token = header.startsWith("Bearer ")
             ? header.slice(7).trim()
@@ -37,47 +59,67 @@ export function authActor(options = {}) {
             return next();
         }
 
-        try {
-            const secret = process.env.JWT_SECRET;
-            if (!secret) {
-                return res.status(500).json({
-                    error: "SERVER_MISCONFIG",
-                    message: "JWT_SECRET is not configured",
-                });
-            }
+        const secret = process.env.JWT_SECRET;
+        if (!secret) {
+            return res.status(500).json({
+                error: "SERVER_MISCONFIG",
+                message: "JWT_SECRET is not configured",
+            });
+        }
 
-            const payload = jwt.verify(token, secret);
+        let actor;
 
-            const actor = {
+        if (req.authActorCache?.token === token) {
+            actor = req.authActorCache.actor;
+        } else {
+            let payload;
+            try {
+                payload = jwt.verify(token, secret);
+            } catch (_err) {
+                return unauthorized("Invalid or expired token");
+            }
+
+            actor = {
                 user_id: payload.user_id ?? null,
                 type: payload.type ?? null,
                 company_id: payload.company_id ?? null,
                 candidate_id: payload.candidate_id ?? null,
+                company_role: payload.company_role ?? null,
+                session_id: payload.sid ?? null,
             };
 
-            if (!actor.user_id || !actor.type) {
-                return res.status(401).json({
-                    error: "UNAUTHORIZED",
-                    message: "Invalid token payload",
-                });
+            if (!actor.user_id || !actor.type || !actor.session_id) {
+                return unauthorized("Invalid token payload");
             }
 
-            if (Array.isArray(roles) && roles.length > 0) {
-                if (!roles.includes(actor.type)) {
-                    return res.status(403).json({
-                        error: "FORBIDDEN",
-                        message: "Insufficient role",
-                    });
+            try {
+                const active = await Session.exists({
+                    session_id: actor.session_id,
+                    user_id: actor.user_id,
+                    revoked_at: null,
+                    expires_at: { $gt: new Date() },
+                });
+
+                if (!active) {
+                    return unauthorized("Session revoked or expired");
                 }
+            } catch (err) {
+                return next(err);
             }
 
-            req.actor = actor;
-            return next();
-        } catch (_err) {
-            return res.status(401).json({
-                error: "UNAUTHORIZED",
-                message: "Invalid or expired token",
-            });
+            req.authActorCache = { token, actor };
         }
+
+        if (Array.isArray(roles) && roles.length > 0) {
+            if (!roles.includes(actor.type)) {
+                return res.status(403).json({
+                    error: "FORBIDDEN",
+                    message: "Insufficient role",
+                });
+            }
+        }
+
+        req.actor = actor;
+        return next();
     };
 }
@@ -12,12 +12,157 @@
  *
  * Reglas:
  *   - Un candidato solo puede postular una vez por empleo
+ *   - Cada cambio de status se agrega a status_history (no se sobrescribe)
+ *   - Retirar una postulación la deja en WITHDRAWN (no se elimina)
+ *   - Se oculta (deleted_at) cuando se elimina su Job, Company o Candidate
+ *   - job_revision guarda la revisión del Job vigente al postularse
+ *   - screening_answers guarda las respuestas a las preguntas de filtro del Job
+ *     (con copia de prompt/type); un knockout la deja REJECTED desde el inicio
+ *   - recruiter_tags / recruiter_rating / recruiter_notes son la evaluación
+ *     interna de la empresa: nunca se muestran al candidato
  * ============================================================================
  */
 
 import mongoose from "mongoose";
 import Counter from "./Counter.js";
 
+/* =============================================================================
+ * SUB-ESQUEMA: transición de status (auditoría)
+ * =============================================================================
+ */
+const statusTransitionSchema = new mongoose.Schema(
+    {
+        /**
+         * Status anterior (null en la creación)
+         */
+        from_status: {
+            type: String,
+            default: null
+        },
+
+        /**
+         * Status nuevo
+         */
+        to_status: {
+            type: String,
+            required: true
+        },
+
+        /**
+         * Momento del cambio
+         */
+        changed_at: {
+            type: Date,
+            default: Date.now
+        },
+
+        /**
+         * Quién hizo el cambio (user_id + type del actor)
+         */
+        changed_by: {
+            user_id: { type: Number, default: null },
+            type: { type: String, default: null }
+        },
+
+        /**
+         * Nota opcional (privada para la empresa)
+         */
+        note: {
+            type: String,
+            trim: true,
+            default: null
+        },
+
+        /**
+         * true si un admin forzó una transición fuera del grafo permitido
+         */
+        override: {
+            type: Boolean,
+            default: false
+        }
+    },
+    { _id: false }
+);
+
+/* =============================================================================
+ * SUB-ESQUEMA: respuesta a pregunta de filtro
+ * =============================================================================
+ */
+const screeningAnswerSchema = new mongoose.Schema(
+    {
+        /**
+         * Pregunta del Job (Job.screening_questions[].question_id)
+         */
+        question_id: {
+            type: String,
+            required: true
+        },
+
+        /**
+         * Copia del texto y tipo de la pregunta al momento de responder
+         */
+        prompt: String,
+        type: String,
+
+        /**
+         * Respuesta normalizada (boolean | number | string | string[])
+         */
+        answer: {
+            type: mongoose.Schema.Types.Mixed,
+            default: null
+        },
+
+        /**
+         * true si la respuesta activó la regla de descarte
+         */
+        knockout: {
+            type: Boolean,
+            default: false
+        }
+    },
+    { _id: false }
+);
+
+/* =============================================================================
+ * SUB-ESQUEMA: nota interna de la empresa
+ * =============================================================================
+ */
+const recruiterNoteSchema = new mongoose.Schema(
+    {
+        /**
+         * Identificador incremental de la nota (counter "application_note_id")
+         */
+        note_id: {
+            type: Number,
+            required: true
+        },
+
+        body: {
+            type: String,
+            required: true
+        },
+
+        /**
+         * Autor (user_id + type del actor)
+         */
+        author: {
+            user_id: { type: Number, default: null },
+            type: { type: String, default: null }
+        },
+
+        created_at: {
+            type: Date,
+            default: Date.now
+        },
+
+        updated_at: {
+            type: Date,
+            default: null
+        }
+    },
+    { _id: false }
+);
+
 /* =============================================================================
  * ESQUEMA
  * =============================================================================
@@ -60,6 +205,48 @@ const applicationSchema = new mongoose.Schema(
             index: true
         },
 
+        /**
+         * Revisión del Job que vio el candidato (ver models/JobRevision.js).
+         * null en postulaciones previas al historial de revisiones.
+         */
+        job_revision: {
+            type: Number,
+            default: null
+        },
+
+        /**
+         * Carta de presentación (opcional)
+         */
+        cover_letter: {
+            type: String,
+            default: null
+        },
+
+        /**
+         * Momento en que se copió el CV del candidato a la postulación
+         * (data/application_cv/<application_id>.pdf). null = postuló sin CV.
+         */
+        cv_snapshot_at: {
+            type: Date,
+            default: null
+        },
+
+        /**
+         * Respuestas a las preguntas de filtro del Job (solo las ve la empresa)
+         */
+        screening_answers: {
+            type: [screeningAnswerSchema],
+            default: []
+        },
+
+        /**
+         * true si alguna respuesta activó un knockout (descarte automático)
+         */
+        knocked_out: {
+            type: Boolean,
+            default: false
+        },
+
         /**
          * Estado del proceso de selección
          */
@@ -71,7 +258,8 @@ const applicationSchema = new mongoose.Schema(
                 "INTERVIEW",
                 "OFFERED",
                 "REJECTED",
-                "HIRED"
+                "HIRED",
+                "WITHDRAWN"
             ],
             default: "APPLIED",
             index: true
@@ -92,6 +280,50 @@ const applicationSchema = new mongoose.Schema(
         updated_at: {
             type: Date,
             default: Date.now
+        },
+
+        /**
+         * Etiquetas libres de la empresa (minúsculas, sin duplicados)
+         */
+        recruiter_tags: {
+            type: [String],
+            default: []
+        },
+
+        /**
+         * Calificación de la empresa (1–5; null = sin calificar)
+         */
+        recruiter_rating: {
+            type: Number,
+            min: 1,
+            max: 5,
+            default: null
+        },
+
+        /**
+         * Notas internas de la empresa (más antigua primero)
+         */
+        recruiter_notes: {
+            type: [recruiterNoteSchema],
+            default: []
+        },
+
+        /**
+         * Historial de transiciones de status (más antigua primero)
+         */
+        status_history: {
+            type: [statusTransitionSchema],
+            default: []
+        },
+
+        /**
+         * Borrado lógico en cascada: toma el mismo deleted_at del Job / Company /
+         * Candidate eliminado (así el restore reactiva solo lo que borró él).
+         */
+        deleted_at: {
+            type: Date,
+            default: null,
+            index: true
         }
     },
     {
@@ -110,6 +342,10 @@ applicationSchema.index(
     { unique: true }
 );
 
+// Filtros del listado de empresa por etiqueta / calificación
+applicationSchema.index({ company_id: 1, recruiter_tags: 1 });
+applicationSchema.index({ company_id: 1, recruiter_rating: -1 });
+
 /* =============================================================================
  * INCREMENTAL AUTOMÁTICO (application_id)
  * =============================================================================
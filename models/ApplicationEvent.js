@@ -0,0 +1,104 @@
+/**
+ * ============================================================================
+ * ApplicationEvent.js — Log de eventos de postulaciones
+ * ============================================================================
+ *
+ * Un documento por evento (creada, cambio de status, retirada). Alimenta el
+ * stream SSE de /api/applications/events y permite reanudarlo con
+ * Last-Event-ID tras una reconexión.
+ *
+ * Relaciones:
+ *   - Application → application_id (job_id, candidate_id y company_id se copian)
+ *
+ * Reglas:
+ *   - event_id es incremental (counter "application_event_id") y es el `id:`
+ *     del mensaje SSE.
+ *   - Sin datos privados de la empresa (la nota del cambio no se guarda).
+ *   - TTL: se eliminan a los APPLICATION_EVENT_RETENTION_DAYS días; un cliente
+ *     desconectado más tiempo debe volver a consultar el estado.
+ * ============================================================================
+ */
+
+import mongoose from "mongoose";
+import { APPLICATION_EVENT_TYPES } from "../utils/events/applicationEventUtils.js";
+
+export const APPLICATION_EVENT_RETENTION_DAYS = 7;
+
+/* =============================================================================
+ * ESQUEMA
+ * =============================================================================
+ */
+const applicationEventSchema = new mongoose.Schema(
+    {
+        /**
+         * Identificador incremental (counter "application_event_id")
+         */
+        event_id: {
+            type: Number,
+            unique: true,
+            index: true
+        },
+
+        type: {
+            type: String,
+            enum: APPLICATION_EVENT_TYPES,
+            required: true
+        },
+
+        application_id: { type: Number, required: true },
+        job_id: { type: Number, required: true },
+        candidate_id: { type: Number, required: true },
+        company_id: { type: Number, required: true },
+
+        /**
+         * Status de la postulación después del evento
+         */
+        status: {
+            type: String,
+            required: true
+        },
+
+        /**
+         * Status anterior (solo APPLICATION_STATUS_CHANGED / APPLICATION_WITHDRAWN)
+         */
+        from_status: {
+            type: String,
+            default: null
+        },
+
+        created_at: {
+            type: Date,
+            default: Date.now
+        }
+    },
+    { timestamps: false }
+);
+
+// Replay por alcance (empresa / candidato) en orden de event_id
+applicationEventSchema.index({ company_id: 1, event_id: 1 });
+applicationEventSchema.index({ candidate_id: 1, event_id: 1 });
+
+// Retención
+applicationEventSchema.index(
+    { created_at: 1 },
+    { expireAfterSeconds: APPLICATION_EVENT_RETENTION_DAYS * 24 * 60 * 60 }
+);
+
+/* =============================================================================
+ * LIMPIEZA DE SALIDA
+ * =============================================================================
+ */
+const cleanTransform = (_doc, ret) => {
+    delete ret._id;
+    delete ret.__v;
+    return ret;
+};
+
+applicationEventSchema.set("toJSON", { versionKey: false, transform: cleanTransform });
+applicationEventSchema.set("toObject", { versionKey: false, transform: cleanTransform });
+
+/* =============================================================================
+ * EXPORT
+ * =============================================================================
+ */
+export default mongoose.model("ApplicationEvent", applicationEventSchema);
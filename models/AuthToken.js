@@ -0,0 +1,80 @@
+/**
+ * ============================================================================
+ * AuthToken.js — MODELO DE TOKENS DE UN SOLO USO (CORREO)
+ * ============================================================================
+ *
+ * Tokens que se envían por correo:
+ * - purpose = "password_reset"      → /api/auth/reset-password
+ * - purpose = "email_verification"  → /api/auth/verify-email
+ *
+ * Reglas:
+ * - Solo se guarda el hash (sha256); el token en claro solo viaja en el correo.
+ * - Un token es válido si used_at = null y expires_at > ahora.
+ * - Al consumirse se marca used_at (un solo uso).
+ * - Emitir uno nuevo invalida los anteriores del mismo purpose.
+ * ============================================================================
+ */
+
+import mongoose from "mongoose";
+
+export const AUTH_TOKEN_PURPOSES = Object.freeze(["password_reset", "email_verification"]);
+
+const authTokenSchema = new mongoose.Schema(
+    {
+        user_id: {
+            type: Number,
+            required: true,
+            index: true
+        },
+
+        purpose: {
+            type: String,
+            enum: AUTH_TOKEN_PURPOSES,
+            required: true
+        },
+
+        token_hash: {
+            type: String,
+            required: true,
+            unique: true
+        },
+
+        expires_at: {
+            type: Date,
+            required: true
+        },
+
+        used_at: {
+            type: Date,
+            default: null
+        },
+
+        created_at: {
+            type: Date,
+            default: Date.now
+        }
+    },
+    { timestamps: false }
+);
+
+authTokenSchema.index({ user_id: 1, purpose: 1, used_at: 1 });
+
+/* =============================================================================
+ * TTL: Mongo elimina tokens 1 día después de expirar
+ * ============================================================================= */
+authTokenSchema.index({ expires_at: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+/* =============================================================================
+ * LIMPIEZA DE SALIDA (JSON / OBJECT)
+ * ============================================================================= */
+const cleanTransform = (_doc, ret) => {
+    delete ret._id;
+    delete ret.__v;
+    delete ret.token_hash;
+    return ret;
+};
+
+authTokenSchema.set("toJSON", { versionKey: false, virtuals: false, transform: cleanTransform });
+authTokenSchema.set("toObject", { versionKey: false, virtuals: false, transform: cleanTransform });
+
+export default mongoose.model("AuthToken", authTokenSchema);
@@ -6,6 +6,10 @@
  * Representa el perfil profesional de un candidato.
  * Esta información es visible para las empresas cuando revisan postulaciones.
  *
+ * Perfil estructurado (validado en utils/candidates/candidateProfileUtils.js):
+ * - experience, education, skills, languages
+ * - desired_salary, work_location_preferences
+ *
  * - NO maneja autenticación
  * - NO contiene contraseñas
  * - Puede vincularse opcionalmente a un sistema de usuarios externo
@@ -15,6 +19,61 @@
 import mongoose from "mongoose";
 import Counter from "./Counter.js";
 
+/* =============================================================================
+ * SUBESQUEMAS (sin _id)
+ * =============================================================================
+ */
+const experienceSchema = new mongoose.Schema(
+    {
+        title: { type: String, required: true, trim: true },
+        company_name: { type: String, required: true, trim: true },
+        location: { type: String, trim: true },
+        start_date: { type: Date, required: true },
+        end_date: { type: Date, default: null }, // null = empleo actual
+        description: String
+    },
+    { _id: false }
+);
+
+const educationSchema = new mongoose.Schema(
+    {
+        institution: { type: String, required: true, trim: true },
+        degree: { type: String, trim: true },
+        field_of_study: { type: String, trim: true },
+        start_date: { type: Date, default: null },
+        end_date: { type: Date, default: null },
+        description: String
+    },
+    { _id: false }
+);
+
+const skillSchema = new mongoose.Schema(
+    {
+        name: { type: String, required: true, trim: true },
+        proficiency: { type: String, enum: ["BEGINNER", "INTERMEDIATE", "ADVANCED", "EXPERT"], default: "INTERMEDIATE" },
+        years: { type: Number, min: 0, default: null }
+    },
+    { _id: false }
+);
+
+const languageSchema = new mongoose.Schema(
+    {
+        language: { type: String, required: true, trim: true },
+        proficiency: { type: String, enum: ["BASIC", "CONVERSATIONAL", "FLUENT", "NATIVE"], required: true }
+    },
+    { _id: false }
+);
+
+const desiredSalarySchema = new mongoose.Schema(
+    {
+        min: { type: Number, min: 0, default: null },
+        max: { type: Number, min: 0, default: null },
+        currency: { type: String, uppercase: true, trim: true, default: null },
+        pay_period: { type: String, uppercase: true, trim: true, default: null }
+    },
+    { _id: false }
+);
+
 /* =============================================================================
  * ESQUEMA
  * =============================================================================
@@ -72,12 +131,74 @@ const candidateSchema = new mongoose.Schema(
          */
         headline: String,
 
+        /**
+         * Historial laboral (más reciente primero)
+         */
+        experience: {
+            type: [experienceSchema],
+            default: []
+        },
+
+        /**
+         * Formación académica
+         */
+        education: {
+            type: [educationSchema],
+            default: []
+        },
+
+        /**
+         * Habilidades con nivel
+         */
+        skills: {
+            type: [skillSchema],
+            default: []
+        },
+
+        /**
+         * Idiomas con nivel
+         */
+        languages: {
+            type: [languageSchema],
+            default: []
+        },
+
+        /**
+         * Expectativa salarial
+         */
+        desired_salary: {
+            type: desiredSalarySchema,
+            default: null
+        },
+
+        /**
+         * Modalidades aceptadas (REMOTE / ONSITE / HYBRID)
+         */
+        work_location_preferences: {
+            type: [{ type: String, enum: ["ONSITE", "HYBRID", "REMOTE"] }],
+            default: []
+        },
+
         /**
          * Fecha de creación del perfil
          */
         created_at: {
             type: Date,
             default: Date.now
+        },
+
+        /**
+         * Borrado lógico (null = activo). Se purga tras la ventana de retención.
+         */
+        deleted_at: {
+            type: Date,
+            default: null,
+            index: true
+        },
+
+        deleted_by: {
+            type: Number,
+            default: null
         }
     },
     {
@@ -46,7 +46,20 @@ const companySchema = new mongoose.Schema(
 
         // Tamaño aproximado de la empresa
         company_size_min: Number,
-        company_size_max: Number
+        company_size_max: Number,
+
+        // Borrado lógico (null = activa). Se purga tras la ventana de retención.
+        deleted_at: {
+            type: Date,
+            default: null,
+            index: true
+        },
+
+        // user_id de quien eliminó
+        deleted_by: {
+            type: Number,
+            default: null
+        }
     },
     {
         timestamps: true
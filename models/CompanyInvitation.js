@@ -0,0 +1,121 @@
+/**
+ * ============================================================================
+ * CompanyInvitation.js — MODELO DE INVITACIONES A UNA EMPRESA
+ * ============================================================================
+ *
+ * Un owner invita a un email con un rol; al aceptar se crea un User
+ * (type="company") ligado a la empresa con ese company_role.
+ *
+ * - status: PENDING → ACCEPTED | REVOKED
+ *   (una invitación PENDING con expires_at vencido se considera expirada)
+ * - token_hash: sha256 del token enviado por correo (nunca en claro)
+ * - invitation_id incremental usando Counter
+ * ============================================================================
+ */
+
+import mongoose from "mongoose";
+import Counter from "./Counter.js";
+
+export const INVITABLE_COMPANY_ROLES = Object.freeze(["owner", "recruiter", "viewer"]);
+export const INVITATION_STATUSES = Object.freeze(["PENDING", "ACCEPTED", "REVOKED"]);
+
+const companyInvitationSchema = new mongoose.Schema(
+    {
+        invitation_id: {
+            type: Number,
+            unique: true,
+            index: true
+        },
+
+        company_id: {
+            type: Number,
+            required: true,
+            index: true
+        },
+
+        email: {
+            type: String,
+            required: true,
+            lowercase: true,
+            trim: true
+        },
+
+        role: {
+            type: String,
+            enum: INVITABLE_COMPANY_ROLES,
+            required: true
+        },
+
+        token_hash: {
+            type: String,
+            required: true,
+            unique: true
+        },
+
+        status: {
+            type: String,
+            enum: INVITATION_STATUSES,
+            default: "PENDING",
+            index: true
+        },
+
+        invited_by: {
+            type: Number,
+            default: null
+        },
+
+        expires_at: {
+            type: Date,
+            required: true
+        },
+
+        accepted_at: {
+            type: Date,
+            default: null
+        },
+
+        accepted_user_id: {
+            type: Number,
+            default: null
+        },
+
+        created_at: {
+            type: Date,
+            default: Date.now
+        }
+    },
+    { timestamps: false }
+);
+
+companyInvitationSchema.index({ company_id: 1, email: 1, status: 1 });
+
+/* =============================================================================
+ * INCREMENTAL AUTOMÁTICO (invitation_id)
+ * ============================================================================= */
+companyInvitationSchema.pre("save", async function (next) {
+    if (this.invitation_id != null) return next();
+
+    const counter = await Counter.findOneAndUpdate(
+        { _id: "invitation_id" },
+        { $inc: { seq: 1 } },
+        { new: true, upsert: true }
+    );
+
+    this.invitation_id = counter.seq;
+    next();
+});
+
+/* =============================================================================
+ * LIMPIEZA DE SALIDA (JSON / OBJECT)
+ * ============================================================================= */
+const cleanTransform = (_doc, ret) => {
+    delete ret._id;
+    delete ret.__v;
+    delete ret.token_hash;
+    return ret;
+};
+
+companyInvitationSchema.set("toJSON", { versionKey: false, virtuals: false, transform: cleanTransform });
+companyInvitationSchema.set("toObject", { versionKey: false, virtuals: false, transform: cleanTransform });
+
+export default mongoose.model("CompanyInvitation", companyInvitationSchema);
@@ -0,0 +1,89 @@
+/**
+ * ============================================================================
+ * ExchangeRate.js — MODELO DE TIPOS DE CAMBIO
+ * ============================================================================
+ *
+ * Tabla local de tipos de cambio (administrada por admin).
+ *
+ * - currency: código de 3 letras (MXN, EUR, ...)
+ * - rate_to_base: unidades de la moneda base (SALARY_BASE_CURRENCY) por
+ *   1 unidad de `currency`. La moneda base no se guarda (vale 1).
+ *
+ * Cache:
+ * - getRateMap() cachea la tabla en memoria del proceso (RATE_CACHE_TTL_MS);
+ *   los hooks de Job la consultan en cada save/findOneAndUpdate.
+ * - clearRateCache() la invalida después de escribir tasas.
+ * ============================================================================
+ */
+
+import mongoose from "mongoose";
+
+const RATE_CACHE_TTL_MS = 60 * 1000;
+
+let RATE_CACHE = null;
+let RATE_CACHE_AT = 0;
+
+const exchangeRateSchema = new mongoose.Schema(
+    {
+        currency: {
+            type: String,
+            required: true,
+            unique: true,
+            uppercase: true,
+            trim: true,
+            match: /^[A-Z]{3}$/
+        },
+
+        rate_to_base: {
+            type: Number,
+            required: true,
+            min: 0
+        },
+
+        updated_by: {
+            type: Number,
+            default: null
+        },
+
+        updated_at: {
+            type: Date,
+            default: Date.now
+        }
+    },
+    { timestamps: false }
+);
+
+/* =============================================================================
+ * CACHE DE TASAS
+ * ============================================================================= */
+
+/**
+ * @returns {Promise<Map<string, number>>} currency → rate_to_base
+ */
+exchangeRateSchema.statics.getRateMap = async function () {
+    if (RATE_CACHE && Date.now() - RATE_CACHE_AT < RATE_CACHE_TTL_MS) return RATE_CACHE;
+
+    const rows = await this.find({}).select({ _id: 0, currency: 1, rate_to_base: 1 }).lean();
+    RATE_CACHE = new Map(rows.map((r) => [r.currency, r.rate_to_base]));
+    RATE_CACHE_AT = Date.now();
+    return RATE_CACHE;
+};
+
+exchangeRateSchema.statics.clearRateCache = function () {
+    RATE_CACHE = null;
+    RATE_CACHE_AT = 0;
+};
+
+/* =============================================================================
+ * LIMPIEZA DE SALIDA (JSON / OBJECT)
+ * ============================================================================= */
+const cleanTransform = (_doc, ret) => {
+    delete ret._id;
+    delete ret.__v;
+    return ret;
+};
+
+exchangeRateSchema.set("toJSON", { versionKey: false, virtuals: false, transform: cleanTransform });
+exchangeRateSchema.set("toObject", { versionKey: false, virtuals: false, transform: cleanTransform });
+
+export default mongoose.model("ExchangeRate", exchangeRateSchema);
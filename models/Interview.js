@@ -0,0 +1,260 @@
+/**
+ * ============================================================================
+ * Interview.js — Modelo de Entrevista
+ * ============================================================================
+ *
+ * Entrevista de una postulación en etapa INTERVIEW.
+ *
+ * Relaciones:
+ *   - Application → application_id (job_id, candidate_id y company_id se copian)
+ *
+ * Ciclo:
+ *   - PROPOSED  : la empresa propuso horarios (slots); el candidato elige uno
+ *   - SCHEDULED : horario confirmado (scheduled_start / scheduled_end)
+ *   - CANCELLED : cancelada por la empresa o el candidato
+ *
+ * Reglas:
+ *   - Reprogramar = nuevos slots → vuelve a PROPOSED.
+ *   - sequence aumenta con cada cambio de horario o cancelación (SEQUENCE del .ics).
+ *   - notes es privado de la empresa (nunca se muestra al candidato).
+ * ============================================================================
+ */
+
+import mongoose from "mongoose";
+import Counter from "./Counter.js";
+import { INTERVIEW_STATUSES, INTERVIEW_LOCATION_TYPES } from "../utils/interviews/interviewUtils.js";
+
+// Horario propuesto (ver utils/interviews/interviewUtils.js)
+const slotSchema = new mongoose.Schema(
+    {
+        slot_id: { type: String, required: true },
+        start_at: { type: Date, required: true },
+        end_at: { type: Date, required: true }
+    },
+    { _id: false }
+);
+
+const actorRefSchema = new mongoose.Schema(
+    {
+        user_id: { type: Number, default: null },
+        type: { type: String, default: null }
+    },
+    { _id: false }
+);
+
+// Nota de un entrevistador (solo empresa)
+const noteSchema = new mongoose.Schema(
+    {
+        body: { type: String, required: true },
+        author: { type: actorRefSchema, default: null },
+        created_at: { type: Date, default: Date.now }
+    },
+    { _id: false }
+);
+
+/* =============================================================================
+ * ESQUEMA
+ * =============================================================================
+ */
+const interviewSchema = new mongoose.Schema(
+    {
+        /**
+         * Identificador incremental de la entrevista
+         */
+        interview_id: {
+            type: Number,
+            unique: true,
+            index: true
+        },
+
+        /**
+         * Postulación a la que pertenece
+         */
+        application_id: {
+            type: Number,
+            required: true,
+            index: true
+        },
+
+        job_id: {
+            type: Number,
+            required: true
+        },
+
+        candidate_id: {
+            type: Number,
+            required: true,
+            index: true
+        },
+
+        company_id: {
+            type: Number,
+            required: true,
+            index: true
+        },
+
+        /**
+         * Título visible (ej. "Entrevista técnica")
+         */
+        title: {
+            type: String,
+            trim: true,
+            default: null
+        },
+
+        status: {
+            type: String,
+            enum: INTERVIEW_STATUSES,
+            default: "PROPOSED",
+            index: true
+        },
+
+        /**
+         * Horarios propuestos por la empresa
+         */
+        slots: {
+            type: [slotSchema],
+            default: []
+        },
+
+        /**
+         * Horario confirmado (slot elegido por el candidato)
+         */
+        selected_slot_id: {
+            type: String,
+            default: null
+        },
+        scheduled_start: {
+            type: Date,
+            default: null
+        },
+        scheduled_end: {
+            type: Date,
+            default: null
+        },
+
+        /**
+         * Lugar: ONSITE (location = dirección), VIDEO (meeting_url), PHONE
+         */
+        location_type: {
+            type: String,
+            enum: INTERVIEW_LOCATION_TYPES,
+            default: "VIDEO"
+        },
+        location: {
+            type: String,
+            trim: true,
+            default: null
+        },
+        meeting_url: {
+            type: String,
+            trim: true,
+            default: null
+        },
+
+        /**
+         * Entrevistadores (nombre visible para el candidato)
+         */
+        interviewers: {
+            type: [
+                {
+                    _id: false,
+                    name: { type: String, required: true, trim: true },
+                    email: { type: String, trim: true, default: null }
+                }
+            ],
+            default: []
+        },
+
+        /**
+         * Notas de los entrevistadores (privadas de la empresa)
+         */
+        notes: {
+            type: [noteSchema],
+            default: []
+        },
+
+        /**
+         * Versión del evento para calendarios (SEQUENCE en .ics)
+         */
+        sequence: {
+            type: Number,
+            default: 0
+        },
+
+        reschedule_count: {
+            type: Number,
+            default: 0
+        },
+
+        cancelled_at: {
+            type: Date,
+            default: null
+        },
+        cancelled_by: {
+            type: actorRefSchema,
+            default: null
+        },
+        cancel_reason: {
+            type: String,
+            default: null
+        },
+
+        created_by: {
+            type: actorRefSchema,
+            default: null
+        },
+
+        created_at: {
+            type: Date,
+            default: Date.now
+        },
+
+        updated_at: {
+            type: Date,
+            default: Date.now
+        }
+    },
+    {
+        timestamps: false
+    }
+);
+
+// Detección de traslapes por empresa
+interviewSchema.index({ company_id: 1, status: 1, scheduled_start: 1 });
+
+/* =============================================================================
+ * INCREMENTAL AUTOMÁTICO (interview_id)
+ * =============================================================================
+ */
+interviewSchema.pre("save", async function (next) {
+    if (this.interview_id != null) return next();
+
+    const counter = await Counter.findOneAndUpdate(
+        { _id: "interview_id" },
+        { $inc: { seq: 1 } },
+        { new: true, upsert: true }
+    );
+
+    this.interview_id = counter.seq;
+    next();
+});
+
+/* =============================================================================
+ * LIMPIEZA DE SALIDA
+ * =============================================================================
+ */
+const cleanTransform = (_doc, ret) => {
+    delete ret._id;
+    delete ret.__v;
+    return ret;
+};
+
+interviewSchema.set("toJSON", { versionKey: false, transform: cleanTransform });
+interviewSchema.set("toObject", { versionKey: false, transform: cleanTransform });
+
+/* =============================================================================
+ * EXPORT
+ * =============================================================================
+ */
+export default mongoose.model("Interview", interviewSchema);
@@ -9,6 +9,36 @@
 
 import mongoose from "mongoose";
 import Counter from "./Counter.js";
+import ExchangeRate from "./ExchangeRate.js";
+import { buildTitleTerms } from "../utils/jobs/jobTermUtils.js";
+import { JOB_STATUSES } from "../utils/jobs/jobLifecycleUtils.js";
+import { SCREENING_QUESTION_TYPES } from "../utils/jobs/screeningQuestionUtils.js";
+import { buildBaseSalaryFields } from "../utils/jobs/salaryNormalizationUtils.js";
+
+// Regla de descarte de una pregunta de filtro (campos según el tipo)
+const screeningKnockoutSchema = new mongoose.Schema(
+    {
+        expected: Boolean,              // YES_NO
+        min: Number,                    // NUMBER
+        max: Number,                    // NUMBER
+        options: { type: [String], default: undefined } // SINGLE_CHOICE / MULTI_CHOICE
+    },
+    { _id: false }
+);
+
+// Pregunta de filtro (ver utils/jobs/screeningQuestionUtils.js).
+// knockout es privado de la empresa; no se expone al público.
+const screeningQuestionSchema = new mongoose.Schema(
+    {
+        question_id: { type: String, required: true },
+        prompt: { type: String, required: true, trim: true },
+        type: { type: String, enum: SCREENING_QUESTION_TYPES, required: true },
+        required: { type: Boolean, default: false },
+        options: { type: [String], default: [] },
+        knockout: { type: screeningKnockoutSchema, default: null }
+    },
+    { _id: false }
+);
 
 const jobSchema = new mongoose.Schema(
     {
@@ -25,6 +55,14 @@ const jobSchema = new mongoose.Schema(
             trim: true
         },
 
+        // Términos normalizados del título (índice para "empleos similares").
+        // Se recalcula en pre("validate") cuando cambia title.
+        title_terms: {
+            type: [String],
+            default: [],
+            index: true
+        },
+
         // Descripción larga del puesto
         description: String,
 
@@ -41,6 +79,47 @@ const jobSchema = new mongoose.Schema(
             index: true
         },
 
+        // Ciclo de vida (ver utils/jobs/jobLifecycleUtils.js).
+        // Solo PUBLISHED, con publish_at alcanzado y sin expirar, es público.
+        status: {
+            type: String,
+            enum: JOB_STATUSES,
+            default: "PUBLISHED",
+            index: true
+        },
+
+        // Publicación programada (null = inmediata)
+        publish_at: {
+            type: Date,
+            default: null
+        },
+
+        // Fecha de expiración (null = no expira)
+        expires_at: {
+            type: Date,
+            default: null,
+            index: true
+        },
+
+        // Fecha en que la empresa cerró la vacante
+        closed_at: {
+            type: Date,
+            default: null
+        },
+
+        // Preguntas de filtro que responde el candidato al postularse
+        screening_questions: {
+            type: [screeningQuestionSchema],
+            default: []
+        },
+
+        // Revisión vigente del contenido (ver models/JobRevision.js).
+        // Cada update con cambios en título/descripción/salario/etc. la incrementa.
+        revision: {
+            type: Number,
+            default: 1
+        },
+
         // Tipo de trabajo (FULL_TIME, PART_TIME, CONTRACT...)
         work_type: String,
 
@@ -52,8 +131,25 @@ const jobSchema = new mongoose.Schema(
         },
 
         // Normalización numérica usada para análisis estadístico
+        // (salario anual en la moneda del job)
         normalized_salary: Number,
 
+        // Montos convertidos a la moneda base (SALARY_BASE_CURRENCY, default USD).
+        // null si el job no tiene currency o no hay tipo de cambio para ella.
+        normalized_salary_base: {
+            type: Number,
+            default: null,
+            index: true
+        },
+        min_salary_base: {
+            type: Number,
+            default: null
+        },
+        max_salary_base: {
+            type: Number,
+            default: null
+        },
+
         // Ubicación normalizada
         city: String,
         state: String,
@@ -67,6 +163,20 @@ const jobSchema = new mongoose.Schema(
             type: Number,
             required: true,
             index: true
+        },
+
+        // Borrado lógico (null = activo). Con la empresa eliminada toma su mismo
+        // deleted_at. Se purga tras la ventana de retención.
+        deleted_at: {
+            type: Date,
+            default: null,
+            index: true
+        },
+
+        // user_id de quien eliminó
+        deleted_by: {
+            type: Number,
+            default: null
         }
     },
     {
@@ -74,6 +184,20 @@ const jobSchema = new mongoose.Schema(
     }
 );
 
+/* =============================================================================
+ *  ÍNDICE DE TÉRMINOS DEL TÍTULO (title_terms)
+ * =============================================================================
+ *
+ * - pre("validate") corre en save() y también en insertMany() (seed)
+ * - Solo se recalcula si title cambió (o si el doc es nuevo)
+ */
+jobSchema.pre("validate", function (next) {
+    if (this.isNew || this.isModified("title")) {
+        this.title_terms = buildTitleTerms(this.title);
+    }
+    next();
+});
+
 /* =============================================================================
  *  INCREMENTAL AUTOMÁTICO (job_id)
  * =============================================================================
@@ -177,14 +301,28 @@ function computeNormalizedSalary(min, max, period) {
     return factor ? avg * factor : null;
 }
 
+/*
+ * Montos en moneda base (normalized_salary_base, min_salary_base, max_salary_base):
+ * se convierten con la tabla ExchangeRate (cacheada); quedan en null si el job
+ * no tiene currency o no hay tipo de cambio para ella.
+ */
+
 // Al CREAR
-jobSchema.pre("save", function (next) {
-    this.normalized_salary = computeNormalizedSalary(
-        this.min_salary,
-        this.max_salary,
-        this.pay_period
-    );
-    next();
+jobSchema.pre("save", async function (next) {
+    try {
+        this.normalized_salary = computeNormalizedSalary(
+            this.min_salary,
+            this.max_salary,
+            this.pay_period
+        );
+
+        const rates = await ExchangeRate.getRateMap();
+        Object.assign(this, buildBaseSalaryFields(this, rates));
+
+        next();
+    } catch (err) {
+        next(err);
+    }
 });
 
 // Al ACTUALIZAR
@@ -195,7 +333,8 @@ jobSchema.pre("findOneAndUpdate", async function (next) {
     const touchesSalary =
         update.min_salary !== undefined ||
         update.max_salary !== undefined ||
-        update.pay_period !== undefined;
+        update.pay_period !== undefined ||
+        update.currency !== undefined;
 
     if (!touchesSalary) return next();
 
@@ -207,9 +346,19 @@ jobSchema.pre("findOneAndUpdate", async function (next) {
     const min = update.min_salary ?? doc.min_salary;
     const max = update.max_salary ?? doc.max_salary;
     const period = update.pay_period ?? doc.pay_period;
+    const currency = update.currency ?? doc.currency;
 
     update.normalized_salary = computeNormalizedSalary(min, max, period);
 
+    const rates = await ExchangeRate.getRateMap();
+    Object.assign(
+        update,
+        buildBaseSalaryFields(
+            { normalized_salary: update.normalized_salary, min_salary: min, max_salary: max, currency },
+            rates
+        )
+    );
+
     next();
 });
 
@@ -0,0 +1,113 @@
+/**
+ * ============================================================================
+ * JobRevision.js — Modelo de Revisión de Empleo
+ * ============================================================================
+ *
+ * Historial de versiones del contenido de un Job (título, descripción,
+ * salario, ubicación, modalidad).
+ *
+ * Relaciones:
+ *   - Job → job_id
+ *   - User → changed_by.user_id
+ *
+ * Reglas:
+ *   - revision 1 = contenido con el que se creó el job (changes vacío).
+ *   - Cada update con cambios reales agrega revision + 1 con el diff por campo
+ *     y el snapshot completo resultante (ver utils/jobs/jobRevisionUtils.js).
+ *   - Job.revision apunta a la revisión vigente; Application.job_revision a
+ *     la que vio el candidato al postularse.
+ *   - Solo se agregan, nunca se editan. Se purgan junto con su job.
+ * ============================================================================
+ */
+
+import mongoose from "mongoose";
+
+/* =============================================================================
+ * ESQUEMA
+ * =============================================================================
+ */
+const jobRevisionSchema = new mongoose.Schema(
+    {
+        /**
+         * Job al que pertenece la revisión
+         */
+        job_id: {
+            type: Number,
+            required: true
+        },
+
+        /**
+         * Número de revisión (1, 2, 3... por job)
+         */
+        revision: {
+            type: Number,
+            required: true,
+            min: 1
+        },
+
+        /**
+         * Diff por campo respecto a la revisión anterior
+         */
+        changes: {
+            type: [
+                {
+                    _id: false,
+                    field: { type: String, required: true },
+                    from: { type: mongoose.Schema.Types.Mixed, default: null },
+                    to: { type: mongoose.Schema.Types.Mixed, default: null }
+                }
+            ],
+            default: []
+        },
+
+        /**
+         * Contenido completo del job en esta revisión (JOB_REVISION_FIELDS)
+         */
+        snapshot: {
+            type: mongoose.Schema.Types.Mixed,
+            default: {}
+        },
+
+        /**
+         * Quién hizo el cambio (null = sistema / dato previo al historial)
+         */
+        changed_by: {
+            _id: false,
+            user_id: { type: Number, default: null },
+            type: { type: String, default: null }
+        },
+
+        /**
+         * Fecha de la revisión
+         */
+        created_at: {
+            type: Date,
+            default: Date.now
+        }
+    },
+    {
+        timestamps: false,
+        minimize: false
+    }
+);
+
+jobRevisionSchema.index({ job_id: 1, revision: -1 }, { unique: true });
+
+/* =============================================================================
+ * LIMPIEZA DE SALIDA
+ * =============================================================================
+ */
+const cleanTransform = (_doc, ret) => {
+    delete ret._id;
+    delete ret.__v;
+    return ret;
+};
+
+jobRevisionSchema.set("toJSON", { versionKey: false, transform: cleanTransform });
+jobRevisionSchema.set("toObject", { versionKey: false, transform: cleanTransform });
+
+/* =============================================================================
+ * EXPORT
+ * =============================================================================
+ */
+export default mongoose.model("JobRevision", jobRevisionSchema);
@@ -0,0 +1,84 @@
+/**
+ * ============================================================================
+ * LoginThrottle.js — MODELO DE INTENTOS FALLIDOS DE LOGIN
+ * ============================================================================
+ *
+ * Un documento por llave:
+ * - key = "email:<email>" (kind = "email")
+ * - key = "ip:<ip>"       (kind = "ip")
+ *
+ * - failures: fallos consecutivos dentro de la ventana
+ * - lock_count: bloqueos previos (la duración del siguiente se duplica)
+ * - locked_until: mientras sea > ahora, el login se rechaza (ACCOUNT_LOCKED)
+ *
+ * Vive en Mongo para que el bloqueo aplique en todos los procesos.
+ * ============================================================================
+ */
+
+import mongoose from "mongoose";
+
+export const LOGIN_THROTTLE_KINDS = Object.freeze(["email", "ip"]);
+
+const loginThrottleSchema = new mongoose.Schema(
+    {
+        key: {
+            type: String,
+            required: true,
+            unique: true
+        },
+
+        kind: {
+            type: String,
+            enum: LOGIN_THROTTLE_KINDS,
+            required: true,
+            index: true
+        },
+
+        failures: {
+            type: Number,
+            default: 0
+        },
+
+        lock_count: {
+            type: Number,
+            default: 0
+        },
+
+        last_failure_at: {
+            type: Date,
+            default: null
+        },
+
+        locked_until: {
+            type: Date,
+            default: null,
+            index: true
+        },
+
+        // Limpieza automática (ventana + bloqueo máximo)
+        expires_at: {
+            type: Date,
+            required: true
+        }
+    },
+    { timestamps: false }
+);
+
+/* =============================================================================
+ * TTL: Mongo elimina el documento al llegar a expires_at
+ * ============================================================================= */
+loginThrottleSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+/* =============================================================================
+ * LIMPIEZA DE SALIDA (JSON / OBJECT)
+ * ============================================================================= */
+const cleanTransform = (_doc, ret) => {
+    delete ret._id;
+    delete ret.__v;
+    return ret;
+};
+
+loginThrottleSchema.set("toJSON", { versionKey: false, virtuals: false, transform: cleanTransform });
+loginThrottleSchema.set("toObject", { versionKey: false, virtuals: false, transform: cleanTransform });
+
+export default mongoose.model("LoginThrottle", loginThrottleSchema);
@@ -0,0 +1,110 @@
+/**
+ * ============================================================================
+ * Notification.js — Modelo de Notificación (in-app)
+ * ============================================================================
+ *
+ * Aviso para un usuario (User) generado por un evento del sistema.
+ *
+ * Relaciones:
+ *   - User → user_id (destinatario)
+ *
+ * Reglas:
+ *   - type: ver utils/notifications/notificationUtils.js
+ *   - title / message se generan al emitir (texto listo para mostrar).
+ *   - data guarda ids de referencia (application_id, job_id, ...) para que el
+ *     frontend navegue al recurso.
+ *   - read_at null = no leída.
+ *   - Se eliminan junto con el usuario en la purga.
+ * ============================================================================
+ */
+
+import mongoose from "mongoose";
+import { NOTIFICATION_TYPES } from "../utils/notifications/notificationUtils.js";
+
+/* =============================================================================
+ * ESQUEMA
+ * =============================================================================
+ */
+const notificationSchema = new mongoose.Schema(
+    {
+        /**
+         * Identificador incremental (counter "notification_id", se reserva por lote)
+         */
+        notification_id: {
+            type: Number,
+            unique: true,
+            index: true
+        },
+
+        /**
+         * Usuario destinatario
+         */
+        user_id: {
+            type: Number,
+            required: true
+        },
+
+        type: {
+            type: String,
+            enum: NOTIFICATION_TYPES,
+            required: true
+        },
+
+        title: {
+            type: String,
+            required: true
+        },
+
+        message: {
+            type: String,
+            default: ""
+        },
+
+        /**
+         * Referencias del evento (application_id, job_id, company_id, status...)
+         */
+        data: {
+            type: mongoose.Schema.Types.Mixed,
+            default: {}
+        },
+
+        /**
+         * Fecha de lectura (null = no leída)
+         */
+        read_at: {
+            type: Date,
+            default: null
+        },
+
+        created_at: {
+            type: Date,
+            default: Date.now
+        }
+    },
+    {
+        timestamps: false,
+        minimize: false
+    }
+);
+
+// Bandeja del usuario y conteo de no leídas
+notificationSchema.index({ user_id: 1, read_at: 1, created_at: -1 });
+
+/* =============================================================================
+ * LIMPIEZA DE SALIDA
+ * =============================================================================
+ */
+const cleanTransform = (_doc, ret) => {
+    delete ret._id;
+    delete ret.__v;
+    return ret;
+};
+
+notificationSchema.set("toJSON", { versionKey: false, transform: cleanTransform });
+notificationSchema.set("toObject", { versionKey: false, transform: cleanTransform });
+
+/* =============================================================================
+ * EXPORT
+ * =============================================================================
+ */
+export default mongoose.model("Notification", notificationSchema);
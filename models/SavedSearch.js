@@ -0,0 +1,151 @@
+/**
+ * ============================================================================
+ * SavedSearch.js — Modelo de Búsqueda Guardada
+ * ============================================================================
+ *
+ * Representa una búsqueda de empleos que un candidato guardó para re-ejecutarla
+ * después y recibir solo los empleos nuevos.
+ *
+ * Relaciones:
+ *   - Candidate → candidate_id
+ *
+ * Reglas:
+ *   - params guarda los mismos query params que acepta GET /api/jobs
+ *     (q + filtros de buildBaseJobFilters + currency), como strings.
+ *   - last_checked_at marca el corte: "nuevo" = listed_time > last_checked_at
+ * ============================================================================
+ */
+
+import mongoose from "mongoose";
+import Counter from "./Counter.js";
+
+/* =============================================================================
+ * ESQUEMA
+ * =============================================================================
+ */
+const savedSearchSchema = new mongoose.Schema(
+    {
+        /**
+         * Identificador incremental de la búsqueda guardada
+         */
+        saved_search_id: {
+            type: Number,
+            unique: true,
+            index: true
+        },
+
+        /**
+         * Identificador del candidato dueño
+         */
+        candidate_id: {
+            type: Number,
+            required: true,
+            index: true
+        },
+
+        /**
+         * Nombre visible (ej. "Backend remoto USD")
+         */
+        name: {
+            type: String,
+            trim: true,
+            required: true
+        },
+
+        /**
+         * Query params de GET /api/jobs (mismo formato que req.query)
+         */
+        params: {
+            q: String,
+            country: String,
+            state: String,
+            city: String,
+            work_type: String,
+            work_location_type: String,
+            pay_period: String,
+            company_id: String,
+            min_salary: String,
+            max_salary: String,
+            min_norm_salary: String,
+            max_norm_salary: String,
+            currency: String
+        },
+
+        /**
+         * Última vez que el candidato revisó los resultados nuevos
+         */
+        last_checked_at: {
+            type: Date,
+            default: Date.now
+        },
+
+        /**
+         * Fecha de creación
+         */
+        created_at: {
+            type: Date,
+            default: Date.now,
+            index: true
+        },
+
+        /**
+         * Última actualización
+         */
+        updated_at: {
+            type: Date,
+            default: Date.now
+        }
+    },
+    {
+        timestamps: false
+    }
+);
+
+/* =============================================================================
+ * INCREMENTAL AUTOMÁTICO (saved_search_id)
+ * =============================================================================
+ */
+savedSearchSchema.pre("save", async function (next) {
+    try {
+        if (this.saved_search_id != null) return next();
+
+        const counter = await Counter.findOneAndUpdate(
+            { _id: "saved_search_id" },
+            { $inc: { seq: 1 } },
+            { new: true, upsert: true }
+        );
+
+        this.saved_search_id = counter.seq;
+        return next();
+    } catch (err) {
+        return next(err);
+    }
+});
+
+/* =============================================================================
+ * SINCRONIZACIÓN updated_at
+ * =============================================================================
+ */
+savedSearchSchema.pre("findOneAndUpdate", function (next) {
+    this.set({ updated_at: new Date() });
+    next();
+});
+
+/* =============================================================================
+ * LIMPIEZA DE SALIDA
+ * =============================================================================
+ */
+const cleanTransform = (_doc, ret) => {
+    delete ret._id;
+    delete ret.__v;
+    return ret;
+};
+
+savedSearchSchema.set("toJSON", { versionKey: false, transform: cleanTransform });
+savedSearchSchema.set("toObject", { versionKey: false, transform: cleanTransform });
+
+/* =============================================================================
+ * EXPORT
+ * =============================================================================
+ */
+export default mongoose.model("SavedSearch", savedSearchSchema);
@@ -0,0 +1,119 @@
+/**
+ * ============================================================================
+ * Session.js — MODELO DE SESIÓN (REFRESH TOKENS)
+ * ============================================================================
+ *
+ * Una sesión nace en login/register y vive mientras su refresh token sea válido.
+ *
+ * - El access token (JWT corto) lleva `sid` = session_id.
+ * - authActor rechaza access tokens cuya sesión esté revocada o expirada.
+ * - El refresh token es opaco y rota en cada /api/auth/refresh:
+ *     - refresh_token_hash: hash (sha256) del token vigente
+ *     - rotated_token_hashes: hashes ya usados; si alguien reusa uno,
+ *       se asume robo y se revoca la sesión completa.
+ * - Nunca se guarda el refresh token en claro.
+ * ============================================================================
+ */
+
+import mongoose from "mongoose";
+import Counter from "./Counter.js";
+
+const sessionSchema = new mongoose.Schema(
+    {
+        session_id: {
+            type: Number,
+            unique: true,
+            index: true
+        },
+
+        user_id: {
+            type: Number,
+            required: true,
+            index: true
+        },
+
+        refresh_token_hash: {
+            type: String,
+            required: true,
+            unique: true
+        },
+
+        rotated_token_hashes: {
+            type: [String],
+            default: [],
+            index: true
+        },
+
+        // Expiración del refresh token (la sesión muere aquí)
+        expires_at: {
+            type: Date,
+            required: true
+        },
+
+        revoked_at: {
+            type: Date,
+            default: null
+        },
+
+        // "logout" | "logout_all" | "password_changed" | "account_deleted" | "token_reuse" | ...
+        revoked_reason: {
+            type: String,
+            default: null
+        },
+
+        last_used_at: {
+            type: Date,
+            default: Date.now
+        },
+
+        user_agent: String,
+        ip: String,
+
+        created_at: {
+            type: Date,
+            default: Date.now
+        }
+    },
+    { timestamps: false }
+);
+
+/* =============================================================================
+ * TTL: Mongo elimina sesiones 7 días después de expirar
+ * ============================================================================= */
+sessionSchema.index({ expires_at: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+/* =============================================================================
+ * INCREMENTAL AUTOMÁTICO (session_id)
+ * ============================================================================= */
+sessionSchema.pre("save", async function (next) {
+    try {
+        if (this.session_id != null) return next();
+
+        const counter = await Counter.findOneAndUpdate(
+            { _id: "session_id" },
+            { $inc: { seq: 1 } },
+            { new: true, upsert: true }
+        );
+
+        this.session_id = counter.seq;
+        return next();
+    } catch (err) {
+        return next(err);
+    }
+});
+
+/* =============================================================================
+ * LIMPIEZA DE SALIDA (JSON / OBJECT)
+ * ============================================================================= */
+const cleanTransform = (_doc, ret) => {
+    delete ret._id;
+    delete ret.__v;
+    delete ret.refresh_token_hash;
+    delete ret.rotated_token_hashes;
+    return ret;
+};
+
+sessionSchema.set("toJSON", { versionKey: false, virtuals: false, transform: cleanTransform });
+sessionSchema.set("toObject", { versionKey: false, virtuals: false, transform: cleanTransform });
+
+export default mongoose.model("Session", sessionSchema);
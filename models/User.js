@@ -7,6 +7,15 @@
  *
  * - type: "admin" | "company" | "candidate"
  * - company_id / candidate_id enlazan con perfiles (Company/Candidate) si aplica
+ * - company_role: rol dentro de la empresa ("owner" | "recruiter" | "viewer");
+ *   una empresa puede tener varios usuarios (invitaciones)
+ * - email_verified: se marca al confirmar el token enviado por correo
+ *   (o al restablecer el password, que también prueba control del correo)
+ * - deleted_at: se marca al eliminar (borrado lógico) su Company/Candidate o al
+ *   quitarlo como miembro de la empresa o darse de baja; no puede iniciar sesión
+ *   hasta un restore o la purga
+ * - muted_notification_types: tipos de notificación in-app que el usuario
+ *   silenció (ver utils/notifications/notificationUtils.js)
  * - user_id incremental usando Counter
  * ============================================================================
  */
@@ -53,6 +62,31 @@ const userSchema = new mongoose.Schema(
             type: Number,
             index: true,
             default: null
+        },
+
+        company_role: {
+            type: String,
+            enum: ["owner", "recruiter", "viewer", null],
+            default: null
+        },
+
+        email_verified: {
+            type: Boolean,
+            default: false
+        },
+
+        email_verified_at: {
+            type: Date,
+            default: null
+        },
+
+        muted_notification_types: {
+            type: [String],
+            default: []
+        },
+        deleted_at: {
+            type: Date,
+            default: null
         }
     },
     { timestamps: true }
@@ -22,6 +22,7 @@ import { authActor } from "../middlewares/authActor.js";
 import {
     createApplicationController,
     getApplicationByIdController,
+    getApplicationCvController,
     getCompanyApplicationDetailController,
     getApplicationStatusController,
     getStatusesForJobsController,
@@ -29,9 +30,18 @@ import {
     listApplicationsByCompanyController,
     listCompanyApplicationsWithCandidateController,
     updateApplicationStatusController,
+    bulkUpdateApplicationStatusController,
+    updateApplicationReviewController,
+    addApplicationNoteController,
+    updateApplicationNoteController,
+    deleteApplicationNoteController,
     withdrawApplicationController,
-    getCompanyPipelineCountsController
+    getCompanyPipelineCountsController,
+    getCompanyApplicationHistoryController,
+    getApplicationTimelineController,
+    getCompanyApplicationAnalyticsController
 } from "../controllers/applicationController.js";
+import { streamApplicationEventsController } from "../controllers/applicationEventController.js";
 
 const router = Router();
 
@@ -53,6 +63,13 @@ router.get(
     getApplicationStatusController
 );
 
+// Eventos en tiempo real (SSE; reanuda con Last-Event-ID)
+router.get(
+    "/events",
+    authActor({ required: true }),
+    streamApplicationEventsController
+);
+
 // Obtener postulación por ID
 router.get(
     "/:application_id",
@@ -60,6 +77,20 @@ router.get(
     getApplicationByIdController
 );
 
+// CV enviado con la postulación (PDF)
+router.get(
+    "/:application_id/cv",
+    authActor({ required: true }),
+    getApplicationCvController
+);
+
+// Timeline de status (candidate: sanitizado)
+router.get(
+    "/:application_id/history",
+    authActor({ required: true }),
+    getApplicationTimelineController
+);
+
 
 
 // Status en batch (job_id -> status)
@@ -112,6 +143,13 @@ router.get(
     getCompanyApplicationDetailController
 );
 
+// Historial completo de status (empresa)
+router.get(
+    "/companies/:company_id/applications/:application_id/history",
+    authActor({ required: true }),
+    getCompanyApplicationHistoryController
+);
+
 // Actualizar status de postulación
 router.patch(
     "/companies/:company_id/applications/:application_id/status",
@@ -119,6 +157,39 @@ router.patch(
     updateApplicationStatusController
 );
 
+// Actualización masiva de status (resultados por postulación)
+router.post(
+    "/companies/:company_id/applications/bulk_status",
+    authActor({ required: true }),
+    bulkUpdateApplicationStatusController
+);
+
+// Etiquetas y calificación internas (empresa)
+router.patch(
+    "/companies/:company_id/applications/:application_id/review",
+    authActor({ required: true }),
+    updateApplicationReviewController
+);
+
+// Notas internas (empresa)
+router.post(
+    "/companies/:company_id/applications/:application_id/notes",
+    authActor({ required: true }),
+    addApplicationNoteController
+);
+
+router.patch(
+    "/companies/:company_id/applications/:application_id/notes/:note_id",
+    authActor({ required: true }),
+    updateApplicationNoteController
+);
+
+router.delete(
+    "/companies/:company_id/applications/:application_id/notes/:note_id",
+    authActor({ required: true }),
+    deleteApplicationNoteController
+);
+
 // Conteos del pipeline
 router.get(
     "/companies/:company_id/applications/pipeline_counts",
@@ -126,4 +197,11 @@ router.get(
     getCompanyPipelineCountsController
 );
 
+// Analítica de embudo y time-to-hire
+router.get(
+    "/companies/:company_id/analytics",
+    authActor({ required: true }),
+    getCompanyApplicationAnalyticsController
+);
+
 export default router;
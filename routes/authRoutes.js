@@ -1,10 +1,41 @@
 // routes/authRoutes.js
 import express from "express";
-import { login, register } from "../controllers/authController.js";
+import {
+    login,
+    register,
+    refresh,
+    logout,
+    changePassword,
+    deleteAccount,
+    forgotPassword,
+    resetPassword,
+    verifyEmail,
+    resendVerification,
+    listLockouts,
+    unlockAccount,
+} from "../controllers/authController.js";
+import { authActor } from "../middlewares/authActor.js";
 
 const router = express.Router();
 
 router.post("/login", login);
 router.post("/register", register);
+router.post("/refresh", refresh);
+
+// logout acepta access token (Authorization) o refresh_token en el body
+router.post("/logout", authActor({ required: false }), logout);
+
+router.post("/change-password", authActor({ required: true }), changePassword);
+router.delete("/account", authActor({ required: true }), deleteAccount);
+
+// Recuperación de password y verificación de correo (tokens por email)
+router.post("/forgot-password", forgotPassword);
+router.post("/reset-password", resetPassword);
+router.post("/verify-email", verifyEmail);
+router.post("/verify-email/resend", authActor({ required: true }), resendVerification);
+
+// Bloqueos por fuerza bruta (admin)
+router.get("/lockouts", authActor({ required: true, roles: ["admin"] }), listLockouts);
+router.post("/unlock", authActor({ required: true, roles: ["admin"] }), unlockAccount);
 
 export default router;
@@ -5,10 +5,23 @@ import multer from "multer";
 import {
     getCandidateByIdController,
     updateCandidateController,
+    deleteCandidateController,
+    restoreCandidateController,
     getCandidateCvController,
     uploadCandidateCvController
 } from "../controllers/candidateController.js";
 
+import {
+    createSavedSearchController,
+    listSavedSearchesController,
+    getSavedSearchController,
+    updateSavedSearchController,
+    deleteSavedSearchController,
+    getSavedSearchNewJobsController
+} from "../controllers/savedSearchController.js";
+
+import { getRecommendedJobsController } from "../controllers/jobRecommendationController.js";
+
 import { authActor } from "../middlewares/authActor.js";
 
 const router = express.Router();
@@ -41,6 +54,28 @@ router.patch(
     updateCandidateController
 );
 
+/**
+ * DELETE /api/candidates/:candidate_id
+ * - candidate: solo su propio perfil
+ * - admin: permitido
+ * Borrado lógico (ver softDeleteService)
+ */
+router.delete(
+    "/:candidate_id",
+    authActor({ required: true, roles: ["admin", "candidate"] }),
+    deleteCandidateController
+);
+
+/**
+ * POST /api/candidates/:candidate_id/restore
+ * - admin
+ */
+router.post(
+    "/:candidate_id/restore",
+    authActor({ required: true, roles: ["admin"] }),
+    restoreCandidateController
+);
+
 /**
  * POST /api/candidates/:candidate_id/cv
  * - candidate: SOLO su propio CV
@@ -64,4 +99,68 @@ router.get(
     getCandidateCvController
 );
 
+/* -------------------------------------------------------------------------- */
+/*                           Búsquedas guardadas                              */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * /api/candidates/:candidate_id/saved-searches
+ * - candidate: solo sus propias búsquedas
+ * - admin: permitido
+ */
+router.get(
+    "/:candidate_id/saved-searches",
+    authActor({ required: true, roles: ["admin", "candidate"] }),
+    listSavedSearchesController
+);
+
+router.post(
+    "/:candidate_id/saved-searches",
+    authActor({ required: true, roles: ["admin", "candidate"] }),
+    createSavedSearchController
+);
+
+router.get(
+    "/:candidate_id/saved-searches/:saved_search_id",
+    authActor({ required: true, roles: ["admin", "candidate"] }),
+    getSavedSearchController
+);
+
+router.patch(
+    "/:candidate_id/saved-searches/:saved_search_id",
+    authActor({ required: true, roles: ["admin", "candidate"] }),
+    updateSavedSearchController
+);
+
+router.delete(
+    "/:candidate_id/saved-searches/:saved_search_id",
+    authActor({ required: true, roles: ["admin", "candidate"] }),
+    deleteSavedSearchController
+);
+
+/**
+ * GET /api/candidates/:candidate_id/saved-searches/:saved_search_id/new-jobs
+ * - Empleos con listed_time posterior a la última revisión
+ */
+router.get(
+    "/:candidate_id/saved-searches/:saved_search_id/new-jobs",
+    authActor({ required: true, roles: ["admin", "candidate"] }),
+    getSavedSearchNewJobsController
+);
+
+/* -------------------------------------------------------------------------- */
+/*                          Empleos recomendados                              */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * GET /api/candidates/:candidate_id/recommended-jobs
+ * - candidate: solo su propio feed
+ * - admin: permitido
+ */
+router.get(
+    "/:candidate_id/recommended-jobs",
+    authActor({ required: true, roles: ["admin", "candidate"] }),
+    getRecommendedJobsController
+);
+
 export default router;
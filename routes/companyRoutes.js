@@ -7,6 +7,7 @@ import {
     createCompany,
     updateCompany,
     deleteCompany,
+    restoreCompany,
     updateCompanyLogo
 } from "../controllers/companyController.js";
 
@@ -16,6 +17,16 @@ import {
     deleteFeaturedCompany
 } from "../controllers/companyFeaturedController.js";
 
+import {
+    listCompanyMembersController,
+    updateCompanyMemberRoleController,
+    removeCompanyMemberController,
+    createCompanyInvitationController,
+    listCompanyInvitationsController,
+    revokeCompanyInvitationController,
+    acceptCompanyInvitationController
+} from "../controllers/companyMemberController.js";
+
 import { uploadCompanyLogo } from "../middlewares/uploadLogo.js";
 import { authActor } from "../middlewares/authActor.js";
 import { authorizeCompanyParam } from "../middlewares/authorizeCompanyParam.js";
@@ -37,6 +48,9 @@ router.delete("/featured/:companyId", authActor({ required: true, roles: ["admin
 /*                                  Públicas                                  */
 /* -------------------------------------------------------------------------- */
 
+// Aceptar invitación (el token del correo es la credencial)
+router.post("/invitations/accept", acceptCompanyInvitationController);
+
 router.get("/", getCompanies);
 router.get("/:id", getCompanyById);
 router.get("/:id/jobs", getCompanyJobs);
@@ -61,6 +75,8 @@ router.delete(
     deleteCompany
 );
 
+router.post("/:id/restore", authActor({ required: true, roles: ["admin"] }), restoreCompany);
+
 router.put(
     "/:id/logo",
     authActor({ required: true, roles: ["admin", "company"] }),
@@ -69,4 +85,45 @@ router.put(
     updateCompanyLogo
 );
 
+/* -------------------------------------------------------------------------- */
+/*                     Miembros e invitaciones (roles)                         */
+/* -------------------------------------------------------------------------- */
+// Permisos finos por rol (owner/recruiter/viewer) en companyMemberService
+
+router.get(
+    "/:id/members",
+    authActor({ required: true, roles: ["admin", "company"] }),
+    listCompanyMembersController
+);
+
+router.patch(
+    "/:id/members/:user_id",
+    authActor({ required: true, roles: ["admin", "company"] }),
+    updateCompanyMemberRoleController
+);
+
+router.delete(
+    "/:id/members/:user_id",
+    authActor({ required: true, roles: ["admin", "company"] }),
+    removeCompanyMemberController
+);
+
+router.post(
+    "/:id/invitations",
+    authActor({ required: true, roles: ["admin", "company"] }),
+    createCompanyInvitationController
+);
+
+router.get(
+    "/:id/invitations",
+    authActor({ required: true, roles: ["admin", "company"] }),
+    listCompanyInvitationsController
+);
+
+router.delete(
+    "/:id/invitations/:invitation_id",
+    authActor({ required: true, roles: ["admin", "company"] }),
+    revokeCompanyInvitationController
+);
+
 export default router;
@@ -0,0 +1,48 @@
+// routes/exchangeRateRoutes.js
+
+/**
+ * ============================================================================
+ * exchangeRateRoutes.js — Rutas de Tipos de Cambio
+ * ============================================================================
+ *
+ * Endpoints:
+ * - GET    /api/exchange-rates             -> lista tasas (público)
+ * - PUT    /api/exchange-rates/:currency   -> crea/actualiza tasa (admin)
+ * - DELETE /api/exchange-rates/:currency   -> elimina tasa (admin)
+ * - POST   /api/exchange-rates/recompute   -> recalcula *_base de todos los jobs (admin)
+ * ============================================================================
+ */
+
+import express from "express";
+import {
+    listExchangeRatesController,
+    upsertExchangeRateController,
+    deleteExchangeRateController,
+    recomputeJobBaseSalariesController
+} from "../controllers/exchangeRateController.js";
+
+import { authActor } from "../middlewares/authActor.js";
+
+const router = express.Router();
+
+router.get("/", listExchangeRatesController);
+
+router.post(
+    "/recompute",
+    authActor({ required: true, roles: ["admin"] }),
+    recomputeJobBaseSalariesController
+);
+
+router.put(
+    "/:currency",
+    authActor({ required: true, roles: ["admin"] }),
+    upsertExchangeRateController
+);
+
+router.delete(
+    "/:currency",
+    authActor({ required: true, roles: ["admin"] }),
+    deleteExchangeRateController
+);
+
+export default router;
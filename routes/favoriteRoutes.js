@@ -8,11 +8,14 @@
  * Reglas:
  * - Solo candidatos pueden usar favoritos.
  * - Requiere authActor({ required:true, roles:["candidate"] }).
+ * - Excepción: conteos agregados para la empresa dueña (company/admin).
  *
  * Endpoints:
+ * - POST   /api/favorites/statuses  -> lookup batch job_id -> boolean
  * - POST   /api/favorites/:job_id   -> agrega favorito
  * - DELETE /api/favorites/:job_id   -> quita favorito
  * - GET    /api/favorites           -> lista favoritos del candidato (paginado)
+ * - GET    /api/favorites/companies/:company_id/counts -> "guardado por N" por job
  * ============================================================================
  */
 
@@ -20,8 +23,10 @@ import express from "express";
 import {
     addFavoriteController,
     removeFavoriteController,
-    listFavoritesController
-} from "../controllers/favoriteController.js";
+    listFavoritesController,
+    getFavoriteStatusesController,
+    getCompanyFavoriteCountsController
+} from "../controllers/favoriteControllers.js";
 
 import { authActor } from "../middlewares/authActor.js";
 
@@ -31,6 +36,13 @@ const router = express.Router();
 /*                              SOLO CANDIDATE                                */
 /* -------------------------------------------------------------------------- */
 
+// Antes de "/:job_id" para que "statuses" no se interprete como job_id
+router.post(
+    "/statuses",
+    authActor({ required: true, roles: ["candidate"] }),
+    getFavoriteStatusesController
+);
+
 router.post(
     "/:job_id",
     authActor({ required: true, roles: ["candidate"] }),
@@ -49,4 +61,14 @@ router.get(
     listFavoritesController
 );
 
+/* -------------------------------------------------------------------------- */
+/*                           EMPRESA DUEÑA / ADMIN                            */
+/* -------------------------------------------------------------------------- */
+
+router.get(
+    "/companies/:company_id/counts",
+    authActor({ required: true, roles: ["admin", "company"] }),
+    getCompanyFavoriteCountsController
+);
+
 export default router;
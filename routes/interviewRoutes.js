@@ -0,0 +1,92 @@
+// routes/interviewRoutes.js
+
+/**
+ * ============================================================================
+ * interviewRoutes.js — Rutas HTTP de Entrevistas (Interview)
+ * ============================================================================
+ *
+ * Prefijo en server.js:
+ *   app.use("/api/interviews", interviewRoutes);
+ *
+ * Requiere:
+ * - authActor({ required: true }) en todas las rutas
+ * - Los permisos finos (empresa dueña, candidato dueño, rol) viven en
+ *   interviewService.
+ *
+ * Endpoints:
+ * - POST /api/interviews                          -> proponer horarios (empresa)
+ * - GET  /api/interviews                          -> calendario del actor
+ * - GET  /api/interviews/:interview_id            -> detalle
+ * - POST /api/interviews/:interview_id/select     -> candidato elige horario
+ * - POST /api/interviews/:interview_id/reschedule -> nuevos horarios (empresa)
+ * - POST /api/interviews/:interview_id/cancel     -> cancelar (empresa o candidato)
+ * - POST /api/interviews/:interview_id/notes      -> nota de entrevistador (empresa)
+ * - GET  /api/interviews/:interview_id/ics        -> evento .ics
+ * ============================================================================
+ */
+
+import { Router } from "express";
+import { authActor } from "../middlewares/authActor.js";
+
+import {
+    createInterviewController,
+    listInterviewsController,
+    getInterviewController,
+    selectInterviewSlotController,
+    rescheduleInterviewController,
+    cancelInterviewController,
+    addInterviewNoteController,
+    getInterviewIcsController
+} from "../controllers/interviewController.js";
+
+const router = Router();
+
+router.post(
+    "/",
+    authActor({ required: true, roles: ["company", "admin"] }),
+    createInterviewController
+);
+
+router.get(
+    "/",
+    authActor({ required: true }),
+    listInterviewsController
+);
+
+router.get(
+    "/:interview_id",
+    authActor({ required: true }),
+    getInterviewController
+);
+
+router.post(
+    "/:interview_id/select",
+    authActor({ required: true, roles: ["candidate", "admin"] }),
+    selectInterviewSlotController
+);
+
+router.post(
+    "/:interview_id/reschedule",
+    authActor({ required: true, roles: ["company", "admin"] }),
+    rescheduleInterviewController
+);
+
+router.post(
+    "/:interview_id/cancel",
+    authActor({ required: true }),
+    cancelInterviewController
+);
+
+router.post(
+    "/:interview_id/notes",
+    authActor({ required: true, roles: ["company", "admin"] }),
+    addInterviewNoteController
+);
+
+router.get(
+    "/:interview_id/ics",
+    authActor({ required: true }),
+    getInterviewIcsController
+);
+
+export default router;
@@ -3,12 +3,20 @@ import { Router } from "express";
 import {
     getJobs,
     getJobById,
+    getSimilarJobs,
+    getJobRevisions,
     getJobsByCompany,
     getJobFilterOptions,
+    getSalaryInsights,
     getJobTitleRecommendations,
     createJob,
     updateJob,
-    deleteJob
+    deleteJob,
+    publishJob,
+    pauseJob,
+    reopenJob,
+    closeJob,
+    restoreJob
 } from "../controllers/jobController.js";
 
 import { authActor } from "../middlewares/authActor.js";
@@ -18,9 +26,12 @@ const router = Router();
 /* ------------------------------ Públicas ---------------------------------- */
 router.get("/", getJobs);
 router.get("/filters/options", getJobFilterOptions);
+router.get("/insights/salary", getSalaryInsights);
 router.get("/company/:companyId", getJobsByCompany);
 router.get("/recommendations/titles", getJobTitleRecommendations);
 router.get("/:id", getJobById);
+router.get("/:id/similar", getSimilarJobs);
+router.get("/:id/revisions", getJobRevisions);
 
 /* ----------------------------- Protegidas --------------------------------- */
 // Crear empleo: company/admin
@@ -44,4 +55,36 @@ router.delete(
     deleteJob
 );
 
+// Ciclo de vida: company/admin
+router.post(
+    "/:id/publish",
+    authActor({ required: true, roles: ["company", "admin"] }),
+    publishJob
+);
+
+router.post(
+    "/:id/pause",
+    authActor({ required: true, roles: ["company", "admin"] }),
+    pauseJob
+);
+
+router.post(
+    "/:id/reopen",
+    authActor({ required: true, roles: ["company", "admin"] }),
+    reopenJob
+);
+
+router.post(
+    "/:id/close",
+    authActor({ required: true, roles: ["company", "admin"] }),
+    closeJob
+);
+
+// Restaurar empleo eliminado: admin
+router.post(
+    "/:id/restore",
+    authActor({ required: true, roles: ["admin"] }),
+    restoreJob
+);
+
 export default router;
@@ -0,0 +1,74 @@
+// routes/notificationRoutes.js
+
+/**
+ * ============================================================================
+ * notificationRoutes.js — Rutas HTTP de Notificaciones (in-app)
+ * ============================================================================
+ *
+ * Prefijo en server.js:
+ *   app.use("/api/notifications", notificationRoutes);
+ *
+ * Requiere:
+ * - authActor({ required: true }) en todas las rutas (bandeja del usuario).
+ *
+ * Endpoints:
+ * - GET  /api/notifications                        -> bandeja paginada
+ * - GET  /api/notifications/unread-count           -> conteo de no leídas
+ * - POST /api/notifications/read-all               -> marcar todas leídas
+ * - POST /api/notifications/:notification_id/read  -> marcar una leída
+ * - GET  /api/notifications/preferences            -> preferencias por tipo
+ * - PUT  /api/notifications/preferences            -> actualizar preferencias
+ * ============================================================================
+ */
+
+import { Router } from "express";
+import { authActor } from "../middlewares/authActor.js";
+
+import {
+    listNotificationsController,
+    getUnreadNotificationCountController,
+    markNotificationReadController,
+    markAllNotificationsReadController,
+    getNotificationPreferencesController,
+    updateNotificationPreferencesController
+} from "../controllers/notificationController.js";
+
+const router = Router();
+
+router.get(
+    "/",
+    authActor({ required: true }),
+    listNotificationsController
+);
+
+router.get(
+    "/unread-count",
+    authActor({ required: true }),
+    getUnreadNotificationCountController
+);
+
+router.post(
+    "/read-all",
+    authActor({ required: true }),
+    markAllNotificationsReadController
+);
+
+router.get(
+    "/preferences",
+    authActor({ required: true }),
+    getNotificationPreferencesController
+);
+
+router.put(
+    "/preferences",
+    authActor({ required: true }),
+    updateNotificationPreferencesController
+);
+
+router.post(
+    "/:notification_id/read",
+    authActor({ required: true }),
+    markNotificationReadController
+);
+
+export default router;
@@ -0,0 +1,65 @@
+/**
+ * =============================================================================
+ *  scripts/buildJobTermIndex.js — RECONSTRUYE Job.title_terms
+ * =============================================================================
+ *
+ * Los empleos nuevos/editados calculan title_terms en el modelo. Este script
+ * solo hace falta para bases existentes (creadas antes del campo) o si cambia
+ * la regla de tokenización en utils/jobs/jobTermUtils.js.
+ *
+ * Uso:
+ *   node scripts/buildJobTermIndex.js
+ */
+
+import { connectDB } from "../connection/db.js";
+import { logger } from "../utils/logger.js";
+import { ProgressBar } from "../utils/progressBar.js";
+import { buildTitleTerms } from "../utils/jobs/jobTermUtils.js";
+
+import Job from "../models/Job.js";
+
+const BATCH_SIZE = 1000;
+
+async function flush(ops) {
+    if (ops.length === 0) return;
+    await Job.bulkWrite(ops, { ordered: false });
+    ops.length = 0;
+}
+
+async function buildIndex() {
+    await connectDB();
+
+    logger.section("Reconstruyendo title_terms de jobs");
+
+    const total = await Job.countDocuments({});
+    const progress = new ProgressBar(total);
+
+    const cursor = Job.find({}).select({ _id: 1, title: 1 }).lean().cursor();
+    const ops = [];
+    let done = 0;
+
+    for await (const job of cursor) {
+        ops.push({
+            updateOne: {
+                filter: { _id: job._id },
+                update: { $set: { title_terms: buildTitleTerms(job.title) } }
+            }
+        });
+
+        if (ops.length >= BATCH_SIZE) await flush(ops);
+
+        done += 1;
+        progress.update(done);
+    }
+
+    await flush(ops);
+    progress.finish();
+
+    logger.success(`✔ title_terms actualizado en ${done} jobs`);
+    process.exit(0);
+}
+
+buildIndex().catch((err) => {
+    logger.error(`❌ Error buildJobTermIndex: ${err.message}`);
+    process.exit(1);
+});
@@ -10,6 +10,7 @@
  *   ✔ Jobs: rango salarial (min_salary, max_salary)
  *   ✔ Jobs: listed_time (fecha)
  *   Jobs : Company id
+ *   ✔ Jobs: status + listed_time (listados públicos por ciclo de vida)
  *
  *   ✔ Companies: ubicación (country, state, city)
  *
@@ -92,6 +93,14 @@ async function createIndexes() {
             results
         );
 
+        await createIndex(
+            Job.collection,
+            "Ciclo de vida (status, listed_time)",
+            { status: 1, listed_time: -1 },
+            {},
+            results
+        );
+
         // --------------------------------------------------
         // COMPANIES (solo índices avanzados)
         // --------------------------------------------------
@@ -13,6 +13,9 @@
  * Admins:
  * - Tu registerService no acepta type="admin", así que se crean directo aquí.
  *
+ * Verificación de correo:
+ * - Los usuarios seed se marcan como verificados (emails de prueba no reales).
+ *
  * Requiere .env:
  * - SEED_PASSWORD
  * - SEED_ADMIN_COUNT
@@ -56,6 +59,13 @@ function normalizeEmail(email) {
     return String(email || "").trim().toLowerCase();
 }
 
+async function markEmailVerified(email) {
+    await User.updateOne(
+        { email },
+        { $set: { email_verified: true, email_verified_at: new Date() } }
+    );
+}
+
 function logServiceError(err, context = {}) {
     logger.error(`Error: ${err?.message || "UNKNOWN_ERROR"}`);
     if (err?.publicMessage) logger.error(`Detalle: ${err.publicMessage}`);
@@ -85,7 +95,9 @@ async function seedAdmins(count) {
             email,
             password_hash,
             company_id: null,
-            candidate_id: null
+            candidate_id: null,
+            email_verified: true,
+            email_verified_at: new Date()
         });
 
         //logger.success(`Admin creado → user_id=${user.user_id}, email=${email}`);
@@ -124,6 +136,8 @@ async function seedCompanies(count) {
                 }
             });
 
+            await markEmailVerified(email);
+
             //logger.success(`Company creada → user_id=${actor.user_id}, company_id=${actor.company_id}`);
         } catch (err) {
             logServiceError(err, { step: "seedCompanies", i, email });
@@ -165,6 +179,8 @@ async function seedCandidates(count) {
                 }
             });
 
+            await markEmailVerified(email);
+
             //logger.success(`Candidate creado → user_id=${actor.user_id}, candidate_id=${actor.candidate_id}`);
         } catch (err) {
             logServiceError(err, { step: "seedCandidates", i, email });
@@ -0,0 +1,40 @@
+/**
+ * =============================================================================
+ *  scripts/purgeDeleted.js — PURGA DE REGISTROS ELIMINADOS
+ * =============================================================================
+ *
+ * Elimina físicamente empresas, empleos, candidatos y usuarios sueltos
+ * (miembros quitados) con borrado lógico más antiguo que
+ * SOFT_DELETE_RETENTION_DAYS (default 30), junto con sus postulaciones,
+ * favoritos, búsquedas guardadas, usuarios y archivos.
+ *
+ * Pensado para correr periódicamente (cron):
+ *
+ *   node scripts/purgeDeleted.js
+ */
+
+import { connectDB } from "../connection/db.js";
+import { logger } from "../utils/logger.js";
+
+import { purgeSoftDeletedService, getRetentionDays } from "../services/softDeleteService.js";
+
+async function purge() {
+    await connectDB();
+
+    logger.section(`Purgando registros eliminados hace más de ${getRetentionDays()} días`);
+
+    const out = await purgeSoftDeletedService();
+
+    logger.info(`Corte: ${out.cutoff.toISOString()}`);
+    logger.success(
+        `✔ Empresas: ${out.companies}, jobs: ${out.jobs}, candidatos: ${out.candidates}, ` +
+        `postulaciones: ${out.applications}, favoritos: ${out.favorites}, ` +
+        `búsquedas guardadas: ${out.saved_searches}, usuarios: ${out.users}, archivos: ${out.files}`
+    );
+    process.exit(0);
+}
+
+purge().catch((err) => {
+    logger.error(`❌ Error purgeDeleted: ${err.message}`);
+    process.exit(1);
+});
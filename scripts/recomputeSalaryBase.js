@@ -0,0 +1,39 @@
+/**
+ * =============================================================================
+ *  scripts/recomputeSalaryBase.js — RECALCULA SALARIOS EN MONEDA BASE
+ * =============================================================================
+ *
+ * Recalcula normalized_salary_base / min_salary_base / max_salary_base de todos
+ * los jobs con la tabla ExchangeRate actual.
+ *
+ * Úsalo:
+ *   - después de insertData.js (insertMany no ejecuta los hooks de Job)
+ *   - después de cambiar SALARY_BASE_CURRENCY
+ *
+ *   node scripts/recomputeSalaryBase.js
+ */
+
+import { connectDB } from "../connection/db.js";
+import { logger } from "../utils/logger.js";
+
+import { recomputeJobBaseSalariesService } from "../services/exchangeRateService.js";
+
+async function recompute() {
+    await connectDB();
+
+    logger.section("Recalculando salarios en moneda base");
+
+    const out = await recomputeJobBaseSalariesService(null, { fromScript: true });
+
+    for (const c of out.currencies) {
+        if (c.rate_to_base === null) logger.warn(`⚠ ${c.currency}: sin tipo de cambio (jobs sin *_base)`);
+    }
+
+    logger.success(`✔ Base ${out.base}: ${out.jobs_updated} jobs actualizados`);
+    process.exit(0);
+}
+
+recompute().catch((err) => {
+    logger.error(`❌ Error recomputeSalaryBase: ${err.message}`);
+    process.exit(1);
+});
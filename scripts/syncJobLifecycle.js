@@ -0,0 +1,43 @@
+/**
+ * =============================================================================
+ *  scripts/syncJobLifecycle.js — SINCRONIZA EL CICLO DE VIDA DE JOBS
+ * =============================================================================
+ *
+ * 1. Jobs sin status (bases creadas antes del ciclo de vida) → PUBLISHED.
+ * 2. Jobs PUBLISHED con expires_at vencido → EXPIRED.
+ *
+ * Los listados públicos ya ocultan los vencidos aunque no se corra; conviene
+ * programarlo (cron) para que el status persistido quede consistente.
+ *
+ * Uso:
+ *   node scripts/syncJobLifecycle.js
+ */
+
+import { connectDB } from "../connection/db.js";
+import { logger } from "../utils/logger.js";
+
+import Job from "../models/Job.js";
+import { expireOverdueJobsService } from "../services/jobService.js";
+
+async function sync() {
+    await connectDB();
+
+    logger.section("Sincronizando ciclo de vida de jobs");
+
+    const backfill = await Job.updateMany(
+        { $or: [{ status: { $exists: false } }, { status: null }] },
+        { $set: { status: "PUBLISHED" } }
+    );
+    logger.info(`Jobs sin status → PUBLISHED: ${backfill.modifiedCount ?? 0}`);
+
+    const expired = await expireOverdueJobsService();
+    logger.info(`Jobs vencidos → EXPIRED: ${expired}`);
+
+    logger.success("✔ Ciclo de vida sincronizado");
+    process.exit(0);
+}
+
+sync().catch((err) => {
+    logger.error(`❌ Error syncJobLifecycle: ${err.message}`);
+    process.exit(1);
+});
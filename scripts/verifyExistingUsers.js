@@ -0,0 +1,40 @@
+/**
+ * =============================================================================
+ *  scripts/verifyExistingUsers.js — MARCA COMO VERIFICADAS LAS CUENTAS PREVIAS
+ * =============================================================================
+ *
+ * Las cuentas creadas antes de la verificación de correo no tienen el campo
+ * email_verified (las nuevas siempre lo guardan, en false). Sin este paso esos
+ * candidatos reciben 403 email_not_verified al postularse.
+ *
+ * Solo toca documentos SIN el campo: es idempotente y no verifica cuentas
+ * registradas después del cambio.
+ *
+ * Uso:
+ *   node scripts/verifyExistingUsers.js
+ */
+
+import { connectDB } from "../connection/db.js";
+import { logger } from "../utils/logger.js";
+
+import User from "../models/User.js";
+
+async function verifyExisting() {
+    await connectDB();
+
+    logger.section("Marcando cuentas previas como verificadas");
+
+    const result = await User.updateMany(
+        { email_verified: { $exists: false } },
+        { $set: { email_verified: true, email_verified_at: new Date() } }
+    );
+    logger.info(`Cuentas previas → email_verified: ${result.modifiedCount ?? 0}`);
+
+    logger.success("✔ Cuentas previas verificadas");
+    process.exit(0);
+}
+
+verifyExisting().catch((err) => {
+    logger.error(`❌ Error verifyExistingUsers: ${err.message}`);
+    process.exit(1);
+});
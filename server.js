@@ -18,6 +18,17 @@ import "./models/Location.js";
 import "./models/Candidate.js";
 import "./models/Application.js";
 import "./models/FeaturedCompany.js";
+import "./models/Favorite.js";
+import "./models/SavedSearch.js";
+import "./models/Session.js";
+import "./models/AuthToken.js";
+import "./models/LoginThrottle.js";
+import "./models/CompanyInvitation.js";
+import "./models/ExchangeRate.js";
+import "./models/JobRevision.js";
+import "./models/Interview.js";
+import "./models/Notification.js";
+import "./models/ApplicationEvent.js";
 
 // Rutas
 import jobRoutes from "./routes/jobRoutes.js";
@@ -28,12 +39,34 @@ import candidateRoutes from "./routes/candidateRoutes.js";
 import companyCandidateRoutes from "./routes/companyCandidateRoutes.js";
 import authRoutes from "./routes/authRoutes.js";
 import applicationRoutes from "./routes/applicationRoutes.js";
+import favoriteRoutes from "./routes/favoriteRoutes.js";
+import exchangeRateRoutes from "./routes/exchangeRateRoutes.js";
+import interviewRoutes from "./routes/interviewRoutes.js";
+import notificationRoutes from "./routes/notificationRoutes.js";
 
 const app = express();
 const PORT = process.env.PORT || 8000;
 const HOST = process.env.HOST || "0.0.0.0";
 const __dirname = path.resolve();
 
+/**
+ * TRUST_PROXY → app.set("trust proxy"): define de dónde sale req.ip (conteo
+ * de fallos de login por IP). Sin proxy no se define (req.ip = socket).
+ * - número: saltos de proxy de confianza (p. ej. 1 detrás de un balanceador)
+ * - true/false, o lista de IPs/subredes ("loopback", "10.0.0.0/8", ...)
+ */
+function parseTrustProxy(raw) {
+    const value = String(raw ?? "").trim();
+    if (!value) return null;
+    if (value === "true") return true;
+    if (value === "false") return false;
+    if (/^\d+$/.test(value)) return Number(value);
+    return value;
+}
+
+const trustProxy = parseTrustProxy(process.env.TRUST_PROXY);
+if (trustProxy !== null) app.set("trust proxy", trustProxy);
+
 // Middlewares base
 app.use(cors());
 app.use(express.json());
@@ -55,6 +88,10 @@ app.use("/api/companies", companyRoutes);
 app.use("/api/candidates", candidateRoutes);
 app.use("/api/companies/:company_id/candidates", companyCandidateRoutes);
 app.use("/api/applications", applicationRoutes);
+app.use("/api/favorites", favoriteRoutes);
+app.use("/api/exchange-rates", exchangeRateRoutes);
+app.use("/api/interviews", interviewRoutes);
+app.use("/api/notifications", notificationRoutes);
 app.use("/api/auth", authRoutes);
 
 // Health
@@ -0,0 +1,261 @@
+// services/applicationEventService.js
+
+/**
+ * ============================================================================
+ * applicationEventService.js — Eventos de postulaciones en tiempo real (SSE)
+ * ============================================================================
+ *
+ * Identidad (actor)
+ * - { type: "candidate" | "company" | "admin", candidate_id?: number, company_id?: number }
+ *
+ * Publicación (la usa applicationService)
+ * - publishApplicationCreated / publishApplicationStatusChanged /
+ *   publishApplicationWithdrawn
+ * - Cada evento se guarda en ApplicationEvent (log para el replay) y se emite
+ *   en un EventEmitter del proceso hacia las conexiones abiertas.
+ * - Un fallo al publicar se registra en el log y NO interrumpe la operación.
+ * - La publicación se serializa por proceso (reservar event_id → guardar →
+ *   emitir): los eventos salen en orden de event_id, así que una conexión
+ *   nunca recibe 11 antes que 10 (que descartaría el 10 como ya enviado).
+ *
+ * Alcance del stream
+ * - candidate: sus postulaciones
+ * - company:   postulaciones de su empresa (permiso applications:read);
+ *              job_id? opcional
+ * - admin:     company_id? / candidate_id? / job_id? opcionales (sin filtro = todo)
+ *
+ * Reanudación
+ * - last_event_id (header Last-Event-ID): se reenvían del log los eventos
+ *   posteriores del mismo alcance antes de pasar a vivo, sin duplicados.
+ * - Si faltan más de MAX_REPLAY_EVENTS (o el log ya los eliminó) se envía un
+ *   evento "resync": el cliente debe volver a consultar el estado.
+ *
+ * Sesión
+ * - La conexión expone isSessionActive(): el controller la consulta en cada
+ *   heartbeat y cierra el stream si la sesión se revocó (logout, cambio de
+ *   password, baja o cambio de rol en la empresa) o expiró.
+ *
+ * Limitación
+ * - El push en vivo es por proceso: con varias instancias, un cliente recibe
+ *   en vivo solo lo ocurrido en la instancia a la que está conectado; el resto
+ *   lo recupera al reconectar (replay).
+ * ============================================================================
+ */
+
+import { EventEmitter } from "events";
+
+import ApplicationEvent from "../models/ApplicationEvent.js";
+import Counter from "../models/Counter.js";
+
+import { logger } from "../utils/logger.js";
+import { parseNumber } from "../utils/parsingUtils.js";
+import { companyRoleCan } from "../utils/auth/actorAccessUtils.js";
+import { isSessionActive } from "./authService.js";
+import {
+    toPublicApplicationEvent,
+    eventMatchesScope
+} from "../utils/events/applicationEventUtils.js";
+
+const MAX_REPLAY_EVENTS = 500;
+
+const bus = new EventEmitter();
+bus.setMaxListeners(0);
+
+// Cola de publicación del proceso (ver "Publicación" arriba)
+let publishQueue = Promise.resolve();
+
+/* =============================================================================
+ * Errores tipados
+ * =============================================================================
+ */
+function makeError(code, httpStatus, message) {
+    const err = new Error(message);
+    err.code = code;
+    err.httpStatus = httpStatus;
+    return err;
+}
+
+function optionalPositiveId(name, raw) {
+    if (raw === undefined || raw === null || raw === "") return undefined;
+    const n = parseNumber(raw);
+    if (!n || n <= 0) throw makeError("invalid_params", 400, `${name} debe ser un número > 0.`);
+    return n;
+}
+
+/* =============================================================================
+ * Publicación
+ * =============================================================================
+ */
+
+function publish(type, application, from_status = null) {
+    const run = publishQueue.then(() => persistAndEmit(type, application, from_status));
+    publishQueue = run;
+    return run;
+}
+
+// No lanza: un fallo no debe bloquear la cola ni la operación que publica
+async function persistAndEmit(type, application, from_status) {
+    try {
+        const counter = await Counter.findOneAndUpdate(
+            { _id: "application_event_id" },
+            { $inc: { seq: 1 } },
+            { new: true, upsert: true }
+        );
+
+        const event = await ApplicationEvent.create({
+            event_id: counter.seq,
+            type,
+            application_id: application.application_id,
+            job_id: application.job_id,
+            candidate_id: application.candidate_id,
+            company_id: application.company_id,
+            status: application.status,
+            from_status
+        });
+
+        bus.emit("event", toPublicApplicationEvent(event.toObject()));
+    } catch (err) {
+        logger.warn(`No se pudo publicar ${type}: ${err?.message || err}`);
+    }
+}
+
+/**
+ * @param {{ application_id, job_id, candidate_id, company_id, status }} application
+ */
+export async function publishApplicationCreated(application) {
+    return publish("APPLICATION_CREATED", application);
+}
+
+/**
+ * @param {{ application_id, job_id, candidate_id, company_id, status }} application  ya actualizada
+ * @param {string} from_status
+ */
+export async function publishApplicationStatusChanged(application, from_status) {
+    return publish("APPLICATION_STATUS_CHANGED", application, from_status);
+}
+
+/**
+ * @param {{ application_id, job_id, candidate_id, company_id, status }} application  ya retirada
+ * @param {string} from_status
+ */
+export async function publishApplicationWithdrawn(application, from_status) {
+    return publish("APPLICATION_WITHDRAWN", application, from_status);
+}
+
+/* =============================================================================
+ * Alcance
+ * =============================================================================
+ */
+
+function resolveEventScope(actor, queryParams = {}) {
+    if (!actor || !actor.type) throw makeError("unauthorized", 401, "Se requiere autenticación.");
+
+    if (actor.type === "candidate") {
+        if (!actor.candidate_id) throw makeError("forbidden", 403, "Cuenta sin candidato asociado.");
+        return { candidate_id: actor.candidate_id };
+    }
+
+    if (actor.type === "company") {
+        if (!actor.company_id) throw makeError("forbidden", 403, "Cuenta sin empresa asociada.");
+        if (!companyRoleCan(actor, "applications:read")) {
+            throw makeError("forbidden", 403, "Tu rol en la empresa no permite esta acción.");
+        }
+        const scope = { company_id: actor.company_id };
+        const job_id = optionalPositiveId("job_id", queryParams.job_id);
+        if (job_id) scope.job_id = job_id;
+        return scope;
+    }
+
+    if (actor.type === "admin") {
+        const scope = {};
+        for (const key of ["company_id", "candidate_id", "job_id"]) {
+            const id = optionalPositiveId(key, queryParams[key]);
+            if (id) scope[key] = id;
+        }
+        return scope;
+    }
+
+    throw makeError("forbidden", 403, "No autorizado.");
+}
+
+/* =============================================================================
+ * Stream
+ * =============================================================================
+ */
+
+/**
+ * openApplicationEventStreamService
+ *
+ * Valida el alcance (lanza antes de enviar nada), reenvía lo pendiente desde
+ * last_event_id y después entrega los eventos en vivo. Los eventos que llegan
+ * mientras corre el replay se guardan y se entregan al terminar, en orden y
+ * sin duplicados.
+ *
+ * @param {Object} actor
+ * @param {Object} options
+ * @param {number|null} options.last_event_id  null = solo en vivo
+ * @param {Object} [options.query]             job_id? (company/admin), company_id?, candidate_id? (admin)
+ * @param {Function} send  ({ id, event, data }) => void
+ * @returns {Promise<{ scope: Object, close: Function, isSessionActive: Function }>}
+ */
+export async function openApplicationEventStreamService(actor, { last_event_id = null, query = {} } = {}, send) {
+    const scope = resolveEventScope(actor, query);
+
+    let lastSent = last_event_id ?? 0;
+    let pending = [];
+    let closed = false;
+
+    const deliver = (event) => {
+        if (closed || event.event_id <= lastSent) return;
+        lastSent = event.event_id;
+        send({ id: event.event_id, event: event.type, data: event });
+    };
+
+    const listener = (event) => {
+        if (!eventMatchesScope(scope, event)) return;
+        if (pending) pending.push(event);
+        else deliver(event);
+    };
+
+    bus.on("event", listener);
+    const close = () => {
+        closed = true;
+        bus.off("event", listener);
+    };
+
+    try {
+        if (last_event_id !== null) {
+            const rows = await ApplicationEvent.find({ ...scope, event_id: { $gt: last_event_id } })
+                .sort({ event_id: 1 })
+                .limit(MAX_REPLAY_EVENTS + 1)
+                .lean();
+
+            // El más antiguo del log es posterior al id pedido → hubo eventos ya eliminados (TTL)
+            const oldest = await ApplicationEvent.findOne({})
+                .sort({ event_id: 1 })
+                .select({ _id: 0, event_id: 1 })
+                .lean();
+            const expired = oldest !== null && oldest.event_id > last_event_id + 1;
+
+            if (rows.length > MAX_REPLAY_EVENTS || expired) {
+                const newest = await ApplicationEvent.findOne(scope)
+                    .sort({ event_id: -1 })
+                    .select({ _id: 0, event_id: 1 })
+                    .lean();
+                lastSent = Math.max(lastSent, newest?.event_id ?? 0);
+                send({ id: lastSent, event: "resync", data: { reason: "replay_unavailable" } });
+            } else {
+                for (const row of rows) deliver(toPublicApplicationEvent(row));
+            }
+        }
+
+        const buffered = pending;
+        pending = null;
+        for (const event of buffered) deliver(event);
+    } catch (err) {
+        close();
+        throw err;
+    }
+
+    return { scope, close, isSessionActive: () => isSessionActive(actor) };
+}
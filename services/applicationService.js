@@ -15,27 +15,69 @@
  * - job_id (number)
  * - candidate_id (number)
  * - company_id (number)
+ * - job_revision (number | null)
  * - status (string)
  * - applied_at (date)
  * - updated_at (date)
+ * - status_history ([{ from_status, to_status, changed_at, changed_by, note }])
  *
  * Visibilidad
  * - Candidate (dueño) / Admin:
- *   - Puede crear postulación, listar sus postulaciones, consultar detalle y retirar postulación.
+ *   - Puede crear postulación, listar sus postulaciones, consultar detalle y retirar postulación
+ *     (retirar = transición a WITHDRAWN; el documento se conserva).
  *
  * - Company / Admin:
+ *   - Roles de empresa: owner/recruiter leen y escriben; viewer solo lee
+ *     (no puede actualizar status).
  *   - Puede listar postulaciones de su empresa.
  *   - Puede ver candidato de una postulación SOLO cuando la postulación pertenece a su company_id.
  *   - Puede actualizar el status de una postulación SOLO cuando pertenece a su company_id.
  *
+ * Máquina de estados
+ * - Los cambios de status siguen STATUS_TRANSITIONS; movimientos ilegales
+ *   lanzan ServiceError 409 ("invalid_transition").
+ * - Estados terminales (HIRED, REJECTED, WITHDRAWN) quedan bloqueados
+ *   ("application_locked", 409).
+ * - Admin puede forzar una corrección con override=true (queda marcado en el historial).
+ *
+ * Historial de status
+ * - Cada transición se agrega a status_history con el actor y una nota opcional.
+ * - status_history NO se incluye en listados/detalles; se consulta por endpoint:
+ *   - Company/Admin: timeline completo (actor + nota)
+ *   - Candidate: timeline sanitizado (solo status y fecha)
+ *
  * Datos de Job
- * - Este servicio NO incluye información del Job en respuestas.
- * - Solo se expone job_id.
+ * - Este servicio NO incluye información del Job en respuestas; solo se
+ *   exponen job_id y job_revision (revisión vigente al postularse).
+ * - Excepción: el detalle para empresa incluye job_posting, el contenido del
+ *   Job tal como lo vio el candidato (models/JobRevision.js).
+ *
+ * Evaluación interna (empresa)
+ * - recruiter_tags, recruiter_rating (1–5) y recruiter_notes por postulación.
+ * - Solo la empresa dueña (y admin) las ve; owner/recruiter las editan.
+ * - Nunca se incluyen en respuestas para el candidato (APPLICATION_PROJECTION)
+ *   y editarlas no modifica updated_at.
+ *
+ * Notificaciones (notificationService) y eventos en tiempo real (applicationEventService)
+ * - Crear → usuarios de la empresa; cambio de status → candidato;
+ *   retirar → usuarios de la empresa. Un fallo al notificar no afecta la operación.
+ * - Los mismos tres momentos se publican en el log de eventos / stream SSE.
+ *
+ * Entrevistas
+ * - Se gestionan en interviewService (models/Interview.js).
+ * - Al llegar a un estado terminal (HIRED, REJECTED, WITHDRAWN) las entrevistas
+ *   vigentes de la postulación se cancelan.
+ *
+ * Match score
+ * - Los listados/detalle para empresa incluyen match { score, breakdown } calculado
+ *   contra el Job de la postulación (ver utils/applications/matchScoreUtils.js).
  *
  * CV del candidato
  * - El CV no se guarda en Mongo.
  * - Se expone como URL protegida: /api/candidates/:candidate_id/cv
  * - El campo cv_url se calcula dinámicamente cuando se incluye candidato en respuestas.
+ * - Al postularse se copia a data/application_cv/<application_id>.pdf; la
+ *   postulación expone esa copia en cv_url (/api/applications/:application_id/cv).
  * ============================================================================
  */
 
@@ -45,10 +87,47 @@ import path from "path";
 import Application from "../models/Application.js";
 import Job from "../models/Job.js";
 import Candidate from "../models/Candidate.js";
+import JobRevision from "../models/JobRevision.js";
+import Interview from "../models/Interview.js";
+import Counter from "../models/Counter.js";
 
 import { buildPaginationParams } from "../utils/paginationUtils.js";
 import { addDateRangeFilter } from "../utils/mongoFilterUtils.js";
 import { parseNumber, parseDate } from "../utils/parsingUtils.js";
+import { ServiceError } from "../utils/serviceError.js";
+import { isJobOpen, effectiveJobStatus } from "../utils/jobs/jobLifecycleUtils.js";
+import { pickJobSnapshot } from "../utils/jobs/jobRevisionUtils.js";
+import { evaluateScreeningAnswers } from "../utils/jobs/screeningQuestionUtils.js";
+import { OPEN_INTERVIEW_STATUSES } from "../utils/interviews/interviewUtils.js";
+import {
+    normalizeRecruiterTags,
+    normalizeRecruiterRating,
+    normalizeRecruiterNote,
+    buildRecruiterReviewFilter
+} from "../utils/applications/recruiterReviewUtils.js";
+import { isUserEmailVerified } from "./authService.js";
+import {
+    notifyApplicationCreated,
+    notifyApplicationStatusChanged,
+    notifyApplicationWithdrawn
+} from "./notificationService.js";
+import {
+    publishApplicationCreated,
+    publishApplicationStatusChanged,
+    publishApplicationWithdrawn
+} from "./applicationEventService.js";
+import { companyRoleCan } from "../utils/auth/actorAccessUtils.js";
+import {
+    pickCandidateProfile,
+    buildCandidateProfileProjection
+} from "../utils/candidates/candidateProfileUtils.js";
+import { buildJobMatchProfile, computeMatchScore } from "../utils/applications/matchScoreUtils.js";
+import {
+    DAY_MS,
+    round2,
+    ratio,
+    buildWeeklySeries
+} from "../utils/applications/pipelineMetricsUtils.js";
 
 /* =============================================================================
  * Constantes públicas
@@ -60,11 +139,60 @@ export const APPLICATION_STATUSES = Object.freeze([
     "INTERVIEW",
     "OFFERED",
     "REJECTED",
-    "HIRED"
+    "HIRED",
+    "WITHDRAWN"
 ]);
 
 export const NOT_APPLIED = "NOT_APPLIED";
 
+/**
+ * Grafo de transiciones permitidas: status actual -> status destino.
+ * - Un status sin salidas es terminal (la postulación queda bloqueada).
+ * - WITHDRAWN solo lo alcanza el candidato vía withdrawApplicationService.
+ */
+export const STATUS_TRANSITIONS = Object.freeze({
+    APPLIED: Object.freeze(["REVIEWING", "INTERVIEW", "REJECTED", "WITHDRAWN"]),
+    REVIEWING: Object.freeze(["INTERVIEW", "OFFERED", "REJECTED", "WITHDRAWN"]),
+    INTERVIEW: Object.freeze(["REVIEWING", "OFFERED", "REJECTED", "WITHDRAWN"]),
+    OFFERED: Object.freeze(["HIRED", "REJECTED", "WITHDRAWN"]),
+    HIRED: Object.freeze([]),
+    REJECTED: Object.freeze([]),
+    WITHDRAWN: Object.freeze([])
+});
+
+/**
+ * Etapas del embudo (orden de avance). REJECTED/WITHDRAWN son salidas, no etapas.
+ */
+export const FUNNEL_STAGES = Object.freeze(["APPLIED", "REVIEWING", "INTERVIEW", "OFFERED", "HIRED"]);
+
+/**
+ * Status que una empresa puede asignar por PATCH (WITHDRAWN es exclusivo del candidato).
+ */
+export const COMPANY_SETTABLE_STATUSES = Object.freeze(
+    APPLICATION_STATUSES.filter((s) => s !== "WITHDRAWN")
+);
+
+export const MAX_STATUS_NOTE_LENGTH = 1000;
+export const MAX_COVER_LETTER_LENGTH = 5000;
+export const MAX_BULK_STATUS_APPLICATIONS = 1000;
+const BULK_FILTER_FIELDS = Object.freeze(["job_id", "status", "from", "to"]);
+
+/**
+ * Proyección estándar: oculta campos internos, el historial de status, las
+ * respuestas de filtro y la evaluación interna de la empresa (solo van en las
+ * vistas para empresa).
+ */
+const APPLICATION_PROJECTION = Object.freeze({
+    _id: 0,
+    __v: 0,
+    status_history: 0,
+    screening_answers: 0,
+    knocked_out: 0,
+    recruiter_tags: 0,
+    recruiter_rating: 0,
+    recruiter_notes: 0
+});
+
 /* =============================================================================
  * Errores tipados (para que el controller responda consistente)
  * =============================================================================
@@ -94,12 +222,19 @@ function requireSelfCandidateOrAdmin(actor, candidate_id) {
     }
 }
 
-function requireSelfCompanyOrAdmin(actor, company_id) {
+/**
+ * permission (opcional): llave de COMPANY_PERMISSIONS que el rol debe tener
+ * (p. ej. "applications:write"; viewer solo lee).
+ */
+function requireSelfCompanyOrAdmin(actor, company_id, permission = "applications:read") {
     requireActor(actor);
     if (actor.type === "admin") return;
     if (actor.type !== "company" || actor.company_id !== company_id) {
         throw makeError("forbidden", 403, "No autorizado para esta empresa.");
     }
+    if (!companyRoleCan(actor, permission)) {
+        throw makeError("forbidden", 403, "Tu rol en la empresa no permite esta acción.");
+    }
 }
 
 function requireApplicationOwnership(actor, application) {
@@ -128,6 +263,36 @@ function normalizeStatus(raw) {
     return APPLICATION_STATUSES.includes(s) ? s : null;
 }
 
+function normalizeNote(raw) {
+    if (raw === undefined || raw === null) return null;
+    const s = String(raw).trim();
+    if (!s) return null;
+    if (s.length > MAX_STATUS_NOTE_LENGTH) {
+        throw makeError("invalid_params", 400, `note admite máximo ${MAX_STATUS_NOTE_LENGTH} caracteres.`);
+    }
+    return s;
+}
+
+function normalizeCoverLetter(raw) {
+    if (raw === undefined || raw === null) return null;
+    if (typeof raw !== "string") throw makeError("invalid_payload", 400, "cover_letter debe ser texto.");
+    const s = raw.trim();
+    if (!s) return null;
+    if (s.length > MAX_COVER_LETTER_LENGTH) {
+        throw makeError(
+            "invalid_payload",
+            400,
+            `cover_letter admite máximo ${MAX_COVER_LETTER_LENGTH} caracteres.`
+        );
+    }
+    return s;
+}
+
+function parseBoolean(raw) {
+    if (raw === true) return true;
+    return String(raw ?? "").trim().toLowerCase() === "true";
+}
+
 function isDuplicateKeyError(err) {
     return err?.code === 11000 || /E11000 duplicate key/.test(String(err?.message || ""));
 }
@@ -142,6 +307,40 @@ function getCvPath(candidate_id) {
 function getCvUrl(candidate_id) {
     return `/api/candidates/${candidate_id}/cv`;
 }
+
+/**
+ * Copia del CV tomada al postularse: data/application_cv/<application_id>.pdf.
+ * Un re-upload posterior del CV del candidato no la modifica.
+ */
+function getApplicationCvPath(application_id) {
+    return path.resolve("data", "application_cv", `${application_id}.pdf`);
+}
+function getApplicationCvUrl(application_id) {
+    return `/api/applications/${application_id}/cv`;
+}
+
+/**
+ * Copia el CV vigente del candidato a la postulación.
+ * @returns {Date|null} momento de la copia, o null si el candidato no tiene CV
+ */
+function snapshotCandidateCv(candidate_id, application_id) {
+    const source = getCvPath(candidate_id);
+    if (!fs.existsSync(source)) return null;
+
+    const dir = path.resolve("data", "application_cv");
+    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+
+    fs.copyFileSync(source, getApplicationCvPath(application_id));
+    return new Date();
+}
+
+function withApplicationCvUrl(application) {
+    if (!application) return application;
+    return {
+        ...application,
+        cv_url: application.cv_snapshot_at ? getApplicationCvUrl(application.application_id) : null
+    };
+}
 function attachCvUrlToCandidateDTO(candidate) {
     const has = fs.existsSync(getCvPath(candidate.candidate_id));
     return {
@@ -152,10 +351,151 @@ function attachCvUrlToCandidateDTO(candidate) {
         state: candidate.state ?? null,
         city: candidate.city ?? null,
         headline: candidate.headline ?? null,
+        ...pickCandidateProfile(candidate),
         cv_url: has ? getCvUrl(candidate.candidate_id) : null
     };
 }
 
+/* =============================================================================
+ * Máquina de estados
+ * =============================================================================
+ */
+export function isTerminalStatus(status) {
+    const next = STATUS_TRANSITIONS[status];
+    return !next || next.length === 0;
+}
+
+export function canTransition(from, to) {
+    return (STATUS_TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * Valida from -> to contra STATUS_TRANSITIONS.
+ *
+ * @param {string} from
+ * @param {string} to
+ * @param {Object} [options]
+ * @param {boolean} [options.override=false]  Admin: omite la validación.
+ *
+ * @throws {ServiceError}
+ *   - 409 application_locked: from es terminal
+ *   - 409 invalid_transition: to no es alcanzable desde from
+ */
+function assertTransition(from, to, { override = false } = {}) {
+    if (override) return;
+
+    if (isTerminalStatus(from)) {
+        throw new ServiceError(
+            "application_locked",
+            `La postulación está en ${from} y ya no admite cambios de status.`,
+            409,
+            { from, to, allowed: [] }
+        );
+    }
+
+    if (!canTransition(from, to)) {
+        throw new ServiceError(
+            "invalid_transition",
+            `Transición no permitida: ${from} -> ${to}.`,
+            409,
+            { from, to, allowed: [...STATUS_TRANSITIONS[from]] }
+        );
+    }
+}
+
+/**
+ * override solo es válido para admin.
+ */
+function resolveOverride(actor, raw) {
+    const override = parseBoolean(raw);
+    if (override && actor?.type !== "admin") {
+        throw makeError("forbidden", 403, "Solo un admin puede forzar transiciones de status.");
+    }
+    return override;
+}
+
+/* =============================================================================
+ * Historial de status
+ * =============================================================================
+ */
+function buildTransition(actor, from_status, to_status, note = null, override = false) {
+    return {
+        from_status,
+        to_status,
+        changed_at: new Date(),
+        changed_by: {
+            user_id: actor?.user_id ?? null,
+            type: actor?.type ?? null
+        },
+        note,
+        override
+    };
+}
+
+/**
+ * Postulaciones creadas antes del historial no tienen la entrada inicial;
+ * se reconstruye a partir de applied_at.
+ */
+function withInitialTransition(application) {
+    const history = Array.isArray(application.status_history) ? application.status_history : [];
+    if (history.length > 0 && history[0].from_status == null) return history;
+
+    return [
+        {
+            from_status: null,
+            to_status: "APPLIED",
+            changed_at: application.applied_at ?? null,
+            changed_by: null,
+            note: null
+        },
+        ...history
+    ];
+}
+
+function toCandidateTimeline(history) {
+    return history.map((h) => ({
+        status: h.to_status,
+        changed_at: h.changed_at
+    }));
+}
+
+function stripHistory(application) {
+    if (!application) return application;
+    const {
+        _id,
+        __v,
+        status_history,
+        screening_answers,
+        knocked_out,
+        recruiter_tags,
+        recruiter_rating,
+        recruiter_notes,
+        ...rest
+    } = application;
+    return rest;
+}
+
+/**
+ * Cancela las entrevistas vigentes (PROPOSED/SCHEDULED) de una postulación
+ * que llegó a un estado terminal.
+ */
+async function cancelOpenInterviews(actor, application_id, to_status) {
+    const now = new Date();
+    await Interview.updateMany(
+        { application_id, status: { $in: OPEN_INTERVIEW_STATUSES } },
+        {
+            $set: {
+                status: "CANCELLED",
+                cancelled_at: now,
+                cancelled_by: { user_id: actor?.user_id ?? null, type: actor?.type ?? null },
+                cancel_reason: `Postulación en ${to_status}.`,
+                updated_at: now
+            },
+            $inc: { sequence: 1 }
+        }
+    );
+}
+
 /* =============================================================================
  * Filtros/paginación
  * =============================================================================
@@ -167,8 +507,18 @@ function buildSort(queryParams = {}) {
     return { [sortBy]: dir, application_id: -1 };
 }
 
+/**
+ * Sort del listado de empresa: además de buildSort admite sortBy=rating
+ * (recruiter_rating; sin calificar va al final en desc).
+ */
+function buildCompanySort(queryParams = {}) {
+    if (String(queryParams.sortBy || "") !== "rating") return buildSort(queryParams);
+    const dir = String(queryParams.sortDir || "desc").toLowerCase() === "asc" ? 1 : -1;
+    return { recruiter_rating: dir, applied_at: -1, application_id: -1 };
+}
+
 function buildCandidateFilter(candidate_id, queryParams = {}) {
-    const filter = { candidate_id };
+    const filter = { candidate_id, deleted_at: null };
 
     const st = normalizeStatus(queryParams.status);
     if (st) filter.status = st;
@@ -178,7 +528,7 @@ function buildCandidateFilter(candidate_id, queryParams = {}) {
 }
 
 function buildCompanyFilter(company_id, queryParams = {}) {
-    const filter = { company_id };
+    const filter = { company_id, deleted_at: null };
 
     const jid = parseNumber(queryParams.job_id);
     if (jid && jid > 0) filter.job_id = jid;
@@ -200,12 +550,25 @@ function buildCompanyFilter(company_id, queryParams = {}) {
  * Crea postulación (candidate_id, job_id).
  *
  * Acceso
- * - candidate: solo puede crear para su candidate_id
+ * - candidate: solo puede crear para su candidate_id y con email verificado
+ *   (si no: 403 "email_not_verified")
  * - admin: permitido
  *
  * Reglas
  * - company_id se deriva del Job
+ * - El Job debe estar abierto (PUBLISHED, publish_at alcanzado, sin expirar);
+ *   si no: 409 "job_not_open" con meta { job_status, publish_at }
  * - Unicidad por (candidate_id, job_id)
+ * - Registra la transición inicial (null -> APPLIED) en status_history
+ * - Guarda job_revision = revisión vigente del Job
+ * - cover_letter opcional (texto, máx. MAX_COVER_LETTER_LENGTH)
+ * - Copia el CV vigente del candidato a la postulación (cv_snapshot_at / cv_url);
+ *   sin CV al postularse, cv_url queda null
+ * - screening_answers: [{ question_id, answer }] contra Job.screening_questions
+ *   (400 "invalid_screening_answers" con meta { question_id } si falta una
+ *   requerida, sobra o es inválida). Un knockout crea la postulación ya en
+ *   REJECTED (transición automática APPLIED -> REJECTED sin actor).
+ * - Una postulación retirada (WITHDRAWN) no se re-crea: responde already_exists
  *
  * Respuestas
  * - { status:"created", application }
@@ -213,32 +576,87 @@ function buildCompanyFilter(company_id, queryParams = {}) {
  * - { status:"candidate_not_found" }
  * - { status:"job_not_found" }
  */
-export async function createApplicationService(actor, { candidate_id, job_id }) {
+export async function createApplicationService(
+    actor,
+    { candidate_id, job_id, screening_answers, cover_letter }
+) {
     const cid = requirePositiveId("candidate_id", candidate_id);
     const jid = requirePositiveId("job_id", job_id);
+    const coverLetter = normalizeCoverLetter(cover_letter);
 
     requireSelfCandidateOrAdmin(actor, cid);
 
+    if (actor.type === "candidate" && !(await isUserEmailVerified(actor.user_id))) {
+        throw makeError("email_not_verified", 403, "Debes verificar tu correo antes de postularte.");
+    }
+
     const [candidateExists, job] = await Promise.all([
-        Candidate.findOne({ candidate_id: cid }).select({ candidate_id: 1 }).lean(),
-        Job.findOne({ job_id: jid }).select({ job_id: 1, company_id: 1 }).lean()
+        Candidate.findOne({ candidate_id: cid, deleted_at: null }).select({ candidate_id: 1 }).lean(),
+        Job.findOne({ job_id: jid, deleted_at: null })
+            .select({
+                job_id: 1,
+                company_id: 1,
+                status: 1,
+                publish_at: 1,
+                expires_at: 1,
+                revision: 1,
+                screening_questions: 1
+            })
+            .lean()
     ]);
 
     if (!candidateExists) return { status: "candidate_not_found" };
     if (!job) return { status: "job_not_found" };
 
+    if (!isJobOpen(job)) {
+        throw new ServiceError(
+            "job_not_open",
+            "El empleo no está abierto a postulaciones.",
+            409,
+            { job_status: effectiveJobStatus(job), publish_at: job.publish_at ?? null }
+        );
+    }
+
+    const screening = evaluateScreeningAnswers(job.screening_questions || [], screening_answers);
+
+    const history = [buildTransition(actor, null, "APPLIED")];
+    if (screening.knocked_out) {
+        const note = `Descarte automático por preguntas de filtro: ${screening.knockout_question_ids.join(", ")}`;
+        history.push(buildTransition(null, "APPLIED", "REJECTED", note));
+    }
+
     try {
         const created = await Application.create({
             candidate_id: cid,
             job_id: jid,
-            company_id: job.company_id
+            company_id: job.company_id,
+            job_revision: job.revision ?? 1,
+            status: screening.knocked_out ? "REJECTED" : "APPLIED",
+            cover_letter: coverLetter,
+            screening_answers: screening.answers,
+            knocked_out: screening.knocked_out,
+            status_history: history
         });
 
-        return { status: "created", application: created.toObject() };
+        const cvSnapshotAt = snapshotCandidateCv(cid, created.application_id);
+        if (cvSnapshotAt) {
+            await Application.updateOne(
+                { application_id: created.application_id },
+                { $set: { cv_snapshot_at: cvSnapshotAt } }
+            );
+            created.cv_snapshot_at = cvSnapshotAt;
+        }
+
+        await notifyApplicationCreated(created);
+        await publishApplicationCreated(created);
+
+        return { status: "created", application: withApplicationCvUrl(stripHistory(created.toObject())) };
     } catch (err) {
         if (!isDuplicateKeyError(err)) throw err;
 
-        const existing = await Application.findOne({ candidate_id: cid, job_id: jid }).lean();
+        const existing = await Application.findOne({ candidate_id: cid, job_id: jid })
+            .select(APPLICATION_PROJECTION)
+            .lean();
         return { status: "already_exists", application: existing };
     }
 }
@@ -263,11 +681,76 @@ export async function createApplicationService(actor, { candidate_id, job_id })
 export async function getApplicationByIdService(actor, application_id) {
     const aid = requirePositiveId("application_id", application_id);
 
-    const application = await Application.findOne({ application_id: aid }).lean();
+    const application = await Application.findOne({ application_id: aid, deleted_at: null })
+        .select(APPLICATION_PROJECTION)
+        .lean();
     if (!application) return { status: "not_found" };
 
     requireApplicationOwnership(actor, application);
-    return { status: "ok", application };
+    return { status: "ok", application: withApplicationCvUrl(application) };
+}
+
+/**
+ * resolveApplicationCvService
+ * Resuelve la copia del CV enviada con la postulación (PDF).
+ *
+ * Acceso
+ * - candidate/company: solo si la postulación le pertenece
+ * - admin: permitido
+ *
+ * Respuestas
+ * - { status:"ok", file_path }
+ * - { status:"not_found" }
+ * - { status:"no_cv" } (postuló sin CV, o postulación previa a las copias)
+ */
+export async function resolveApplicationCvService(actor, application_id) {
+    const aid = requirePositiveId("application_id", application_id);
+
+    const application = await Application.findOne({ application_id: aid, deleted_at: null })
+        .select({ _id: 0, application_id: 1, candidate_id: 1, company_id: 1, cv_snapshot_at: 1 })
+        .lean();
+    if (!application) return { status: "not_found" };
+
+    requireApplicationOwnership(actor, application);
+
+    const filePath = getApplicationCvPath(aid);
+    if (!application.cv_snapshot_at || !fs.existsSync(filePath)) return { status: "no_cv" };
+
+    return { status: "ok", file_path: filePath };
+}
+
+/**
+ * Contenido del Job tal como lo vio el candidato al postularse.
+ *
+ * Respuesta
+ * - { revision, current_revision, changed_since_applied, content }
+ *   content: snapshot de la revisión (JOB_REVISION_FIELDS) o null si no se
+ *   conserva (postulación previa al historial, o job purgado).
+ * - null si el job ya no existe
+ */
+async function loadJobPostingAsApplied(application) {
+    const job = await Job.findOne({ job_id: application.job_id }).lean();
+    if (!job) return null;
+
+    const current = job.revision ?? 1;
+    const revision = application.job_revision ?? null;
+
+    let content = null;
+    if (revision !== null) {
+        const row = await JobRevision.findOne({ job_id: job.job_id, revision })
+            .select({ _id: 0, snapshot: 1 })
+            .lean();
+
+        // Job sin historial que no ha cambiado: su contenido actual es el que vio
+        content = row?.snapshot ?? (revision === current ? pickJobSnapshot(job) : null);
+    }
+
+    return {
+        revision,
+        current_revision: current,
+        changed_since_applied: revision !== null ? current !== revision : null,
+        content
+    };
 }
 
 /**
@@ -279,7 +762,11 @@ export async function getApplicationByIdService(actor, application_id) {
  * - admin: permitido
  *
  * Respuestas
- * - { status:"ok", application, candidate }
+ * - { status:"ok", application, candidate, match, job_posting }
+ *   (application incluye cover_letter, cv_url (copia enviada al postularse),
+ *   screening_answers [{ question_id, prompt, type, answer, knockout }] y knocked_out)
+ *   (match: { score, breakdown } contra el Job; null si el job o el candidato ya no existen)
+ *   (job_posting: ver loadJobPostingAsApplied)
  * - { status:"not_found" }
  */
 export async function getCompanyApplicationDetailService(actor, { company_id, application_id }) {
@@ -289,7 +776,7 @@ export async function getCompanyApplicationDetailService(actor, { company_id, ap
     requireSelfCompanyOrAdmin(actor, coid);
 
     const rows = await Application.aggregate([
-        { $match: { company_id: coid, application_id: aid } },
+        { $match: { company_id: coid, application_id: aid, deleted_at: null } },
         {
             $lookup: {
                 from: "candidates",
@@ -307,7 +794,15 @@ export async function getCompanyApplicationDetailService(actor, { company_id, ap
                     job_id: "$job_id",
                     candidate_id: "$candidate_id",
                     company_id: "$company_id",
+                    job_revision: "$job_revision",
                     status: "$status",
+                    cover_letter: { $ifNull: ["$cover_letter", null] },
+                    cv_snapshot_at: { $ifNull: ["$cv_snapshot_at", null] },
+                    knocked_out: { $ifNull: ["$knocked_out", false] },
+                    screening_answers: { $ifNull: ["$screening_answers", []] },
+                    recruiter_tags: { $ifNull: ["$recruiter_tags", []] },
+                    recruiter_rating: { $ifNull: ["$recruiter_rating", null] },
+                    recruiter_notes: { $ifNull: ["$recruiter_notes", []] },
                     applied_at: "$applied_at",
                     updated_at: "$updated_at"
                 },
@@ -318,7 +813,8 @@ export async function getCompanyApplicationDetailService(actor, { company_id, ap
                     country: "$candidate.country",
                     state: "$candidate.state",
                     city: "$candidate.city",
-                    headline: "$candidate.headline"
+                    headline: "$candidate.headline",
+                    ...buildCandidateProfileProjection("$candidate")
                 }
             }
         }
@@ -327,9 +823,19 @@ export async function getCompanyApplicationDetailService(actor, { company_id, ap
     if (!rows || rows.length === 0) return { status: "not_found" };
 
     const row = rows[0];
-    const candidate = row.candidate?.candidate_id ? attachCvUrlToCandidateDTO(row.candidate) : null;
+    const rawCandidate = row.candidate?.candidate_id ? row.candidate : null;
+    const [profiles, jobPosting] = await Promise.all([
+        loadJobMatchProfiles([row.application.job_id]),
+        loadJobPostingAsApplied(row.application)
+    ]);
 
-    return { status: "ok", application: row.application, candidate };
+    return {
+        status: "ok",
+        application: withApplicationCvUrl(row.application),
+        candidate: rawCandidate ? attachCvUrlToCandidateDTO(rawCandidate) : null,
+        match: matchFor(profiles, row.application.job_id, rawCandidate),
+        job_posting: jobPosting
+    };
 }
 
 /**
@@ -349,7 +855,7 @@ export async function getApplicationStatusService(actor, { candidate_id, job_id
 
     requireSelfCandidateOrAdmin(actor, cid);
 
-    const app = await Application.findOne({ candidate_id: cid, job_id: jid })
+    const app = await Application.findOne({ candidate_id: cid, job_id: jid, deleted_at: null })
         .select({ status: 1 })
         .lean();
 
@@ -379,7 +885,7 @@ export async function getStatusesForJobsService(actor, { candidate_id, job_ids }
 
     if (ids.length === 0) return { status: "ok", map: {} };
 
-    const apps = await Application.find({ candidate_id: cid, job_id: { $in: ids } })
+    const apps = await Application.find({ candidate_id: cid, job_id: { $in: ids }, deleted_at: null })
         .select({ job_id: 1, status: 1 })
         .lean();
 
@@ -422,7 +928,7 @@ export async function listApplicationsByCandidateService(actor, candidate_id, qu
 
     const [total, items] = await Promise.all([
         Application.countDocuments(filter),
-        Application.find(filter).sort(sort).skip(skip).limit(limit).lean()
+        Application.find(filter).select(APPLICATION_PROJECTION).sort(sort).skip(skip).limit(limit).lean()
     ]);
 
     return { status: "ok", total, page, limit, items };
@@ -456,91 +962,238 @@ export async function listApplicationsByCompanyService(actor, company_id, queryP
 
     const [total, items] = await Promise.all([
         Application.countDocuments(filter),
-        Application.find(filter).sort(sort).skip(skip).limit(limit).lean()
+        Application.find(filter).select(APPLICATION_PROJECTION).sort(sort).skip(skip).limit(limit).lean()
     ]);
 
     return { status: "ok", total, page, limit, items };
 }
 
+/**
+ * Stages de aggregate: $lookup del candidato + proyección de postulación con candidato.
+ */
+function candidateLookupStages() {
+    return [
+        {
+            $lookup: {
+                from: "candidates",
+                localField: "candidate_id",
+                foreignField: "candidate_id",
+                as: "candidate"
+            }
+        },
+        { $unwind: { path: "$candidate", preserveNullAndEmptyArrays: true } },
+        {
+            $project: {
+                _id: 0,
+                application_id: 1,
+                job_id: 1,
+                candidate_id: 1,
+                company_id: 1,
+                status: 1,
+                applied_at: 1,
+                updated_at: 1,
+                recruiter_tags: { $ifNull: ["$recruiter_tags", []] },
+                recruiter_rating: { $ifNull: ["$recruiter_rating", null] },
+                recruiter_notes_count: { $size: { $ifNull: ["$recruiter_notes", []] } },
+                candidate: {
+                    candidate_id: "$candidate.candidate_id",
+                    full_name: "$candidate.full_name",
+                    contact: "$candidate.contact",
+                    country: "$candidate.country",
+                    state: "$candidate.state",
+                    city: "$candidate.city",
+                    headline: "$candidate.headline",
+                    ...buildCandidateProfileProjection("$candidate")
+                }
+            }
+        }
+    ];
+}
+
+/* =============================================================================
+ * Match score (job ↔ candidato)
+ * =============================================================================
+ */
+
+// Máximo de postulaciones que se rankean en memoria con sortBy=match
+const MAX_MATCH_RANKED_APPLICATIONS = 5000;
+
+const JOB_MATCH_FIELDS = Object.freeze({
+    _id: 0,
+    job_id: 1,
+    title: 1,
+    description: 1,
+    country: 1,
+    state: 1,
+    city: 1,
+    work_location_type: 1
+});
+
+const CANDIDATE_MATCH_FIELDS = Object.freeze({
+    _id: 0,
+    candidate_id: 1,
+    headline: 1,
+    country: 1,
+    state: 1,
+    city: 1,
+    skills: 1,
+    experience: 1,
+    work_location_preferences: 1
+});
+
+async function loadJobMatchProfiles(job_ids) {
+    const ids = [...new Set(job_ids)];
+    if (ids.length === 0) return new Map();
+
+    const jobs = await Job.find({ job_id: { $in: ids } }).select(JOB_MATCH_FIELDS).lean();
+    return new Map(jobs.map((j) => [j.job_id, buildJobMatchProfile(j)]));
+}
+
+function matchFor(profiles, job_id, candidate) {
+    const profile = profiles.get(job_id);
+    if (!profile || !candidate) return null;
+    return computeMatchScore(profile, candidate);
+}
+
+function isMatchSort(queryParams = {}) {
+    return String(queryParams.sortBy || "") === "match";
+}
+
+/**
+ * Rankea por match score las postulaciones del filtro (las
+ * MAX_MATCH_RANKED_APPLICATIONS más recientes) y regresa los application_id de
+ * la página, cuántas se rankearon y si quedaron postulaciones fuera.
+ * Empates: application_id desc.
+ *
+ * @returns {Promise<{ ids: number[], ranked: number, truncated: boolean }>}
+ */
+async function rankApplicationIdsByMatch(match, queryParams, { skip, limit }) {
+    const found = await Application.find(match)
+        .select({ _id: 0, application_id: 1, job_id: 1, candidate_id: 1 })
+        .sort({ application_id: -1 })
+        .limit(MAX_MATCH_RANKED_APPLICATIONS + 1)
+        .lean();
+
+    const truncated = found.length > MAX_MATCH_RANKED_APPLICATIONS;
+    const rows = truncated ? found.slice(0, MAX_MATCH_RANKED_APPLICATIONS) : found;
+
+    const candidateIds = [...new Set(rows.map((r) => r.candidate_id))];
+    const [profiles, candidates] = await Promise.all([
+        loadJobMatchProfiles(rows.map((r) => r.job_id)),
+        Candidate.find({ candidate_id: { $in: candidateIds } }).select(CANDIDATE_MATCH_FIELDS).lean()
+    ]);
+    const candidateById = new Map(candidates.map((c) => [c.candidate_id, c]));
+
+    const dir = String(queryParams.sortDir || "desc").toLowerCase() === "asc" ? 1 : -1;
+
+    const ranked = rows
+        .map((r) => ({
+            application_id: r.application_id,
+            score: matchFor(profiles, r.job_id, candidateById.get(r.candidate_id))?.score ?? 0
+        }))
+        .sort((a, b) => (a.score - b.score) * dir || b.application_id - a.application_id);
+
+    return {
+        ids: ranked.slice(skip, skip + limit).map((r) => r.application_id),
+        ranked: ranked.length,
+        truncated
+    };
+}
+
 /**
  * listCompanyApplicationsWithCandidateService
- * Lista postulaciones de una empresa e incluye candidato visible + cv_url.
+ * Lista postulaciones de una empresa e incluye candidato visible + cv_url
+ * y el match score del candidato contra el job de la postulación.
  *
  * Acceso
  * - company: solo su company_id
  * - admin: permitido
  *
+ * Filtros (además de job_id, status, from, to)
+ * - tags=a,b (todas), tags_any=a,b (alguna)
+ * - min_rating / max_rating (1–5), rated=true|false
+ *
+ * Orden
+ * - sortBy: applied_at (default) | updated_at | application_id | status | job_id |
+ *           candidate_id | rating | match
+ * - sortBy=rating: sin calificar al final en desc (al inicio en asc).
+ * - sortBy=match rankea en memoria las postulaciones del filtro (máx. 5000 más
+ *   recientes); sortDir default desc. total es el número rankeado y
+ *   truncated=true indica que hay postulaciones más antiguas fuera del ranking
+ *   (acotar con job_id / status / from / to).
+ *
  * Respuesta
  * - { status:"ok", total, page, limit, items }
+ * - con sortBy=match además truncated
  *   items[]:
  *   - application_id, job_id, candidate_id, company_id, status, applied_at, updated_at
- *   - candidate: { candidate_id, full_name, contact, country, state, city, headline, cv_url }
+ *   - recruiter_tags, recruiter_rating, recruiter_notes_count
+ *   - candidate: { candidate_id, full_name, contact, country, state, city, headline,
+ *                  experience, education, skills, languages, desired_salary,
+ *                  work_location_preferences, cv_url }
+ *   - match: { score (0–100), breakdown: { skills, headline, location, work_location } } | null
  */
 export async function listCompanyApplicationsWithCandidateService(actor, company_id, queryParams = {}) {
     const coid = requirePositiveId("company_id", company_id);
     requireSelfCompanyOrAdmin(actor, coid);
 
     const { page, limit, skip } = buildPaginationParams(queryParams);
-    const match = buildCompanyFilter(coid, queryParams);
-
-    const out = await Application.aggregate([
-        { $match: match },
-        { $sort: { applied_at: -1, application_id: -1 } },
-        {
-            $facet: {
-                meta: [{ $count: "total" }],
-                items: [
-                    { $skip: skip },
-                    { $limit: limit },
-                    {
-                        $lookup: {
-                            from: "candidates",
-                            localField: "candidate_id",
-                            foreignField: "candidate_id",
-                            as: "candidate"
-                        }
-                    },
-                    { $unwind: { path: "$candidate", preserveNullAndEmptyArrays: true } },
-                    {
-                        $project: {
-                            _id: 0,
-                            application_id: 1,
-                            job_id: 1,
-                            candidate_id: 1,
-                            company_id: 1,
-                            status: 1,
-                            applied_at: 1,
-                            updated_at: 1,
-                            candidate: {
-                                candidate_id: "$candidate.candidate_id",
-                                full_name: "$candidate.full_name",
-                                contact: "$candidate.contact",
-                                country: "$candidate.country",
-                                state: "$candidate.state",
-                                city: "$candidate.city",
-                                headline: "$candidate.headline"
-                            }
-                        }
-                    }
-                ]
-            }
-        },
-        {
-            $project: {
-                total: { $ifNull: [{ $arrayElemAt: ["$meta.total", 0] }, 0] },
-                items: 1
+    const match = { ...buildCompanyFilter(coid, queryParams), ...buildRecruiterReviewFilter(queryParams) };
+    const byMatch = isMatchSort(queryParams);
+
+    let total;
+    let rawItems;
+    let truncated;
+
+    if (byMatch) {
+        const ranking = await rankApplicationIdsByMatch(match, queryParams, { skip, limit });
+        const pageIds = ranking.ids;
+
+        const rows = pageIds.length
+            ? await Application.aggregate([
+                { $match: { company_id: coid, application_id: { $in: pageIds } } },
+                ...candidateLookupStages()
+            ])
+            : [];
+
+        const position = new Map(pageIds.map((id, i) => [id, i]));
+        total = ranking.ranked;
+        truncated = ranking.truncated;
+        rawItems = rows.sort((a, b) => position.get(a.application_id) - position.get(b.application_id));
+    } else {
+        const out = await Application.aggregate([
+            { $match: match },
+            { $sort: buildCompanySort(queryParams) },
+            {
+                $facet: {
+                    meta: [{ $count: "total" }],
+                    items: [{ $skip: skip }, { $limit: limit }, ...candidateLookupStages()]
+                }
+            },
+            {
+                $project: {
+                    total: { $ifNull: [{ $arrayElemAt: ["$meta.total", 0] }, 0] },
+                    items: 1
+                }
             }
-        }
-    ]);
+        ]);
+
+        total = out?.[0]?.total ?? 0;
+        rawItems = out?.[0]?.items ?? [];
+    }
 
-    const total = out?.[0]?.total ?? 0;
-    const rawItems = out?.[0]?.items ?? [];
+    const profiles = await loadJobMatchProfiles(rawItems.map((x) => x.job_id));
 
-    const items = rawItems.map((x) => ({
-        ...x,
-        candidate: x.candidate?.candidate_id ? attachCvUrlToCandidateDTO(x.candidate) : null
-    }));
+    const items = rawItems.map((x) => {
+        const candidate = x.candidate?.candidate_id ? x.candidate : null;
+        return {
+            ...x,
+            candidate: candidate ? attachCvUrlToCandidateDTO(candidate) : null,
+            match: matchFor(profiles, x.job_id, candidate)
+        };
+    });
 
+    if (byMatch) return { status: "ok", total, page, limit, truncated, items };
     return { status: "ok", total, page, limit, items };
 }
 
@@ -551,35 +1204,480 @@ export async function listCompanyApplicationsWithCandidateService(actor, company
 
 /**
  * updateApplicationStatusService
- * Actualiza el status de una postulación.
+ * Actualiza el status de una postulación y registra la transición.
  *
  * Acceso
  * - company: solo su company_id y solo sus postulaciones
  * - admin: permitido
  *
+ * Reglas
+ * - El destino debe ser alcanzable según STATUS_TRANSITIONS.
+ * - Estados terminales quedan bloqueados.
+ * - override=true (solo admin) permite correcciones fuera del grafo,
+ *   incluso desde estados terminales; queda marcado en el historial.
+ *
+ * Historial
+ * - Agrega { from_status, to_status, changed_at, changed_by, note, override } a status_history.
+ * - Si el status no cambia, no se registra transición.
+ * - La actualización es condicional al status leído (evita perder transiciones
+ *   con cambios concurrentes); si otro cambio ganó, responde "conflict".
+ *
  * Respuestas
  * - { status:"ok", application }
  * - { status:"not_found" }
  * - { status:"invalid_status", allowed }
+ * - { status:"conflict" }
+ *
+ * Errores
+ * - 409 invalid_transition / application_locked (ServiceError con meta { from, to, allowed })
+ * - 403 forbidden: override sin ser admin
  */
-export async function updateApplicationStatusService(actor, { company_id, application_id, status }) {
+export async function updateApplicationStatusService(
+    actor,
+    { company_id, application_id, status, note, override }
+) {
     const coid = requirePositiveId("company_id", company_id);
     const aid = requirePositiveId("application_id", application_id);
-    requireSelfCompanyOrAdmin(actor, coid);
+    requireSelfCompanyOrAdmin(actor, coid, "applications:write");
+
+    const force = resolveOverride(actor, override);
 
     const st = normalizeStatus(status);
-    if (!st) return { status: "invalid_status", allowed: APPLICATION_STATUSES };
+    if (!st || (!force && !COMPANY_SETTABLE_STATUSES.includes(st))) {
+        return { status: "invalid_status", allowed: COMPANY_SETTABLE_STATUSES };
+    }
+
+    const cleanNote = normalizeNote(note);
+
+    const current = await Application.findOne({ company_id: coid, application_id: aid, deleted_at: null })
+        .select(APPLICATION_PROJECTION)
+        .lean();
+    if (!current) return { status: "not_found" };
+
+    if (current.status === st) return { status: "ok", application: current };
+
+    assertTransition(current.status, st, { override: force });
 
     const updated = await Application.findOneAndUpdate(
-        { company_id: coid, application_id: aid },
-        { $set: { status: st, updated_at: new Date() } },
-        { new: true }
+        { company_id: coid, application_id: aid, status: current.status },
+        {
+            $set: { status: st, updated_at: new Date() },
+            $push: { status_history: buildTransition(actor, current.status, st, cleanNote, force) }
+        },
+        { new: true, projection: APPLICATION_PROJECTION }
     ).lean();
 
-    if (!updated) return { status: "not_found" };
+    if (!updated) return { status: "conflict" };
+
+    if (isTerminalStatus(st)) await cancelOpenInterviews(actor, aid, st);
+    await notifyApplicationStatusChanged(updated, current.status, st);
+    await publishApplicationStatusChanged(updated, current.status);
     return { status: "ok", application: updated };
 }
 
+/**
+ * Resuelve los application_id de una operación masiva: lista explícita o
+ * filtro (job_id, status, from/to sobre applied_at) dentro de la empresa.
+ */
+async function resolveBulkApplicationIds(company_id, { application_ids, filter }) {
+    if (application_ids !== undefined && filter !== undefined) {
+        throw makeError("invalid_payload", 400, "Envía application_ids o filter, no ambos.");
+    }
+
+    if (application_ids !== undefined) {
+        if (!Array.isArray(application_ids) || application_ids.length === 0) {
+            throw makeError("invalid_payload", 400, "application_ids debe ser un arreglo no vacío.");
+        }
+        const ids = [...new Set(application_ids.map((x) => parseNumber(x)))];
+        if (ids.some((x) => !Number.isInteger(x) || x <= 0)) {
+            throw makeError("invalid_payload", 400, "application_ids solo admite números > 0.");
+        }
+        return ids;
+    }
+
+    if (!filter || typeof filter !== "object" || Array.isArray(filter)) {
+        throw makeError("invalid_payload", 400, "Se requiere application_ids o filter.");
+    }
+
+    // Validación estricta: un campo que no se entiende NO se ignora (ampliaría
+    // el filtro a todas las postulaciones de la empresa).
+    const unknown = Object.keys(filter).filter((k) => !BULK_FILTER_FIELDS.includes(k));
+    if (unknown.length > 0) {
+        throw makeError("invalid_payload", 400, `filter solo admite: ${BULK_FILTER_FIELDS.join(", ")}.`);
+    }
+
+    const { job_id, status, from, to } = filter;
+    const match = { company_id, deleted_at: null };
+
+    if (job_id != null) {
+        const jid = parseNumber(job_id);
+        if (!Number.isInteger(jid) || jid <= 0) {
+            throw makeError("invalid_payload", 400, "filter.job_id debe ser un entero > 0.");
+        }
+        match.job_id = jid;
+    }
+
+    if (status != null) {
+        const st = normalizeStatus(status);
+        if (!st) {
+            throw makeError("invalid_payload", 400, `filter.status debe ser uno de: ${APPLICATION_STATUSES.join(", ")}.`);
+        }
+        match.status = st;
+    }
+
+    for (const [name, raw, op] of [["from", from, "$gte"], ["to", to, "$lte"]]) {
+        if (raw == null) continue;
+        const d = parseDate(raw);
+        if (!d) throw makeError("invalid_payload", 400, `filter.${name} debe ser una fecha válida (ISO 8601).`);
+        match.applied_at = { ...match.applied_at, [op]: d };
+    }
+
+    if (match.job_id === undefined && match.status === undefined && match.applied_at === undefined) {
+        throw makeError("invalid_payload", 400, "filter requiere job_id, status, from y/o to.");
+    }
+
+    return Application.distinct("application_id", match);
+}
+
+/**
+ * bulkUpdateApplicationStatusService
+ * Cambia el status de varias postulaciones de una empresa (p. ej. rechazo
+ * masivo al cerrar un job).
+ *
+ * Cada postulación se procesa por separado con las mismas reglas que
+ * updateApplicationStatusService (pertenencia, máquina de estados, nota,
+ * historial). Un fallo no revierte las que ya se actualizaron.
+ *
+ * Acceso
+ * - company (applications:write): solo su company_id
+ * - admin: permitido (override=true fuerza transiciones, igual que en el PATCH)
+ *
+ * Body
+ * - application_ids (number[])  ó  filter { job_id?, status?, from?, to? }
+ * - status (destino), note?, override?
+ * - Máximo MAX_BULK_STATUS_APPLICATIONS postulaciones por llamada.
+ *
+ * Respuestas
+ * - { status:"ok", target_status, total, summary: { updated, unchanged, failed }, results }
+ *   results[]: { application_id, result, from?, to?, code?, message? }
+ *   result: "updated" | "unchanged" | "not_found" | "conflict" | "error"
+ *   (not_found también para ids de otra empresa)
+ * - { status:"invalid_status", allowed }
+ *
+ * Errores
+ * - 400 invalid_payload (también si un campo de filter no se puede interpretar:
+ *   job_id no entero > 0, status desconocido, from/to no es fecha, campo extra)
+ * - 400 too_many_applications (meta { total, max })
+ */
+export async function bulkUpdateApplicationStatusService(actor, { company_id, ...payload }) {
+    const coid = requirePositiveId("company_id", company_id);
+    requireSelfCompanyOrAdmin(actor, coid, "applications:write");
+
+    const force = resolveOverride(actor, payload.override);
+    const st = normalizeStatus(payload.status);
+    if (!st || (!force && !COMPANY_SETTABLE_STATUSES.includes(st))) {
+        return { status: "invalid_status", allowed: COMPANY_SETTABLE_STATUSES };
+    }
+    normalizeNote(payload.note); // se valida antes de tocar cualquier postulación
+
+    const ids = await resolveBulkApplicationIds(coid, payload);
+    if (ids.length > MAX_BULK_STATUS_APPLICATIONS) {
+        throw new ServiceError(
+            "too_many_applications",
+            `Máximo ${MAX_BULK_STATUS_APPLICATIONS} postulaciones por operación.`,
+            400,
+            { total: ids.length, max: MAX_BULK_STATUS_APPLICATIONS }
+        );
+    }
+
+    // Las de otra empresa cuentan como inexistentes (no se revela que existen)
+    const owned = await Application.find({ company_id: coid, application_id: { $in: ids }, deleted_at: null })
+        .select({ _id: 0, application_id: 1, status: 1 })
+        .lean();
+    const byId = new Map(owned.map((a) => [a.application_id, a]));
+
+    const results = [];
+    const summary = { updated: 0, unchanged: 0, failed: 0 };
+
+    for (const application_id of ids) {
+        const current = byId.get(application_id);
+
+        if (!current) {
+            results.push({ application_id, result: "not_found" });
+            summary.failed += 1;
+            continue;
+        }
+        if (current.status === st) {
+            results.push({ application_id, result: "unchanged", from: st, to: st });
+            summary.unchanged += 1;
+            continue;
+        }
+
+        try {
+            const out = await updateApplicationStatusService(actor, {
+                company_id: coid,
+                application_id,
+                status: st,
+                note: payload.note,
+                override: payload.override
+            });
+
+            if (out.status === "ok") {
+                results.push({ application_id, result: "updated", from: current.status, to: st });
+                summary.updated += 1;
+            } else {
+                results.push({ application_id, result: out.status });
+                summary.failed += 1;
+            }
+        } catch (err) {
+            results.push({
+                application_id,
+                result: "error",
+                code: err?.code || "internal_error",
+                message: err?.message || "Error interno."
+            });
+            summary.failed += 1;
+        }
+    }
+
+    return { status: "ok", target_status: st, total: ids.length, summary, results };
+}
+
+/**
+ * getCompanyApplicationHistoryService
+ * Timeline completo de status de una postulación (vista empresa).
+ *
+ * Acceso
+ * - company: solo su company_id
+ * - admin: permitido
+ *
+ * Respuestas
+ * - { status:"ok", application_id, current_status, history }
+ *   history[]: { from_status, to_status, changed_at, changed_by, note }
+ * - { status:"not_found" }
+ */
+export async function getCompanyApplicationHistoryService(actor, { company_id, application_id }) {
+    const coid = requirePositiveId("company_id", company_id);
+    const aid = requirePositiveId("application_id", application_id);
+    requireSelfCompanyOrAdmin(actor, coid);
+
+    const application = await Application.findOne({ company_id: coid, application_id: aid, deleted_at: null })
+        .select({ _id: 0, application_id: 1, status: 1, applied_at: 1, status_history: 1 })
+        .lean();
+    if (!application) return { status: "not_found" };
+
+    return {
+        status: "ok",
+        application_id: application.application_id,
+        current_status: application.status,
+        history: withInitialTransition(application)
+    };
+}
+
+/**
+ * getApplicationTimelineService
+ * Timeline de status para el dueño de la postulación.
+ *
+ * Acceso
+ * - candidate: solo sus postulaciones → timeline sanitizado (status + fecha)
+ * - company (dueña) / admin: timeline completo
+ *
+ * Respuestas
+ * - { status:"ok", application_id, current_status, history }
+ * - { status:"not_found" }
+ */
+export async function getApplicationTimelineService(actor, application_id) {
+    const aid = requirePositiveId("application_id", application_id);
+
+    const application = await Application.findOne({ application_id: aid, deleted_at: null })
+        .select({
+            _id: 0,
+            application_id: 1,
+            candidate_id: 1,
+            company_id: 1,
+            status: 1,
+            applied_at: 1,
+            status_history: 1
+        })
+        .lean();
+    if (!application) return { status: "not_found" };
+
+    requireApplicationOwnership(actor, application);
+
+    const history = withInitialTransition(application);
+
+    return {
+        status: "ok",
+        application_id: application.application_id,
+        current_status: application.status,
+        history: actor.type === "candidate" ? toCandidateTimeline(history) : history
+    };
+}
+
+/* =============================================================================
+ * Evaluación interna (empresa)
+ * =============================================================================
+ */
+
+const REVIEW_PROJECTION = Object.freeze({
+    _id: 0,
+    application_id: 1,
+    recruiter_tags: 1,
+    recruiter_rating: 1,
+    recruiter_notes: 1
+});
+
+function toReview(application) {
+    return {
+        application_id: application.application_id,
+        tags: application.recruiter_tags ?? [],
+        rating: application.recruiter_rating ?? null,
+        notes: application.recruiter_notes ?? []
+    };
+}
+
+/**
+ * updateApplicationReviewService
+ * Actualiza etiquetas y/o calificación de una postulación.
+ *
+ * Acceso
+ * - company (applications:write): solo su company_id
+ * - admin: permitido
+ *
+ * Body
+ * - tags? (string[]; reemplaza la lista; null = sin etiquetas)
+ * - rating? (1–5; null = sin calificar)
+ *
+ * Respuestas
+ * - { status:"ok", review: { application_id, tags, rating, notes } }
+ * - { status:"not_found" }
+ *
+ * Errores
+ * - 400 invalid_payload
+ */
+export async function updateApplicationReviewService(actor, { company_id, application_id, tags, rating }) {
+    const coid = requirePositiveId("company_id", company_id);
+    const aid = requirePositiveId("application_id", application_id);
+    requireSelfCompanyOrAdmin(actor, coid, "applications:write");
+
+    const set = {};
+    if (tags !== undefined) set.recruiter_tags = normalizeRecruiterTags(tags);
+    if (rating !== undefined) set.recruiter_rating = normalizeRecruiterRating(rating);
+    if (Object.keys(set).length === 0) {
+        throw makeError("invalid_payload", 400, "Envía tags y/o rating.");
+    }
+
+    const filter = { company_id: coid, application_id: aid, deleted_at: null };
+    const out = await Application.updateOne(filter, { $set: set });
+    if (out.matchedCount === 0) return { status: "not_found" };
+
+    const application = await Application.findOne(filter).select(REVIEW_PROJECTION).lean();
+    if (!application) return { status: "not_found" };
+
+    return { status: "ok", review: toReview(application) };
+}
+
+/**
+ * addApplicationNoteService
+ * Agrega una nota interna a la postulación.
+ *
+ * Acceso
+ * - company (applications:write): solo su company_id
+ * - admin: permitido
+ *
+ * Respuestas
+ * - { status:"created", note: { note_id, body, author, created_at, updated_at } }
+ * - { status:"not_found" }
+ */
+export async function addApplicationNoteService(actor, { company_id, application_id, body }) {
+    const coid = requirePositiveId("company_id", company_id);
+    const aid = requirePositiveId("application_id", application_id);
+    requireSelfCompanyOrAdmin(actor, coid, "applications:write");
+
+    const text = normalizeRecruiterNote(body);
+    const filter = { company_id: coid, application_id: aid, deleted_at: null };
+
+    const exists = await Application.exists(filter);
+    if (!exists) return { status: "not_found" };
+
+    const counter = await Counter.findOneAndUpdate(
+        { _id: "application_note_id" },
+        { $inc: { seq: 1 } },
+        { new: true, upsert: true }
+    );
+
+    const note = {
+        note_id: counter.seq,
+        body: text,
+        author: { user_id: actor?.user_id ?? null, type: actor?.type ?? null },
+        created_at: new Date(),
+        updated_at: null
+    };
+
+    const out = await Application.updateOne(filter, { $push: { recruiter_notes: note } });
+    if (out.matchedCount === 0) return { status: "not_found" };
+
+    return { status: "created", note };
+}
+
+/**
+ * updateApplicationNoteService
+ * Edita el texto de una nota interna.
+ *
+ * Acceso
+ * - company (applications:write): solo su company_id
+ * - admin: permitido
+ *
+ * Respuestas
+ * - { status:"ok", note }
+ * - { status:"not_found" } (postulación o nota)
+ */
+export async function updateApplicationNoteService(actor, { company_id, application_id, note_id, body }) {
+    const coid = requirePositiveId("company_id", company_id);
+    const aid = requirePositiveId("application_id", application_id);
+    const nid = requirePositiveId("note_id", note_id);
+    requireSelfCompanyOrAdmin(actor, coid, "applications:write");
+
+    const text = normalizeRecruiterNote(body);
+    const filter = { company_id: coid, application_id: aid, deleted_at: null, "recruiter_notes.note_id": nid };
+
+    const out = await Application.updateOne(filter, {
+        $set: { "recruiter_notes.$.body": text, "recruiter_notes.$.updated_at": new Date() }
+    });
+    if (out.matchedCount === 0) return { status: "not_found" };
+
+    const application = await Application.findOne(filter).select(REVIEW_PROJECTION).lean();
+    const note = (application?.recruiter_notes ?? []).find((n) => n.note_id === nid);
+    if (!note) return { status: "not_found" };
+
+    return { status: "ok", note };
+}
+
+/**
+ * deleteApplicationNoteService
+ *
+ * Acceso
+ * - company (applications:write): solo su company_id
+ * - admin: permitido
+ *
+ * Respuestas
+ * - { status:"deleted" }
+ * - { status:"not_found" } (postulación o nota)
+ */
+export async function deleteApplicationNoteService(actor, { company_id, application_id, note_id }) {
+    const coid = requirePositiveId("company_id", company_id);
+    const aid = requirePositiveId("application_id", application_id);
+    const nid = requirePositiveId("note_id", note_id);
+    requireSelfCompanyOrAdmin(actor, coid, "applications:write");
+
+    const out = await Application.updateOne(
+        { company_id: coid, application_id: aid, deleted_at: null, "recruiter_notes.note_id": nid },
+        { $pull: { recruiter_notes: { note_id: nid } } }
+    );
+
+    return { status: out.modifiedCount > 0 ? "deleted" : "not_found" };
+}
+
 /* =============================================================================
  * Delete
  * =============================================================================
@@ -587,15 +1685,21 @@ export async function updateApplicationStatusService(actor, { company_id, applic
 
 /**
  * withdrawApplicationService
- * Retira una postulación (elimina el documento).
+ * Retira una postulación: transición a WITHDRAWN (el documento se conserva
+ * para el historial; la postulación queda bloqueada).
  *
  * Acceso
  * - candidate: solo su candidate_id
  * - admin: permitido
  *
  * Respuestas
- * - { status:"deleted" }
+ * - { status:"withdrawn", application }
+ * - { status:"already_withdrawn", application }
  * - { status:"not_found" }
+ * - { status:"conflict" }
+ *
+ * Errores
+ * - 409 application_locked: la postulación ya está en un estado terminal (HIRED/REJECTED)
  */
 export async function withdrawApplicationService(actor, { candidate_id, job_id }) {
     const cid = requirePositiveId("candidate_id", candidate_id);
@@ -603,10 +1707,30 @@ export async function withdrawApplicationService(actor, { candidate_id, job_id }
 
     requireSelfCandidateOrAdmin(actor, cid);
 
-    const deleted = await Application.findOneAndDelete({ candidate_id: cid, job_id: jid }).lean();
-    if (!deleted) return { status: "not_found" };
+    const current = await Application.findOne({ candidate_id: cid, job_id: jid, deleted_at: null })
+        .select(APPLICATION_PROJECTION)
+        .lean();
+    if (!current) return { status: "not_found" };
 
-    return { status: "deleted" };
+    if (current.status === "WITHDRAWN") return { status: "already_withdrawn", application: current };
+
+    assertTransition(current.status, "WITHDRAWN");
+
+    const updated = await Application.findOneAndUpdate(
+        { candidate_id: cid, job_id: jid, status: current.status },
+        {
+            $set: { status: "WITHDRAWN", updated_at: new Date() },
+            $push: { status_history: buildTransition(actor, current.status, "WITHDRAWN") }
+        },
+        { new: true, projection: APPLICATION_PROJECTION }
+    ).lean();
+
+    if (!updated) return { status: "conflict" };
+
+    await cancelOpenInterviews(actor, updated.application_id, "WITHDRAWN");
+    await notifyApplicationWithdrawn(updated);
+    await publishApplicationWithdrawn(updated, current.status);
+    return { status: "withdrawn", application: updated };
 }
 
 /* =============================================================================
@@ -633,7 +1757,7 @@ export async function getCompanyPipelineCountsService(actor, { company_id, job_i
     const coid = requirePositiveId("company_id", company_id);
     requireSelfCompanyOrAdmin(actor, coid);
 
-    const match = { company_id: coid };
+    const match = { company_id: coid, deleted_at: null };
 
     const jid = parseNumber(job_id);
     if (jid && jid > 0) match.job_id = jid;
@@ -655,3 +1779,186 @@ export async function getCompanyPipelineCountsService(actor, { company_id, job_i
 
     return { status: "ok", counts };
 }
+
+/* -----------------------------------------------------------------------------
+ * Pipeline de analytics (todo se calcula en MongoDB; a Node solo llegan los
+ * totales, un renglón por job con contrataciones y uno por semana)
+ * -------------------------------------------------------------------------- */
+
+const ANALYTICS_HISTORY = { $ifNull: ["$status_history", []] };
+const TIMED_STAGES = FUNNEL_STAGES.slice(1);
+
+// Primera transición a la etapa (null si nunca llegó por historial)
+function firstTransitionAt(stage) {
+    return {
+        $min: {
+            $map: {
+                input: {
+                    $filter: { input: ANALYTICS_HISTORY, as: "h", cond: { $eq: ["$$h.to_status", stage] } }
+                },
+                as: "h",
+                in: "$$h.changed_at"
+            }
+        }
+    };
+}
+
+// Días desde applied_at (null si falta la fecha o el resultado es negativo)
+function daysFromApplied(dateExpr) {
+    const days = { $divide: [{ $subtract: [dateExpr, "$applied_at"] }, DAY_MS] };
+    return { $cond: [{ $gte: [days, 0] }, days, null] };
+}
+
+const medianOf = (input) => ({ $median: { input, method: "approximate" } });
+
+function buildAnalyticsPipeline(match) {
+    const stages = [...FUNNEL_STAGES];
+
+    const perApplication = {
+        _id: 0,
+        job_id: 1,
+        status: 1,
+        week_start: {
+            $dateTrunc: { date: "$applied_at", unit: "week", startOfWeek: "monday", timezone: "UTC" }
+        },
+        // Etapa más avanzada: status actual o cualquiera del historial
+        reached_index: {
+            $max: [
+                0,
+                { $indexOfArray: [stages, "$status"] },
+                { $max: { $map: { input: ANALYTICS_HISTORY, as: "h", in: { $indexOfArray: [stages, "$$h.to_status"] } } } }
+            ]
+        }
+    };
+    for (const stage of TIMED_STAGES) {
+        perApplication[`days_${stage}`] = daysFromApplied(firstTransitionAt(stage));
+    }
+
+    const totals = {
+        _id: null,
+        total: { $sum: 1 },
+        REJECTED: { $sum: { $cond: [{ $eq: ["$status", "REJECTED"] }, 1, 0] } },
+        WITHDRAWN: { $sum: { $cond: [{ $eq: ["$status", "WITHDRAWN"] }, 1, 0] } }
+    };
+    FUNNEL_STAGES.forEach((stage, i) => {
+        totals[`reached_${stage}`] = { $sum: { $cond: [{ $gte: ["$reached_index", i] }, 1, 0] } };
+    });
+    for (const stage of TIMED_STAGES) {
+        totals[`median_${stage}`] = medianOf(`$days_${stage}`);
+        totals[`samples_${stage}`] = { $sum: { $cond: [{ $gte: [`$days_${stage}`, 0] }, 1, 0] } };
+    }
+
+    const hires = { $match: { status: "HIRED", days_HIRED: { $ne: null } } };
+    const hireStats = {
+        hires: { $sum: 1 },
+        median_days: medianOf("$days_HIRED"),
+        avg_days: { $avg: "$days_HIRED" }
+    };
+
+    return [
+        { $match: match },
+        { $project: perApplication },
+        {
+            $facet: {
+                totals: [{ $group: totals }],
+                hires_overall: [hires, { $group: { _id: null, ...hireStats } }],
+                hires_by_job: [hires, { $group: { _id: "$job_id", ...hireStats } }, { $sort: { hires: -1, _id: 1 } }],
+                weekly: [
+                    { $match: { week_start: { $ne: null } } },
+                    { $group: { _id: "$week_start", count: { $sum: 1 } } }
+                ]
+            }
+        }
+    ];
+}
+
+/**
+ * getCompanyApplicationAnalyticsService
+ * Métricas de embudo y tiempos de contratación para una empresa.
+ *
+ * Acceso
+ * - company: solo su company_id
+ * - admin: permitido
+ *
+ * Query/params
+ * - job_id? (opcional)
+ * - from? to? (rango sobre applied_at; también define la serie semanal)
+ *
+ * Reglas de cálculo
+ * - Una postulación "alcanzó" una etapa si llegó a esa etapa o a una posterior
+ *   (según status_history + status actual); así el embudo es monótono.
+ * - Tiempos por etapa: primera transición a la etapa - applied_at (días).
+ *   Postulaciones sin historial no aportan muestras de tiempo.
+ * - time_to_hire: días de applied_at a la transición HIRED, agrupado por job_id.
+ * - Todo se agrega en MongoDB (las postulaciones no se cargan en memoria); las
+ *   medianas usan $median aproximado (MongoDB 7+).
+ *
+ * Respuesta
+ * - {
+ *     status:"ok",
+ *     range: { from, to },
+ *     total_applications,
+ *     funnel: [{ stage, reached, conversion_from_previous, conversion_from_applied }],
+ *     exits: { REJECTED, WITHDRAWN },
+ *     stage_timing: [{ stage, median_days_from_applied, samples }],
+ *     time_to_hire: { overall: { hires, median_days, avg_days }, by_job: [{ job_id, hires, median_days, avg_days }] },
+ *     weekly_volume: [{ week_start, count }]
+ *   }
+ */
+export async function getCompanyApplicationAnalyticsService(actor, { company_id, job_id, from, to }) {
+    const coid = requirePositiveId("company_id", company_id);
+    requireSelfCompanyOrAdmin(actor, coid);
+
+    const match = { company_id: coid, deleted_at: null };
+
+    const jid = parseNumber(job_id);
+    if (jid && jid > 0) match.job_id = jid;
+
+    addDateRangeFilter(match, "applied_at", from, to);
+
+    const [facets] = await Application.aggregate(buildAnalyticsPipeline(match));
+    const totals = facets?.totals?.[0] ?? {};
+
+    const reached = FUNNEL_STAGES.map((stage) => totals[`reached_${stage}`] ?? 0);
+
+    const funnel = FUNNEL_STAGES.map((stage, i) => ({
+        stage,
+        reached: reached[i],
+        conversion_from_previous: i === 0 ? null : ratio(reached[i], reached[i - 1]),
+        conversion_from_applied: ratio(reached[i], reached[0])
+    }));
+
+    const stage_timing = TIMED_STAGES.map((stage) => ({
+        stage,
+        median_days_from_applied: round2(totals[`median_${stage}`] ?? null),
+        samples: totals[`samples_${stage}`] ?? 0
+    }));
+
+    const toHireStats = (row) => ({
+        hires: row?.hires ?? 0,
+        median_days: round2(row?.median_days ?? null),
+        avg_days: round2(row?.avg_days ?? null)
+    });
+
+    const by_job = (facets?.hires_by_job ?? []).map((row) => ({ job_id: row._id, ...toHireStats(row) }));
+
+    const fromDate = parseDate(from);
+    const toDate = parseDate(to);
+
+    return {
+        status: "ok",
+        range: { from: fromDate, to: toDate },
+        total_applications: totals.total ?? 0,
+        funnel,
+        exits: { REJECTED: totals.REJECTED ?? 0, WITHDRAWN: totals.WITHDRAWN ?? 0 },
+        stage_timing,
+        time_to_hire: {
+            overall: toHireStats(facets?.hires_overall?.[0]),
+            by_job
+        },
+        weekly_volume: buildWeeklySeries(
+            (facets?.weekly ?? []).map((w) => ({ week_start: w._id, count: w.count })),
+            { from: fromDate, to: toDate }
+        )
+    };
+}
@@ -1,11 +1,46 @@
 // services/authService.js
 
+/**
+ * Sesiones (resumen):
+ * - login/register crean una Session y regresan:
+ *     token         → access token JWT corto (JWT_ACCESS_EXPIRES_IN, default 15m) con `sid`
+ *     refresh_token → token opaco (REFRESH_TOKEN_TTL_DAYS, default 30) guardado hasheado
+ * - /refresh rota el refresh token; reusar uno ya rotado revoca la sesión.
+ * - /logout revoca la sesión (o todas con all=true).
+ * - Cambio de password y borrado de cuenta revocan TODAS las sesiones del usuario.
+ * - Borrar la cuenta es borrado lógico (ver deleteAccountService).
+ * - authActor rechaza access tokens cuya sesión esté revocada/expirada.
+ *
+ * Correo (resumen):
+ * - Tokens de un solo uso, con expiración y guardados hasheados (AuthToken):
+ *     password_reset      → PASSWORD_RESET_TTL_MINUTES (default 60)
+ *     email_verification  → EMAIL_VERIFICATION_TTL_HOURS (default 48)
+ * - Los links usan APP_BASE_URL (frontend).
+ * - El envío pasa por utils/mail/mailer.js (transporte intercambiable).
+ */
+
+import crypto from "crypto";
 import jwt from "jsonwebtoken";
 import bcrypt from "bcryptjs";
 
 import User from "../models/User.js";
 import Company from "../models/Company.js";
 import Candidate from "../models/Candidate.js";
+import Session from "../models/Session.js";
+import AuthToken from "../models/AuthToken.js";
+
+import {
+    buildThrottleKeys,
+    assertLoginAllowed,
+    registerLoginFailure,
+    clearLoginFailures,
+    unlockLoginService
+} from "./loginThrottleService.js";
+import { cascadeCandidateSoftDelete } from "./softDeleteService.js";
+import { removeCompanyMemberService } from "./companyMemberService.js";
+
+import { sendMail } from "../utils/mail/mailer.js";
+import { logger } from "../utils/logger.js";
 
 /* =============================================================================
  * JWT helpers
@@ -19,10 +54,156 @@ function requireJwtSecret() {
     return secret;
 }
 
-function signToken(actor) {
+function signToken(actor, session_id) {
     const secret = requireJwtSecret();
-    const expiresIn = process.env.JWT_EXPIRES_IN || "7d";
-    return jwt.sign(actor, secret, { expiresIn });
+    const expiresIn = process.env.JWT_ACCESS_EXPIRES_IN || "15m";
+    return jwt.sign({ ...actor, sid: session_id }, secret, { expiresIn });
+}
+
+/* =============================================================================
+ * Refresh tokens / sesiones
+ * ============================================================================= */
+
+const MAX_ROTATED_HASHES = 20;
+
+function hashToken(token) {
+    return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+function generateRefreshToken() {
+    return crypto.randomBytes(48).toString("base64url");
+}
+
+function refreshTtlMs() {
+    const days = Number(process.env.REFRESH_TOKEN_TTL_DAYS || 30);
+    return (Number.isFinite(days) && days > 0 ? days : 30) * 24 * 60 * 60 * 1000;
+}
+
+/**
+ * Crea una sesión nueva y emite el par access/refresh.
+ * @param {import("mongoose").Document|Object} userDoc
+ * @param {{ ip?: string, user_agent?: string }} context
+ */
+export async function issueSession(userDoc, context = {}) {
+    const refresh_token = generateRefreshToken();
+
+    const session = await Session.create({
+        user_id: userDoc.user_id,
+        refresh_token_hash: hashToken(refresh_token),
+        expires_at: new Date(Date.now() + refreshTtlMs()),
+        ip: context.ip ?? null,
+        user_agent: context.user_agent ?? null
+    });
+
+    const actor = buildActorFromUser(userDoc);
+    const token = signToken(actor, session.session_id);
+
+    return {
+        token,
+        refresh_token,
+        refresh_expires_at: session.expires_at,
+        actor
+    };
+}
+
+/**
+ * Revoca todas las sesiones activas de uno o varios usuarios.
+ *
+ * @param {number|number[]} userIds
+ * @param {string} reason
+ * @returns {Promise<number>} sesiones revocadas
+ */
+export async function revokeAllUserSessions(userIds, reason) {
+    const ids = (Array.isArray(userIds) ? userIds : [userIds]).filter((x) => x != null);
+    if (ids.length === 0) return 0;
+
+    const out = await Session.updateMany(
+        { user_id: { $in: ids }, revoked_at: null },
+        { $set: { revoked_at: new Date(), revoked_reason: reason } }
+    );
+
+    return out.modifiedCount ?? 0;
+}
+
+async function revokeSession(session_id, reason) {
+    const out = await Session.updateOne(
+        { session_id, revoked_at: null },
+        { $set: { revoked_at: new Date(), revoked_reason: reason } }
+    );
+    return out.modifiedCount ?? 0;
+}
+
+/* =============================================================================
+ * Tokens por correo (reset / verificación)
+ * ============================================================================= */
+
+function ttlFromEnv(name, fallback, unitMs) {
+    const n = Number(process.env[name] || fallback);
+    return (Number.isFinite(n) && n > 0 ? n : fallback) * unitMs;
+}
+
+function buildAppLink(pathname, token) {
+    const base = String(process.env.APP_BASE_URL || "http://localhost:5173").replace(/\/+$/, "");
+    return `${base}${pathname}?token=${encodeURIComponent(token)}`;
+}
+
+/**
+ * Emite un token de un solo uso e invalida los anteriores del mismo purpose.
+ * @returns {Promise<string>} token en claro (solo para el correo)
+ */
+async function issueAuthToken(user_id, purpose, ttlMs) {
+    const now = new Date();
+
+    await AuthToken.updateMany(
+        { user_id, purpose, used_at: null },
+        { $set: { used_at: now } }
+    );
+
+    const token = crypto.randomBytes(32).toString("base64url");
+
+    await AuthToken.create({
+        user_id,
+        purpose,
+        token_hash: hashToken(token),
+        expires_at: new Date(now.getTime() + ttlMs)
+    });
+
+    return token;
+}
+
+/**
+ * Consume (marca used_at) un token vigente. Atómico: dos peticiones con el
+ * mismo token no pueden consumirlo ambas.
+ * @returns {Promise<Object|null>} documento consumido o null
+ */
+async function consumeAuthToken(rawToken, purpose) {
+    const raw = String(rawToken || "").trim();
+    if (!raw) return null;
+
+    const now = new Date();
+
+    return AuthToken.findOneAndUpdate(
+        { token_hash: hashToken(raw), purpose, used_at: null, expires_at: { $gt: now } },
+        { $set: { used_at: now } },
+        { new: true }
+    ).lean();
+}
+
+async function sendVerificationEmail(userDoc) {
+    const token = await issueAuthToken(
+        userDoc.user_id,
+        "email_verification",
+        ttlFromEnv("EMAIL_VERIFICATION_TTL_HOURS", 48, 60 * 60 * 1000)
+    );
+
+    await sendMail({
+        to: userDoc.email,
+        subject: "Confirma tu correo",
+        text:
+            "Confirma tu correo con el siguiente enlace:\n\n" +
+            `${buildAppLink("/verify-email", token)}\n\n` +
+            "Si no creaste esta cuenta, ignora este mensaje."
+    });
 }
 
 function buildActorFromUser(userDoc) {
@@ -31,6 +212,8 @@ function buildActorFromUser(userDoc) {
         type: userDoc.type,
         company_id: userDoc.company_id ?? null,
         candidate_id: userDoc.candidate_id ?? null,
+        // Cuentas de empresa previas a los roles = owner
+        company_role: userDoc.type === "company" ? (userDoc.company_role || "owner") : null,
     };
 }
 
@@ -61,14 +244,18 @@ function normalizeEmail(email) {
  * - { email, password }
  *
  * Salida:
- * - { token, actor }
+ * - { token, refresh_token, refresh_expires_at, actor }
+ *
+ * Protección fuerza bruta (loginThrottleService):
+ * - Cuenta fallos por email y por IP; al llegar al máximo bloquea con backoff exponencial.
  *
  * Errores:
  * - BAD_REQUEST: faltan campos
  * - INVALID_CREDENTIALS: email/password incorrectos
+ * - ACCOUNT_LOCKED: demasiados fallos (err.retryAfter = segundos)
  * - JWT_SECRET_NOT_CONFIGURED: falta JWT_SECRET
  */
-export async function loginService({ email, password }) {
+export async function loginService({ email, password }, context = {}) {
     const e = normalizeEmail(email);
     const p = String(password || "");
 
@@ -76,20 +263,27 @@ export async function loginService({ email, password }) {
         throw badRequest("email y password son obligatorios");
     }
 
-    const user = await User.findOne({ email: e });
-    if (!user) {
-        throw new Error("INVALID_CREDENTIALS");
-    }
+    const throttleKeys = buildThrottleKeys(e, context.ip ?? null);
+    await assertLoginAllowed(throttleKeys);
+
+    // Cuentas de un perfil eliminado (borrado lógico) no inician sesión
+    const user = await User.findOne({ email: e, deleted_at: null });
+    const ok = user ? await bcrypt.compare(p, user.password_hash) : false;
 
-    const ok = await bcrypt.compare(p, user.password_hash);
     if (!ok) {
+        const lockedUntil = await registerLoginFailure(throttleKeys);
+        if (lockedUntil) {
+            const err = new Error("ACCOUNT_LOCKED");
+            err.retryAfter = Math.max(1, Math.ceil((lockedUntil.getTime() - Date.now()) / 1000));
+            throw err;
+        }
         throw new Error("INVALID_CREDENTIALS");
     }
 
-    const actor = buildActorFromUser(user);
-    const token = signToken(actor);
+    await clearLoginFailures(e);
 
-    return { token, actor };
+    requireJwtSecret();
+    return issueSession(user, context);
 }
 
 /* =============================================================================
@@ -110,22 +304,24 @@ export async function loginService({ email, password }) {
  *
  * Comportamiento:
  * - Crea User con password_hash.
- * - Si type="company": crea Company (company_id autoincremental) y enlaza user.company_id.
+ * - Si type="company": crea Company (company_id autoincremental) y enlaza user.company_id
+ *   con company_role = "owner" (más usuarios se agregan por invitación).
  * - Si type="candidate": crea Candidate (candidate_id autoincremental) y enlaza user.candidate_id.
+ * - Envía correo de verificación (email_verified inicia en false).
  *
  * Nota práctica:
  * - Candidate.contact.email es obligatorio en tu modelo. Si no lo mandas, se
  *   completa automáticamente con el email del User.
  *
  * Salida:
- * - { token, actor }
+ * - { token, refresh_token, refresh_expires_at, actor, email_verified }
  *
  * Errores:
  * - BAD_REQUEST: faltan campos / type inválido / falta payload de perfil
  * - EMAIL_ALREADY_EXISTS: email ya registrado
  * - JWT_SECRET_NOT_CONFIGURED: falta JWT_SECRET
  */
-export async function registerService({ type, email, password, company, candidate }) {
+export async function registerService({ type, email, password, company, candidate }, context = {}) {
     const t = String(type || "").trim();
     const e = normalizeEmail(email);
     const p = String(password || "");
@@ -148,6 +344,7 @@ export async function registerService({ type, email, password, company, candidat
     const password_hash = await bcrypt.hash(p, saltRounds);
 
     let userCreated = null;
+    let session = null;
 
     try {
         // 1) Crear User
@@ -168,6 +365,7 @@ export async function registerService({ type, email, password, company, candidat
             const companyDoc = await Company.create(company);
 
             userCreated.company_id = companyDoc.company_id;
+            userCreated.company_role = "owner";
             await userCreated.save();
         }
 
@@ -192,11 +390,9 @@ export async function registerService({ type, email, password, company, candidat
             await userCreated.save();
         }
 
-        // 3) Token con actor completo (ya con company_id/candidate_id)
-        const actor = buildActorFromUser(userCreated);
-        const token = signToken(actor);
-
-        return { token, actor };
+        // 3) Sesión + tokens con actor completo (ya con company_id/candidate_id)
+        requireJwtSecret();
+        session = await issueSession(userCreated, context);
     } catch (err) {
         // Limpieza básica: si se creó User pero falló el perfil, elimina User para no dejar basura.
         if (userCreated?.user_id != null) {
@@ -204,4 +400,553 @@ export async function registerService({ type, email, password, company, candidat
         }
         throw err;
     }
+
+    // 4) Correo de verificación (best-effort: el registro no falla si el correo falla;
+    //    el usuario puede pedir reenvío con /api/auth/verify-email/resend)
+    try {
+        await sendVerificationEmail(userCreated);
+    } catch (mailErr) {
+        logger.warn(`No se pudo enviar verificación a ${e}: ${mailErr?.message || mailErr}`);
+    }
+
+    return { ...session, email_verified: false };
+}
+
+/* =============================================================================
+ * refreshService
+ * ============================================================================= */
+
+/**
+ * refreshService
+ * -----------------------------------------------------------------------------
+ * Rota el refresh token y emite un nuevo access token para la misma sesión.
+ *
+ * Entrada:
+ * - { refresh_token }
+ *
+ * Salida:
+ * - { token, refresh_token, refresh_expires_at, actor }
+ *
+ * Errores:
+ * - BAD_REQUEST: falta refresh_token
+ * - INVALID_REFRESH_TOKEN: no existe, expiró o la sesión fue revocada
+ * - REFRESH_TOKEN_REUSED: el token ya había sido rotado → se revoca la sesión
+ * - JWT_SECRET_NOT_CONFIGURED: falta JWT_SECRET
+ */
+export async function refreshService({ refresh_token }, context = {}) {
+    const raw = String(refresh_token || "").trim();
+    if (!raw) {
+        throw badRequest("refresh_token es obligatorio");
+    }
+
+    requireJwtSecret();
+
+    const hash = hashToken(raw);
+    const now = new Date();
+
+    const session = await Session.findOne({ refresh_token_hash: hash }).lean();
+
+    if (!session) {
+        // ¿Token ya rotado? → posible robo: revoca la sesión completa.
+        const reused = await Session.findOne({ rotated_token_hashes: hash })
+            .select({ session_id: 1 })
+            .lean();
+
+        if (reused) {
+            await revokeSession(reused.session_id, "token_reuse");
+            throw new Error("REFRESH_TOKEN_REUSED");
+        }
+
+        throw new Error("INVALID_REFRESH_TOKEN");
+    }
+
+    if (session.revoked_at || new Date(session.expires_at) <= now) {
+        throw new Error("INVALID_REFRESH_TOKEN");
+    }
+
+    const user = await User.findOne({ user_id: session.user_id, deleted_at: null });
+    if (!user) {
+        await revokeSession(session.session_id, "account_deleted");
+        throw new Error("INVALID_REFRESH_TOKEN");
+    }
+
+    const next = generateRefreshToken();
+
+    // Rotación atómica: si otra petición rotó primero, esta pierde.
+    const rotated = await Session.findOneAndUpdate(
+        { session_id: session.session_id, refresh_token_hash: hash, revoked_at: null },
+        {
+            $set: {
+                refresh_token_hash: hashToken(next),
+                last_used_at: now,
+                ip: context.ip ?? session.ip ?? null,
+                user_agent: context.user_agent ?? session.user_agent ?? null
+            },
+            $push: { rotated_token_hashes: { $each: [hash], $slice: -MAX_ROTATED_HASHES } }
+        },
+        { new: true }
+    ).lean();
+
+    if (!rotated) {
+        throw new Error("INVALID_REFRESH_TOKEN");
+    }
+
+    const actor = buildActorFromUser(user);
+
+    return {
+        token: signToken(actor, rotated.session_id),
+        refresh_token: next,
+        refresh_expires_at: rotated.expires_at,
+        actor
+    };
+}
+
+/* =============================================================================
+ * logoutService
+ * ============================================================================= */
+
+/**
+ * logoutService
+ * -----------------------------------------------------------------------------
+ * Revoca la sesión actual, o todas las del usuario.
+ *
+ * Entrada:
+ * - actor?: actor autenticado (usa actor.session_id)
+ * - refresh_token?: alternativa cuando el access token ya expiró
+ * - all?: true → revoca todas las sesiones del usuario
+ *
+ * Salida:
+ * - { revoked: number }
+ *
+ * Errores:
+ * - BAD_REQUEST: no hay actor ni refresh_token
+ */
+export async function logoutService({ actor, refresh_token, all }) {
+    const raw = String(refresh_token || "").trim();
+    const logoutAll = all === true || String(all).toLowerCase() === "true";
+
+    let user_id = actor?.user_id ?? null;
+    let session_id = actor?.session_id ?? null;
+
+    if (!session_id && raw) {
+        const session = await Session.findOne({ refresh_token_hash: hashToken(raw) })
+            .select({ session_id: 1, user_id: 1 })
+            .lean();
+
+        if (!session) return { revoked: 0 };
+
+        session_id = session.session_id;
+        user_id = session.user_id;
+    }
+
+    if (!session_id && !user_id) {
+        throw badRequest("Se requiere Authorization: Bearer <token> o refresh_token");
+    }
+
+    if (logoutAll && user_id) {
+        return { revoked: await revokeAllUserSessions(user_id, "logout_all") };
+    }
+
+    return { revoked: await revokeSession(session_id, "logout") };
+}
+
+/* =============================================================================
+ * changePasswordService
+ * ============================================================================= */
+
+/**
+ * changePasswordService
+ * -----------------------------------------------------------------------------
+ * Cambia el password del usuario autenticado.
+ *
+ * Comportamiento:
+ * - Revoca TODAS las sesiones del usuario (incluida la actual).
+ * - Emite una sesión nueva para que el cliente actual siga conectado.
+ *
+ * Entrada:
+ * - actor (autenticado)
+ * - { current_password, new_password }
+ *
+ * Salida:
+ * - { token, refresh_token, refresh_expires_at, actor }
+ *
+ * Errores:
+ * - UNAUTHORIZED: sin actor
+ * - BAD_REQUEST: faltan campos / password nuevo igual al actual
+ * - INVALID_CREDENTIALS: current_password incorrecto
+ */
+export async function changePasswordService(actor, { current_password, new_password }, context = {}) {
+    if (!actor?.user_id) {
+        throw new Error("UNAUTHORIZED");
+    }
+
+    const current = String(current_password || "");
+    const next = String(new_password || "");
+
+    if (!current || !next) {
+        throw badRequest("current_password y new_password son obligatorios");
+    }
+
+    if (current === next) {
+        throw badRequest("new_password debe ser distinto al actual");
+    }
+
+    const user = await User.findOne({ user_id: actor.user_id });
+    if (!user) {
+        throw new Error("INVALID_CREDENTIALS");
+    }
+
+    const ok = await bcrypt.compare(current, user.password_hash);
+    if (!ok) {
+        throw new Error("INVALID_CREDENTIALS");
+    }
+
+    requireJwtSecret();
+
+    const saltRounds = Number(process.env.BCRYPT_SALT_ROUNDS || 10);
+    user.password_hash = await bcrypt.hash(next, saltRounds);
+    await user.save();
+
+    await revokeAllUserSessions(user.user_id, "password_changed");
+
+    return issueSession(user, context);
+}
+
+/* =============================================================================
+ * deleteAccountService
+ * ============================================================================= */
+
+/**
+ * deleteAccountService
+ * -----------------------------------------------------------------------------
+ * Da de baja la cuenta del actor autenticado con borrado lógico (deleted_at) y
+ * revoca todas sus sesiones. Un admin la puede restaurar hasta la purga.
+ *
+ * Según el tipo:
+ * - candidate: se elimina su Candidate con la cascada de siempre (postulaciones
+ *   ocultas, User deshabilitado); se restaura con POST /api/candidates/:id/restore.
+ * - company: se quita como miembro de la empresa (la empresa sigue activa y
+ *   debe conservar al menos un owner).
+ * - admin: solo la cuenta.
+ *
+ * Entrada:
+ * - actor (autenticado)
+ * - { password } (confirmación)
+ *
+ * Salida:
+ * - { deleted: true, revoked: number }
+ *
+ * Errores:
+ * - UNAUTHORIZED: sin actor
+ * - BAD_REQUEST: falta password
+ * - INVALID_CREDENTIALS: password incorrecto
+ * - LAST_OWNER: es el único owner de su empresa
+ */
+export async function deleteAccountService(actor, { password }) {
+    if (!actor?.user_id) {
+        throw new Error("UNAUTHORIZED");
+    }
+
+    const p = String(password || "");
+    if (!p) {
+        throw badRequest("password es obligatorio para eliminar la cuenta");
+    }
+
+    const user = await User.findOne({ user_id: actor.user_id, deleted_at: null });
+    if (!user) {
+        throw new Error("INVALID_CREDENTIALS");
+    }
+
+    const ok = await bcrypt.compare(p, user.password_hash);
+    if (!ok) {
+        throw new Error("INVALID_CREDENTIALS");
+    }
+
+    if (user.type === "company" && user.company_id) {
+        const out = await removeCompanyMemberService(actor, {
+            company_id: user.company_id,
+            user_id: user.user_id
+        });
+        if (out.status === "last_owner") {
+            throw new Error("LAST_OWNER");
+        }
+        return { deleted: true, revoked: out.revoked ?? 0 };
+    }
+
+    const at = new Date();
+
+    if (user.type === "candidate" && user.candidate_id) {
+        const marked = await Candidate.updateOne(
+            { candidate_id: user.candidate_id, deleted_at: null },
+            { $set: { deleted_at: at, deleted_by: user.user_id } }
+        );
+        if (marked.modifiedCount) {
+            const { sessions } = await cascadeCandidateSoftDelete(user.candidate_id, at);
+            return { deleted: true, revoked: sessions };
+        }
+    }
+
+    await User.updateOne({ user_id: user.user_id }, { $set: { deleted_at: at } });
+    const revoked = await revokeAllUserSessions(user.user_id, "account_deleted");
+
+    return { deleted: true, revoked };
+}
+
+/* =============================================================================
+ * forgotPasswordService
+ * ============================================================================= */
+
+/**
+ * forgotPasswordService
+ * -----------------------------------------------------------------------------
+ * Envía un correo con link para restablecer el password.
+ *
+ * Comportamiento:
+ * - Responde igual exista o no el email (no revela cuentas registradas);
+ *   un fallo del transporte de correo se registra en el log y tampoco cambia
+ *   la respuesta.
+ * - Un nuevo token invalida los anteriores.
+ *
+ * Entrada:
+ * - { email }
+ *
+ * Salida:
+ * - { sent: true }
+ *
+ * Errores:
+ * - BAD_REQUEST: falta email
+ */
+export async function forgotPasswordService({ email }) {
+    const e = normalizeEmail(email);
+    if (!e) {
+        throw badRequest("email es obligatorio");
+    }
+
+    const user = await User.findOne({ email: e, deleted_at: null }).lean();
+    if (!user) return { sent: true };
+
+    const token = await issueAuthToken(
+        user.user_id,
+        "password_reset",
+        ttlFromEnv("PASSWORD_RESET_TTL_MINUTES", 60, 60 * 1000)
+    );
+
+    try {
+        await sendMail({
+            to: user.email,
+            subject: "Restablece tu password",
+            text:
+                "Recibimos una solicitud para restablecer tu password:\n\n" +
+                `${buildAppLink("/reset-password", token)}\n\n` +
+                "El enlace es de un solo uso. Si no fuiste tú, ignora este mensaje."
+        });
+    } catch (mailErr) {
+        logger.warn(`No se pudo enviar reset de password a ${e}: ${mailErr?.message || mailErr}`);
+    }
+
+    return { sent: true };
+}
+
+/* =============================================================================
+ * resetPasswordService
+ * ============================================================================= */
+
+/**
+ * resetPasswordService
+ * -----------------------------------------------------------------------------
+ * Restablece el password con el token recibido por correo.
+ *
+ * Comportamiento:
+ * - Consume el token (un solo uso).
+ * - Marca el email como verificado (el usuario demostró acceso al correo).
+ * - Revoca TODAS las sesiones del usuario.
+ *
+ * Entrada:
+ * - { token, new_password }
+ *
+ * Salida:
+ * - { reset: true }
+ *
+ * Errores:
+ * - BAD_REQUEST: faltan campos
+ * - INVALID_TOKEN: token inexistente, expirado o ya usado
+ */
+export async function resetPasswordService({ token, new_password }) {
+    const next = String(new_password || "");
+
+    if (!String(token || "").trim() || !next) {
+        throw badRequest("token y new_password son obligatorios");
+    }
+
+    const consumed = await consumeAuthToken(token, "password_reset");
+    if (!consumed) {
+        throw new Error("INVALID_TOKEN");
+    }
+
+    const user = await User.findOne({ user_id: consumed.user_id });
+    if (!user) {
+        throw new Error("INVALID_TOKEN");
+    }
+
+    const saltRounds = Number(process.env.BCRYPT_SALT_ROUNDS || 10);
+    user.password_hash = await bcrypt.hash(next, saltRounds);
+
+    if (!user.email_verified) {
+        user.email_verified = true;
+        user.email_verified_at = new Date();
+    }
+
+    await user.save();
+    await revokeAllUserSessions(user.user_id, "password_reset");
+
+    return { reset: true };
+}
+
+/* =============================================================================
+ * verifyEmailService
+ * ============================================================================= */
+
+/**
+ * verifyEmailService
+ * -----------------------------------------------------------------------------
+ * Marca el email como verificado con el token recibido por correo.
+ *
+ * Entrada:
+ * - { token }
+ *
+ * Salida:
+ * - { verified: true }
+ *
+ * Errores:
+ * - BAD_REQUEST: falta token
+ * - INVALID_TOKEN: token inexistente, expirado o ya usado
+ */
+export async function verifyEmailService({ token }) {
+    if (!String(token || "").trim()) {
+        throw badRequest("token es obligatorio");
+    }
+
+    const consumed = await consumeAuthToken(token, "email_verification");
+    if (!consumed) {
+        throw new Error("INVALID_TOKEN");
+    }
+
+    const updated = await User.findOneAndUpdate(
+        { user_id: consumed.user_id },
+        { $set: { email_verified: true, email_verified_at: new Date() } },
+        { new: true }
+    ).lean();
+
+    if (!updated) {
+        throw new Error("INVALID_TOKEN");
+    }
+
+    return { verified: true };
+}
+
+/* =============================================================================
+ * resendVerificationService
+ * ============================================================================= */
+
+/**
+ * resendVerificationService
+ * -----------------------------------------------------------------------------
+ * Reenvía el correo de verificación al usuario autenticado.
+ *
+ * Salida:
+ * - { sent: true } | { already_verified: true }
+ *
+ * Errores:
+ * - UNAUTHORIZED: sin actor
+ */
+export async function resendVerificationService(actor) {
+    if (!actor?.user_id) {
+        throw new Error("UNAUTHORIZED");
+    }
+
+    const user = await User.findOne({ user_id: actor.user_id }).lean();
+    if (!user) {
+        throw new Error("UNAUTHORIZED");
+    }
+
+    if (user.email_verified) return { already_verified: true };
+
+    await sendVerificationEmail(user);
+    return { sent: true };
+}
+
+/**
+ * isUserEmailVerified
+ * -----------------------------------------------------------------------------
+ * Consulta si el email del usuario está verificado.
+ *
+ * @param {number} user_id
+ * @returns {Promise<boolean>}
+ */
+export async function isUserEmailVerified(user_id) {
+    if (user_id == null) return false;
+    const found = await User.exists({ user_id, email_verified: true });
+    return Boolean(found);
+}
+
+/**
+ * isSessionActive
+ * -----------------------------------------------------------------------------
+ * Misma verificación de sesión que authActor, para conexiones largas (SSE)
+ * que deben cortarse si la sesión se revoca o expira después de abrirlas.
+ *
+ * @param {{ user_id: number, session_id: number }} actor
+ * @returns {Promise<boolean>}
+ */
+export async function isSessionActive(actor) {
+    if (!actor?.user_id || !actor?.session_id) return false;
+    const found = await Session.exists({
+        session_id: actor.session_id,
+        user_id: actor.user_id,
+        revoked_at: null,
+        expires_at: { $gt: new Date() }
+    });
+    return Boolean(found);
+}
+
+/* =============================================================================
+ * unlockAccountService (admin)
+ * ============================================================================= */
+
+/**
+ * unlockAccountService
+ * -----------------------------------------------------------------------------
+ * Quita el bloqueo de login de una cuenta y/o una IP.
+ *
+ * Entrada:
+ * - { user_id?, email?, ip? } (al menos uno)
+ *
+ * Salida:
+ * - { unlocked: number }
+ *
+ * Errores:
+ * - BAD_REQUEST: sin criterios
+ * - USER_NOT_FOUND: user_id no existe
+ */
+export async function unlockAccountService({ user_id, email, ip }) {
+    let e = normalizeEmail(email);
+    const i = String(ip || "").trim() || null;
+
+    if (user_id != null && user_id !== "") {
+        const uid = Number(user_id);
+        const user = Number.isInteger(uid) && uid > 0
+            ? await User.findOne({ user_id: uid }).select({ email: 1 }).lean()
+            : null;
+
+        if (!user) {
+            throw new Error("USER_NOT_FOUND");
+        }
+        e = user.email;
+    }
+
+    if (!e && !i) {
+        throw badRequest("Se requiere user_id, email o ip");
+    }
+
+    return unlockLoginService({ email: e || null, ip: i });
 }
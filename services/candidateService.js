@@ -24,6 +24,11 @@
  * CV:
  * - Archivo: data/cv/<candidate_id>.pdf
  * - URL protegida: /api/candidates/<candidate_id>/cv
+ *
+ * Borrado lógico:
+ * - DELETE marca deleted_at (candidato dueño o admin); sus postulaciones se
+ *   ocultan y sus usuarios quedan deshabilitados. Solo admin restaura.
+ * - CV, favoritos y búsquedas guardadas se conservan hasta la purga.
  * ============================================================================
  */
 
@@ -33,8 +38,15 @@ import path from "path";
 import Candidate from "../models/Candidate.js";
 import Application from "../models/Application.js";
 
+import { cascadeCandidateSoftDelete, cascadeCandidateRestore } from "./softDeleteService.js";
+
 import { parseNumber } from "../utils/parsingUtils.js";
 import { buildPaginationParams } from "../utils/paginationUtils.js";
+import {
+    buildCandidateProfileSet,
+    pickCandidateProfile,
+    buildCandidateProfileProjection
+} from "../utils/candidates/candidateProfileUtils.js";
 
 /* =============================================================================
  * Helpers: errores tipados
@@ -87,7 +99,7 @@ function requireSelfCompanyOrAdmin(actor, company_id) {
  * Regla: company puede ver candidate si existe al menos una postulación.
  */
 async function companyCanViewCandidate(company_id, candidate_id) {
-    const exists = await Application.exists({ company_id, candidate_id });
+    const exists = await Application.exists({ company_id, candidate_id, deleted_at: null });
     return Boolean(exists);
 }
 
@@ -120,6 +132,7 @@ function toOwnerCandidateDTO(candidate) {
         state: candidate.state ?? null,
         city: candidate.city ?? null,
         headline: candidate.headline ?? null,
+        ...pickCandidateProfile(candidate),
         created_at: candidate.created_at ?? null,
         cv_url: hasCvFile(candidate.candidate_id) ? getCvUrl(candidate.candidate_id) : null
     };
@@ -134,6 +147,7 @@ function toCompanyCandidateDTO(candidate) {
         state: candidate.state ?? null,
         city: candidate.city ?? null,
         headline: candidate.headline ?? null,
+        ...pickCandidateProfile(candidate),
         cv_url: hasCvFile(candidate.candidate_id) ? getCvUrl(candidate.candidate_id) : null
     };
 }
@@ -159,7 +173,7 @@ export async function getCandidateByIdService(actor, candidate_id) {
     requireActor(actor);
 
     const cid = requirePositiveId("candidate_id", candidate_id);
-    const candidate = await Candidate.findOne({ candidate_id: cid }).lean();
+    const candidate = await Candidate.findOne({ candidate_id: cid, deleted_at: null }).lean();
     if (!candidate) return { status: "not_found" };
 
     if (actor.type === "admin") {
@@ -198,12 +212,18 @@ export async function getCandidateByIdService(actor, candidate_id) {
  * Manejo seguro de contact:
  * - Si payload.contact viene parcial, se hace merge con el contact actual
  *   para no borrar contact.email (requerido por el schema).
+ *
+ * Perfil estructurado (reemplazo completo de cada campo presente):
+ * - experience, education, skills, languages, desired_salary (o null),
+ *   work_location_preferences
+ * - Validación por campo en utils/candidates/candidateProfileUtils.js
+ *   (400 invalid_payload con el campo/índice que falló).
  */
 export async function updateCandidateService(actor, candidate_id, payload = {}) {
     const cid = requirePositiveId("candidate_id", candidate_id);
     requireSelfCandidateOrAdmin(actor, cid);
 
-    const current = await Candidate.findOne({ candidate_id: cid }).lean();
+    const current = await Candidate.findOne({ candidate_id: cid, deleted_at: null }).lean();
     if (!current) return { status: "not_found" };
 
     const $set = {};
@@ -214,6 +234,8 @@ export async function updateCandidateService(actor, candidate_id, payload = {})
     if (payload.city !== undefined) $set.city = payload.city;
     if (payload.headline !== undefined) $set.headline = payload.headline;
 
+    Object.assign($set, buildCandidateProfileSet(payload));
+
     if (payload.contact !== undefined) {
         if (!payload.contact || typeof payload.contact !== "object") {
             throw makeError("invalid_payload", 400, "contact debe ser un objeto.");
@@ -237,9 +259,9 @@ export async function updateCandidateService(actor, candidate_id, payload = {})
     }
 
     const updated = await Candidate.findOneAndUpdate(
-        { candidate_id: cid },
+        { candidate_id: cid, deleted_at: null },
         { $set },
-        { new: true }
+        { new: true, runValidators: true }
     ).lean();
 
     if (!updated) return { status: "not_found" };
@@ -247,6 +269,79 @@ export async function updateCandidateService(actor, candidate_id, payload = {})
     return { status: "ok", candidate: toOwnerCandidateDTO(updated) };
 }
 
+/* =============================================================================
+ * Delete / Restore (borrado lógico)
+ * =============================================================================
+ */
+
+/**
+ * deleteCandidateService
+ * ----------------------
+ * Acceso:
+ * - candidate: solo su propio perfil
+ * - admin: permitido
+ *
+ * Retorna:
+ * - { status:"deleted" }
+ * - { status:"not_found" } (no existe o ya estaba eliminado)
+ */
+export async function deleteCandidateService(actor, candidate_id) {
+    const cid = requirePositiveId("candidate_id", candidate_id);
+    requireSelfCandidateOrAdmin(actor, cid);
+
+    const at = new Date();
+
+    const deleted = await Candidate.findOneAndUpdate(
+        { candidate_id: cid, deleted_at: null },
+        { $set: { deleted_at: at, deleted_by: actor.user_id ?? null } }
+    ).lean();
+
+    if (!deleted) return { status: "not_found" };
+
+    await cascadeCandidateSoftDelete(cid, at);
+
+    return { status: "deleted" };
+}
+
+/**
+ * restoreCandidateService
+ * -----------------------
+ * Restaura el candidato, sus usuarios y las postulaciones ocultas por el
+ * mismo borrado (si su job sigue activo).
+ *
+ * Acceso:
+ * - admin
+ *
+ * Retorna:
+ * - { status:"ok", candidate }
+ * - { status:"not_found" }
+ * - { status:"not_deleted" }
+ */
+export async function restoreCandidateService(actor, candidate_id) {
+    requireActor(actor);
+    if (actor.type !== "admin") {
+        throw makeError("forbidden", 403, "Solo admin puede restaurar candidatos.");
+    }
+
+    const cid = requirePositiveId("candidate_id", candidate_id);
+
+    const current = await Candidate.findOne({ candidate_id: cid }).lean();
+    if (!current) return { status: "not_found" };
+    if (!current.deleted_at) return { status: "not_deleted" };
+
+    const restored = await Candidate.findOneAndUpdate(
+        { candidate_id: cid, deleted_at: current.deleted_at },
+        { $set: { deleted_at: null, deleted_by: null } },
+        { new: true }
+    ).lean();
+
+    if (!restored) return { status: "not_found" };
+
+    await cascadeCandidateRestore(cid, current.deleted_at);
+
+    return { status: "ok", candidate: toOwnerCandidateDTO(restored) };
+}
+
 /* =============================================================================
  * Company: listado de candidatos por empresa
  * =============================================================================
@@ -259,7 +354,7 @@ export async function listCandidatesForCompanyService(actor, company_id, queryPa
     const { page, limit, skip } = buildPaginationParams(queryParams);
 
     const agg = await Application.aggregate([
-        { $match: { company_id: coid } },
+        { $match: { company_id: coid, deleted_at: null } },
         { $group: { _id: "$candidate_id", last_applied_at: { $max: "$applied_at" } } },
         { $sort: { last_applied_at: -1, _id: -1 } },
         {
@@ -288,7 +383,8 @@ export async function listCandidatesForCompanyService(actor, company_id, queryPa
                                 country: "$candidate.country",
                                 state: "$candidate.state",
                                 city: "$candidate.city",
-                                headline: "$candidate.headline"
+                                headline: "$candidate.headline",
+                                ...buildCandidateProfileProjection("$candidate")
                             }
                         }
                     }
@@ -310,6 +406,7 @@ export async function listCandidatesForCompanyService(actor, company_id, queryPa
         last_applied_at: row.last_applied_at,
         candidate: {
             ...row.candidate,
+            ...pickCandidateProfile(row.candidate),
             cv_url: hasCvFile(row.candidate.candidate_id) ? getCvUrl(row.candidate.candidate_id) : null
         }
     }));
@@ -327,7 +424,7 @@ export async function resolveCandidateCvService(actor, candidate_id) {
 
     const cid = requirePositiveId("candidate_id", candidate_id);
 
-    const existsCandidate = await Candidate.exists({ candidate_id: cid });
+    const existsCandidate = await Candidate.exists({ candidate_id: cid, deleted_at: null });
     if (!existsCandidate) return { status: "not_found" };
 
     if (actor.type === "admin") {
@@ -387,7 +484,7 @@ export async function uploadCandidateCvService(actor, candidate_id, file) {
     }
 
     // validar candidato
-    const existsCandidate = await Candidate.exists({ candidate_id: cid });
+    const existsCandidate = await Candidate.exists({ candidate_id: cid, deleted_at: null });
     if (!existsCandidate) return { status: "not_found" };
 
     // validar archivo
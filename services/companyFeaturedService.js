@@ -91,7 +91,7 @@ export async function listFeaturedCompaniesService(queryParams = {}) {
         return empty;
     }
 
-    const companies = await Company.find({ company_id: { $in: ids } }).lean();
+    const companies = await Company.find({ company_id: { $in: ids }, deleted_at: null }).lean();
 
     // Mantener el orden de "featured" (createdAt DESC) sin rank
     const byId = new Map();
@@ -120,7 +120,7 @@ export async function listFeaturedCompaniesService(queryParams = {}) {
 export async function addFeaturedCompanyService(payload = {}) {
     const company_id = parsePositiveInt("company_id", payload.company_id);
 
-    const existsCompany = await Company.exists({ company_id });
+    const existsCompany = await Company.exists({ company_id, deleted_at: null });
     if (!existsCompany) throw httpError(404, "Empresa no encontrada");
 
     const already = await FeaturedCompany.findOne({ company_id }).lean();
@@ -0,0 +1,448 @@
+// services/companyMemberService.js
+
+/**
+ * ============================================================================
+ * companyMemberService.js — Usuarios de una empresa (miembros e invitaciones)
+ * ============================================================================
+ *
+ * actor:
+ * - { type: "company" | "admin", company_id?: number, company_role?: string }
+ *
+ * Roles (ver utils/auth/actorAccessUtils.js):
+ * - owner     : administra miembros e invitaciones
+ * - recruiter : empleos y postulaciones
+ * - viewer    : solo lectura
+ *
+ * Flujo de invitación:
+ * 1) owner invita { email, role } → se envía correo con token (un solo uso).
+ * 2) El invitado acepta con { token, password } → se crea su User
+ *    (type="company", company_id, company_role) y recibe sesión.
+ * - Un email que ya tiene cuenta no puede aceptar (un User = una empresa).
+ *
+ * Reglas de miembros:
+ * - La empresa siempre conserva al menos un owner.
+ * - Cambiar rol o quitar a un miembro revoca sus sesiones (aplica de inmediato).
+ * - Quitar a un miembro marca deleted_at en su User (borrado lógico): no puede
+ *   iniciar sesión y se elimina en la purga (ver softDeleteService.js).
+ * - Los miembros quitados no se listan ni cuentan como owner.
+ * ============================================================================
+ */
+
+import crypto from "crypto";
+import bcrypt from "bcryptjs";
+
+import User from "../models/User.js";
+import Company from "../models/Company.js";
+import CompanyInvitation, { INVITABLE_COMPANY_ROLES } from "../models/CompanyInvitation.js";
+
+import { issueSession, revokeAllUserSessions } from "./authService.js";
+
+import { sendMail } from "../utils/mail/mailer.js";
+import { logger } from "../utils/logger.js";
+import { parseNumber } from "../utils/parsingUtils.js";
+import { buildPaginationParams } from "../utils/paginationUtils.js";
+import { companyRoleCan } from "../utils/auth/actorAccessUtils.js";
+
+/* =============================================================================
+ * Constantes
+ * =============================================================================
+ */
+const MEMBER_PROJECTION = { _id: 0, user_id: 1, email: 1, company_role: 1, createdAt: 1 };
+
+// Usuarios activos de la empresa (los quitados tienen deleted_at)
+const activeMembers = (company_id) => ({ company_id, type: "company", deleted_at: null });
+
+// company_role null = cuenta previa a los roles (owner)
+const OWNER_ROLE_FILTER = { $in: ["owner", null] };
+
+/* =============================================================================
+ * Errores tipados
+ * =============================================================================
+ */
+function makeError(code, httpStatus, message) {
+    const err = new Error(message);
+    err.code = code;
+    err.httpStatus = httpStatus;
+    return err;
+}
+
+/* =============================================================================
+ * Actor y validación
+ * =============================================================================
+ */
+function requireSelfCompanyOrAdmin(actor, company_id, permission = null) {
+    if (!actor || !actor.type) {
+        throw makeError("unauthorized", 401, "Se requiere autenticación.");
+    }
+    if (actor.type === "admin") return;
+    if (actor.type !== "company" || actor.company_id !== company_id) {
+        throw makeError("forbidden", 403, "No autorizado para esta empresa.");
+    }
+    if (!companyRoleCan(actor, permission)) {
+        throw makeError("forbidden", 403, "Tu rol en la empresa no permite esta acción.");
+    }
+}
+
+function requirePositiveId(name, raw) {
+    const n = parseNumber(raw);
+    if (!n || n <= 0) throw makeError("invalid_params", 400, `${name} debe ser un número > 0.`);
+    return n;
+}
+
+function normalizeRole(raw) {
+    const role = String(raw ?? "").trim().toLowerCase();
+    if (!INVITABLE_COMPANY_ROLES.includes(role)) {
+        throw makeError(
+            "invalid_payload",
+            400,
+            `role debe ser uno de: ${INVITABLE_COMPANY_ROLES.join(", ")}.`
+        );
+    }
+    return role;
+}
+
+function normalizeEmail(raw) {
+    const email = String(raw ?? "").trim().toLowerCase();
+    if (!email || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+        throw makeError("invalid_payload", 400, "email inválido.");
+    }
+    return email;
+}
+
+function hashToken(token) {
+    return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+function invitationTtlMs() {
+    const days = Number(process.env.COMPANY_INVITATION_TTL_DAYS || 7);
+    return (Number.isFinite(days) && days > 0 ? days : 7) * 24 * 60 * 60 * 1000;
+}
+
+function toPublicInvitation(doc, now = new Date()) {
+    const { _id, __v, token_hash, ...rest } = doc;
+    return {
+        ...rest,
+        expired: rest.status === "PENDING" && new Date(rest.expires_at) <= now
+    };
+}
+
+async function countOwners(company_id) {
+    return User.countDocuments({ ...activeMembers(company_id), company_role: OWNER_ROLE_FILTER });
+}
+
+function isOwnerRole(role) {
+    return role == null || role === "owner";
+}
+
+/* =============================================================================
+ * Miembros
+ * =============================================================================
+ */
+
+/**
+ * listCompanyMembersService
+ * Lista usuarios de la empresa (cualquier miembro puede verlos).
+ *
+ * Respuesta
+ * - { status:"ok", items: [{ user_id, email, company_role, createdAt }] }
+ */
+export async function listCompanyMembersService(actor, company_id) {
+    const coid = requirePositiveId("company_id", company_id);
+    requireSelfCompanyOrAdmin(actor, coid);
+
+    const users = await User.find(activeMembers(coid))
+        .select(MEMBER_PROJECTION)
+        .sort({ user_id: 1 })
+        .lean();
+
+    const items = users.map((u) => ({ ...u, company_role: u.company_role || "owner" }));
+    return { status: "ok", items };
+}
+
+/**
+ * updateCompanyMemberRoleService
+ * Cambia el rol de un miembro (solo owner/admin).
+ *
+ * Respuestas
+ * - { status:"ok", member }
+ * - { status:"not_found" }
+ * - { status:"last_owner" }  (no se puede degradar al único owner)
+ */
+export async function updateCompanyMemberRoleService(actor, { company_id, user_id }, payload = {}) {
+    const coid = requirePositiveId("company_id", company_id);
+    const uid = requirePositiveId("user_id", user_id);
+    requireSelfCompanyOrAdmin(actor, coid, "members:manage");
+
+    const role = normalizeRole(payload.role);
+
+    const member = await User.findOne({ ...activeMembers(coid), user_id: uid })
+        .select(MEMBER_PROJECTION)
+        .lean();
+
+    if (!member) return { status: "not_found" };
+
+    if (isOwnerRole(member.company_role) && role !== "owner" && (await countOwners(coid)) <= 1) {
+        return { status: "last_owner" };
+    }
+
+    if ((member.company_role || "owner") !== role) {
+        await User.updateOne({ user_id: uid }, { $set: { company_role: role } });
+        await revokeAllUserSessions(uid, "company_role_changed");
+    }
+
+    return { status: "ok", member: { ...member, company_role: role } };
+}
+
+/**
+ * removeCompanyMemberService
+ * Quita a un miembro: owner/admin a cualquiera, o el propio usuario a sí mismo.
+ * Su User queda con deleted_at (se purga con los demás borrados) y pierde sus
+ * sesiones.
+ *
+ * Respuestas
+ * - { status:"removed", revoked }
+ * - { status:"not_found" }
+ * - { status:"last_owner" }
+ */
+export async function removeCompanyMemberService(actor, { company_id, user_id }) {
+    const coid = requirePositiveId("company_id", company_id);
+    const uid = requirePositiveId("user_id", user_id);
+
+    const isSelf = actor?.type === "company" && actor.user_id === uid;
+    requireSelfCompanyOrAdmin(actor, coid, isSelf ? null : "members:manage");
+
+    const member = await User.findOne({ ...activeMembers(coid), user_id: uid })
+        .select(MEMBER_PROJECTION)
+        .lean();
+
+    if (!member) return { status: "not_found" };
+
+    if (isOwnerRole(member.company_role) && (await countOwners(coid)) <= 1) {
+        return { status: "last_owner" };
+    }
+
+    const out = await User.updateOne({ user_id: uid, deleted_at: null }, { $set: { deleted_at: new Date() } });
+    if (!out.modifiedCount) return { status: "not_found" };
+
+    const revoked = await revokeAllUserSessions(uid, "company_member_removed");
+
+    return { status: "removed", revoked };
+}
+
+/* =============================================================================
+ * Invitaciones
+ * =============================================================================
+ */
+
+/**
+ * createCompanyInvitationService
+ * Invita un email con un rol (solo owner/admin). Envía el token por correo.
+ * Una invitación nueva al mismo email revoca las PENDING anteriores.
+ *
+ * Body
+ * - email (string)
+ * - role ("owner" | "recruiter" | "viewer")
+ *
+ * Respuestas
+ * - { status:"created", invitation }
+ * - { status:"not_found" }      (empresa)
+ * - { status:"email_in_use" }   (ya existe una cuenta con ese email)
+ *
+ * Errores
+ * - 502 mail_failed: el correo no se pudo enviar (la invitación nueva queda
+ *   REVOKED y las anteriores siguen vigentes)
+ */
+export async function createCompanyInvitationService(actor, company_id, payload = {}) {
+    const coid = requirePositiveId("company_id", company_id);
+    requireSelfCompanyOrAdmin(actor, coid, "members:manage");
+
+    const email = normalizeEmail(payload.email);
+    const role = normalizeRole(payload.role);
+
+    const [company, existingUser] = await Promise.all([
+        Company.findOne({ company_id: coid, deleted_at: null }).select({ company_id: 1, name: 1 }).lean(),
+        User.exists({ email })
+    ]);
+
+    if (!company) return { status: "not_found" };
+    if (existingUser) return { status: "email_in_use" };
+
+    const token = crypto.randomBytes(32).toString("base64url");
+
+    const created = await CompanyInvitation.create({
+        company_id: coid,
+        email,
+        role,
+        token_hash: hashToken(token),
+        invited_by: actor.user_id ?? null,
+        expires_at: new Date(Date.now() + invitationTtlMs())
+    });
+
+    const base = String(process.env.APP_BASE_URL || "http://localhost:5173").replace(/\/+$/, "");
+
+    try {
+        await sendMail({
+            to: email,
+            subject: `Invitación a ${company.name || "una empresa"}`,
+            text:
+                `Te invitaron a unirte a ${company.name || "una empresa"} como ${role}.\n\n` +
+                `${base}/accept-invitation?token=${encodeURIComponent(token)}\n\n` +
+                "Si no esperabas esta invitación, ignora este mensaje."
+        });
+    } catch (mailErr) {
+        // Sin correo nadie recibe el token: no se deja una invitación PENDING huérfana
+        logger.warn(`No se pudo enviar la invitación a ${email}: ${mailErr?.message || mailErr}`);
+        await CompanyInvitation.updateOne(
+            { invitation_id: created.invitation_id, status: "PENDING" },
+            { $set: { status: "REVOKED" } }
+        );
+        throw makeError("mail_failed", 502, "No se pudo enviar el correo de invitación; intenta de nuevo.");
+    }
+
+    // Solo con el correo enviado se revocan las anteriores (un fallo no las invalida)
+    await CompanyInvitation.updateMany(
+        { company_id: coid, email, status: "PENDING", invitation_id: { $ne: created.invitation_id } },
+        { $set: { status: "REVOKED" } }
+    );
+
+    return { status: "created", invitation: toPublicInvitation(created.toObject()) };
+}
+
+/**
+ * listCompanyInvitationsService
+ * Lista invitaciones de la empresa (solo owner/admin).
+ *
+ * Query
+ * - status? ("PENDING" | "ACCEPTED" | "REVOKED")
+ * - page? limit?
+ *
+ * Respuesta
+ * - { status:"ok", total, page, limit, items }  (items incluyen expired)
+ */
+export async function listCompanyInvitationsService(actor, company_id, queryParams = {}) {
+    const coid = requirePositiveId("company_id", company_id);
+    requireSelfCompanyOrAdmin(actor, coid, "members:manage");
+
+    const { page, limit, skip } = buildPaginationParams(queryParams);
+
+    const filter = { company_id: coid };
+    const st = String(queryParams.status || "").trim().toUpperCase();
+    if (st) filter.status = st;
+
+    const [total, docs] = await Promise.all([
+        CompanyInvitation.countDocuments(filter),
+        CompanyInvitation.find(filter)
+            .sort({ created_at: -1, invitation_id: -1 })
+            .skip(skip)
+            .limit(limit)
+            .lean()
+    ]);
+
+    const now = new Date();
+    return { status: "ok", total, page, limit, items: docs.map((d) => toPublicInvitation(d, now)) };
+}
+
+/**
+ * revokeCompanyInvitationService
+ * Revoca una invitación PENDING (solo owner/admin).
+ *
+ * Respuestas
+ * - { status:"revoked" }
+ * - { status:"not_found" }
+ * - { status:"not_pending", current }
+ */
+export async function revokeCompanyInvitationService(actor, { company_id, invitation_id }) {
+    const coid = requirePositiveId("company_id", company_id);
+    const iid = requirePositiveId("invitation_id", invitation_id);
+    requireSelfCompanyOrAdmin(actor, coid, "members:manage");
+
+    const found = await CompanyInvitation.findOne({ company_id: coid, invitation_id: iid })
+        .select({ status: 1 })
+        .lean();
+
+    if (!found) return { status: "not_found" };
+    if (found.status !== "PENDING") return { status: "not_pending", current: found.status };
+
+    const out = await CompanyInvitation.updateOne(
+        { company_id: coid, invitation_id: iid, status: "PENDING" },
+        { $set: { status: "REVOKED" } }
+    );
+
+    if (!out.modifiedCount) return { status: "not_pending", current: "ACCEPTED" };
+    return { status: "revoked" };
+}
+
+/**
+ * acceptCompanyInvitationService
+ * Acepta una invitación (público: el token es la credencial).
+ * Crea el User de empresa con el rol invitado y regresa sesión.
+ *
+ * Body
+ * - token (string)
+ * - password (string)
+ *
+ * Respuestas
+ * - { status:"accepted", token, refresh_token, refresh_expires_at, actor }
+ * - { status:"invalid_token" }  (inexistente, revocada, aceptada o expirada)
+ * - { status:"email_in_use" }
+ */
+export async function acceptCompanyInvitationService(payload = {}, context = {}) {
+    const raw = String(payload.token ?? "").trim();
+    const password = String(payload.password ?? "");
+
+    if (!raw || !password) {
+        throw makeError("invalid_payload", 400, "token y password son obligatorios.");
+    }
+
+    const now = new Date();
+    const tokenHash = hashToken(raw);
+
+    const invitation = await CompanyInvitation.findOne({
+        token_hash: tokenHash,
+        status: "PENDING",
+        expires_at: { $gt: now }
+    }).lean();
+
+    if (!invitation) return { status: "invalid_token" };
+    if (await User.exists({ email: invitation.email })) return { status: "email_in_use" };
+
+    // Reclama la invitación de forma atómica (un solo uso)
+    const claimed = await CompanyInvitation.findOneAndUpdate(
+        { invitation_id: invitation.invitation_id, status: "PENDING" },
+        { $set: { status: "ACCEPTED", accepted_at: now } },
+        { new: true }
+    ).lean();
+
+    if (!claimed) return { status: "invalid_token" };
+
+    let user;
+    try {
+        const saltRounds = Number(process.env.BCRYPT_SALT_ROUNDS || 10);
+
+        user = await User.create({
+            type: "company",
+            email: invitation.email,
+            password_hash: await bcrypt.hash(password, saltRounds),
+            company_id: invitation.company_id,
+            company_role: invitation.role,
+            // El token llegó por correo: el email queda verificado
+            email_verified: true,
+            email_verified_at: now
+        });
+    } catch (err) {
+        await CompanyInvitation.updateOne(
+            { invitation_id: invitation.invitation_id },
+            { $set: { status: "PENDING", accepted_at: null } }
+        );
+        if (err?.code === 11000) return { status: "email_in_use" };
+        throw err;
+    }
+
+    await CompanyInvitation.updateOne(
+        { invitation_id: invitation.invitation_id },
+        { $set: { accepted_user_id: user.user_id } }
+    );
+
+    const session = await issueSession(user, context);
+    return { status: "accepted", ...session };
+}
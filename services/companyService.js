@@ -27,6 +27,11 @@
  * Autenticación (Frontend):
  * - Lecturas (list/get/jobs): públicas.
  * - Escrituras (create/update/delete/logo): requieren token Bearer.
+ * - Restaurar empresa eliminada: solo admin.
+ *
+ * Borrado lógico:
+ * - delete marca deleted_at (con cascada); las empresas eliminadas no aparecen
+ *   en lecturas ni aceptan escrituras hasta que un admin las restaure.
  *
  * Errores:
  * - Cuando hay error controlado, el controller lo traduce a JSON para el front.
@@ -44,8 +49,11 @@ import { standardizeLogo, DEFAULT_LOGO_SIZE } from "../utils/imageProcessor.js";
 import { buildPaginationParams } from "../utils/paginationUtils.js";
 import { parseNumber, normalizeSearchTerm as normalizeSearchTermBasic } from "../utils/parsingUtils.js";
 import { buildLogoFullPath } from "../utils/assets/logoUtils.js";
+import { buildOpenJobConditions } from "../utils/jobs/jobLifecycleUtils.js";
 
 import { requireActorType, requireCompanyScope, httpError } from "../utils/auth/actorAccessUtils.js";
+import { invalidateJobCaches } from "./jobService.js";
+import { cascadeCompanySoftDelete, cascadeCompanyRestore } from "./softDeleteService.js";
 
 /* =============================================================================
  * Helpers internos (normalización + ranker)
@@ -83,6 +91,8 @@ function stripMongoFields(obj) {
         __v,
         createdAt,
         updatedAt,
+        deleted_at,
+        deleted_by,
         ...rest
     } = obj;
 
@@ -153,7 +163,7 @@ function toCompanyId(raw) {
 function buildCompanyFilters(queryParams = {}, { includeTextFilter = true } = {}) {
     const { q, country, state, city, min_size, max_size } = queryParams;
 
-    const filter = {};
+    const filter = { deleted_at: null };
 
     if (includeTextFilter) {
         const raw = q !== undefined && q !== null ? String(q).trim() : "";
@@ -462,14 +472,15 @@ export async function getCompanyByIdService(id) {
     const companyId = toCompanyId(id);
     if (companyId === null) return null;
 
-    const company = await Company.findOne({ company_id: companyId }).lean();
+    const company = await Company.findOne({ company_id: companyId, deleted_at: null }).lean();
     if (!company) return null;
 
     return attachLogoFullPath(company);
 }
 
 /**
- * Lista empleos de una empresa (pública).
+ * Lista empleos de una empresa (pública; solo jobs abiertos, ver
+ * utils/jobs/jobLifecycleUtils.js).
  *
  * Path param (frontend):
  * - companyIdRaw: company_id
@@ -500,7 +511,7 @@ export async function getCompanyJobsService(companyIdRaw, queryParams = {}) {
 
     const { country, state, city, work_type, pay_period } = queryParams;
 
-    const filters = { company_id: companyId };
+    const filters = { company_id: companyId, $and: buildOpenJobConditions() };
 
     if (country) filters.country = country;
     if (state) filters.state = state;
@@ -574,7 +585,7 @@ export async function createCompanyService(actor, payload) {
  *
  * Permisos:
  * - admin  : puede actualizar cualquier empresa
- * - company: solo su propia empresa (actor.company_id === company_id)
+ * - company: solo su propia empresa (actor.company_id === company_id) y rol owner
  *
  * @param {any} actor
  * @param {string|number} id
@@ -586,10 +597,10 @@ export async function updateCompanyService(actor, id, payload) {
     const companyId = toCompanyId(id);
     if (companyId === null) return null;
 
-    requireCompanyScope(actor, companyId);
+    requireCompanyScope(actor, companyId, "company:update");
 
     const updated = await Company.findOneAndUpdate(
-        { company_id: companyId },
+        { company_id: companyId, deleted_at: null },
         payload,
         { new: true }
     ).lean();
@@ -599,14 +610,21 @@ export async function updateCompanyService(actor, id, payload) {
 }
 
 /**
- * Elimina una empresa por company_id (requiere autenticación).
+ * Elimina (borrado lógico) una empresa por company_id (requiere autenticación).
  *
  * Auth (frontend):
  * - Authorization: Bearer <token>
  *
  * Permisos:
  * - admin  : puede eliminar cualquier empresa
- * - company: solo su propia empresa (actor.company_id === company_id)
+ * - company: solo su propia empresa (actor.company_id === company_id) y rol owner
+ *
+ * Efecto en cascada (ver softDeleteService.js):
+ * - Sus jobs y postulaciones toman el mismo deleted_at.
+ * - Se borran favoritos de sus jobs, el destacado e invitaciones pendientes.
+ * - Sus usuarios quedan deshabilitados y pierden sus sesiones activas.
+ *
+ * Un admin puede restaurarla (restoreCompanyService) hasta la purga.
  *
  * @param {any} actor
  * @param {string|number} id
@@ -616,12 +634,63 @@ export async function deleteCompanyService(actor, id) {
     const companyId = toCompanyId(id);
     if (companyId === null) return { deleted: false };
 
-    requireCompanyScope(actor, companyId);
+    requireCompanyScope(actor, companyId, "company:delete");
+
+    const at = new Date();
+    const by = actor.user_id ?? null;
+
+    const deleted = await Company.findOneAndUpdate(
+        { company_id: companyId, deleted_at: null },
+        { $set: { deleted_at: at, deleted_by: by } }
+    );
+
+    if (deleted) {
+        await cascadeCompanySoftDelete(companyId, at, by);
+        invalidateJobCaches();
+    }
 
-    const deleted = await Company.findOneAndDelete({ company_id: companyId });
     return { deleted: Boolean(deleted) };
 }
 
+/**
+ * Restaura una empresa eliminada (solo admin).
+ *
+ * Restaura también lo que se eliminó junto con ella (mismo deleted_at):
+ * jobs, usuarios y postulaciones. Favoritos, destacado e invitaciones
+ * borrados no se recuperan.
+ *
+ * @param {any} actor
+ * @param {string|number} id
+ * @returns {Promise<Object|null>}
+ * - Company restaurada con logo_full_path, o null si no existe / id inválido.
+ *
+ * Errores típicos:
+ * - 401/403: no admin
+ * - 409: la empresa no está eliminada
+ */
+export async function restoreCompanyService(actor, id) {
+    requireActorType(actor, ["admin"]);
+
+    const companyId = toCompanyId(id);
+    if (companyId === null) return null;
+
+    const company = await Company.findOne({ company_id: companyId }).lean();
+    if (!company) return null;
+    if (!company.deleted_at) throw httpError(409, "Company is not deleted");
+
+    const restored = await Company.findOneAndUpdate(
+        { company_id: companyId, deleted_at: company.deleted_at },
+        { $set: { deleted_at: null, deleted_by: null } },
+        { new: true }
+    ).lean();
+    if (!restored) return null;
+
+    await cascadeCompanyRestore(companyId, company.deleted_at);
+    invalidateJobCaches();
+
+    return attachLogoFullPath(restored);
+}
+
 /**
  * Actualiza el logo de una empresa (requiere autenticación).
  *
@@ -630,7 +699,7 @@ export async function deleteCompanyService(actor, id) {
  *
  * Permisos:
  * - admin  : permitido
- * - company: solo su propia empresa (actor.company_id === company_id)
+ * - company: solo su propia empresa (actor.company_id === company_id) y rol owner
  *
  * Entrada (desde controller):
  * - fileBuffer: Buffer (archivo recibido por multipart/form-data)
@@ -655,9 +724,9 @@ export async function updateCompanyLogoService(actor, companyIdRaw, fileBuffer)
     const companyId = toCompanyId(companyIdRaw);
     if (companyId === null) return null;
 
-    requireCompanyScope(actor, companyId);
+    requireCompanyScope(actor, companyId, "company:update");
 
-    const company = await Company.findOne({ company_id: companyId }).lean();
+    const company = await Company.findOne({ company_id: companyId, deleted_at: null }).lean();
     if (!company) return null;
 
     if (!fileBuffer || !Buffer.isBuffer(fileBuffer) || fileBuffer.length === 0) {
@@ -0,0 +1,241 @@
+// services/exchangeRateService.js
+
+/**
+ * ============================================================================
+ * exchangeRateService.js — Servicio de Tipos de Cambio
+ * ============================================================================
+ *
+ * actor:
+ * - Escrituras: { type: "admin" }
+ * - Lectura (listado): pública
+ *
+ * Reglas:
+ * - rate_to_base = unidades de la moneda base (SALARY_BASE_CURRENCY, default USD)
+ *   por 1 unidad de la moneda. La moneda base no se registra (vale 1).
+ * - Al crear/actualizar/eliminar una tasa se recalculan los campos *_base de
+ *   los jobs en esa moneda (normalized_salary_base, min_salary_base,
+ *   max_salary_base) y se invalidan los caches de jobs.
+ * - recomputeJobBaseSalariesService recalcula TODOS los jobs (p. ej. después de
+ *   cambiar SALARY_BASE_CURRENCY o de un import masivo con insertMany).
+ * ============================================================================
+ */
+
+import ExchangeRate from "../models/ExchangeRate.js";
+import Job from "../models/Job.js";
+
+import { invalidateJobCaches } from "./jobService.js";
+
+import { parseNumber } from "../utils/parsingUtils.js";
+import {
+    getSalaryBaseCurrency,
+    getRateToBase,
+    normalizeCurrencyCode
+} from "../utils/jobs/salaryNormalizationUtils.js";
+
+/* =============================================================================
+ * Errores tipados
+ * =============================================================================
+ */
+function makeError(code, httpStatus, message) {
+    const err = new Error(message);
+    err.code = code;
+    err.httpStatus = httpStatus;
+    return err;
+}
+
+/* =============================================================================
+ * Actor y validación
+ * =============================================================================
+ */
+function requireAdmin(actor) {
+    if (!actor || !actor.type) {
+        throw makeError("unauthorized", 401, "Se requiere autenticación.");
+    }
+    if (actor.type !== "admin") {
+        throw makeError("forbidden", 403, "Solo admin puede administrar tipos de cambio.");
+    }
+}
+
+function requireCurrency(raw) {
+    const code = normalizeCurrencyCode(raw);
+    if (!code) throw makeError("invalid_params", 400, "currency debe ser un código de 3 letras (p. ej. MXN).");
+    if (code === getSalaryBaseCurrency()) {
+        throw makeError("invalid_params", 400, `${code} es la moneda base (su tasa es siempre 1).`);
+    }
+    return code;
+}
+
+function requireRate(raw) {
+    const n = parseNumber(raw);
+    if (n === null || !(n > 0)) throw makeError("invalid_payload", 400, "rate_to_base debe ser un número > 0.");
+    return n;
+}
+
+/* =============================================================================
+ * Recalculo de jobs
+ * =============================================================================
+ */
+
+/**
+ * Filtro de jobs en `currency` sin distinguir mayúsculas ni espacios: los hooks
+ * de Job normalizan el código, pero los datos previos pueden tener "mxn".
+ * Un valor que no es código ISO se compara tal cual.
+ */
+function jobCurrencyFilter(currency) {
+    const code = normalizeCurrencyCode(currency);
+    if (!code) return { currency };
+    return { currency: { $regex: `^\\s*${code}\\s*$`, $options: "i" } };
+}
+
+/**
+ * Recalcula *_base de los jobs en `currency` con `rate` (null = sin tasa).
+ * Usa un update con pipeline para no traer los documentos a memoria.
+ *
+ * @returns {Promise<number>} jobs modificados
+ */
+async function applyRateToJobs(currency, rate) {
+    const convert = (field) =>
+        rate === null
+            ? null
+            : {
+                $cond: [
+                    { $gt: [{ $ifNull: [`$${field}`, 0] }, 0] },
+                    { $round: [{ $multiply: [`$${field}`, rate] }, 2] },
+                    null
+                ]
+            };
+
+    const result = await Job.updateMany(jobCurrencyFilter(currency), [
+        {
+            $set: {
+                normalized_salary_base: convert("normalized_salary"),
+                min_salary_base: convert("min_salary"),
+                max_salary_base: convert("max_salary")
+            }
+        }
+    ]);
+
+    return result?.modifiedCount ?? 0;
+}
+
+function toDTO(doc) {
+    return {
+        currency: doc.currency,
+        rate_to_base: doc.rate_to_base,
+        updated_by: doc.updated_by ?? null,
+        updated_at: doc.updated_at ?? null
+    };
+}
+
+/* =============================================================================
+ * Servicios
+ * =============================================================================
+ */
+
+/**
+ * listExchangeRatesService
+ *
+ * Respuesta
+ * - { status:"ok", base, items: [{ currency, rate_to_base, updated_by, updated_at }] }
+ */
+export async function listExchangeRatesService() {
+    const rows = await ExchangeRate.find({}).sort({ currency: 1 }).lean();
+    return { status: "ok", base: getSalaryBaseCurrency(), items: rows.map(toDTO) };
+}
+
+/**
+ * upsertExchangeRateService
+ * Crea o actualiza la tasa de una moneda y recalcula sus jobs.
+ *
+ * Body
+ * - rate_to_base (number > 0)
+ *
+ * Respuestas
+ * - { status:"created" | "updated", rate, jobs_updated }
+ */
+export async function upsertExchangeRateService(actor, currency, payload = {}) {
+    requireAdmin(actor);
+
+    const code = requireCurrency(currency);
+    const rate = requireRate(payload.rate_to_base);
+
+    const existed = await ExchangeRate.exists({ currency: code });
+
+    const doc = await ExchangeRate.findOneAndUpdate(
+        { currency: code },
+        { $set: { rate_to_base: rate, updated_by: actor.user_id ?? null, updated_at: new Date() } },
+        { new: true, upsert: true, runValidators: true }
+    ).lean();
+
+    ExchangeRate.clearRateCache();
+    const jobsUpdated = await applyRateToJobs(code, rate);
+    invalidateJobCaches();
+
+    return { status: existed ? "updated" : "created", rate: toDTO(doc), jobs_updated: jobsUpdated };
+}
+
+/**
+ * deleteExchangeRateService
+ * Elimina la tasa; los jobs en esa moneda quedan sin montos *_base.
+ *
+ * Respuestas
+ * - { status:"deleted", jobs_updated }
+ * - { status:"not_found" }
+ */
+export async function deleteExchangeRateService(actor, currency) {
+    requireAdmin(actor);
+
+    const code = requireCurrency(currency);
+
+    const deleted = await ExchangeRate.findOneAndDelete({ currency: code });
+    if (!deleted) return { status: "not_found" };
+
+    ExchangeRate.clearRateCache();
+    const jobsUpdated = await applyRateToJobs(code, null);
+    invalidateJobCaches();
+
+    return { status: "deleted", jobs_updated: jobsUpdated };
+}
+
+/**
+ * recomputeJobBaseSalariesService
+ * Recalcula *_base de todos los jobs según la tabla actual.
+ *
+ * Acceso
+ * - admin (actor = null solo desde scripts internos)
+ *
+ * Respuesta
+ * - { status:"ok", base, jobs_updated, currencies: [{ currency, rate_to_base }] }
+ *   (rate_to_base null = moneda sin tasa; sus jobs quedan sin *_base)
+ */
+export async function recomputeJobBaseSalariesService(actor, { fromScript = false } = {}) {
+    if (!fromScript) requireAdmin(actor);
+
+    ExchangeRate.clearRateCache();
+    const rates = await ExchangeRate.getRateMap();
+    const base = getSalaryBaseCurrency();
+
+    // Un mismo código puede estar guardado como "MXN" y "mxn": se recalcula una vez
+    const stored = (await Job.distinct("currency")).filter(Boolean);
+    const currencies = [...new Set(stored.map((c) => normalizeCurrencyCode(c) ?? c))];
+
+    let jobsUpdated = 0;
+    const summary = [];
+
+    for (const currency of currencies) {
+        const rate = getRateToBase(currency, rates, base);
+        jobsUpdated += await applyRateToJobs(currency, rate);
+        summary.push({ currency, rate_to_base: rate });
+    }
+
+    // Jobs sin moneda nunca tienen conversión
+    const noCurrency = await Job.updateMany(
+        { $or: [{ currency: null }, { currency: "" }], normalized_salary_base: { $ne: null } },
+        { $set: { normalized_salary_base: null, min_salary_base: null, max_salary_base: null } }
+    );
+    jobsUpdated += noCurrency?.modifiedCount ?? 0;
+
+    invalidateJobCaches();
+
+    return { status: "ok", base, jobs_updated: jobsUpdated, currencies: summary };
+}
@@ -11,6 +11,8 @@
  * Reglas:
  * - Solo candidatos pueden crear/leer/eliminar favoritos.
  * - Un favorito es único por (candidate_id, job_id).
+ * - Company (dueña del job) / Admin:
+ *   - Solo puede ver CONTEOS agregados por job_id (nunca quién lo guardó).
  *
  * Performance:
  * - El listado usa:
@@ -21,9 +23,13 @@
 
 import Favorite from "../models/Favorite.js";
 import Job from "../models/Job.js";
+import Company from "../models/Company.js";
 
 import { parseNumber } from "../utils/parsingUtils.js";
 import { buildPaginationParams } from "../utils/paginationUtils.js";
+import { buildLogoFullPath } from "../utils/assets/logoUtils.js";
+import { INTERNAL_JOB_FIELDS } from "../utils/jobs/jobFields.js";
+import { attachCompanyAndFormatJobs } from "../utils/jobs/jobTransformUtils.js";
 
 /* =============================================================================
  * Helpers: errores tipados
@@ -50,6 +56,16 @@ function requireCandidateActor(actor) {
     }
 }
 
+function requireSelfCompanyOrAdmin(actor, company_id) {
+    if (!actor || !actor.type) {
+        throw makeError("unauthorized", 401, "Se requiere autenticación.");
+    }
+    if (actor.type === "admin") return;
+    if (actor.type !== "company" || actor.company_id !== company_id) {
+        throw makeError("forbidden", 403, "No autorizado para esta empresa.");
+    }
+}
+
 function requirePositiveId(name, raw) {
     const n = parseNumber(raw);
     if (!n || n <= 0) {
@@ -83,7 +99,7 @@ export async function addFavoriteService(actor, job_id) {
 
     const jid = requirePositiveId("job_id", job_id);
 
-    const existsJob = await Job.exists({ job_id: jid });
+    const existsJob = await Job.exists({ job_id: jid, deleted_at: null });
     if (!existsJob) {
         throw makeError("not_found", 404, "El empleo no existe.");
     }
@@ -158,6 +174,7 @@ export async function removeFavoriteService(actor, job_id) {
  *
  * Notas:
  * - Si un Job ya no existe (import limpio / datos cambiaron), job puede ser null.
+ * - job tiene el mismo formato que GET /api/jobs (incluye company con logo).
  */
 export async function listFavoritesService(actor, queryParams = {}) {
     requireCandidateActor(actor);
@@ -175,10 +192,16 @@ export async function listFavoritesService(actor, queryParams = {}) {
 
     const jobIds = favorites.map((f) => f.job_id);
 
-    const jobs = jobIds.length
+    const rawJobs = jobIds.length
         ? await Job.find({ job_id: { $in: jobIds } }).lean()
         : [];
 
+    const jobs = await attachCompanyAndFormatJobs(rawJobs, {
+        CompanyModel: Company,
+        buildLogoFullPath,
+        internalJobFields: INTERNAL_JOB_FIELDS
+    });
+
     const jobMap = new Map(jobs.map((j) => [j.job_id, j]));
 
     const items = favorites.map((f) => ({
@@ -194,3 +217,95 @@ export async function listFavoritesService(actor, queryParams = {}) {
         items
     };
 }
+
+/* =============================================================================
+ * getFavoriteStatusesForJobsService
+ * =============================================================================
+ */
+
+/**
+ * getFavoriteStatusesForJobsService
+ * ---------------------------------
+ * Mapa job_id -> boolean (¿el candidato lo tiene en favoritos?) para una
+ * página de jobs. Mismo contrato que getStatusesForJobsService (applications).
+ *
+ * Validaciones:
+ * - actor candidate
+ * - job_ids: arreglo; ids inválidos se descartan
+ *
+ * Retorna:
+ * - { status:"ok", map: { "<job_id>": true|false } }
+ */
+export async function getFavoriteStatusesForJobsService(actor, job_ids) {
+    requireCandidateActor(actor);
+
+    if (!Array.isArray(job_ids) || job_ids.length === 0) return { status: "ok", map: {} };
+
+    const ids = job_ids
+        .map((x) => parseNumber(x))
+        .filter((x) => Number.isFinite(x) && x > 0);
+
+    if (ids.length === 0) return { status: "ok", map: {} };
+
+    const favorites = await Favorite.find({
+        candidate_id: actor.candidate_id,
+        job_id: { $in: ids }
+    })
+        .select({ job_id: 1 })
+        .lean();
+
+    const map = {};
+    for (const id of ids) map[String(id)] = false;
+    for (const f of favorites) map[String(f.job_id)] = true;
+
+    return { status: "ok", map };
+}
+
+/* =============================================================================
+ * getCompanyFavoriteCountsService
+ * =============================================================================
+ */
+
+/**
+ * getCompanyFavoriteCountsService
+ * -------------------------------
+ * "Guardado por N candidatos" para los jobs de una empresa.
+ *
+ * Acceso:
+ * - company: solo su company_id
+ * - admin: permitido
+ *
+ * Query/params:
+ * - job_id? (opcional; debe pertenecer a la empresa)
+ *
+ * Retorna:
+ * - { status:"ok", counts: [{ job_id, count }] }  (count DESC)
+ *   Jobs sin favoritos no aparecen en counts.
+ * - { status:"not_found" } si job_id no pertenece a la empresa
+ */
+export async function getCompanyFavoriteCountsService(actor, { company_id, job_id }) {
+    const coid = requirePositiveId("company_id", company_id);
+    requireSelfCompanyOrAdmin(actor, coid);
+
+    let jobIds;
+
+    const jid = parseNumber(job_id);
+    if (jid && jid > 0) {
+        const owned = await Job.exists({ job_id: jid, company_id: coid, deleted_at: null });
+        if (!owned) return { status: "not_found" };
+        jobIds = [jid];
+    } else {
+        jobIds = await Job.distinct("job_id", { company_id: coid, deleted_at: null });
+    }
+
+    if (jobIds.length === 0) return { status: "ok", counts: [] };
+
+    const counts = await Favorite.aggregate([
+        { $match: { job_id: { $in: jobIds } } },
+        { $group: { _id: "$job_id", count: { $sum: 1 } } },
+        { $project: { _id: 0, job_id: "$_id", count: 1 } },
+        { $sort: { count: -1, job_id: 1 } }
+    ]);
+
+    return { status: "ok", counts };
+}
@@ -0,0 +1,740 @@
+// services/interviewService.js
+
+/**
+ * ============================================================================
+ * interviewService.js — Servicio de Entrevistas (Interview)
+ * ============================================================================
+ *
+ * Identidad (actor)
+ * - { type: "candidate" | "company" | "admin", candidate_id?, company_id?, user_id? }
+ *
+ * Flujo
+ * 1) La empresa propone horarios (slots) para una postulación. Si la
+ *    postulación no está en INTERVIEW se mueve a INTERVIEW con la máquina de
+ *    estados de applicationService (transiciones ilegales → 409).
+ * 2) El candidato elige un slot → SCHEDULED.
+ * 3) La empresa puede reprogramar (nuevos slots → PROPOSED) y cualquiera de
+ *    las dos partes puede cancelar.
+ *
+ * Acceso
+ * - company: solo entrevistas de su company_id; escribir requiere
+ *   "applications:write" (viewer solo lee).
+ * - candidate: solo entrevistas de sus postulaciones; elige slot y cancela.
+ * - admin: permitido.
+ * - Entrevistas de postulaciones eliminadas (deleted_at) no se exponen.
+ *
+ * Conflictos (por empresa)
+ * - Un horario choca si se traslapa con otra entrevista SCHEDULED de la misma
+ *   empresa. Se valida al proponer, al reprogramar y al elegir slot
+ *   (409 "interview_conflict" con meta { slot_id, conflicts }).
+ *
+ * Privacidad
+ * - notes (notas de entrevistadores), created_by y el email de los
+ *   entrevistadores nunca se muestran al candidato.
+ *
+ * Calendario
+ * - getInterviewIcsService genera el .ics de una entrevista agendada o
+ *   cancelada (ver utils/interviews/icsUtils.js).
+ * ============================================================================
+ */
+
+import Interview from "../models/Interview.js";
+import Application from "../models/Application.js";
+import Job from "../models/Job.js";
+import Company from "../models/Company.js";
+
+import { updateApplicationStatusService } from "./applicationService.js";
+
+import { parseNumber } from "../utils/parsingUtils.js";
+import { buildPaginationParams } from "../utils/paginationUtils.js";
+import { addDateRangeFilter } from "../utils/mongoFilterUtils.js";
+import { ServiceError } from "../utils/serviceError.js";
+import { companyRoleCan } from "../utils/auth/actorAccessUtils.js";
+import {
+    INTERVIEW_STATUSES,
+    OPEN_INTERVIEW_STATUSES,
+    INTERVIEW_LOCATION_TYPES,
+    normalizeInterviewSlots,
+    buildScheduledOverlapCondition
+} from "../utils/interviews/interviewUtils.js";
+import { buildIcsEvent } from "../utils/interviews/icsUtils.js";
+
+/* =============================================================================
+ * Constantes públicas
+ * =============================================================================
+ */
+export const MAX_INTERVIEW_NOTE_LENGTH = 5000;
+export const MAX_INTERVIEWERS = 10;
+
+const MAX_TEXT_LENGTH = Object.freeze({
+    title: 200,
+    location: 500,
+    meeting_url: 2000,
+    reason: 1000,
+    name: 200,
+    email: 320
+});
+
+const INTERVIEW_PROJECTION = Object.freeze({ _id: 0, __v: 0 });
+
+/* =============================================================================
+ * Errores tipados
+ * =============================================================================
+ */
+function makeError(code, httpStatus, message) {
+    const err = new Error(message);
+    err.code = code;
+    err.httpStatus = httpStatus;
+    return err;
+}
+
+/* =============================================================================
+ * Actor y control de acceso
+ * =============================================================================
+ */
+function requireActor(actor) {
+    if (!actor || !actor.type) {
+        throw makeError("unauthorized", 401, "Se requiere autenticación.");
+    }
+}
+
+function requireCompanyAccess(actor, company_id, permission = "applications:read") {
+    requireActor(actor);
+    if (actor.type === "admin") return;
+    if (actor.type !== "company" || actor.company_id !== company_id) {
+        throw makeError("forbidden", 403, "No autorizado para esta empresa.");
+    }
+    if (!companyRoleCan(actor, permission)) {
+        throw makeError("forbidden", 403, "Tu rol en la empresa no permite esta acción.");
+    }
+}
+
+function requireInterviewAccess(actor, interview) {
+    requireActor(actor);
+    if (actor.type === "admin") return;
+
+    if (actor.type === "candidate" && actor.candidate_id === interview.candidate_id) return;
+    if (actor.type === "company" && actor.company_id === interview.company_id) {
+        if (companyRoleCan(actor, "applications:read")) return;
+    }
+
+    throw makeError("forbidden", 403, "No autorizado para esta entrevista.");
+}
+
+function toActorRef(actor) {
+    return { user_id: actor?.user_id ?? null, type: actor?.type ?? null };
+}
+
+/* =============================================================================
+ * Validación
+ * =============================================================================
+ */
+function requirePositiveId(name, raw) {
+    const n = parseNumber(raw);
+    if (!n || n <= 0) throw makeError("invalid_params", 400, `${name} debe ser un número > 0.`);
+    return n;
+}
+
+function optionalText(field, raw, max) {
+    if (raw === undefined) return undefined;
+    if (raw === null) return null;
+    const s = String(raw).trim();
+    if (!s) return null;
+    if (s.length > max) throw makeError("invalid_payload", 400, `${field} admite máximo ${max} caracteres.`);
+    return s;
+}
+
+function normalizeMeetingUrl(raw) {
+    const url = optionalText("meeting_url", raw, MAX_TEXT_LENGTH.meeting_url);
+    if (!url) return url;
+    if (!/^https?:\/\/\S+$/i.test(url)) {
+        throw makeError("invalid_payload", 400, "meeting_url debe ser una URL http(s).");
+    }
+    return url;
+}
+
+function normalizeLocationType(raw) {
+    if (raw === undefined) return undefined;
+    const t = String(raw ?? "").trim().toUpperCase();
+    if (!INTERVIEW_LOCATION_TYPES.includes(t)) {
+        throw makeError(
+            "invalid_payload",
+            400,
+            `location_type debe ser uno de: ${INTERVIEW_LOCATION_TYPES.join(", ")}.`
+        );
+    }
+    return t;
+}
+
+function normalizeInterviewers(raw) {
+    if (raw === undefined) return undefined;
+    if (raw === null) return [];
+    if (!Array.isArray(raw)) throw makeError("invalid_payload", 400, "interviewers debe ser un arreglo.");
+    if (raw.length > MAX_INTERVIEWERS) {
+        throw makeError("invalid_payload", 400, `interviewers admite máximo ${MAX_INTERVIEWERS} personas.`);
+    }
+
+    return raw.map((i, idx) => {
+        const item = typeof i === "string" ? { name: i } : i;
+        if (!item || typeof item !== "object") {
+            throw makeError("invalid_payload", 400, `interviewers[${idx}] debe ser un objeto.`);
+        }
+        const name = optionalText(`interviewers[${idx}].name`, item.name, MAX_TEXT_LENGTH.name);
+        if (!name) throw makeError("invalid_payload", 400, `interviewers[${idx}].name es obligatorio.`);
+
+        const email = optionalText(`interviewers[${idx}].email`, item.email, MAX_TEXT_LENGTH.email) ?? null;
+        if (email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+            throw makeError("invalid_payload", 400, `interviewers[${idx}].email no es válido.`);
+        }
+        return { name, email: email ? email.toLowerCase() : null };
+    });
+}
+
+/**
+ * Campos de logística (title, lugar, entrevistadores) presentes en el payload.
+ * Los ausentes no se tocan.
+ */
+function pickLogistics(payload = {}) {
+    const out = {
+        title: optionalText("title", payload.title, MAX_TEXT_LENGTH.title),
+        location_type: normalizeLocationType(payload.location_type),
+        location: optionalText("location", payload.location, MAX_TEXT_LENGTH.location),
+        meeting_url: normalizeMeetingUrl(payload.meeting_url),
+        interviewers: normalizeInterviewers(payload.interviewers)
+    };
+
+    for (const k of Object.keys(out)) {
+        if (out[k] === undefined) delete out[k];
+    }
+    return out;
+}
+
+function assertLocationComplete({ location_type, location, meeting_url }) {
+    if (location_type === "ONSITE" && !location) {
+        throw makeError("invalid_payload", 400, "location es obligatorio para entrevistas ONSITE.");
+    }
+    if (location_type === "VIDEO" && !meeting_url) {
+        throw makeError("invalid_payload", 400, "meeting_url es obligatorio para entrevistas VIDEO.");
+    }
+}
+
+/* =============================================================================
+ * Carga y vistas
+ * =============================================================================
+ */
+
+/**
+ * Entrevista cuya postulación sigue activa (null si no existe o está oculta).
+ */
+async function loadInterview(interview_id) {
+    const interview = await Interview.findOne({ interview_id }).select(INTERVIEW_PROJECTION).lean();
+    if (!interview) return null;
+
+    const active = await Application.exists({ application_id: interview.application_id, deleted_at: null });
+    return active ? interview : null;
+}
+
+function toCandidateView(interview) {
+    const { notes, created_by, ...rest } = interview;
+    return {
+        ...rest,
+        interviewers: (interview.interviewers || []).map((i) => ({ name: i.name })),
+        cancelled_by: interview.cancelled_by ? { type: interview.cancelled_by.type } : null
+    };
+}
+
+function toView(actor, interview) {
+    if (!interview) return interview;
+    return actor?.type === "candidate" ? toCandidateView(interview) : interview;
+}
+
+/* =============================================================================
+ * Conflictos
+ * =============================================================================
+ */
+
+/**
+ * Entrevistas SCHEDULED de la empresa que se traslapan con algún slot.
+ * Ignora la propia entrevista y las de postulaciones eliminadas.
+ *
+ * @throws 409 interview_conflict (meta { slot_id, conflicts:[{ interview_id, start_at, end_at }] })
+ */
+async function assertNoConflicts(company_id, slots, exclude_interview_id = null) {
+    for (const slot of slots) {
+        const filter = {
+            company_id,
+            ...buildScheduledOverlapCondition(slot.start_at, slot.end_at)
+        };
+        if (exclude_interview_id) filter.interview_id = { $ne: exclude_interview_id };
+
+        const overlapping = await Interview.find(filter)
+            .select({ _id: 0, interview_id: 1, application_id: 1, scheduled_start: 1, scheduled_end: 1 })
+            .lean();
+        if (overlapping.length === 0) continue;
+
+        const activeIds = new Set(
+            await Application.distinct("application_id", {
+                application_id: { $in: overlapping.map((i) => i.application_id) },
+                deleted_at: null
+            })
+        );
+        const conflicts = overlapping
+            .filter((i) => activeIds.has(i.application_id))
+            .map((i) => ({ interview_id: i.interview_id, start_at: i.scheduled_start, end_at: i.scheduled_end }));
+
+        if (conflicts.length > 0) {
+            throw new ServiceError(
+                "interview_conflict",
+                "El horario se traslapa con otra entrevista agendada de la empresa.",
+                409,
+                { slot_id: slot.slot_id ?? null, conflicts }
+            );
+        }
+    }
+}
+
+/* =============================================================================
+ * Create
+ * =============================================================================
+ */
+
+/**
+ * createInterviewService
+ * Propone horarios de entrevista para una postulación.
+ *
+ * Acceso
+ * - company (applications:write): solo postulaciones de su company_id
+ * - admin: permitido
+ *
+ * Body
+ * - application_id (number)
+ * - slots ([{ start_at, end_at }], 1..10, futuros, sin traslapes)
+ * - location_type? (ONSITE | VIDEO | PHONE, default VIDEO)
+ * - location? (obligatorio en ONSITE), meeting_url? (obligatorio en VIDEO)
+ * - title?, interviewers? ([{ name, email? }])
+ *
+ * Respuestas
+ * - { status:"created", interview }
+ * - { status:"not_found" } (postulación)
+ *
+ * Errores
+ * - 400 invalid_payload
+ * - 409 interview_conflict
+ * - 409 invalid_transition / application_locked (la postulación no puede pasar a INTERVIEW)
+ */
+export async function createInterviewService(actor, payload = {}) {
+    const aid = requirePositiveId("application_id", payload.application_id);
+
+    const application = await Application.findOne({ application_id: aid, deleted_at: null })
+        .select({ _id: 0, application_id: 1, job_id: 1, candidate_id: 1, company_id: 1, status: 1 })
+        .lean();
+    if (!application) return { status: "not_found" };
+
+    requireCompanyAccess(actor, application.company_id, "applications:write");
+
+    const slots = normalizeInterviewSlots(payload.slots);
+    const logistics = { location_type: "VIDEO", ...pickLogistics(payload) };
+    assertLocationComplete(logistics);
+
+    await assertNoConflicts(application.company_id, slots);
+
+    if (application.status !== "INTERVIEW") {
+        const moved = await updateApplicationStatusService(actor, {
+            company_id: application.company_id,
+            application_id: aid,
+            status: "INTERVIEW",
+            note: "Entrevista propuesta."
+        });
+        if (moved.status !== "ok") return { status: moved.status };
+    }
+
+    const created = await Interview.create({
+        application_id: aid,
+        job_id: application.job_id,
+        candidate_id: application.candidate_id,
+        company_id: application.company_id,
+        ...logistics,
+        slots,
+        created_by: toActorRef(actor)
+    });
+
+    return { status: "created", interview: created.toObject() };
+}
+
+/* =============================================================================
+ * Read
+ * =============================================================================
+ */
+
+/**
+ * getInterviewService
+ *
+ * Respuestas
+ * - { status:"ok", interview } (candidate: sin notes / created_by / emails)
+ * - { status:"not_found" }
+ */
+export async function getInterviewService(actor, interview_id) {
+    const iid = requirePositiveId("interview_id", interview_id);
+
+    const interview = await loadInterview(iid);
+    if (!interview) return { status: "not_found" };
+
+    requireInterviewAccess(actor, interview);
+    return { status: "ok", interview: toView(actor, interview) };
+}
+
+/**
+ * listInterviewsService
+ * Lista entrevistas del actor (calendario).
+ *
+ * Alcance
+ * - candidate: sus entrevistas
+ * - company: las de su empresa
+ * - admin: todas (filtrables por company_id / candidate_id)
+ *
+ * Query
+ * - application_id?, job_id?, status? (PROPOSED|SCHEDULED|CANCELLED)
+ * - from? to? (scheduled_start)
+ * - company_id?, candidate_id? (solo admin)
+ * - page?, limit?
+ *
+ * Respuesta
+ * - { status:"ok", meta, data }  (orden: scheduled_start asc, luego created_at desc)
+ */
+export async function listInterviewsService(actor, queryParams = {}) {
+    requireActor(actor);
+
+    const filter = {};
+    if (actor.type === "candidate") {
+        filter.candidate_id = actor.candidate_id;
+    } else if (actor.type === "company") {
+        requireCompanyAccess(actor, actor.company_id);
+        filter.company_id = actor.company_id;
+    } else if (actor.type === "admin") {
+        const coid = parseNumber(queryParams.company_id);
+        const cid = parseNumber(queryParams.candidate_id);
+        if (coid) filter.company_id = coid;
+        if (cid) filter.candidate_id = cid;
+    } else {
+        throw makeError("forbidden", 403, "No autorizado.");
+    }
+
+    const aid = parseNumber(queryParams.application_id);
+    const jid = parseNumber(queryParams.job_id);
+    if (aid) filter.application_id = aid;
+    if (jid) filter.job_id = jid;
+
+    if (queryParams.status) {
+        const st = String(queryParams.status).trim().toUpperCase();
+        if (!INTERVIEW_STATUSES.includes(st)) {
+            throw makeError("invalid_params", 400, `status debe ser uno de: ${INTERVIEW_STATUSES.join(", ")}.`);
+        }
+        filter.status = st;
+    }
+
+    addDateRangeFilter(filter, "scheduled_start", queryParams.from, queryParams.to);
+
+    const hidden = await Application.distinct("application_id", {
+        ...(filter.company_id ? { company_id: filter.company_id } : {}),
+        ...(filter.candidate_id ? { candidate_id: filter.candidate_id } : {}),
+        deleted_at: { $ne: null }
+    });
+    if (hidden.length > 0) {
+        if (!aid) filter.application_id = { $nin: hidden };
+        else if (hidden.includes(aid)) filter.application_id = { $in: [] };
+    }
+
+    const { page, limit, skip } = buildPaginationParams(queryParams);
+
+    const [rows, total] = await Promise.all([
+        Interview.find(filter)
+            .select(INTERVIEW_PROJECTION)
+            .sort({ scheduled_start: 1, created_at: -1, interview_id: -1 })
+            .skip(skip)
+            .limit(limit)
+            .lean(),
+        Interview.countDocuments(filter)
+    ]);
+
+    return {
+        status: "ok",
+        meta: { page, limit, total, pages: Math.ceil(total / limit) },
+        data: rows.map((i) => toView(actor, i))
+    };
+}
+
+/* =============================================================================
+ * Update
+ * =============================================================================
+ */
+
+/**
+ * selectInterviewSlotService
+ * El candidato confirma uno de los horarios propuestos.
+ *
+ * Acceso
+ * - candidate: solo sus entrevistas
+ * - admin: permitido
+ *
+ * Respuestas
+ * - { status:"ok", interview }
+ * - { status:"not_found" }
+ * - { status:"conflict" } (la entrevista cambió mientras se confirmaba)
+ *
+ * Errores
+ * - 400 invalid_payload: slot_id desconocido
+ * - 409 interview_not_pending: la entrevista no está en PROPOSED
+ * - 409 interview_conflict: el horario ya lo ocupó otra entrevista de la empresa
+ */
+export async function selectInterviewSlotService(actor, interview_id, { slot_id } = {}) {
+    const iid = requirePositiveId("interview_id", interview_id);
+
+    const interview = await loadInterview(iid);
+    if (!interview) return { status: "not_found" };
+
+    requireActor(actor);
+    if (actor.type !== "admin" && (actor.type !== "candidate" || actor.candidate_id !== interview.candidate_id)) {
+        throw makeError("forbidden", 403, "Solo el candidato puede elegir el horario.");
+    }
+
+    if (interview.status !== "PROPOSED") {
+        throw new ServiceError(
+            "interview_not_pending",
+            "La entrevista no tiene horarios pendientes de confirmar.",
+            409,
+            { interview_status: interview.status }
+        );
+    }
+
+    const slot = (interview.slots || []).find((s) => s.slot_id === String(slot_id ?? "").trim());
+    if (!slot) throw makeError("invalid_payload", 400, "slot_id no corresponde a un horario propuesto.");
+
+    if (slot.start_at <= new Date()) {
+        throw makeError("invalid_payload", 400, "El horario elegido ya pasó.");
+    }
+
+    await assertNoConflicts(interview.company_id, [slot], iid);
+
+    const updated = await Interview.findOneAndUpdate(
+        { interview_id: iid, status: "PROPOSED", sequence: interview.sequence },
+        {
+            $set: {
+                status: "SCHEDULED",
+                selected_slot_id: slot.slot_id,
+                scheduled_start: slot.start_at,
+                scheduled_end: slot.end_at,
+                updated_at: new Date()
+            },
+            $inc: { sequence: 1 }
+        },
+        { new: true, projection: INTERVIEW_PROJECTION }
+    ).lean();
+
+    if (!updated) return { status: "conflict" };
+    return { status: "ok", interview: toView(actor, updated) };
+}
+
+/**
+ * rescheduleInterviewService
+ * La empresa propone nuevos horarios (la entrevista vuelve a PROPOSED).
+ * Opcionalmente actualiza la logística (title, location_type, location,
+ * meeting_url, interviewers).
+ *
+ * Acceso
+ * - company (applications:write) / admin
+ *
+ * Respuestas
+ * - { status:"ok", interview }
+ * - { status:"not_found" }
+ * - { status:"conflict" }
+ *
+ * Errores
+ * - 400 invalid_payload
+ * - 409 interview_closed: la entrevista está cancelada
+ * - 409 interview_conflict
+ */
+export async function rescheduleInterviewService(actor, interview_id, payload = {}) {
+    const iid = requirePositiveId("interview_id", interview_id);
+
+    const interview = await loadInterview(iid);
+    if (!interview) return { status: "not_found" };
+
+    requireCompanyAccess(actor, interview.company_id, "applications:write");
+
+    if (!OPEN_INTERVIEW_STATUSES.includes(interview.status)) {
+        throw new ServiceError("interview_closed", "La entrevista está cancelada.", 409, {
+            interview_status: interview.status
+        });
+    }
+
+    const slots = normalizeInterviewSlots(payload.slots);
+    const logistics = pickLogistics(payload);
+    assertLocationComplete({ ...interview, ...logistics });
+
+    await assertNoConflicts(interview.company_id, slots, iid);
+
+    const updated = await Interview.findOneAndUpdate(
+        { interview_id: iid, status: interview.status, sequence: interview.sequence },
+        {
+            $set: {
+                ...logistics,
+                status: "PROPOSED",
+                slots,
+                selected_slot_id: null,
+                scheduled_start: null,
+                scheduled_end: null,
+                updated_at: new Date()
+            },
+            $inc: { sequence: 1, reschedule_count: 1 }
+        },
+        { new: true, projection: INTERVIEW_PROJECTION }
+    ).lean();
+
+    if (!updated) return { status: "conflict" };
+    return { status: "ok", interview: updated };
+}
+
+/**
+ * cancelInterviewService
+ *
+ * Acceso
+ * - candidate: sus entrevistas
+ * - company (applications:write) / admin
+ *
+ * Body
+ * - reason? (string, máx. 1000)
+ *
+ * Respuestas
+ * - { status:"cancelled", interview }
+ * - { status:"already_cancelled", interview }
+ * - { status:"not_found" }
+ * - { status:"conflict" }
+ */
+export async function cancelInterviewService(actor, interview_id, { reason } = {}) {
+    const iid = requirePositiveId("interview_id", interview_id);
+
+    const interview = await loadInterview(iid);
+    if (!interview) return { status: "not_found" };
+
+    requireInterviewAccess(actor, interview);
+    if (actor.type === "company") requireCompanyAccess(actor, interview.company_id, "applications:write");
+
+    if (interview.status === "CANCELLED") {
+        return { status: "already_cancelled", interview: toView(actor, interview) };
+    }
+
+    const cleanReason = optionalText("reason", reason, MAX_TEXT_LENGTH.reason) ?? null;
+    const now = new Date();
+
+    const updated = await Interview.findOneAndUpdate(
+        { interview_id: iid, status: interview.status, sequence: interview.sequence },
+        {
+            $set: {
+                status: "CANCELLED",
+                cancelled_at: now,
+                cancelled_by: toActorRef(actor),
+                cancel_reason: cleanReason,
+                updated_at: now
+            },
+            $inc: { sequence: 1 }
+        },
+        { new: true, projection: INTERVIEW_PROJECTION }
+    ).lean();
+
+    if (!updated) return { status: "conflict" };
+    return { status: "cancelled", interview: toView(actor, updated) };
+}
+
+/**
+ * addInterviewNoteService
+ * Agrega una nota de entrevistador (privada de la empresa; solo se agregan).
+ *
+ * Acceso
+ * - company (applications:write) / admin
+ *
+ * Respuestas
+ * - { status:"created", note, notes_count }
+ * - { status:"not_found" }
+ */
+export async function addInterviewNoteService(actor, interview_id, { body } = {}) {
+    const iid = requirePositiveId("interview_id", interview_id);
+
+    const interview = await loadInterview(iid);
+    if (!interview) return { status: "not_found" };
+
+    requireCompanyAccess(actor, interview.company_id, "applications:write");
+
+    const text = optionalText("body", body, MAX_INTERVIEW_NOTE_LENGTH);
+    if (!text) throw makeError("invalid_payload", 400, "body es obligatorio.");
+
+    const note = { body: text, author: toActorRef(actor), created_at: new Date() };
+
+    const updated = await Interview.findOneAndUpdate(
+        { interview_id: iid },
+        { $push: { notes: note }, $set: { updated_at: note.created_at } },
+        { new: true, projection: { _id: 0, notes: 1 } }
+    ).lean();
+
+    if (!updated) return { status: "not_found" };
+    return { status: "created", note, notes_count: updated.notes.length };
+}
+
+/* =============================================================================
+ * Calendario (.ics)
+ * =============================================================================
+ */
+
+/**
+ * getInterviewIcsService
+ * Evento iCalendar de la entrevista (para ambas partes).
+ * - SCHEDULED → METHOD:PUBLISH
+ * - CANCELLED con horario previo → METHOD:CANCEL (el calendario lo elimina)
+ *
+ * Respuestas
+ * - { status:"ok", filename, content }
+ * - { status:"not_found" }
+ * - { status:"not_scheduled" } (aún sin horario confirmado)
+ */
+export async function getInterviewIcsService(actor, interview_id) {
+    const iid = requirePositiveId("interview_id", interview_id);
+
+    const interview = await loadInterview(iid);
+    if (!interview) return { status: "not_found" };
+
+    requireInterviewAccess(actor, interview);
+
+    if (!interview.scheduled_start || !interview.scheduled_end) return { status: "not_scheduled" };
+
+    const [job, company] = await Promise.all([
+        Job.findOne({ job_id: interview.job_id }).select({ _id: 0, title: 1 }).lean(),
+        Company.findOne({ company_id: interview.company_id }).select({ _id: 0, name: 1 }).lean()
+    ]);
+
+    const jobTitle = job?.title || `Empleo ${interview.job_id}`;
+    const companyName = company?.name || `Empresa ${interview.company_id}`;
+
+    const description = [
+        `${companyName} — ${jobTitle}`,
+        interview.interviewers?.length
+            ? `Entrevistadores: ${interview.interviewers.map((i) => i.name).join(", ")}`
+            : null,
+        interview.location_type === "PHONE" ? "Entrevista telefónica." : null,
+        interview.meeting_url ? `Enlace: ${interview.meeting_url}` : null
+    ]
+        .filter(Boolean)
+        .join("\n");
+
+    const content = buildIcsEvent({
+        uid: `interview-${interview.interview_id}@jobs-api`,
+        sequence: interview.sequence,
+        start: interview.scheduled_start,
+        end: interview.scheduled_end,
+        summary: `${interview.title || "Entrevista"}: ${jobTitle} (${companyName})`,
+        description,
+        location: interview.location_type === "ONSITE" ? interview.location : interview.meeting_url,
+        url: interview.meeting_url,
+        cancelled: interview.status === "CANCELLED"
+    });
+
+    return { status: "ok", filename: `interview-${interview.interview_id}.ics`, content };
+}
@@ -0,0 +1,177 @@
+// services/jobRecommendationService.js
+
+/**
+ * ============================================================================
+ * jobRecommendationService.js — Feed de Empleos Recomendados
+ * ============================================================================
+ *
+ * actor:
+ * - { type: "candidate" | "admin", candidate_id?: number }
+ *
+ * Reglas:
+ * - candidate: solo su propio feed; admin: permitido.
+ * - Señales del candidato:
+ *   - headline y skills del perfil
+ *   - títulos y work_type de empleos postulados y favoritos (los más recientes)
+ *   - ubicación (country/state/city) y work_location_preferences
+ * - Empleos ya postulados se excluyen (incluye postulaciones retiradas).
+ * - El ranking y el formato de salida los resuelve jobService
+ *   (getRecommendedJobsService), igual que GET /api/jobs.
+ * ============================================================================
+ */
+
+import Candidate from "../models/Candidate.js";
+import Application from "../models/Application.js";
+import Favorite from "../models/Favorite.js";
+import Job from "../models/Job.js";
+
+import { getRecommendedJobsService } from "./jobService.js";
+
+import { parseNumber } from "../utils/parsingUtils.js";
+import { buildInterestTerms, mostFrequent } from "../utils/jobs/jobRecommendationUtils.js";
+
+/* =============================================================================
+ * Constantes
+ * =============================================================================
+ */
+
+// Cuántas postulaciones/favoritos recientes se usan como señal de interés
+const MAX_SIGNAL_JOBS = 50;
+
+export const DEFAULT_MAX_PER_COMPANY = 2;
+const MAX_PER_COMPANY_LIMIT = 10;
+
+/* =============================================================================
+ * Errores tipados
+ * =============================================================================
+ */
+function makeError(code, httpStatus, message) {
+    const err = new Error(message);
+    err.code = code;
+    err.httpStatus = httpStatus;
+    return err;
+}
+
+/* =============================================================================
+ * Actor y validación
+ * =============================================================================
+ */
+function requireSelfCandidateOrAdmin(actor, candidate_id) {
+    if (!actor || !actor.type) {
+        throw makeError("unauthorized", 401, "Se requiere autenticación.");
+    }
+    if (actor.type === "admin") return;
+    if (actor.type !== "candidate" || actor.candidate_id !== candidate_id) {
+        throw makeError("forbidden", 403, "No autorizado para este candidato.");
+    }
+}
+
+function requirePositiveId(name, raw) {
+    const n = parseNumber(raw);
+    if (!n || n <= 0) throw makeError("invalid_params", 400, `${name} debe ser un número > 0.`);
+    return n;
+}
+
+function parseMaxPerCompany(raw) {
+    if (raw === undefined || raw === null || raw === "") return DEFAULT_MAX_PER_COMPANY;
+    const n = parseNumber(raw);
+    if (!n || n < 1 || n > MAX_PER_COMPANY_LIMIT) {
+        throw makeError("invalid_params", 400, `max_per_company debe estar entre 1 y ${MAX_PER_COMPANY_LIMIT}.`);
+    }
+    return Math.floor(n);
+}
+
+/* =============================================================================
+ * Señales
+ * =============================================================================
+ */
+async function loadSignalJobs(job_ids) {
+    if (job_ids.length === 0) return [];
+    return Job.find({ job_id: { $in: job_ids } })
+        .select({ _id: 0, job_id: 1, title: 1, work_type: 1 })
+        .lean();
+}
+
+/* =============================================================================
+ * Servicio
+ * =============================================================================
+ */
+
+/**
+ * getRecommendedJobsForCandidateService
+ * Feed personalizado de empleos para un candidato.
+ *
+ * Query
+ * - page? limit?
+ * - max_per_company? (1–10, default 2)
+ * - filtros de GET /api/jobs (country, work_type, work_location_type, ...)
+ *
+ * Respuestas
+ * - { status:"ok", basis, meta, data }
+ *   - basis: { terms, applied_count, favorites_count } (señales usadas;
+ *     favorites_count cuenta solo los favoritos recientes considerados)
+ *   - data: Jobs con `company` embebida (mismo formato que GET /api/jobs)
+ * - { status:"not_found" } (candidato inexistente)
+ */
+export async function getRecommendedJobsForCandidateService(actor, candidate_id, queryParams = {}) {
+    const cid = requirePositiveId("candidate_id", candidate_id);
+    requireSelfCandidateOrAdmin(actor, cid);
+
+    const maxPerCompany = parseMaxPerCompany(queryParams.max_per_company);
+
+    const candidate = await Candidate.findOne({ candidate_id: cid, deleted_at: null })
+        .select({ _id: 0, headline: 1, skills: 1, country: 1, state: 1, city: 1, work_location_preferences: 1 })
+        .lean();
+    if (!candidate) return { status: "not_found" };
+
+    const [appliedJobIds, recentApplied, favorites] = await Promise.all([
+        Application.distinct("job_id", { candidate_id: cid, deleted_at: null }),
+        Application.find({ candidate_id: cid, deleted_at: null })
+            .select({ _id: 0, job_id: 1 })
+            .sort({ applied_at: -1 })
+            .limit(MAX_SIGNAL_JOBS)
+            .lean(),
+        Favorite.find({ candidate_id: cid })
+            .select({ _id: 0, job_id: 1 })
+            .sort({ created_at: -1 })
+            .limit(MAX_SIGNAL_JOBS)
+            .lean()
+    ]);
+
+    const [appliedJobs, favoriteJobs] = await Promise.all([
+        loadSignalJobs(recentApplied.map((a) => a.job_id)),
+        loadSignalJobs(favorites.map((f) => f.job_id))
+    ]);
+
+    const terms = buildInterestTerms({
+        headline: candidate.headline,
+        skills: candidate.skills ?? [],
+        appliedTitles: appliedJobs.map((j) => j.title),
+        favoriteTitles: favoriteJobs.map((j) => j.title)
+    });
+
+    const result = await getRecommendedJobsService(
+        {
+            terms,
+            country: candidate.country ?? null,
+            state: candidate.state ?? null,
+            city: candidate.city ?? null,
+            workLocationTypes: candidate.work_location_preferences ?? [],
+            workTypes: mostFrequent([...appliedJobs, ...favoriteJobs].map((j) => j.work_type)),
+            excludeJobIds: appliedJobIds,
+            maxPerCompany
+        },
+        queryParams
+    );
+
+    return {
+        status: "ok",
+        basis: {
+            terms: terms.map((t) => t.term),
+            applied_count: appliedJobIds.length,
+            favorites_count: favorites.length
+        },
+        meta: result.meta,
+        data: result.data
+    };
+}
@@ -24,19 +24,42 @@
  * ERRORES:
  * - Las funciones de escritura lanzan Error con:
  *   - e.httpStatus (number)   -> sugerido para controllers HTTP
- *   - e.code (string)         -> "unauthorized" | "forbidden" | "bad_request"
+ *   - e.code (string)         -> "unauthorized" | "forbidden" | "bad_request" |
+ *                                "not_found" | "invalid_transition" | "expired" |
+ *                                "not_deleted" | "company_deleted"
+ *
+ * PREGUNTAS DE FILTRO (utils/jobs/screeningQuestionUtils.js):
+ * - screening_questions solo viaja en el detalle y en las respuestas de
+ *   escritura (no en listados). La regla knockout solo la ve la empresa
+ *   dueña/admin.
+ *
+ * REVISIONES (models/JobRevision.js):
+ * - createJobService guarda la revisión 1; cada updateJobService con cambios
+ *   de contenido agrega una revisión con el diff por campo y el actor.
+ *   Job.revision es la vigente.
+ *
+ * BORRADO LÓGICO:
+ * - deleteJobService marca deleted_at (ver services/softDeleteService.js);
+ *   ninguna lectura devuelve jobs eliminados. restoreJobService (admin) los reactiva.
+ *
+ * CICLO DE VIDA (utils/jobs/jobLifecycleUtils.js):
+ * - Las lecturas públicas solo ven jobs abiertos (PUBLISHED, publish_at
+ *   alcanzado, sin expirar). La empresa dueña/admin ve los demás en el detalle
+ *   y en el listado por empresa (query `status`).
  *
  * Dependencias:
- * - Job, Company (Mongoose)
+ * - Job, Company, JobRevision (Mongoose)
  * - Utils de paginación, parsing, filtros Mongo y transforms (logos/company)
  * ============================================================================
  */
 
 import Job from "../models/Job.js";
 import Company from "../models/Company.js";
+import ExchangeRate from "../models/ExchangeRate.js";
+import JobRevision from "../models/JobRevision.js";
 
 import { buildPaginationParams } from "../utils/paginationUtils.js";
-import { normalizeSearchTerm, escapeRegex } from "../utils/parsingUtils.js";
+import { normalizeSearchTerm, escapeRegex, parseNumber } from "../utils/parsingUtils.js";
 import {
     applyNumericMinFilter,
     applyNumericMaxFilter,
@@ -44,8 +67,35 @@ import {
 } from "../utils/mongoFilterUtils.js";
 
 import { buildLogoFullPath } from "../utils/assets/logoUtils.js";
-import { INTERNAL_JOB_FIELDS } from "../utils/jobs/jobFields.js";
-import { attachCompanyAndFormatJobs } from "../utils/jobs/jobTransformUtils.js";
+import { INTERNAL_JOB_FIELDS, EDITABLE_JOB_FIELDS } from "../utils/jobs/jobFields.js";
+import { attachCompanyAndFormatJobs, omitKeys } from "../utils/jobs/jobTransformUtils.js";
+import { diversifyByCompany } from "../utils/jobs/jobRecommendationUtils.js";
+import { buildTitleTerms } from "../utils/jobs/jobTermUtils.js";
+import { SALARY_PERCENTILES, toSalarySummary } from "../utils/jobs/salaryStatsUtils.js";
+import {
+    getSalaryBaseCurrency,
+    getRateToBase,
+    normalizeCurrencyCode
+} from "../utils/jobs/salaryNormalizationUtils.js";
+import {
+    JOB_STATUSES,
+    JOB_CREATE_STATUSES,
+    PUBLISHED_STATUS_VALUES,
+    JOB_ACTIONS,
+    effectiveJobStatus,
+    isJobOpen,
+    buildOpenJobConditions,
+    buildStatusCondition,
+    parseLifecycleDates
+} from "../utils/jobs/jobLifecycleUtils.js";
+import { pickJobSnapshot, diffJobSnapshots } from "../utils/jobs/jobRevisionUtils.js";
+import {
+    normalizeScreeningQuestions,
+    toPublicScreeningQuestions
+} from "../utils/jobs/screeningQuestionUtils.js";
+import { companyRoleCan } from "../utils/auth/actorAccessUtils.js";
+import { notifyJobsExpired } from "./notificationService.js";
+import { cascadeJobSoftDelete, cascadeJobRestore } from "./softDeleteService.js";
 
 /* =============================================================================
  * Autorización de escrituras
@@ -63,7 +113,8 @@ import { attachCompanyAndFormatJobs } from "../utils/jobs/jobTransformUtils.js";
  *
  * @throws {Error} e
  *   - 401 (e.code="unauthorized"): si no hay actor
- *   - 403 (e.code="forbidden")  : si el actor no es company/admin
+ *   - 403 (e.code="forbidden")  : si el actor no es company/admin,
+ *                                 o su rol de empresa es viewer
  */
 function requireCompanyOrAdminActor(actor) {
     if (!actor) {
@@ -80,6 +131,13 @@ function requireCompanyOrAdminActor(actor) {
         throw e;
     }
 
+    if (!companyRoleCan(actor, "jobs:write")) {
+        const e = new Error("Tu rol en la empresa no permite administrar empleos.");
+        e.code = "forbidden";
+        e.httpStatus = 403;
+        throw e;
+    }
+
     return actor;
 }
 
@@ -145,17 +203,29 @@ function resolveCompanyIdForCreate(actor, payload) {
  * - min_norm_salary, max_norm_salary (normalized_salary)
  * - listed_from, listed_to (rango sobre listed_time)
  *
+ * Ciclo de vida: por default solo jobs abiertos (PUBLISHED, publish_at alcanzado
+ * y sin expirar). Con `statuses` (vista de la empresa dueña) filtra por esos
+ * status efectivos sin importar publish_at.
+ *
+ * Con `fx` (query `currency`), los rangos de salario se expresan en la moneda
+ * del visitante: se convierten a moneda base y se filtran sobre
+ * min_salary_base / max_salary_base / normalized_salary_base.
+ *
  * @param {Object} queryParams
  * @param {Object} options
  * @param {boolean} [options.includeCompanyFromQuery=true]
  *   Si false, ignora queryParams.company_id (útil cuando companyId viene “fijo”).
+ * @param {{ currency: string, rate_to_base: number }|null} [options.fx=null]
+ *   Moneda del visitante (ver resolveViewerCurrency).
+ * @param {string[]|null} [options.statuses=null]
+ *   Status efectivos a incluir (ver parseStatusFilter). null = solo abiertos.
  *
  * @returns {Object}
  *   Filtro MongoDB listo para combinar con búsqueda y sort.
  */
 function buildBaseJobFilters(
     queryParams = {},
-    { includeCompanyFromQuery = true } = {}
+    { includeCompanyFromQuery = true, fx = null, statuses = null } = {}
 ) {
     const {
         country,
@@ -192,14 +262,30 @@ function buildBaseJobFilters(
         filter.company_id = company_id;
     }
 
-    applyNumericMinFilter(filter, "min_salary", min_salary);
-    applyNumericMaxFilter(filter, "max_salary", max_salary);
+    if (fx) {
+        const toBase = (raw) => {
+            const n = parseNumber(raw);
+            return n === null ? null : n * fx.rate_to_base;
+        };
+
+        applyNumericMinFilter(filter, "min_salary_base", toBase(min_salary));
+        applyNumericMaxFilter(filter, "max_salary_base", toBase(max_salary));
+
+        applyNumericMinFilter(filter, "normalized_salary_base", toBase(min_norm_salary));
+        applyNumericMaxFilter(filter, "normalized_salary_base", toBase(max_norm_salary));
+    } else {
+        applyNumericMinFilter(filter, "min_salary", min_salary);
+        applyNumericMaxFilter(filter, "max_salary", max_salary);
 
-    applyNumericMinFilter(filter, "normalized_salary", min_norm_salary);
-    applyNumericMaxFilter(filter, "normalized_salary", max_norm_salary);
+        applyNumericMinFilter(filter, "normalized_salary", min_norm_salary);
+        applyNumericMaxFilter(filter, "normalized_salary", max_norm_salary);
+    }
 
     addDateRangeFilter(filter, "listed_time", listed_from, listed_to);
 
+    filter.deleted_at = null;
+    filter.$and = statuses ? [buildStatusCondition(statuses)] : buildOpenJobConditions();
+
     return filter;
 }
 
@@ -213,12 +299,15 @@ function buildBaseJobFilters(
  *
  * Campos soportados:
  * - listed_time, min_salary, max_salary, normalized_salary, createdAt
+ * - Con `fx`, los campos de salario ordenan por su equivalente en moneda base
+ *   (comparables entre monedas).
  *
  * @param {Object} queryParams
+ * @param {Object|null} [fx=null]
  * @returns {Object}
  *   Sort MongoDB (e.g. { listed_time: -1 }).
  */
-function buildJobSort(queryParams = {}) {
+function buildJobSort(queryParams = {}, fx = null) {
     const { sortBy, sortDir } = queryParams;
 
     const allowed = new Set([
@@ -229,7 +318,11 @@ function buildJobSort(queryParams = {}) {
         "createdAt"
     ]);
 
-    const field = allowed.has(sortBy) ? sortBy : "listed_time";
+    const salaryFields = new Set(["min_salary", "max_salary", "normalized_salary"]);
+
+    let field = allowed.has(sortBy) ? sortBy : "listed_time";
+    if (fx && salaryFields.has(field)) field = `${field}_base`;
+
     const direction = sortDir === "asc" ? 1 : -1;
 
     return { [field]: direction };
@@ -245,9 +338,10 @@ function buildJobSort(queryParams = {}) {
  *
  * @param {Object} queryParams
  * @param {Object} baseFilters
+ * @param {Object|null} [fx=null]
  * @returns {{ filter: Object, sort: Object }}
  */
-function buildJobQueryAndSort(queryParams = {}, baseFilters = {}) {
+function buildJobQueryAndSort(queryParams = {}, baseFilters = {}, fx = null) {
     const safeQ = normalizeSearchTerm(queryParams.q);
     const hasCustomSort = Boolean(queryParams.sortBy);
 
@@ -262,7 +356,7 @@ function buildJobQueryAndSort(queryParams = {}, baseFilters = {}) {
             const regex = new RegExp(escapeRegex(safeQ), "i");
             filter.$or = [{ title: regex }, { description: regex }];
         }
-        sort = buildJobSort(queryParams);
+        sort = buildJobSort(queryParams, fx);
     }
 
     return { filter, sort };
@@ -288,21 +382,25 @@ function buildJobQueryAndSort(queryParams = {}, baseFilters = {}) {
  *   Fuerza company_id en el filtro (listado por empresa).
  * @param {boolean} [options.includeCompanyFromQuery=true]
  *   Si false, ignora queryParams.company_id.
+ * @param {Object|null} [options.fx=null]
+ *   Moneda del visitante (query `currency`).
+ * @param {string[]|null} [options.statuses=null]
+ *   Status efectivos (vista de la empresa dueña). null = solo abiertos.
  *
  * @returns {Promise<{ meta: {page:number,limit:number,total:number,totalPages:number}, data: any[] }>}
  */
 async function listJobsRankedByQuery(
     queryParams = {},
-    { companyId = null, includeCompanyFromQuery = true } = {}
+    { companyId = null, includeCompanyFromQuery = true, fx = null, statuses = null } = {}
 ) {
     const { page, limit, skip } = buildPaginationParams(queryParams);
 
-    const baseFilters = buildBaseJobFilters(queryParams, { includeCompanyFromQuery });
+    const baseFilters = buildBaseJobFilters(queryParams, { includeCompanyFromQuery, fx, statuses });
     if (companyId) baseFilters.company_id = companyId;
 
     const safeQ = normalizeSearchTerm(queryParams.q);
     if (!safeQ) {
-        return listJobsSimple(queryParams, { companyId, includeCompanyFromQuery });
+        return listJobsSimple(queryParams, { companyId, includeCompanyFromQuery, fx, statuses });
     }
 
     const tokens = safeQ.split(" ").filter(Boolean);
@@ -433,19 +531,23 @@ async function listJobsRankedByQuery(
  * @param {Object} options
  * @param {any}     [options.companyId=null]
  * @param {boolean} [options.includeCompanyFromQuery=true]
+ * @param {Object|null} [options.fx=null]
+ *   Moneda del visitante (query `currency`).
+ * @param {string[]|null} [options.statuses=null]
+ *   Status efectivos (vista de la empresa dueña). null = solo abiertos.
  *
  * @returns {Promise<{ meta: {page:number,limit:number,total:number,totalPages:number}, data: any[] }>}
  */
 async function listJobsSimple(
     queryParams = {},
-    { companyId = null, includeCompanyFromQuery = true } = {}
+    { companyId = null, includeCompanyFromQuery = true, fx = null, statuses = null } = {}
 ) {
     const { page, limit, skip } = buildPaginationParams(queryParams);
 
-    const baseFilters = buildBaseJobFilters(queryParams, { includeCompanyFromQuery });
+    const baseFilters = buildBaseJobFilters(queryParams, { includeCompanyFromQuery, fx, statuses });
     if (companyId) baseFilters.company_id = companyId;
 
-    const { filter, sort } = buildJobQueryAndSort(queryParams, baseFilters);
+    const { filter, sort } = buildJobQueryAndSort(queryParams, baseFilters, fx);
 
     const [total, jobs] = await Promise.all([
         Job.countDocuments(filter),
@@ -474,21 +576,184 @@ async function listJobsSimple(
  * @param {Object} options
  * @param {any}     [options.companyId=null]
  * @param {boolean} [options.includeCompanyFromQuery=true]
+ * @param {Object|null} [options.fx=null]
+ *   Moneda del visitante (query `currency`).
+ * @param {string[]|null} [options.statuses=null]
+ *   Status efectivos (vista de la empresa dueña). null = solo abiertos.
  *
  * @returns {Promise<{ meta: {page:number,limit:number,total:number,totalPages:number}, data: any[] }>}
  */
 async function listJobs(
     queryParams = {},
-    { companyId = null, includeCompanyFromQuery = true } = {}
+    { companyId = null, includeCompanyFromQuery = true, fx = null, statuses = null } = {}
 ) {
     const safeQ = normalizeSearchTerm(queryParams.q);
     const hasCustomSort = Boolean(queryParams.sortBy);
 
     if (safeQ && !hasCustomSort) {
-        return listJobsRankedByQuery({ ...queryParams, q: safeQ }, { companyId, includeCompanyFromQuery });
+        return listJobsRankedByQuery(
+            { ...queryParams, q: safeQ },
+            { companyId, includeCompanyFromQuery, fx, statuses }
+        );
+    }
+
+    return listJobsSimple(queryParams, { companyId, includeCompanyFromQuery, fx, statuses });
+}
+
+/* =============================================================================
+ * Moneda del visitante (query `currency`)
+ * =============================================================================
+ */
+
+/**
+ * Resuelve el query param `currency` contra la tabla de tipos de cambio.
+ *
+ * @param {any} raw
+ * @returns {Promise<{ currency: string, rate_to_base: number, base: string }|null>}
+ *   null si no se envió currency.
+ *
+ * @throws {Error} e
+ *   - 400 bad_request: código inválido o sin tipo de cambio registrado
+ */
+async function resolveViewerCurrency(raw) {
+    if (raw === undefined || raw === null || String(raw).trim() === "") return null;
+
+    const currency = normalizeCurrencyCode(raw);
+    if (!currency) throw badRequest("currency debe ser un código de 3 letras (p. ej. USD).");
+
+    const base = getSalaryBaseCurrency();
+    const rate = getRateToBase(currency, await ExchangeRate.getRateMap(), base);
+    if (rate === null) throw badRequest(`No hay tipo de cambio registrado para ${currency}.`);
+
+    return { currency, rate_to_base: rate, base };
+}
+
+/**
+ * Agrega `salary_in_currency` a cada job (montos en la moneda del visitante,
+ * calculados desde los campos *_base). null si el job no tiene conversión.
+ *
+ * @param {Array<Object>} jobs
+ * @param {{ currency: string, rate_to_base: number }|null} fx
+ * @returns {Array<Object>}
+ */
+function attachSalaryInCurrency(jobs, fx) {
+    if (!fx) return jobs;
+
+    const fromBase = (v) =>
+        v === null || v === undefined ? null : Math.round((v / fx.rate_to_base) * 100) / 100;
+
+    return jobs.map((job) => {
+        const hasBase = job.normalized_salary_base != null || job.min_salary_base != null || job.max_salary_base != null;
+        return {
+            ...job,
+            salary_in_currency: hasBase
+                ? {
+                    currency: fx.currency,
+                    min_salary: fromBase(job.min_salary_base),
+                    max_salary: fromBase(job.max_salary_base),
+                    normalized_salary: fromBase(job.normalized_salary_base)
+                }
+                : null
+        };
+    });
+}
+
+/* =============================================================================
+ * Visibilidad por ciclo de vida
+ * =============================================================================
+ */
+
+/**
+ * true si el actor administra los empleos de `companyId` (empresa dueña o admin).
+ * Es solo lectura: no exige el permiso "jobs:write" del rol de empresa.
+ *
+ * @param {{ type?: string, company_id?: number }|null} actor
+ * @param {any} companyId
+ * @returns {boolean}
+ */
+function isJobOwnerOrAdmin(actor, companyId) {
+    if (!actor) return false;
+    if (actor.type === "admin") return true;
+    return actor.type === "company" && Number(actor.company_id) === Number(companyId);
+}
+
+/**
+ * Parsea el query param `status` de la vista de la empresa dueña.
+ *
+ * @param {any} raw  "ALL" o lista separada por comas (p. ej. "DRAFT,PAUSED")
+ * @returns {string[]|null}  null si no se envió
+ *
+ * @throws {Error} e
+ *   - 400 bad_request: status desconocido
+ */
+function parseStatusFilter(raw) {
+    if (raw === undefined || raw === null || String(raw).trim() === "") return null;
+
+    const list = String(raw)
+        .split(",")
+        .map((s) => s.trim().toUpperCase())
+        .filter(Boolean);
+
+    if (list.includes("ALL")) return [...JOB_STATUSES];
+
+    const unknown = list.filter((s) => !JOB_STATUSES.includes(s));
+    if (unknown.length > 0) {
+        throw badRequest(`status debe ser ALL o una lista de: ${JOB_STATUSES.join(", ")}.`);
+    }
+
+    return [...new Set(list)];
+}
+
+/**
+ * Reemplaza `status` por el status efectivo (PUBLISHED vencido -> EXPIRED).
+ *
+ * @param {Array<Object>} jobs
+ * @returns {Array<Object>}
+ */
+function withEffectiveStatus(jobs) {
+    const now = new Date();
+    return jobs.map((job) => ({ ...job, status: effectiveJobStatus(job, now) }));
+}
+
+/**
+ * Deja solo los campos editables del payload (EDITABLE_JOB_FIELDS); el resto
+ * se ignora. Evita que POST/PUT asignen ids, borrado lógico o derivados.
+ *
+ * @param {Object} payload
+ * @returns {Object}
+ */
+function pickEditableJobFields(payload) {
+    const out = {};
+    for (const field of EDITABLE_JOB_FIELDS) {
+        if (payload?.[field] !== undefined) out[field] = payload[field];
     }
+    return out;
+}
+
+/**
+ * Quita INTERNAL_JOB_FIELDS (incluidas las reglas de descarte de
+ * screening_questions y los campos del ranking) de jobs sin formatear; lo usan
+ * las respuestas con include_company=false, que no pasan por
+ * attachCompanyAndFormatJobs.
+ */
+function stripInternalJobFields(jobs) {
+    return jobs.map((job) => omitKeys(job, INTERNAL_JOB_FIELDS));
+}
+
+/**
+ * Adjunta screening_questions a un job ya formateado (INTERNAL_JOB_FIELDS
+ * las omite). Sin includeKnockout se quitan las reglas de descarte.
+ */
+function withScreeningQuestions(formatted, source, { includeKnockout = false } = {}) {
+    if (!formatted) return formatted;
 
-    return listJobsSimple(queryParams, { companyId, includeCompanyFromQuery });
+    const raw = source?.screening_questions;
+    const questions = typeof raw?.toObject === "function" ? raw.toObject() : raw || [];
+
+    return {
+        ...formatted,
+        screening_questions: includeKnockout ? questions : toPublicScreeningQuestions(questions)
+    };
 }
 
 /* =============================================================================
@@ -510,6 +775,8 @@ async function listJobs(
  * - min_norm_salary, max_norm_salary
  * - listed_from, listed_to
  * - include_company ("true"|"false") -> por defecto true
+ * - currency (código de 3 letras): los rangos/sorts de salario se interpretan en
+ *   esa moneda (comparables entre monedas) y cada job incluye salary_in_currency
  *
  * @param {Object} [queryParams={}]
  *
@@ -518,14 +785,18 @@ async function listJobs(
  *   data: Array<Object>
  * }>}
  * - data: Jobs (lean) con `company` embebida si include_company != "false".
+ *
+ * @throws {Error} e
+ *   - 400 bad_request: currency inválida o sin tipo de cambio
  */
 export async function getJobsService(queryParams = {}) {
-    const result = await listJobs(queryParams, { includeCompanyFromQuery: true });
+    const fx = await resolveViewerCurrency(queryParams.currency);
+    const result = await listJobs(queryParams, { includeCompanyFromQuery: true, fx });
 
     const includeCompany = String(queryParams.include_company ?? "true").toLowerCase() !== "false";
 
     if (!includeCompany) {
-        return { meta: result.meta, data: result.data };
+        return { meta: result.meta, data: attachSalaryInCurrency(stripInternalJobFields(result.data), fx) };
     }
 
     const jobsWithCompany = await attachCompanyAndFormatJobs(result.data, {
@@ -534,142 +805,646 @@ export async function getJobsService(queryParams = {}) {
         internalJobFields: INTERNAL_JOB_FIELDS
     });
 
-    return { meta: result.meta, data: jobsWithCompany };
+    return { meta: result.meta, data: attachSalaryInCurrency(jobsWithCompany, fx) };
 }
 
 /**
  * Obtiene un listado de empleos restringido a una empresa (company_id fijo).
  *
+ * Ciclo de vida:
+ * - Público: solo jobs abiertos.
+ * - Empresa dueña / admin: puede enviar `status` ("ALL" o lista separada por
+ *   comas, p. ej. "DRAFT,PAUSED") para ver sus jobs no públicos; el `status`
+ *   de cada job se reporta como status efectivo. Para otros actores se ignora.
+ *
  * @param {any} companyId
  *   Identificador de empresa (company_id).
  * @param {Object} [queryParams={}]
  *   Mismos queryParams que getJobsService, excepto que company_id del query
- *   se ignora (includeCompanyFromQuery=false).
+ *   se ignora (includeCompanyFromQuery=false). Además: status (empresa dueña/admin).
+ * @param {{ type?: string, company_id?: number }|null} [actor=null]
  *
  * @returns {Promise<{
  *   meta: { page:number, limit:number, total:number, totalPages:number },
  *   data: Array<Object>
  * }>}
+ *
+ * @throws {Error} e
+ *   - 400 bad_request: currency o status inválidos
  */
-export async function getJobsByCompanyService(companyId, queryParams = {}) {
+export async function getJobsByCompanyService(companyId, queryParams = {}, actor = null) {
+    const fx = await resolveViewerCurrency(queryParams.currency);
+    const statuses = isJobOwnerOrAdmin(actor, companyId) ? parseStatusFilter(queryParams.status) : null;
+
     const result = await listJobs(queryParams, {
         companyId,
-        includeCompanyFromQuery: false
+        includeCompanyFromQuery: false,
+        fx,
+        statuses
     });
 
+    const jobs = statuses ? withEffectiveStatus(result.data) : result.data;
     const includeCompany = String(queryParams.include_company ?? "true").toLowerCase() !== "false";
 
     if (!includeCompany) {
-        return { meta: result.meta, data: result.data };
+        return { meta: result.meta, data: attachSalaryInCurrency(stripInternalJobFields(jobs), fx) };
     }
 
-    const jobsWithCompany = await attachCompanyAndFormatJobs(result.data, {
+    const jobsWithCompany = await attachCompanyAndFormatJobs(jobs, {
         CompanyModel: Company,
         buildLogoFullPath,
         internalJobFields: INTERNAL_JOB_FIELDS
     });
 
-    return { meta: result.meta, data: jobsWithCompany };
+    return { meta: result.meta, data: attachSalaryInCurrency(jobsWithCompany, fx) };
 }
 
 /**
- * Recomendaciones de títulos de empleo basadas en texto parcial.
+ * Lista empleos publicados DESPUÉS de una fecha, aplicando los mismos filtros
+ * que GET /api/jobs. Lo consume el módulo de búsquedas guardadas.
  *
- * @param {string} q
- *   Texto parcial a buscar dentro de Job.title.
- * @param {Object} [options={}]
- * @param {number} [options.limit=10]
- *   Máximo de títulos recomendados.
+ * Reglas:
+ * - listed_time > since (estricto; no repite el último empleo ya visto)
+ * - Orden fijo por listed_time DESC (q se evalúa por regex, no por ranking)
+ * - listed_from/listed_to del query se ignoran: el corte lo define `since`
+ * - currency: igual que en getJobsService (rangos en esa moneda + salary_in_currency)
  *
- * @returns {Promise<string[]>}
- *   Lista de títulos únicos ordenados por relevancia y frecuencia.
+ * @param {Object} [queryParams={}]
+ *   Mismos queryParams que getJobsService (q, filtros, currency, page, limit).
+ * @param {Date|null} since
+ *   Fecha de corte. Si es null, no restringe por fecha.
+ *
+ * @returns {Promise<{
+ *   meta: { page:number, limit:number, total:number, totalPages:number },
+ *   data: Array<Object>
+ * }>}
  */
-export async function getJobTitleRecommendationsService(q, { limit = 10 } = {}) {
-    const safeQ = normalizeSearchTerm(q);
-    if (!safeQ) {
-        return [];
-    }
+export async function getJobsListedAfterService(queryParams = {}, since = null) {
+    const { page, limit, skip } = buildPaginationParams(queryParams);
+    const fx = await resolveViewerCurrency(queryParams.currency);
 
-    const regex = new RegExp(escapeRegex(safeQ), "i");
+    const { listed_from, listed_to, ...rest } = queryParams;
+    const baseFilters = buildBaseJobFilters(rest, { includeCompanyFromQuery: true, fx });
+    if (since) baseFilters.listed_time = { $gt: since };
 
-    const pipeline = [
-        { $match: { title: regex } },
-        { $group: { _id: "$title", count: { $sum: 1 } } },
-        { $addFields: { titleLower: { $toLower: "$_id" } } },
-        {
-            $addFields: {
-                relevance: {
-                    $cond: [{ $regexMatch: { input: "$titleLower", regex: `^${escapeRegex(safeQ)}` } }, 2, 1]
+    const { filter, sort } = buildJobQueryAndSort(
+        { ...rest, sortBy: "listed_time", sortDir: "desc" },
+        baseFilters,
+        fx
+    );
+
+    const [total, jobs] = await Promise.all([
+        Job.countDocuments(filter),
+        Job.find(filter).sort(sort).skip(skip).limit(limit).lean()
+    ]);
+
+    const totalPages = Math.ceil(total / limit) || 1;
+
+    const data = await attachCompanyAndFormatJobs(jobs, {
+        CompanyModel: Company,
+        buildLogoFullPath,
+        internalJobFields: INTERNAL_JOB_FIELDS
+    });
+
+    return { meta: { page, limit, total, totalPages }, data: attachSalaryInCurrency(data, fx) };
+}
+
+/* =============================================================================
+ * Recomendaciones personalizadas (feed de candidato)
+ * =============================================================================
+ */
+
+// Máximo de empleos rankeados antes de aplicar diversidad y paginar
+const RECOMMENDATION_POOL_SIZE = 300;
+
+/**
+ * Pipeline de scoring para recomendaciones (mismo estilo que listJobsRankedByQuery):
+ * - textScore×5 (solo con $text) + términos en título×4 + términos en descripción×1
+ *   (cada término pondera según su peso de interés)
+ * - ubicación: ciudad 20 / estado 12 / país 6
+ * - modalidad preferida 10, work_type frecuente 6
+ * - recencia: max(0, 60 - días publicados)
+ *
+ * @param {Object} baseFilters
+ * @param {Object} profile  (ver getRecommendedJobsService)
+ * @param {{ useText: boolean }} options
+ * @returns {Array<Object>} pipeline
+ */
+function buildRecommendationPipeline(baseFilters, profile, { useText }) {
+    const { terms = [], country = null, state = null, city = null } = profile;
+    const workLocationTypes = profile.workLocationTypes ?? [];
+    const workTypes = profile.workTypes ?? [];
+
+    const nowMs = Date.now();
+    const DAY_MS = 1000 * 60 * 60 * 24;
+    const lower = (v) => (v ? String(v).trim().toLowerCase() : null);
+
+    const matchStage = {
+        $match: useText
+            ? { ...baseFilters, $text: { $search: terms.map((t) => t.term).join(" ") } }
+            : baseFilters
+    };
+
+    const addFieldsBase = {
+        $addFields: {
+            textScore: useText ? { $meta: "textScore" } : 0,
+            titleLower: { $toLower: { $ifNull: ["$title", ""] } },
+            descLower: { $toLower: { $ifNull: ["$description", ""] } },
+            countryLower: { $toLower: { $ifNull: ["$country", ""] } },
+            stateLower: { $toLower: { $ifNull: ["$state", ""] } },
+            cityLower: { $toLower: { $ifNull: ["$city", ""] } },
+            listedTimeMs: {
+                $cond: [{ $ifNull: ["$listed_time", false] }, { $toLong: "$listed_time" }, 0]
+            }
+        }
+    };
+
+    const weightedTermScore = (field) =>
+        terms.length
+            ? {
+                $add: terms.map(({ term, weight }) => ({
+                    $cond: [{ $regexMatch: { input: field, regex: escapeRegex(term) } }, weight, 0]
+                }))
+            }
+            : 0;
+
+    const countryEq = { $eq: ["$countryLower", lower(country)] };
+    const stateEq = { $eq: ["$stateLower", lower(state)] };
+    const cityEq = { $eq: ["$cityLower", lower(city)] };
+
+    const locationScoreExpr = country
+        ? {
+            $switch: {
+                branches: [
+                    { case: { $and: [countryEq, stateEq, cityEq] }, then: 20 },
+                    { case: { $and: [countryEq, stateEq] }, then: 12 },
+                    { case: countryEq, then: 6 }
+                ],
+                default: 0
+            }
+        }
+        : 0;
+
+    const addFieldsScores = {
+        $addFields: {
+            titleTermScore: weightedTermScore("$titleLower"),
+            descTermScore: weightedTermScore("$descLower"),
+            locationScore: locationScoreExpr,
+            workLocationScore: workLocationTypes.length
+                ? { $cond: [{ $in: ["$work_location_type", workLocationTypes] }, 10, 0] }
+                : 0,
+            workTypeScore: workTypes.length
+                ? { $cond: [{ $in: ["$work_type", workTypes] }, 6, 0] }
+                : 0,
+            recencyBoost: {
+                $let: {
+                    vars: {
+                        ageDays: {
+                            $cond: [
+                                { $gt: ["$listedTimeMs", 0] },
+                                { $divide: [{ $subtract: [nowMs, "$listedTimeMs"] }, DAY_MS] },
+                                365
+                            ]
+                        }
+                    },
+                    in: { $max: [0, { $subtract: [60, "$$ageDays"] }] }
                 }
             }
-        },
-        { $sort: { relevance: -1, count: -1 } },
-        { $limit: limit },
-        { $project: { _id: 0, title: "$_id" } }
-    ];
+        }
+    };
 
-    const results = await Job.aggregate(pipeline);
-    return results.map((r) => r.title);
+    const addFieldsFinalScore = {
+        $addFields: {
+            finalScore: {
+                $add: [
+                    { $multiply: ["$textScore", 5] },
+                    { $multiply: ["$titleTermScore", 4] },
+                    { $multiply: ["$descTermScore", 1] },
+                    "$locationScore",
+                    "$workLocationScore",
+                    "$workTypeScore",
+                    "$recencyBoost"
+                ]
+            }
+        }
+    };
+
+    return [
+        matchStage,
+        addFieldsBase,
+        addFieldsScores,
+        addFieldsFinalScore,
+        { $sort: { finalScore: -1, listed_time: -1 } },
+        { $limit: RECOMMENDATION_POOL_SIZE }
+    ];
 }
 
 /**
- * Obtiene un Job por su identificador público (job_id).
+ * Feed de empleos recomendados a partir de un perfil de interés ya calculado.
+ * Lo consume jobRecommendationService (que arma el perfil del candidato).
  *
- * @param {string|number} id
- *   job_id incremental.
- * @param {Object} [options={}]
- * @param {boolean} [options.includeCompany=true]
- *   Si true, adjunta el objeto company con logo absoluto.
+ * Reglas:
+ * - Excluye excludeJobIds (p. ej. empleos ya postulados).
+ * - Si hay términos, el pool sale de $text; si no hay términos o $text no
+ *   encuentra nada, se rankea sin texto (ubicación, modalidad y recencia).
+ * - Diversidad: máximo maxPerCompany empleos por empresa en todo el feed.
+ * - Acepta los filtros de GET /api/jobs (country, work_type, ...).
  *
- * @returns {Promise<Object|null>}
- *   - Job formateado (con company si aplica) o null si no existe/ID inválido.
+ * @param {Object} profile
+ * @param {Array<{term:string, weight:number}>} [profile.terms]
+ * @param {string|null} [profile.country]
+ * @param {string|null} [profile.state]
+ * @param {string|null} [profile.city]
+ * @param {string[]} [profile.workLocationTypes]
+ * @param {string[]} [profile.workTypes]
+ * @param {number[]} [profile.excludeJobIds]
+ * @param {number}   [profile.maxPerCompany=2]
+ * @param {Object} [queryParams={}]  page, limit + filtros de listado
+ *
+ * @returns {Promise<{
+ *   meta: { page:number, limit:number, total:number, totalPages:number },
+ *   data: Array<Object>
+ * }>}
  */
-export async function getJobByIdService(id, { includeCompany = true } = {}) {
-    const jobId = Number(id);
-    if (!Number.isInteger(jobId)) return null;
+export async function getRecommendedJobsService(profile = {}, queryParams = {}) {
+    const { page, limit, skip } = buildPaginationParams(queryParams);
+    const { terms = [], excludeJobIds = [], maxPerCompany = 2 } = profile;
 
-    const job = await Job.findOne({ job_id: jobId }).lean();
-    if (!job) return null;
+    const { listed_from, listed_to, ...rest } = queryParams;
+    const baseFilters = buildBaseJobFilters(rest, { includeCompanyFromQuery: true });
+    if (excludeJobIds.length > 0) baseFilters.job_id = { $nin: excludeJobIds };
 
-    if (!includeCompany) {
-        return job;
+    let pool = [];
+    if (terms.length > 0) {
+        pool = await Job.aggregate(buildRecommendationPipeline(baseFilters, profile, { useText: true }));
+    }
+    if (pool.length === 0) {
+        pool = await Job.aggregate(buildRecommendationPipeline(baseFilters, profile, { useText: false }));
     }
 
-    const [formatted] = await attachCompanyAndFormatJobs([job], {
+    const ranked = diversifyByCompany(pool, maxPerCompany);
+
+    const total = ranked.length;
+    const totalPages = Math.ceil(total / limit) || 1;
+
+    const data = await attachCompanyAndFormatJobs(ranked.slice(skip, skip + limit), {
         CompanyModel: Company,
         buildLogoFullPath,
         internalJobFields: INTERNAL_JOB_FIELDS
     });
 
-    return formatted || null;
+    return { meta: { page, limit, total, totalPages }, data };
 }
 
+/* =============================================================================
+ * Empleos similares (detalle de empleo)
+ * =============================================================================
+ */
+
+export const DEFAULT_SIMILAR_LIMIT = 10;
+export const MAX_SIMILAR_LIMIT = 50;
+
+// Tamaño del pool rankeado antes de aplicar el máximo por empresa
+const SIMILAR_POOL_SIZE = 200;
+
+// Bandas de normalized_salary relativas al job origen (±25% / ±50%)
+const SALARY_BAND_NEAR = 0.25;
+const SALARY_BAND_FAR = 0.5;
+
 /**
- * Obtiene opciones para construir filtros en UI.
+ * Pipeline de scoring para empleos similares al job `source`.
+ * - términos del título en común (title_terms, proporción) ×40
+ * - mismo work_type 15, misma modalidad 10
+ * - ubicación: ciudad 15 / estado 10 / país 5
+ * - normalized_salary dentro de ±25% → 20, ±50% → 10
  *
- * Cache:
- * - Se cachea en memoria del proceso (JOB_FILTER_CACHE) después de la 1ra llamada.
+ * El pool sale del índice multikey title_terms (sin $text); si el título no
+ * tiene términos, se usa work_type + country del origen.
  *
- * @returns {Promise<{
- *   work_types: string[],
- *   work_location_types: string[],
- *   pay_periods: string[]
- * }>}
+ * @param {Object} source  Job origen (lean)
+ * @param {string[]} terms title_terms del origen
+ * @returns {Array<Object>} pipeline
  */
-let JOB_FILTER_CACHE = null;
-export async function getJobFilterOptionsService() {
-    if (JOB_FILTER_CACHE) {
-        return JOB_FILTER_CACHE;
+function buildSimilarJobsPipeline(source, terms) {
+    const match = { job_id: { $ne: source.job_id }, $and: buildOpenJobConditions() };
+    if (terms.length > 0) {
+        match.title_terms = { $in: terms };
+    } else {
+        if (source.work_type) match.work_type = source.work_type;
+        if (source.country) match.country = source.country;
     }
 
-    const [workTypes, workLocationTypes, payPeriods] = await Promise.all([
-        Job.distinct("work_type"),
-        Job.distinct("work_location_type"),
-        Job.distinct("pay_period")
-    ]);
+    const eqOrZero = (field, value, points) =>
+        value ? { $cond: [{ $eq: [field, value] }, points, 0] } : 0;
 
-    JOB_FILTER_CACHE = {
-        work_types: workTypes.filter(Boolean).sort(),
+    const salary = Number(source.normalized_salary);
+    const salaryScoreExpr =
+        Number.isFinite(salary) && salary > 0
+            ? {
+                $let: {
+                    vars: {
+                        diff: {
+                            $cond: [
+                                { $gt: [{ $ifNull: ["$normalized_salary", 0] }, 0] },
+                                { $divide: [{ $abs: { $subtract: ["$normalized_salary", salary] } }, salary] },
+                                null
+                            ]
+                        }
+                    },
+                    in: {
+                        $switch: {
+                            branches: [
+                                { case: { $eq: ["$$diff", null] }, then: 0 },
+                                { case: { $lte: ["$$diff", SALARY_BAND_NEAR] }, then: 20 },
+                                { case: { $lte: ["$$diff", SALARY_BAND_FAR] }, then: 10 }
+                            ],
+                            default: 0
+                        }
+                    }
+                }
+            }
+            : 0;
+
+    const sameCountry = source.country ? { $eq: ["$country", source.country] } : false;
+    const sameState = source.state ? { $eq: ["$state", source.state] } : false;
+    const sameCity = source.city ? { $eq: ["$city", source.city] } : false;
+
+    const locationScoreExpr = source.country
+        ? {
+            $switch: {
+                branches: [
+                    { case: { $and: [sameCountry, sameState, sameCity] }, then: 15 },
+                    { case: { $and: [sameCountry, sameState] }, then: 10 },
+                    { case: sameCountry, then: 5 }
+                ],
+                default: 0
+            }
+        }
+        : 0;
+
+    const termScoreExpr = terms.length
+        ? {
+            $multiply: [
+                {
+                    $divide: [
+                        { $size: { $setIntersection: [{ $ifNull: ["$title_terms", []] }, terms] } },
+                        terms.length
+                    ]
+                },
+                40
+            ]
+        }
+        : 0;
+
+    return [
+        { $match: match },
+        {
+            $addFields: {
+                titleTermScore: termScoreExpr,
+                workTypeScore: eqOrZero("$work_type", source.work_type, 15),
+                workLocationScore: eqOrZero("$work_location_type", source.work_location_type, 10),
+                locationScore: locationScoreExpr,
+                salaryScore: salaryScoreExpr
+            }
+        },
+        {
+            $addFields: {
+                finalScore: {
+                    $add: [
+                        "$titleTermScore",
+                        "$workTypeScore",
+                        "$workLocationScore",
+                        "$locationScore",
+                        "$salaryScore"
+                    ]
+                }
+            }
+        },
+        { $sort: { finalScore: -1, listed_time: -1 } },
+        { $limit: SIMILAR_POOL_SIZE }
+    ];
+}
+
+/**
+ * Empleos similares a un job (top-N).
+ *
+ * Reglas:
+ * - Excluye el mismo job_id.
+ * - Máximo maxPerCompany empleos por empresa.
+ * - Para jobs sin title_terms (creados antes del campo) se calculan al vuelo;
+ *   ver scripts/buildJobTermIndex.js para reconstruir el índice.
+ *
+ * @param {string|number} id
+ *   job_id incremental del empleo origen.
+ * @param {Object} [options={}]
+ * @param {number} [options.limit=10]          (1–50)
+ * @param {number} [options.maxPerCompany=2]
+ * @param {Object|null} [options.actor=null]
+ *   Visibilidad del job origen (mismas reglas que getJobByIdService).
+ *
+ * @returns {Promise<{ job_id:number, data: Array<Object> }|null>}
+ *   - null si el job origen no existe/ID inválido/no visible para el actor.
+ *   - data: Jobs abiertos con `company` embebida (mismo formato que GET /api/jobs).
+ */
+export async function getSimilarJobsService(
+    id,
+    { limit = DEFAULT_SIMILAR_LIMIT, maxPerCompany = 2, actor = null } = {}
+) {
+    const jobId = Number(id);
+    if (!Number.isInteger(jobId)) return null;
+
+    const source = await Job.findOne({ job_id: jobId, deleted_at: null }).lean();
+    if (!source) return null;
+    if (!isJobOpen(source) && !isJobOwnerOrAdmin(actor, source.company_id)) return null;
+
+    const safeLimit = Math.min(Math.max(1, Math.floor(Number(limit) || DEFAULT_SIMILAR_LIMIT)), MAX_SIMILAR_LIMIT);
+    const safePerCompany = Math.max(1, Math.floor(Number(maxPerCompany) || 2));
+
+    const terms = source.title_terms?.length ? source.title_terms : buildTitleTerms(source.title);
+
+    const pool = await Job.aggregate(buildSimilarJobsPipeline(source, terms));
+    const top = diversifyByCompany(pool, safePerCompany).slice(0, safeLimit);
+
+    const data = await attachCompanyAndFormatJobs(top, {
+        CompanyModel: Company,
+        buildLogoFullPath,
+        internalJobFields: INTERNAL_JOB_FIELDS
+    });
+
+    return { job_id: jobId, data };
+}
+
+/**
+ * Recomendaciones de títulos de empleo basadas en texto parcial
+ * (solo títulos de jobs abiertos).
+ *
+ * @param {string} q
+ *   Texto parcial a buscar dentro de Job.title.
+ * @param {Object} [options={}]
+ * @param {number} [options.limit=10]
+ *   Máximo de títulos recomendados.
+ *
+ * @returns {Promise<string[]>}
+ *   Lista de títulos únicos ordenados por relevancia y frecuencia.
+ */
+export async function getJobTitleRecommendationsService(q, { limit = 10 } = {}) {
+    const safeQ = normalizeSearchTerm(q);
+    if (!safeQ) {
+        return [];
+    }
+
+    const regex = new RegExp(escapeRegex(safeQ), "i");
+
+    const pipeline = [
+        { $match: { title: regex, $and: buildOpenJobConditions() } },
+        { $group: { _id: "$title", count: { $sum: 1 } } },
+        { $addFields: { titleLower: { $toLower: "$_id" } } },
+        {
+            $addFields: {
+                relevance: {
+                    $cond: [{ $regexMatch: { input: "$titleLower", regex: `^${escapeRegex(safeQ)}` } }, 2, 1]
+                }
+            }
+        },
+        { $sort: { relevance: -1, count: -1 } },
+        { $limit: limit },
+        { $project: { _id: 0, title: "$_id" } }
+    ];
+
+    const results = await Job.aggregate(pipeline);
+    return results.map((r) => r.title);
+}
+
+/**
+ * Obtiene un Job por su identificador público (job_id).
+ *
+ * @param {string|number} id
+ *   job_id incremental.
+ * @param {Object} [options={}]
+ * @param {boolean} [options.includeCompany=true]
+ *   Si true, adjunta el objeto company con logo absoluto.
+ * @param {{ type?: string, company_id?: number }|null} [options.actor=null]
+ *   Un job no abierto (borrador, programado, pausado, cerrado o expirado)
+ *   solo lo ve la empresa dueña o admin.
+ *
+ * @returns {Promise<Object|null>}
+ *   - Job formateado (con company si aplica; `status` efectivo) o null si no
+ *     existe/ID inválido/no visible para el actor.
+ */
+export async function getJobByIdService(id, { includeCompany = true, actor = null } = {}) {
+    const jobId = Number(id);
+    if (!Number.isInteger(jobId)) return null;
+
+    const found = await Job.findOne({ job_id: jobId, deleted_at: null }).lean();
+    if (!found) return null;
+    if (!isJobOpen(found) && !isJobOwnerOrAdmin(actor, found.company_id)) return null;
+
+    const [job] = withEffectiveStatus([found]);
+    const includeKnockout = isJobOwnerOrAdmin(actor, found.company_id);
+
+    if (!includeCompany) {
+        const [stripped] = stripInternalJobFields([job]);
+        return withScreeningQuestions(stripped, found, { includeKnockout });
+    }
+
+    const [formatted] = await attachCompanyAndFormatJobs([job], {
+        CompanyModel: Company,
+        buildLogoFullPath,
+        internalJobFields: INTERNAL_JOB_FIELDS
+    });
+
+    return withScreeningQuestions(formatted, found, { includeKnockout }) || null;
+}
+
+/**
+ * Historial de revisiones de un Job (más reciente primero).
+ *
+ * Visibilidad:
+ * - Mismas reglas que getJobByIdService (un job no abierto solo lo ve la
+ *   empresa dueña o admin).
+ * - changed_by (user_id/type) solo se expone a la empresa dueña o admin.
+ *
+ * @param {string|number} id
+ *   job_id incremental.
+ * @param {Object} [queryParams={}]
+ *   page, limit (default 20) y include_snapshot ("true" agrega el contenido
+ *   completo de cada revisión).
+ * @param {{ type?: string, company_id?: number }|null} [actor=null]
+ *
+ * @returns {Promise<{
+ *   job_id: number,
+ *   current_revision: number,
+ *   meta: { page:number, limit:number, total:number, totalPages:number },
+ *   data: Array<{ revision:number, created_at:Date, changes:Array<Object>, changed_by?:Object, snapshot?:Object }>
+ * }|null>}
+ *   null si el job no existe/ID inválido/no visible para el actor.
+ */
+export async function getJobRevisionsService(id, queryParams = {}, actor = null) {
+    const jobId = Number(id);
+    if (!Number.isInteger(jobId)) return null;
+
+    const job = await Job.findOne({ job_id: jobId, deleted_at: null })
+        .select({ job_id: 1, company_id: 1, status: 1, publish_at: 1, expires_at: 1, deleted_at: 1, revision: 1 })
+        .lean();
+    if (!job) return null;
+
+    const privileged = isJobOwnerOrAdmin(actor, job.company_id);
+    if (!isJobOpen(job) && !privileged) return null;
+
+    const { page, limit, skip } = buildPaginationParams(queryParams);
+    const includeSnapshot = String(queryParams.include_snapshot || "").toLowerCase() === "true";
+
+    const projection = { _id: 0, revision: 1, created_at: 1, changes: 1 };
+    if (privileged) projection.changed_by = 1;
+    if (includeSnapshot) projection.snapshot = 1;
+
+    const [total, rows] = await Promise.all([
+        JobRevision.countDocuments({ job_id: jobId }),
+        JobRevision.find({ job_id: jobId })
+            .select(projection)
+            .sort({ revision: -1 })
+            .skip(skip)
+            .limit(limit)
+            .lean()
+    ]);
+
+    return {
+        job_id: jobId,
+        current_revision: job.revision ?? 1,
+        meta: { page, limit, total, totalPages: Math.ceil(total / limit) || 1 },
+        data: rows
+    };
+}
+
+/**
+ * Obtiene opciones para construir filtros en UI (sobre jobs abiertos).
+ *
+ * Cache:
+ * - Se cachea en memoria del proceso (JOB_FILTER_CACHE) después de la 1ra llamada.
+ * - Se invalida con invalidateJobCaches() cuando cambian los jobs.
+ *
+ * @returns {Promise<{
+ *   work_types: string[],
+ *   work_location_types: string[],
+ *   pay_periods: string[]
+ * }>}
+ */
+let JOB_FILTER_CACHE = null;
+export async function getJobFilterOptionsService() {
+    if (JOB_FILTER_CACHE) {
+        return JOB_FILTER_CACHE;
+    }
+
+    const open = { $and: buildOpenJobConditions() };
+
+    const [workTypes, workLocationTypes, payPeriods] = await Promise.all([
+        Job.distinct("work_type", open),
+        Job.distinct("work_location_type", open),
+        Job.distinct("pay_period", open)
+    ]);
+
+    JOB_FILTER_CACHE = {
+        work_types: workTypes.filter(Boolean).sort(),
         work_location_types: workLocationTypes.filter(Boolean).sort(),
         pay_periods: payPeriods.filter(Boolean).sort()
     };
@@ -677,6 +1452,355 @@ export async function getJobFilterOptionsService() {
     return JOB_FILTER_CACHE;
 }
 
+/**
+ * Invalida los caches en memoria derivados de la colección de jobs
+ * (JOB_FILTER_CACHE y SALARY_INSIGHTS_CACHE). Se llama después de
+ * crear/actualizar/eliminar empleos.
+ */
+export function invalidateJobCaches() {
+    JOB_FILTER_CACHE = null;
+    SALARY_INSIGHTS_CACHE.clear();
+}
+
+/* =============================================================================
+ * Insights de salario (normalized_salary_base)
+ * =============================================================================
+ */
+
+export const SALARY_INSIGHT_GROUPS = Object.freeze([
+    "title_term",
+    "country",
+    "state",
+    "city",
+    "work_type",
+    "work_location_type"
+]);
+
+// Filtros de GET /api/jobs que aplican a insights
+const SALARY_INSIGHT_FILTERS = Object.freeze([
+    "country",
+    "state",
+    "city",
+    "work_type",
+    "work_location_type",
+    "pay_period",
+    "company_id",
+    "listed_from",
+    "listed_to"
+]);
+
+const SALARY_INSIGHTS_CACHE = new Map();
+const SALARY_INSIGHTS_CACHE_TTL_MS = 10 * 60 * 1000;
+const SALARY_INSIGHTS_CACHE_MAX = 200;
+
+const DEFAULT_SALARY_GROUP_LIMIT = 20;
+const MAX_SALARY_GROUP_LIMIT = 100;
+const DEFAULT_SALARY_MIN_COUNT = 5;
+
+function badRequest(message) {
+    const e = new Error(message);
+    e.code = "bad_request";
+    e.httpStatus = 400;
+    return e;
+}
+
+function parseBoundedInt(raw, { fallback, min, max, name }) {
+    if (raw === undefined || raw === null || raw === "") return fallback;
+    const n = Number(raw);
+    if (!Number.isInteger(n) || n < min || n > max) {
+        throw badRequest(`${name} debe ser un entero entre ${min} y ${max}.`);
+    }
+    return n;
+}
+
+/**
+ * Etapas iniciales comunes: filtro y, para title_term, un documento por término.
+ * @returns {{ stages: Array<Object>, keyExpr: string|null }}
+ */
+function buildSalaryGroupSource(filter, groupBy) {
+    const stages = [{ $match: filter }];
+
+    if (groupBy === "title_term") {
+        stages.push({ $unwind: "$title_terms" });
+        return { stages, keyExpr: "$title_terms" };
+    }
+    return { stages, keyExpr: groupBy ? `$${groupBy}` : null };
+}
+
+/**
+ * Pipeline: estadística por `keyExpr` (null = global) calculada en MongoDB
+ * ($percentile aproximado, MongoDB 7+). Cada grupo sale como un documento de
+ * tamaño fijo: no se juntan los salarios en memoria.
+ * `salaryExpr` = normalized_salary_base, o su conversión a la moneda del visitante.
+ */
+function buildSalaryGroupPipeline(filter, groupBy, { minCount, limit, salaryExpr }) {
+    const { stages, keyExpr } = buildSalaryGroupSource(filter, groupBy);
+
+    stages.push({
+        $group: {
+            _id: keyExpr,
+            count: { $sum: 1 },
+            min: { $min: salaryExpr },
+            max: { $max: salaryExpr },
+            mean: { $avg: salaryExpr },
+            percentiles: {
+                $percentile: {
+                    input: salaryExpr,
+                    p: SALARY_PERCENTILES.map((p) => p / 100),
+                    method: "approximate"
+                }
+            }
+        }
+    });
+
+    if (groupBy) {
+        stages.push(
+            { $match: { _id: { $ne: null }, count: { $gte: minCount } } },
+            { $sort: { count: -1, _id: 1 } },
+            { $limit: limit }
+        );
+    }
+
+    return stages;
+}
+
+/**
+ * Pipeline: conteo por (grupo, moneda original), solo para las llaves ya
+ * seleccionadas (`keys`; null = global). Tamaño acotado por grupos × monedas.
+ */
+function buildSalaryCurrencyPipeline(filter, groupBy, keys) {
+    const { stages, keyExpr } = buildSalaryGroupSource(filter, groupBy);
+
+    if (groupBy) stages.push({ $match: { [keyExpr.slice(1)]: { $in: keys } } });
+
+    stages.push({
+        $group: {
+            _id: { key: keyExpr, currency: { $ifNull: ["$currency", null] } },
+            count: { $sum: 1 }
+        }
+    });
+
+    return stages;
+}
+
+function groupCurrencies(rows = []) {
+    const byKey = new Map();
+    for (const r of rows) {
+        const key = r._id.key ?? null;
+        if (!byKey.has(key)) byKey.set(key, []);
+        byKey.get(key).push({ currency: r._id.currency, count: r.count });
+    }
+    return byKey;
+}
+
+function buildSalaryInsightsCacheKey(parts) {
+    return JSON.stringify(parts);
+}
+
+function readSalaryInsightsCache(key) {
+    const hit = SALARY_INSIGHTS_CACHE.get(key);
+    if (!hit) return null;
+    if (Date.now() - hit.storedAt > SALARY_INSIGHTS_CACHE_TTL_MS) {
+        SALARY_INSIGHTS_CACHE.delete(key);
+        return null;
+    }
+    return hit.value;
+}
+
+function writeSalaryInsightsCache(key, value) {
+    if (SALARY_INSIGHTS_CACHE.size >= SALARY_INSIGHTS_CACHE_MAX) {
+        // Map conserva orden de inserción: se descarta la entrada más antigua
+        SALARY_INSIGHTS_CACHE.delete(SALARY_INSIGHTS_CACHE.keys().next().value);
+    }
+    SALARY_INSIGHTS_CACHE.set(key, { storedAt: Date.now(), value });
+}
+
+/**
+ * Insights de salario sobre Job.normalized_salary_base (solo jobs con valor > 0),
+ * para que montos en monedas distintas sean comparables.
+ *
+ * queryParams:
+ * - q: keyword(s) del título (todos los términos deben estar en title_terms)
+ * - country, state, city, work_type, work_location_type, pay_period, company_id,
+ *   listed_from, listed_to
+ * - group_by: "title_term" | "country" | "state" | "city" | "work_type" | "work_location_type"
+ * - limit: máximo de grupos (default 20, máx. 100)
+ * - min_count: mínimo de empleos por grupo (default 5)
+ * - currency: moneda de los montos del resultado (igual que en GET /api/jobs);
+ *   default la moneda base (SALARY_BASE_CURRENCY)
+ *
+ * Jobs con salario pero sin conversión a la moneda base (sin tipo de cambio)
+ * no entran en la estadística: se reportan aparte en `unconverted`.
+ *
+ * Cálculo:
+ * - En MongoDB ($percentile aproximado; requiere MongoDB 7+), sin traer los
+ *   salarios a Node. Los percentiles pueden diferir ligeramente de un cálculo
+ *   exacto en grupos grandes.
+ *
+ * Cache:
+ * - En memoria del proceso por combinación de parámetros (TTL 10 min),
+ *   invalidado por invalidateJobCaches() cuando cambian los jobs.
+ *
+ * @param {Object} [queryParams={}]
+ *
+ * @returns {Promise<{
+ *   filters: Object,
+ *   group_by: string|null,
+ *   currency: string,
+ *   overall: Object,
+ *   groups: Array<Object>,
+ *   unconverted: { count: number, currencies: Array<{ currency: string|null, count: number }> },
+ *   generated_at: Date
+ * }>}
+ * - overall / groups[]: { count, min, max, mean, p10, p25, median, p75, p90, currencies }
+ *   (groups[] incluye además `key`; currencies = monedas originales de esos jobs)
+ *
+ * @throws {Error} e
+ *   - 400 bad_request (group_by/limit/min_count/currency inválidos)
+ */
+export async function getSalaryInsightsService(queryParams = {}) {
+    const groupBy = queryParams.group_by ? String(queryParams.group_by).trim() : null;
+    if (groupBy && !SALARY_INSIGHT_GROUPS.includes(groupBy)) {
+        throw badRequest(`group_by debe ser uno de: ${SALARY_INSIGHT_GROUPS.join(", ")}.`);
+    }
+
+    const limit = parseBoundedInt(queryParams.limit, {
+        fallback: DEFAULT_SALARY_GROUP_LIMIT,
+        min: 1,
+        max: MAX_SALARY_GROUP_LIMIT,
+        name: "limit"
+    });
+    const minCount = parseBoundedInt(queryParams.min_count, {
+        fallback: DEFAULT_SALARY_MIN_COUNT,
+        min: 1,
+        max: 100000,
+        name: "min_count"
+    });
+
+    const picked = {};
+    for (const k of SALARY_INSIGHT_FILTERS) {
+        if (queryParams[k] !== undefined && queryParams[k] !== "") picked[k] = queryParams[k];
+    }
+    const terms = buildTitleTerms(queryParams.q);
+    const fx = await resolveViewerCurrency(queryParams.currency);
+
+    const cacheKey = buildSalaryInsightsCacheKey({ picked, terms, groupBy, limit, minCount, fx });
+    const cached = readSalaryInsightsCache(cacheKey);
+    if (cached) return cached;
+
+    const baseFilter = buildBaseJobFilters(picked, { includeCompanyFromQuery: true });
+    if (terms.length > 0) baseFilter.title_terms = { $all: terms };
+
+    const filter = { ...baseFilter, normalized_salary_base: { $gt: 0 } };
+    const unconvertedFilter = {
+        ...baseFilter,
+        normalized_salary: { $gt: 0 },
+        $or: [{ normalized_salary_base: null }, { normalized_salary_base: { $lte: 0 } }]
+    };
+
+    // rate_to_base = unidades de base por 1 unidad de la moneda del visitante
+    const salaryExpr = fx
+        ? { $divide: ["$normalized_salary_base", fx.rate_to_base] }
+        : "$normalized_salary_base";
+    const options = { minCount, limit, salaryExpr };
+
+    const [overallRows, groupRows, unconvertedRows] = await Promise.all([
+        Job.aggregate(buildSalaryGroupPipeline(filter, null, options)).allowDiskUse(true),
+        groupBy
+            ? Job.aggregate(buildSalaryGroupPipeline(filter, groupBy, options)).allowDiskUse(true)
+            : Promise.resolve([]),
+        Job.aggregate([
+            { $match: unconvertedFilter },
+            { $group: { _id: { $ifNull: ["$currency", null] }, count: { $sum: 1 } } },
+            { $sort: { count: -1, _id: 1 } }
+        ])
+    ]);
+
+    const groupKeys = groupRows.map((g) => g._id);
+    const [overallCurrencyRows, groupCurrencyRows] = await Promise.all([
+        Job.aggregate(buildSalaryCurrencyPipeline(filter, null, null)).allowDiskUse(true),
+        groupKeys.length > 0
+            ? Job.aggregate(buildSalaryCurrencyPipeline(filter, groupBy, groupKeys)).allowDiskUse(true)
+            : Promise.resolve([])
+    ]);
+    const currenciesByKey = groupCurrencies(groupCurrencyRows);
+
+    const result = {
+        filters: { ...picked, ...(terms.length ? { q: terms.join(" ") } : {}) },
+        group_by: groupBy,
+        currency: fx?.currency ?? getSalaryBaseCurrency(),
+        overall: toSalarySummary(overallRows[0], groupCurrencies(overallCurrencyRows).get(null)),
+        groups: groupRows.map((g) => ({
+            key: g._id,
+            ...toSalarySummary(g, currenciesByKey.get(g._id))
+        })),
+        unconverted: {
+            count: unconvertedRows.reduce((acc, r) => acc + r.count, 0),
+            currencies: unconvertedRows.map((r) => ({ currency: r._id, count: r.count }))
+        },
+        generated_at: new Date()
+    };
+
+    writeSalaryInsightsCache(cacheKey, result);
+    return result;
+}
+
+/**
+ * Error tipado de escrituras (e.code / e.httpStatus).
+ */
+function jobError(code, httpStatus, message) {
+    const e = new Error(message);
+    e.code = code;
+    e.httpStatus = httpStatus;
+    return e;
+}
+
+/* =============================================================================
+ * Historial de revisiones (escritura)
+ * =============================================================================
+ */
+
+function toRevisionActor(actor) {
+    return { user_id: actor?.user_id ?? null, type: actor?.type ?? null };
+}
+
+/**
+ * Garantiza que exista la revisión vigente de un job creado antes del
+ * historial (la registra con su contenido actual, sin actor).
+ */
+async function ensureCurrentRevision(jobId, revision, snapshot) {
+    await JobRevision.updateOne(
+        { job_id: jobId, revision },
+        { $setOnInsert: { job_id: jobId, revision, changes: [], snapshot, changed_by: toRevisionActor(null) } },
+        { upsert: true }
+    );
+}
+
+/**
+ * Registra una nueva revisión con el contenido actual del job.
+ * El número sale de un incremento atómico de Job.revision (sin colisiones
+ * entre updates concurrentes; un job sin el campo cuenta como revisión 1).
+ *
+ * @returns {Promise<number>} número de revisión registrado
+ */
+async function recordJobRevision(job, changes, actor) {
+    const bumped = await Job.findOneAndUpdate(
+        { job_id: job.job_id },
+        [{ $set: { revision: { $add: [{ $ifNull: ["$revision", 1] }, 1] } } }],
+        { new: true, projection: { revision: 1 } }
+    ).lean();
+
+    await JobRevision.create({
+        job_id: job.job_id,
+        revision: bumped.revision,
+        changes,
+        snapshot: pickJobSnapshot(job),
+        changed_by: toRevisionActor(actor)
+    });
+
+    return bumped.revision;
+}
+
 /**
  * Crea un Job.
  *
@@ -684,9 +1808,15 @@ export async function getJobFilterOptionsService() {
  * - company: crea bajo actor.company_id (payload.company_id se ignora)
  * - admin  : puede crear para cualquier empresa, pero payload.company_id es requerido
  *
+ * Ciclo de vida:
+ * - status: "DRAFT" | "PUBLISHED" (default PUBLISHED)
+ * - publish_at (opcional): publicación programada; listed_time toma ese valor
+ * - expires_at (opcional): debe ser posterior a publish_at
+ *
  * @param {{ type: "company"|"admin", company_id?: number }|null} actor
  * @param {Object} payload
- *   Payload del Job (campos del modelo). Para admin, debe incluir company_id.
+ *   Payload del Job. Solo se toman EDITABLE_JOB_FIELDS (+ status, y company_id
+ *   para admin, que es requerido).
  *
  * @returns {Promise<Object>}
  *   Job creado y formateado (incluye company con logo absoluto).
@@ -694,19 +1824,45 @@ export async function getJobFilterOptionsService() {
  * @throws {Error} e
  *   - 401 unauthorized
  *   - 403 forbidden
- *   - 400 bad_request (admin sin company_id válido)
+ *   - 400 bad_request (admin sin company_id válido, status o fechas inválidas)
  */
 export async function createJobService(actor, payload) {
     const a = requireCompanyOrAdminActor(actor);
 
     const effectiveCompanyId = resolveCompanyIdForCreate(a, payload);
 
+    const status = payload?.status ? String(payload.status).trim().toUpperCase() : "PUBLISHED";
+    if (!JOB_CREATE_STATUSES.includes(status)) {
+        throw badRequest(`status inicial debe ser uno de: ${JOB_CREATE_STATUSES.join(", ")}.`);
+    }
+
+    const parsed = parseLifecycleDates(payload ?? {});
+    if (!parsed.ok) throw badRequest(parsed.message);
+
+    const { screening_questions, ...rest } = pickEditableJobFields(payload);
     const jobPayload = {
-        ...payload,
+        ...rest,
+        ...parsed.dates,
+        status,
         company_id: effectiveCompanyId
     };
 
+    if (screening_questions !== undefined) {
+        jobPayload.screening_questions = normalizeScreeningQuestions(screening_questions);
+    }
+
+    if (status === "PUBLISHED" && parsed.dates.publish_at) {
+        jobPayload.listed_time = parsed.dates.publish_at;
+    }
+
     const job = await Job.create(jobPayload);
+    await JobRevision.create({
+        job_id: job.job_id,
+        revision: job.revision,
+        snapshot: pickJobSnapshot(job),
+        changed_by: toRevisionActor(a)
+    });
+    invalidateJobCaches();
 
     const [formatted] = await attachCompanyAndFormatJobs([job], {
         CompanyModel: Company,
@@ -714,7 +1870,7 @@ export async function createJobService(actor, payload) {
         internalJobFields: INTERNAL_JOB_FIELDS
     });
 
-    return formatted;
+    return withScreeningQuestions(formatted, job, { includeKnockout: true });
 }
 
 /**
@@ -735,6 +1891,12 @@ export async function createJobService(actor, payload) {
  * - El actor debe estar autenticado y autorizado.
  * - Los campos derivados (ej. normalized_salary) se recalculan automáticamente
  *   en el modelo al persistir los cambios.
+ * - Solo se aplican EDITABLE_JOB_FIELDS; ids, borrado lógico, listed_time y
+ *   campos derivados del payload se ignoran.
+ * - `status` no se cambia aquí (usar publish/pause/reopen/close); si viene,
+ *   debe coincidir con el actual. publish_at/expires_at se validan entre sí.
+ * - Si cambia el contenido versionado (JOB_REVISION_FIELDS) se registra una
+ *   revisión con el diff por campo y el actor; Job.revision se incrementa.
  *
  * Convenciones de error:
  * - 401 Unauthorized
@@ -743,6 +1905,8 @@ export async function createJobService(actor, payload) {
  *     El empleo no existe.
  * - 403 Forbidden
  *     El empleo existe pero el actor no tiene permisos.
+ * - 400 Bad Request
+ *     Cambio de status o fechas de ciclo de vida inválidas.
  *
  * @param {{ type: "company"|"admin", company_id?: number }} actor
  *   Actor autenticado que ejecuta la operación.
@@ -751,8 +1915,7 @@ export async function createJobService(actor, payload) {
  *   Identificador incremental `job_id`.
  *
  * @param {Object} payload
- *   Campos del empleo a actualizar.
- *   Solo se procesan campos válidos definidos en el modelo.
+ *   Campos del empleo a actualizar (EDITABLE_JOB_FIELDS).
  *
  * @returns {Promise<Object>}
  *   Empleo actualizado, con empresa adjunta y campos internos filtrados.
@@ -781,7 +1944,7 @@ export async function updateJobService(actor, id, payload) {
     /* =========================================================================
      * 3. Verificación de existencia
      * ========================================================================= */
-    const job = await Job.findOne({ job_id: jobId });
+    const job = await Job.findOne({ job_id: jobId, deleted_at: null });
     if (!job) {
         const e = new Error(`Job no encontrado (job_id=${jobId}).`);
         e.code = "not_found";
@@ -802,13 +1965,48 @@ export async function updateJobService(actor, id, payload) {
     }
 
     /* =========================================================================
-     * 5. Actualización
+     * 5. Ciclo de vida
      * ========================================================================= */
-    Object.assign(job, payload);
+    const { status } = payload ?? {};
+    const changes = pickEditableJobFields(payload);
+
+    if (status !== undefined && String(status).trim().toUpperCase() !== job.status) {
+        throw badRequest("status no se modifica por PUT; usa publish/pause/reopen/close.");
+    }
+
+    const parsed = parseLifecycleDates(changes, job);
+    if (!parsed.ok) throw badRequest(parsed.message);
+
+    if (changes.screening_questions !== undefined) {
+        changes.screening_questions = normalizeScreeningQuestions(changes.screening_questions);
+    }
+
+    // Publicación programada que aún no sale: listed_time sigue a publish_at
+    const now = new Date();
+    const notYetLive = job.status === "PUBLISHED" && job.publish_at && job.publish_at > now;
+    if (notYetLive && "publish_at" in parsed.dates) {
+        changes.listed_time = parsed.dates.publish_at ?? now;
+    }
+
+    /* =========================================================================
+     * 6. Actualización
+     * ========================================================================= */
+    const before = pickJobSnapshot(job);
+    const currentRevision = job.revision ?? 1;
+
+    Object.assign(job, changes, parsed.dates);
     await job.save();
 
+    const diff = diffJobSnapshots(before, pickJobSnapshot(job));
+    if (diff.length > 0) {
+        await ensureCurrentRevision(jobId, currentRevision, before);
+        job.revision = await recordJobRevision(job, diff, a);
+    }
+
+    invalidateJobCaches();
+
     /* =========================================================================
-     * 6. Formateo de salida
+     * 7. Formateo de salida
      * ========================================================================= */
     const [formatted] = await attachCompanyAndFormatJobs([job], {
         CompanyModel: Company,
@@ -816,24 +2014,29 @@ export async function updateJobService(actor, id, payload) {
         internalJobFields: INTERNAL_JOB_FIELDS
     });
 
-    return formatted;
+    return withScreeningQuestions(formatted, job, { includeKnockout: true });
 }
 
 
 
 /**
- * Elimina un Job por job_id.
+ * Elimina (borrado lógico) un Job por job_id.
  *
  * Requiere actor:
  * - company: solo puede eliminar empleos de su company_id
  * - admin  : puede eliminar cualquier empleo
  *
+ * Cascada (ver services/softDeleteService.js):
+ * - Applications del job quedan ocultas (mismo deleted_at)
+ * - Favorites del job se eliminan
+ * - Se purga físicamente tras la ventana de retención
+ *
  * @param {{ type: "company"|"admin", company_id?: number }|null} actor
  * @param {string|number} id
  *   job_id incremental.
  *
  * @returns {Promise<boolean>}
- *   true si eliminó, false si job_id inválido o no encontrado/no autorizado.
+ *   true si eliminó, false si job_id inválido o no encontrado/ya eliminado/no autorizado.
  *
  * @throws {Error} e
  *   - 401 unauthorized
@@ -846,7 +2049,210 @@ export async function deleteJobService(actor, id) {
     if (!Number.isInteger(jobId)) return false;
 
     const ownership = buildJobOwnershipFilter(a);
+    const at = new Date();
+
+    const deleted = await Job.findOneAndUpdate(
+        { job_id: jobId, ...ownership, deleted_at: null },
+        { $set: { deleted_at: at, deleted_by: a.user_id ?? null } }
+    );
+    if (!deleted) return false;
+
+    await cascadeJobSoftDelete([jobId], at);
+    invalidateJobCaches();
+    return true;
+}
+
+/**
+ * Restaura un Job eliminado (solo admin) y sus Applications ocultas por ese
+ * mismo borrado. Los Favorites eliminados no se recuperan.
+ *
+ * @param {{ type: "admin" }|null} actor
+ * @param {string|number} id
+ *
+ * @returns {Promise<Object|null>}
+ *   Job restaurado y formateado, o null si no existe.
+ *
+ * @throws {Error} e
+ *   - 401 unauthorized / 403 forbidden (no admin)
+ *   - 400 bad_request (job_id inválido)
+ *   - 409 not_deleted (el job no está eliminado)
+ *   - 409 company_deleted (restaurar primero la empresa)
+ */
+export async function restoreJobService(actor, id) {
+    if (!actor) throw jobError("unauthorized", 401, "Se requiere autenticación.");
+    if (actor.type !== "admin") throw jobError("forbidden", 403, "Solo admin puede restaurar empleos.");
+
+    const jobId = Number(id);
+    if (!Number.isInteger(jobId)) throw badRequest("job_id inválido: debe ser un entero.");
 
-    const deleted = await Job.findOneAndDelete({ job_id: jobId, ...ownership });
-    return Boolean(deleted);
+    const job = await Job.findOne({ job_id: jobId }).lean();
+    if (!job) return null;
+    if (!job.deleted_at) throw jobError("not_deleted", 409, `El job ${jobId} no está eliminado.`);
+
+    const companyDeleted = await Company.exists({ company_id: job.company_id, deleted_at: { $ne: null } });
+    if (companyDeleted) {
+        throw jobError(
+            "company_deleted",
+            409,
+            `La empresa ${job.company_id} está eliminada; restáurala primero.`
+        );
+    }
+
+    const restored = await Job.findOneAndUpdate(
+        { job_id: jobId, deleted_at: job.deleted_at },
+        { $set: { deleted_at: null, deleted_by: null } },
+        { new: true }
+    ).lean();
+    if (!restored) return null;
+
+    await cascadeJobRestore(jobId, job.deleted_at);
+    invalidateJobCaches();
+
+    const [formatted] = await attachCompanyAndFormatJobs(withEffectiveStatus([restored]), {
+        CompanyModel: Company,
+        buildLogoFullPath,
+        internalJobFields: INTERNAL_JOB_FIELDS
+    });
+
+    return withScreeningQuestions(formatted, restored, { includeKnockout: true });
+}
+
+/* =============================================================================
+ * Ciclo de vida (publish / pause / reopen / close)
+ * =============================================================================
+ */
+
+/**
+ * Aplica una acción de JOB_ACTIONS al job (mismas reglas de actor/ownership
+ * que updateJobService).
+ *
+ * @param {Object|null} actor
+ * @param {string|number} id
+ * @param {"publish"|"pause"|"reopen"|"close"} action
+ * @param {Object} [payload={}]  publish_at / expires_at (solo publish y reopen)
+ *
+ * @returns {Promise<Object>} Job formateado (status efectivo)
+ *
+ * @throws {Error} e
+ *   - 400 bad_request  (job_id o fechas inválidas)
+ *   - 401 / 403
+ *   - 404 not_found
+ *   - 409 invalid_transition (status actual no admite la acción)
+ *   - 409 expired          (reopen sin un expires_at futuro)
+ */
+async function applyJobAction(actor, id, action, payload = {}) {
+    const a = requireCompanyOrAdminActor(actor);
+    const { from, to } = JOB_ACTIONS[action];
+
+    const jobId = Number(id);
+    if (!Number.isInteger(jobId)) throw badRequest("job_id inválido: debe ser un entero.");
+
+    const job = await Job.findOne({ job_id: jobId, deleted_at: null });
+    if (!job) throw jobError("not_found", 404, `Job no encontrado (job_id=${jobId}).`);
+
+    if (a.type === "company" && job.company_id !== a.company_id) {
+        throw jobError(
+            "forbidden",
+            403,
+            `Prohibido: la empresa ${a.company_id} no puede modificar el job ${jobId}.`
+        );
+    }
+
+    const now = new Date();
+    const current = effectiveJobStatus(job, now);
+    if (!from.includes(current)) {
+        throw jobError(
+            "invalid_transition",
+            409,
+            `No se puede ${action} un job en ${current} (permitido desde: ${from.join(", ")}).`
+        );
+    }
+
+    const datesPayload = {};
+    if (action === "publish") datesPayload.publish_at = payload?.publish_at;
+    if (action === "publish" || action === "reopen") datesPayload.expires_at = payload?.expires_at;
+
+    const parsed = parseLifecycleDates(datesPayload, job);
+    if (!parsed.ok) throw badRequest(parsed.message);
+    Object.assign(job, parsed.dates);
+
+    if (to === "PUBLISHED" && job.expires_at && job.expires_at <= now) {
+        throw jobError("expired", 409, "expires_at ya pasó: envía un expires_at futuro (o null).");
+    }
+
+    job.status = to;
+    if (action === "publish") job.listed_time = job.publish_at ?? now;
+    if (action === "close") job.closed_at = now;
+    if (action === "reopen") job.closed_at = null;
+
+    await job.save();
+    invalidateJobCaches();
+
+    const [formatted] = await attachCompanyAndFormatJobs(withEffectiveStatus([job.toObject()]), {
+        CompanyModel: Company,
+        buildLogoFullPath,
+        internalJobFields: INTERNAL_JOB_FIELDS
+    });
+
+    return withScreeningQuestions(formatted, job, { includeKnockout: true });
+}
+
+/**
+ * Publica un borrador (DRAFT -> PUBLISHED).
+ * Body opcional: publish_at (programada), expires_at.
+ */
+export async function publishJobService(actor, id, payload = {}) {
+    return applyJobAction(actor, id, "publish", payload);
+}
+
+/**
+ * Pausa un job publicado (PUBLISHED -> PAUSED).
+ */
+export async function pauseJobService(actor, id) {
+    return applyJobAction(actor, id, "pause");
+}
+
+/**
+ * Reabre un job pausado, cerrado o expirado (-> PUBLISHED).
+ * Body opcional: expires_at (requerido si el vigente ya pasó).
+ */
+export async function reopenJobService(actor, id, payload = {}) {
+    return applyJobAction(actor, id, "reopen", payload);
+}
+
+/**
+ * Cierra un job (-> CLOSED) y registra closed_at.
+ */
+export async function closeJobService(actor, id) {
+    return applyJobAction(actor, id, "close");
+}
+
+/**
+ * Persiste EXPIRED en los jobs PUBLISHED cuyo expires_at ya pasó.
+ * Los listados públicos ya los ocultan; esto mantiene el status consistente
+ * (ver scripts/syncJobLifecycle.js). Notifica a los usuarios de cada empresa
+ * (JOB_EXPIRED); los jobs eliminados no se notifican.
+ *
+ * @param {Date} [now=new Date()]
+ * @returns {Promise<number>} jobs expirados
+ */
+export async function expireOverdueJobsService(now = new Date()) {
+    const overdue = { status: { $in: PUBLISHED_STATUS_VALUES }, expires_at: { $ne: null, $lte: now } };
+
+    const jobs = await Job.find(overdue)
+        .select({ _id: 0, job_id: 1, company_id: 1, title: 1, deleted_at: 1 })
+        .lean();
+    if (jobs.length === 0) return 0;
+
+    const result = await Job.updateMany(
+        { ...overdue, job_id: { $in: jobs.map((j) => j.job_id) } },
+        { $set: { status: "EXPIRED" } }
+    );
+
+    const expired = result?.modifiedCount ?? 0;
+    if (expired > 0) {
+        invalidateJobCaches();
+        await notifyJobsExpired(jobs.filter((j) => !j.deleted_at));
+    }
+    return expired;
 }
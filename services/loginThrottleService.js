@@ -0,0 +1,249 @@
+// services/loginThrottleService.js
+
+/**
+ * ============================================================================
+ * loginThrottleService.js — Protección contra fuerza bruta en login
+ * ============================================================================
+ *
+ * Contadores de fallos por email y por IP (LoginThrottle en Mongo).
+ *
+ * Política (variables de entorno):
+ * - LOGIN_MAX_FAILURES_EMAIL (default 5)   fallos por email antes de bloquear
+ * - LOGIN_MAX_FAILURES_IP (default 20)     fallos por IP antes de bloquear
+ * - LOGIN_FAILURE_WINDOW_MINUTES (default 15)
+ *     sin actividad durante la ventana → contadores y backoff se reinician
+ * - LOGIN_LOCKOUT_BASE_SECONDS (default 60)
+ * - LOGIN_LOCKOUT_MAX_SECONDS (default 3600)
+ *     duración del bloqueo = base * 2^lock_count (tope en max)
+ * - TRUST_PROXY (server.js): necesario detrás de un proxy para que la IP
+ *   (req.ip) sea la del cliente y no la del proxy
+ *
+ * Reglas:
+ * - Un email inexistente cuenta igual que uno existente (no revela cuentas).
+ * - Login exitoso limpia el contador del email (no el de la IP).
+ * - Errores: ACCOUNT_LOCKED (err.retryAfter = segundos restantes).
+ * ============================================================================
+ */
+
+import LoginThrottle from "../models/LoginThrottle.js";
+
+import { buildPaginationParams } from "../utils/paginationUtils.js";
+
+/* =============================================================================
+ * Configuración
+ * ============================================================================= */
+
+function envNumber(name, fallback) {
+    const n = Number(process.env[name]);
+    return Number.isFinite(n) && n > 0 ? n : fallback;
+}
+
+function getPolicy() {
+    return {
+        maxFailures: {
+            email: envNumber("LOGIN_MAX_FAILURES_EMAIL", 5),
+            ip: envNumber("LOGIN_MAX_FAILURES_IP", 20)
+        },
+        windowMs: envNumber("LOGIN_FAILURE_WINDOW_MINUTES", 15) * 60 * 1000,
+        baseLockMs: envNumber("LOGIN_LOCKOUT_BASE_SECONDS", 60) * 1000,
+        maxLockMs: envNumber("LOGIN_LOCKOUT_MAX_SECONDS", 3600) * 1000
+    };
+}
+
+/* =============================================================================
+ * Llaves
+ * ============================================================================= */
+
+/**
+ * Llaves a vigilar para un intento de login.
+ * @param {string} email (normalizado)
+ * @param {string|null} ip
+ * @returns {Array<{ key: string, kind: "email"|"ip" }>}
+ */
+export function buildThrottleKeys(email, ip) {
+    const keys = [];
+    if (email) keys.push({ key: `email:${email}`, kind: "email" });
+    if (ip) keys.push({ key: `ip:${ip}`, kind: "ip" });
+    return keys;
+}
+
+function lockedError(lockedUntil, now) {
+    const err = new Error("ACCOUNT_LOCKED");
+    err.retryAfter = Math.max(1, Math.ceil((lockedUntil.getTime() - now.getTime()) / 1000));
+    return err;
+}
+
+/* =============================================================================
+ * Verificación / registro
+ * ============================================================================= */
+
+/**
+ * Lanza ACCOUNT_LOCKED si alguna llave está bloqueada.
+ * @param {Array<{ key: string }>} keys
+ */
+export async function assertLoginAllowed(keys) {
+    if (keys.length === 0) return;
+
+    const now = new Date();
+
+    const locked = await LoginThrottle.find({
+        key: { $in: keys.map((k) => k.key) },
+        locked_until: { $gt: now }
+    })
+        .select({ locked_until: 1 })
+        .lean();
+
+    if (locked.length === 0) return;
+
+    let until = locked[0].locked_until;
+    for (const doc of locked) {
+        if (doc.locked_until > until) until = doc.locked_until;
+    }
+
+    throw lockedError(new Date(until), now);
+}
+
+/**
+ * Suma un fallo a cada llave y bloquea las que alcanzan el máximo.
+ *
+ * El incremento es atómico (pipeline update): si la última actividad es más
+ * vieja que la ventana, el contador y el backoff se reinician.
+ *
+ * @param {Array<{ key: string, kind: "email"|"ip" }>} keys
+ * @returns {Promise<Date|null>} locked_until más lejano si se bloqueó alguna llave
+ */
+export async function registerLoginFailure(keys) {
+    const policy = getPolicy();
+    const now = new Date();
+    const windowStart = new Date(now.getTime() - policy.windowMs);
+    const expiresAt = new Date(now.getTime() + policy.windowMs + policy.maxLockMs);
+    const epoch = new Date(0);
+
+    let lockedUntil = null;
+
+    for (const { key, kind } of keys) {
+        const doc = await LoginThrottle.findOneAndUpdate(
+            { key },
+            [
+                {
+                    $set: {
+                        kind,
+                        _stale: {
+                            $lt: [
+                                {
+                                    $max: [
+                                        { $ifNull: ["$last_failure_at", epoch] },
+                                        { $ifNull: ["$locked_until", epoch] }
+                                    ]
+                                },
+                                windowStart
+                            ]
+                        }
+                    }
+                },
+                {
+                    $set: {
+                        failures: {
+                            $cond: ["$_stale", 1, { $add: [{ $ifNull: ["$failures", 0] }, 1] }]
+                        },
+                        lock_count: {
+                            $cond: ["$_stale", 0, { $ifNull: ["$lock_count", 0] }]
+                        },
+                        last_failure_at: now,
+                        expires_at: expiresAt
+                    }
+                },
+                { $unset: "_stale" }
+            ],
+            { upsert: true, new: true }
+        ).lean();
+
+        if (doc.failures < policy.maxFailures[kind]) continue;
+
+        const lockMs = Math.min(policy.baseLockMs * 2 ** doc.lock_count, policy.maxLockMs);
+        const until = new Date(now.getTime() + lockMs);
+
+        // Condicionado a failures: si otro proceso ya bloqueó, no se duplica.
+        const out = await LoginThrottle.updateOne(
+            { key, failures: doc.failures },
+            {
+                $set: {
+                    failures: 0,
+                    locked_until: until,
+                    expires_at: new Date(until.getTime() + policy.windowMs + policy.maxLockMs)
+                },
+                $inc: { lock_count: 1 }
+            }
+        );
+
+        if (out.modifiedCount > 0 && (!lockedUntil || until > lockedUntil)) {
+            lockedUntil = until;
+        }
+    }
+
+    return lockedUntil;
+}
+
+/**
+ * Limpia el contador del email tras un login exitoso.
+ * @param {string} email (normalizado)
+ */
+export async function clearLoginFailures(email) {
+    if (!email) return;
+    await LoginThrottle.deleteOne({ key: `email:${email}` });
+}
+
+/* =============================================================================
+ * Administración
+ * ============================================================================= */
+
+/**
+ * listLockoutsService
+ * -----------------------------------------------------------------------------
+ * Lista llaves bloqueadas actualmente (admin).
+ *
+ * Query:
+ * - kind? ("email" | "ip")
+ * - page? limit?
+ *
+ * Salida:
+ * - { total, page, limit, items }
+ */
+export async function listLockoutsService(queryParams = {}) {
+    const { page, limit, skip } = buildPaginationParams(queryParams);
+
+    const filter = { locked_until: { $gt: new Date() } };
+    const kind = String(queryParams.kind || "").trim().toLowerCase();
+    if (kind === "email" || kind === "ip") filter.kind = kind;
+
+    const [total, items] = await Promise.all([
+        LoginThrottle.countDocuments(filter),
+        LoginThrottle.find(filter)
+            .sort({ locked_until: -1 })
+            .skip(skip)
+            .limit(limit)
+            .select({ _id: 0, __v: 0 })
+            .lean()
+    ]);
+
+    return { total, page, limit, items };
+}
+
+/**
+ * unlockLoginService
+ * -----------------------------------------------------------------------------
+ * Elimina bloqueo y contadores de un email y/o una IP (admin).
+ *
+ * Entrada:
+ * - { email?, ip? } (al menos uno; email ya normalizado)
+ *
+ * Salida:
+ * - { unlocked: number }
+ */
+export async function unlockLoginService({ email, ip }) {
+    const keys = buildThrottleKeys(email, ip).map((k) => k.key);
+    if (keys.length === 0) return { unlocked: 0 };
+
+    const out = await LoginThrottle.deleteMany({ key: { $in: keys } });
+    return { unlocked: out.deletedCount ?? 0 };
+}
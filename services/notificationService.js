@@ -0,0 +1,405 @@
+// services/notificationService.js
+
+/**
+ * ============================================================================
+ * notificationService.js — Servicio de Notificaciones (in-app)
+ * ============================================================================
+ *
+ * Identidad (actor)
+ * - { type: "candidate" | "company" | "admin", user_id: number, ... }
+ * - La bandeja es por usuario (actor.user_id): cada usuario de una empresa
+ *   tiene la suya.
+ *
+ * Emisión (la usan otros servicios)
+ * - notifyApplicationCreated / notifyApplicationWithdrawn → usuarios de la empresa
+ * - notifyApplicationStatusChanged                         → usuario del candidato
+ * - notifyJobsExpired                                      → usuarios de la empresa
+ * - Solo usuarios activos (deleted_at null) que no silenciaron el tipo.
+ * - Un fallo al notificar se registra en el log y NO interrumpe la operación
+ *   que lo originó.
+ *
+ * Bandeja
+ * - listado paginado, conteo de no leídas, marcar leída / todas leídas.
+ * - Preferencias: { TYPE: boolean } por usuario (User.muted_notification_types).
+ * ============================================================================
+ */
+
+import Notification from "../models/Notification.js";
+import User from "../models/User.js";
+import Job from "../models/Job.js";
+import Candidate from "../models/Candidate.js";
+import Counter from "../models/Counter.js";
+
+import { logger } from "../utils/logger.js";
+import { parseNumber } from "../utils/parsingUtils.js";
+import { buildPaginationParams } from "../utils/paginationUtils.js";
+import {
+    NOTIFICATION_TYPES,
+    buildNotificationContent,
+    toPreferenceMap,
+    applyPreferenceChanges
+} from "../utils/notifications/notificationUtils.js";
+
+const NOTIFICATION_PROJECTION = Object.freeze({ _id: 0, __v: 0, user_id: 0 });
+
+/* =============================================================================
+ * Errores tipados
+ * =============================================================================
+ */
+function makeError(code, httpStatus, message) {
+    const err = new Error(message);
+    err.code = code;
+    err.httpStatus = httpStatus;
+    return err;
+}
+
+function requireUser(actor) {
+    if (!actor || !actor.type || !actor.user_id) {
+        throw makeError("unauthorized", 401, "Se requiere autenticación.");
+    }
+    return actor.user_id;
+}
+
+function requirePositiveId(name, raw) {
+    const n = parseNumber(raw);
+    if (!n || n <= 0) throw makeError("invalid_params", 400, `${name} debe ser un número > 0.`);
+    return n;
+}
+
+function normalizeType(raw) {
+    if (raw === undefined || raw === null || raw === "") return null;
+    const t = String(raw).trim().toUpperCase();
+    if (!NOTIFICATION_TYPES.includes(t)) {
+        throw makeError("invalid_params", 400, `type debe ser uno de: ${NOTIFICATION_TYPES.join(", ")}.`);
+    }
+    return t;
+}
+
+/* =============================================================================
+ * Emisión
+ * =============================================================================
+ */
+
+/**
+ * Crea una notificación por destinatario (ids reservados por lote en Counter).
+ *
+ * @param {Object} recipientFilter  filtro de User (company_id / candidate_id)
+ * @param {string} type
+ * @param {Array<Object>} events    [{ data, content }] una notificación por evento
+ * @returns {Promise<number>}       notificaciones creadas
+ */
+async function createNotifications(recipientFilter, type, events) {
+    if (events.length === 0) return 0;
+
+    const users = await User.find({
+        ...recipientFilter,
+        deleted_at: null,
+        muted_notification_types: { $ne: type }
+    })
+        .select({ _id: 0, user_id: 1 })
+        .lean();
+    if (users.length === 0) return 0;
+
+    const count = users.length * events.length;
+    const counter = await Counter.findOneAndUpdate(
+        { _id: "notification_id" },
+        { $inc: { seq: count } },
+        { new: true, upsert: true }
+    );
+
+    let nextId = counter.seq - count + 1;
+    const now = new Date();
+    const docs = [];
+
+    for (const { data, content } of events) {
+        for (const u of users) {
+            docs.push({
+                notification_id: nextId++,
+                user_id: u.user_id,
+                type,
+                title: content.title,
+                message: content.message,
+                data,
+                read_at: null,
+                created_at: now
+            });
+        }
+    }
+
+    await Notification.insertMany(docs, { ordered: false });
+    return docs.length;
+}
+
+/**
+ * Ejecuta una emisión sin propagar errores (se registran en el log).
+ */
+async function safeNotify(label, fn) {
+    try {
+        return await fn();
+    } catch (err) {
+        logger.warn(`No se pudo notificar ${label}: ${err?.message || err}`);
+        return 0;
+    }
+}
+
+async function loadJobTitle(job_id) {
+    const job = await Job.findOne({ job_id }).select({ _id: 0, title: 1 }).lean();
+    return job?.title ?? null;
+}
+
+async function loadCandidateName(candidate_id) {
+    const candidate = await Candidate.findOne({ candidate_id }).select({ _id: 0, full_name: 1 }).lean();
+    return candidate?.full_name ?? null;
+}
+
+function applicationData(application, extra = {}) {
+    return {
+        application_id: application.application_id,
+        job_id: application.job_id,
+        candidate_id: application.candidate_id,
+        company_id: application.company_id,
+        ...extra
+    };
+}
+
+/**
+ * Nueva postulación → usuarios de la empresa.
+ * @param {{ application_id, job_id, candidate_id, company_id, status }} application
+ */
+export async function notifyApplicationCreated(application) {
+    return safeNotify("APPLICATION_CREATED", async () => {
+        const [job_title, candidate_name] = await Promise.all([
+            loadJobTitle(application.job_id),
+            loadCandidateName(application.candidate_id)
+        ]);
+        const data = applicationData(application, { job_title, status: application.status });
+
+        return createNotifications({ company_id: application.company_id }, "APPLICATION_CREATED", [
+            { data, content: buildNotificationContent("APPLICATION_CREATED", { job_title, candidate_name }) }
+        ]);
+    });
+}
+
+/**
+ * Postulación retirada → usuarios de la empresa.
+ * @param {{ application_id, job_id, candidate_id, company_id }} application
+ */
+export async function notifyApplicationWithdrawn(application) {
+    return safeNotify("APPLICATION_WITHDRAWN", async () => {
+        const [job_title, candidate_name] = await Promise.all([
+            loadJobTitle(application.job_id),
+            loadCandidateName(application.candidate_id)
+        ]);
+        const data = applicationData(application, { job_title });
+
+        return createNotifications({ company_id: application.company_id }, "APPLICATION_WITHDRAWN", [
+            { data, content: buildNotificationContent("APPLICATION_WITHDRAWN", { job_title, candidate_name }) }
+        ]);
+    });
+}
+
+/**
+ * Cambio de status → usuario del candidato.
+ * La nota del cambio es privada de la empresa y no se incluye.
+ *
+ * @param {{ application_id, job_id, candidate_id, company_id }} application
+ * @param {string} from_status
+ * @param {string} to_status
+ */
+export async function notifyApplicationStatusChanged(application, from_status, to_status) {
+    return safeNotify("APPLICATION_STATUS_CHANGED", async () => {
+        const job_title = await loadJobTitle(application.job_id);
+        const data = applicationData(application, { job_title, from_status, to_status });
+
+        return createNotifications({ candidate_id: application.candidate_id }, "APPLICATION_STATUS_CHANGED", [
+            {
+                data,
+                content: buildNotificationContent("APPLICATION_STATUS_CHANGED", { job_title, to_status })
+            }
+        ]);
+    });
+}
+
+/**
+ * Vacantes expiradas → usuarios de cada empresa.
+ * @param {Array<{ job_id, company_id, title }>} jobs
+ */
+export async function notifyJobsExpired(jobs) {
+    return safeNotify("JOB_EXPIRED", async () => {
+        const byCompany = new Map();
+        for (const job of jobs) {
+            if (!byCompany.has(job.company_id)) byCompany.set(job.company_id, []);
+            byCompany.get(job.company_id).push({
+                data: { job_id: job.job_id, company_id: job.company_id, job_title: job.title ?? null },
+                content: buildNotificationContent("JOB_EXPIRED", { job_title: job.title })
+            });
+        }
+
+        let created = 0;
+        for (const [company_id, events] of byCompany) {
+            created += await createNotifications({ company_id }, "JOB_EXPIRED", events);
+        }
+        return created;
+    });
+}
+
+/* =============================================================================
+ * Bandeja
+ * =============================================================================
+ */
+
+/**
+ * listNotificationsService
+ *
+ * Query
+ * - unread? (true = solo no leídas)
+ * - type?
+ * - page?, limit?
+ *
+ * Respuesta
+ * - { status:"ok", meta: { page, limit, total, totalPages }, unread_count, data }  (más recientes primero)
+ */
+export async function listNotificationsService(actor, queryParams = {}) {
+    const user_id = requireUser(actor);
+
+    const filter = { user_id };
+    if (String(queryParams.unread || "").toLowerCase() === "true") filter.read_at = null;
+
+    const type = normalizeType(queryParams.type);
+    if (type) filter.type = type;
+
+    const { page, limit, skip } = buildPaginationParams(queryParams);
+
+    const [rows, total, unread_count] = await Promise.all([
+        Notification.find(filter)
+            .select(NOTIFICATION_PROJECTION)
+            .sort({ created_at: -1, notification_id: -1 })
+            .skip(skip)
+            .limit(limit)
+            .lean(),
+        Notification.countDocuments(filter),
+        Notification.countDocuments({ user_id, read_at: null })
+    ]);
+
+    const totalPages = Math.ceil(total / limit) || 1;
+
+    return {
+        status: "ok",
+        meta: { page, limit, total, totalPages },
+        unread_count,
+        data: rows
+    };
+}
+
+/**
+ * getUnreadNotificationCountService
+ *
+ * Respuesta
+ * - { status:"ok", unread_count, by_type: { TYPE: n } }
+ */
+export async function getUnreadNotificationCountService(actor) {
+    const user_id = requireUser(actor);
+
+    const rows = await Notification.aggregate([
+        { $match: { user_id, read_at: null } },
+        { $group: { _id: "$type", count: { $sum: 1 } } }
+    ]);
+
+    const by_type = {};
+    let unread_count = 0;
+    for (const r of rows) {
+        by_type[r._id] = r.count;
+        unread_count += r.count;
+    }
+
+    return { status: "ok", unread_count, by_type };
+}
+
+/**
+ * markNotificationReadService
+ *
+ * Respuestas
+ * - { status:"ok", notification }
+ * - { status:"not_found" } (no existe o es de otro usuario)
+ */
+export async function markNotificationReadService(actor, notification_id) {
+    const user_id = requireUser(actor);
+    const nid = requirePositiveId("notification_id", notification_id);
+
+    await Notification.updateOne({ notification_id: nid, user_id, read_at: null }, { $set: { read_at: new Date() } });
+
+    const notification = await Notification.findOne({ notification_id: nid, user_id })
+        .select(NOTIFICATION_PROJECTION)
+        .lean();
+    if (!notification) return { status: "not_found" };
+
+    return { status: "ok", notification };
+}
+
+/**
+ * markAllNotificationsReadService
+ *
+ * Body
+ * - type? (solo las de ese tipo)
+ *
+ * Respuesta
+ * - { status:"ok", updated }
+ */
+export async function markAllNotificationsReadService(actor, { type } = {}) {
+    const user_id = requireUser(actor);
+
+    const filter = { user_id, read_at: null };
+    const t = normalizeType(type);
+    if (t) filter.type = t;
+
+    const out = await Notification.updateMany(filter, { $set: { read_at: new Date() } });
+    return { status: "ok", updated: out.modifiedCount ?? 0 };
+}
+
+/* =============================================================================
+ * Preferencias
+ * =============================================================================
+ */
+
+/**
+ * getNotificationPreferencesService
+ *
+ * Respuesta
+ * - { status:"ok", preferences: { TYPE: boolean } }  (solo tipos de su audiencia)
+ */
+export async function getNotificationPreferencesService(actor) {
+    const user_id = requireUser(actor);
+
+    const user = await User.findOne({ user_id, deleted_at: null })
+        .select({ _id: 0, muted_notification_types: 1 })
+        .lean();
+    if (!user) throw makeError("unauthorized", 401, "Usuario no disponible.");
+
+    return { status: "ok", preferences: toPreferenceMap(actor.type, user.muted_notification_types) };
+}
+
+/**
+ * updateNotificationPreferencesService
+ *
+ * Body
+ * - preferences: { TYPE: boolean } (parcial; los ausentes no cambian)
+ *
+ * Respuesta
+ * - { status:"ok", preferences }
+ *
+ * Errores
+ * - 400 invalid_payload (tipo desconocido o que no corresponde al actor)
+ */
+export async function updateNotificationPreferencesService(actor, { preferences } = {}) {
+    const user_id = requireUser(actor);
+
+    const user = await User.findOne({ user_id, deleted_at: null })
+        .select({ _id: 0, muted_notification_types: 1 })
+        .lean();
+    if (!user) throw makeError("unauthorized", 401, "Usuario no disponible.");
+
+    const muted = applyPreferenceChanges(actor.type, user.muted_notification_types, preferences);
+    await User.updateOne({ user_id }, { $set: { muted_notification_types: muted } });
+
+    return { status: "ok", preferences: toPreferenceMap(actor.type, muted) };
+}
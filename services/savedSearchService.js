@@ -0,0 +1,356 @@
+// services/savedSearchService.js
+
+/**
+ * ============================================================================
+ * savedSearchService.js — Servicio de Búsquedas Guardadas
+ * ============================================================================
+ *
+ * actor:
+ * - { type: "candidate" | "admin", candidate_id?: number }
+ *
+ * Reglas:
+ * - Una búsqueda guardada pertenece a un candidate_id.
+ * - candidate: solo sus propias búsquedas; admin: permitido.
+ * - params acepta SOLO los query params de GET /api/jobs que definen el
+ *   resultado (q + filtros + currency, que define en qué moneda se comparan
+ *   los rangos de salario). Paginación, sort y rangos de fecha se ignoran.
+ *
+ * Alertas de nuevos empleos:
+ * - "nuevo" = Job.listed_time > last_checked_at
+ * - El corte solo avanza cuando el frontend lo pide (mark_checked=true),
+ *   para que pueda paginar los resultados sin perderlos.
+ * ============================================================================
+ */
+
+import SavedSearch from "../models/SavedSearch.js";
+
+import { getJobsListedAfterService } from "./jobService.js";
+
+import { parseNumber } from "../utils/parsingUtils.js";
+import { normalizeCurrencyCode } from "../utils/jobs/salaryNormalizationUtils.js";
+import { buildPaginationParams } from "../utils/paginationUtils.js";
+
+/* =============================================================================
+ * Constantes públicas
+ * =============================================================================
+ */
+export const SAVED_SEARCH_PARAMS = Object.freeze([
+    "q",
+    "country",
+    "state",
+    "city",
+    "work_type",
+    "work_location_type",
+    "pay_period",
+    "company_id",
+    "min_salary",
+    "max_salary",
+    "min_norm_salary",
+    "max_norm_salary",
+    "currency"
+]);
+
+export const MAX_SAVED_SEARCHES_PER_CANDIDATE = 20;
+
+const NUMERIC_PARAMS = new Set([
+    "company_id",
+    "min_salary",
+    "max_salary",
+    "min_norm_salary",
+    "max_norm_salary"
+]);
+
+const UPPERCASE_PARAMS = new Set(["work_location_type", "currency"]);
+
+/* =============================================================================
+ * Errores tipados
+ * =============================================================================
+ */
+function makeError(code, httpStatus, message) {
+    const err = new Error(message);
+    err.code = code;
+    err.httpStatus = httpStatus;
+    return err;
+}
+
+/* =============================================================================
+ * Actor y validación
+ * =============================================================================
+ */
+function requireSelfCandidateOrAdmin(actor, candidate_id) {
+    if (!actor || !actor.type) {
+        throw makeError("unauthorized", 401, "Se requiere autenticación.");
+    }
+    if (actor.type === "admin") return;
+    if (actor.type !== "candidate" || actor.candidate_id !== candidate_id) {
+        throw makeError("forbidden", 403, "No autorizado para este candidato.");
+    }
+}
+
+function requirePositiveId(name, raw) {
+    const n = parseNumber(raw);
+    if (!n || n <= 0) throw makeError("invalid_params", 400, `${name} debe ser un número > 0.`);
+    return n;
+}
+
+function normalizeName(raw) {
+    const s = String(raw ?? "").trim();
+    if (!s) throw makeError("invalid_payload", 400, "name es obligatorio.");
+    if (s.length > 120) throw makeError("invalid_payload", 400, "name admite máximo 120 caracteres.");
+    return s;
+}
+
+/**
+ * Normaliza params de búsqueda a strings (mismo formato que req.query).
+ * - Descarta llaves no soportadas y valores vacíos.
+ * - Valida que los campos numéricos sean números.
+ * - Requiere al menos un criterio.
+ */
+function normalizeParams(raw) {
+    if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+        throw makeError("invalid_payload", 400, "params debe ser un objeto.");
+    }
+
+    const params = {};
+
+    for (const key of SAVED_SEARCH_PARAMS) {
+        const value = raw[key];
+        if (value === undefined || value === null) continue;
+
+        const s = String(value).trim();
+        if (!s) continue;
+
+        if (NUMERIC_PARAMS.has(key) && parseNumber(s) === null) {
+            throw makeError("invalid_payload", 400, `params.${key} debe ser numérico.`);
+        }
+
+        if (key === "currency" && !normalizeCurrencyCode(s)) {
+            throw makeError("invalid_payload", 400, "params.currency debe ser un código de 3 letras (p. ej. USD).");
+        }
+
+        params[key] = UPPERCASE_PARAMS.has(key) ? s.toUpperCase() : s;
+    }
+
+    if (Object.keys(params).length === 0) {
+        throw makeError(
+            "invalid_payload",
+            400,
+            `params requiere al menos uno de: ${SAVED_SEARCH_PARAMS.join(", ")}.`
+        );
+    }
+
+    return params;
+}
+
+async function findOwnedSearch(candidate_id, saved_search_id) {
+    return SavedSearch.findOne({ candidate_id, saved_search_id }).lean();
+}
+
+/* =============================================================================
+ * Create
+ * =============================================================================
+ */
+
+/**
+ * createSavedSearchService
+ * Guarda una búsqueda para un candidato.
+ *
+ * Body
+ * - name (string)
+ * - params (object): subconjunto de SAVED_SEARCH_PARAMS
+ *
+ * Respuestas
+ * - { status:"created", saved_search }
+ * - { status:"limit_reached", max }
+ */
+export async function createSavedSearchService(actor, candidate_id, payload = {}) {
+    const cid = requirePositiveId("candidate_id", candidate_id);
+    requireSelfCandidateOrAdmin(actor, cid);
+
+    const name = normalizeName(payload.name);
+    const params = normalizeParams(payload.params);
+
+    const count = await SavedSearch.countDocuments({ candidate_id: cid });
+    if (count >= MAX_SAVED_SEARCHES_PER_CANDIDATE) {
+        return { status: "limit_reached", max: MAX_SAVED_SEARCHES_PER_CANDIDATE };
+    }
+
+    const created = await SavedSearch.create({ candidate_id: cid, name, params });
+    return { status: "created", saved_search: created.toObject() };
+}
+
+/* =============================================================================
+ * Read
+ * =============================================================================
+ */
+
+/**
+ * listSavedSearchesService
+ * Lista búsquedas guardadas de un candidato (más recientes primero).
+ *
+ * Respuesta
+ * - { status:"ok", total, page, limit, items }
+ */
+export async function listSavedSearchesService(actor, candidate_id, queryParams = {}) {
+    const cid = requirePositiveId("candidate_id", candidate_id);
+    requireSelfCandidateOrAdmin(actor, cid);
+
+    const { page, limit, skip } = buildPaginationParams(queryParams);
+    const filter = { candidate_id: cid };
+
+    const [total, items] = await Promise.all([
+        SavedSearch.countDocuments(filter),
+        SavedSearch.find(filter)
+            .sort({ created_at: -1, saved_search_id: -1 })
+            .skip(skip)
+            .limit(limit)
+            .select({ _id: 0, __v: 0 })
+            .lean()
+    ]);
+
+    return { status: "ok", total, page, limit, items };
+}
+
+/**
+ * getSavedSearchService
+ *
+ * Respuestas
+ * - { status:"ok", saved_search }
+ * - { status:"not_found" }
+ */
+export async function getSavedSearchService(actor, { candidate_id, saved_search_id }) {
+    const cid = requirePositiveId("candidate_id", candidate_id);
+    const sid = requirePositiveId("saved_search_id", saved_search_id);
+    requireSelfCandidateOrAdmin(actor, cid);
+
+    const found = await findOwnedSearch(cid, sid);
+    if (!found) return { status: "not_found" };
+
+    const { _id, __v, ...saved_search } = found;
+    return { status: "ok", saved_search };
+}
+
+/* =============================================================================
+ * Update
+ * =============================================================================
+ */
+
+/**
+ * updateSavedSearchService
+ * PATCH semántico: name? params?
+ * - params reemplaza por completo a los anteriores (no hace merge).
+ *
+ * Respuestas
+ * - { status:"ok", saved_search }
+ * - { status:"not_found" }
+ */
+export async function updateSavedSearchService(actor, { candidate_id, saved_search_id }, payload = {}) {
+    const cid = requirePositiveId("candidate_id", candidate_id);
+    const sid = requirePositiveId("saved_search_id", saved_search_id);
+    requireSelfCandidateOrAdmin(actor, cid);
+
+    const $set = {};
+    if (payload.name !== undefined) $set.name = normalizeName(payload.name);
+    if (payload.params !== undefined) $set.params = normalizeParams(payload.params);
+
+    if (Object.keys($set).length === 0) {
+        return getSavedSearchService(actor, { candidate_id: cid, saved_search_id: sid });
+    }
+
+    const updated = await SavedSearch.findOneAndUpdate(
+        { candidate_id: cid, saved_search_id: sid },
+        { $set },
+        { new: true }
+    ).lean();
+
+    if (!updated) return { status: "not_found" };
+
+    const { _id, __v, ...saved_search } = updated;
+    return { status: "ok", saved_search };
+}
+
+/* =============================================================================
+ * Delete
+ * =============================================================================
+ */
+
+/**
+ * deleteSavedSearchService
+ *
+ * Respuestas
+ * - { status:"deleted" }
+ * - { status:"not_found" }
+ */
+export async function deleteSavedSearchService(actor, { candidate_id, saved_search_id }) {
+    const cid = requirePositiveId("candidate_id", candidate_id);
+    const sid = requirePositiveId("saved_search_id", saved_search_id);
+    requireSelfCandidateOrAdmin(actor, cid);
+
+    const deleted = await SavedSearch.findOneAndDelete({ candidate_id: cid, saved_search_id: sid }).lean();
+    if (!deleted) return { status: "not_found" };
+
+    return { status: "deleted" };
+}
+
+/* =============================================================================
+ * Nuevos empleos
+ * =============================================================================
+ */
+
+/**
+ * getSavedSearchNewJobsService
+ * Ejecuta la búsqueda guardada y regresa SOLO empleos con
+ * listed_time > last_checked_at.
+ *
+ * Query
+ * - page? limit?
+ * - mark_checked? ("true" | "false", default "false")
+ *   Si "true", mueve last_checked_at al momento de la consulta.
+ *
+ * Respuestas
+ * - { status:"ok", since, checked_at, meta, data }
+ *   - since: corte usado en esta consulta
+ *   - checked_at: nuevo corte (o el mismo si mark_checked=false)
+ * - { status:"not_found" }
+ */
+export async function getSavedSearchNewJobsService(
+    actor,
+    { candidate_id, saved_search_id },
+    queryParams = {}
+) {
+    const cid = requirePositiveId("candidate_id", candidate_id);
+    const sid = requirePositiveId("saved_search_id", saved_search_id);
+    requireSelfCandidateOrAdmin(actor, cid);
+
+    const found = await findOwnedSearch(cid, sid);
+    if (!found) return { status: "not_found" };
+
+    const since = found.last_checked_at ?? found.created_at ?? null;
+    const checkedAt = new Date();
+
+    const result = await getJobsListedAfterService(
+        {
+            ...(found.params || {}),
+            page: queryParams.page,
+            limit: queryParams.limit
+        },
+        since
+    );
+
+    const markChecked = String(queryParams.mark_checked ?? "false").toLowerCase() === "true";
+
+    if (markChecked) {
+        await SavedSearch.updateOne(
+            { candidate_id: cid, saved_search_id: sid },
+            { $set: { last_checked_at: checkedAt } }
+        );
+    }
+
+    return {
+        status: "ok",
+        since,
+        checked_at: markChecked ? checkedAt : since,
+        meta: result.meta,
+        data: result.data
+    };
+}
@@ -0,0 +1,388 @@
+// services/softDeleteService.js
+
+/**
+ * ============================================================================
+ * softDeleteService.js — Borrado lógico, cascadas y purga
+ * ============================================================================
+ *
+ * Entidades raíz con borrado lógico (deleted_at / deleted_by):
+ * - Job, Company, Candidate
+ * - User suelto (deleted_at): miembro quitado de una empresa o cuenta admin
+ *   dada de baja (DELETE /api/auth/account); sin cascada y
+ *   sin restore propio (el de su Company solo reactiva el mismo deleted_at)
+ *
+ * Reglas de cascada (las aplican jobService / companyService / candidateService
+ * después de marcar la raíz). Todo lo que se oculta toma el MISMO deleted_at
+ * que la raíz, para que el restore reactive solo lo que ese borrado ocultó:
+ *
+ * - Job
+ *   - Applications del job: ocultas (deleted_at)
+ *   - Favorites del job: se eliminan (no se restauran)
+ * - Company
+ *   - Jobs de la empresa: ocultos (+ cascada de Job)
+ *   - Applications de la empresa: ocultas
+ *   - FeaturedCompany: se elimina (no se restaura)
+ *   - Invitaciones PENDING: REVOKED
+ *   - Users de la empresa: deshabilitados (deleted_at) + sesiones revocadas
+ * - Candidate
+ *   - Applications del candidato: ocultas
+ *   - User del candidato: deshabilitado + sesiones revocadas
+ *   - Favorites / SavedSearches / CV: se conservan hasta la purga
+ *
+ * Purga (purgeSoftDeletedService, ver scripts/purgeDeleted.js):
+ * - Elimina físicamente lo borrado hace más de SOFT_DELETE_RETENTION_DAYS
+ *   (default 30) junto con sus dependientes (incluidas las JobRevision y las
+ *   Interviews, los ApplicationEvents y las Notifications de los usuarios) y archivos (logos / CV).
+ * ============================================================================
+ */
+
+import fs from "fs";
+import path from "path";
+
+import Job from "../models/Job.js";
+import JobRevision from "../models/JobRevision.js";
+import Company from "../models/Company.js";
+import Candidate from "../models/Candidate.js";
+import Application from "../models/Application.js";
+import Interview from "../models/Interview.js";
+import ApplicationEvent from "../models/ApplicationEvent.js";
+import Favorite from "../models/Favorite.js";
+import FeaturedCompany from "../models/FeaturedCompany.js";
+import CompanyInvitation from "../models/CompanyInvitation.js";
+import SavedSearch from "../models/SavedSearch.js";
+import User from "../models/User.js";
+import Session from "../models/Session.js";
+import AuthToken from "../models/AuthToken.js";
+import Notification from "../models/Notification.js";
+
+import { revokeAllUserSessions } from "./authService.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_RETENTION_DAYS = 30;
+
+/**
+ * Días que se conserva lo borrado antes de purgarlo (SOFT_DELETE_RETENTION_DAYS).
+ * @returns {number}
+ */
+export function getRetentionDays() {
+    const n = Number(process.env.SOFT_DELETE_RETENTION_DAYS);
+    return Number.isFinite(n) && n >= 1 ? Math.floor(n) : DEFAULT_RETENTION_DAYS;
+}
+
+/* =============================================================================
+ * Cascadas de borrado
+ * =============================================================================
+ */
+
+/**
+ * Oculta las Applications y elimina los Favorites de los jobs dados.
+ *
+ * @param {number[]} job_ids
+ * @param {Date} at  deleted_at de la raíz
+ * @returns {Promise<{ applications: number, favorites: number }>}
+ */
+export async function cascadeJobSoftDelete(job_ids, at) {
+    if (job_ids.length === 0) return { applications: 0, favorites: 0 };
+
+    const [apps, favs] = await Promise.all([
+        Application.updateMany({ job_id: { $in: job_ids }, deleted_at: null }, { $set: { deleted_at: at } }),
+        Favorite.deleteMany({ job_id: { $in: job_ids } })
+    ]);
+
+    return { applications: apps.modifiedCount ?? 0, favorites: favs.deletedCount ?? 0 };
+}
+
+/**
+ * Cascada de una Company ya marcada como eliminada.
+ *
+ * @param {number} company_id
+ * @param {Date} at
+ * @param {number|null} by  user_id del actor
+ * @returns {Promise<{ jobs: number, applications: number, favorites: number, users: number, sessions: number }>}
+ */
+export async function cascadeCompanySoftDelete(company_id, at, by) {
+    const jobIds = await Job.distinct("job_id", { company_id, deleted_at: null });
+
+    await Job.updateMany(
+        { company_id, deleted_at: null },
+        { $set: { deleted_at: at, deleted_by: by } }
+    );
+
+    const jobCascade = await cascadeJobSoftDelete(jobIds, at);
+
+    // Postulaciones de jobs borrados antes (ya ocultas) no se re-marcan
+    const apps = await Application.updateMany(
+        { company_id, deleted_at: null },
+        { $set: { deleted_at: at } }
+    );
+
+    await Promise.all([
+        FeaturedCompany.deleteOne({ company_id }),
+        CompanyInvitation.updateMany({ company_id, status: "PENDING" }, { $set: { status: "REVOKED" } })
+    ]);
+
+    const userIds = await User.distinct("user_id", { company_id, deleted_at: null });
+    await User.updateMany({ user_id: { $in: userIds } }, { $set: { deleted_at: at } });
+    const sessions = await revokeAllUserSessions(userIds, "company_deleted");
+
+    return {
+        jobs: jobIds.length,
+        applications: jobCascade.applications + (apps.modifiedCount ?? 0),
+        favorites: jobCascade.favorites,
+        users: userIds.length,
+        sessions
+    };
+}
+
+/**
+ * Cascada de un Candidate ya marcado como eliminado.
+ *
+ * @param {number} candidate_id
+ * @param {Date} at
+ * @returns {Promise<{ applications: number, users: number, sessions: number }>}
+ */
+export async function cascadeCandidateSoftDelete(candidate_id, at) {
+    const apps = await Application.updateMany(
+        { candidate_id, deleted_at: null },
+        { $set: { deleted_at: at } }
+    );
+
+    const userIds = await User.distinct("user_id", { candidate_id, deleted_at: null });
+    await User.updateMany({ user_id: { $in: userIds } }, { $set: { deleted_at: at } });
+    const sessions = await revokeAllUserSessions(userIds, "candidate_deleted");
+
+    return { applications: apps.modifiedCount ?? 0, users: userIds.length, sessions };
+}
+
+/* =============================================================================
+ * Cascadas de restore
+ * =============================================================================
+ */
+
+/**
+ * Reactiva las Applications ocultas con `at` que cumplan `filter`, solo si su
+ * Job y su Candidate siguen activos (pudieron borrarse después por separado).
+ *
+ * @param {Object} filter
+ * @param {Date} at
+ * @returns {Promise<number>}
+ */
+async function restoreApplications(filter, at) {
+    const match = { ...filter, deleted_at: at };
+
+    const [jobIds, candidateIds] = await Promise.all([
+        Application.distinct("job_id", match),
+        Application.distinct("candidate_id", match)
+    ]);
+    if (jobIds.length === 0) return 0;
+
+    const [activeJobs, activeCandidates] = await Promise.all([
+        Job.distinct("job_id", { job_id: { $in: jobIds }, deleted_at: null }),
+        Candidate.distinct("candidate_id", { candidate_id: { $in: candidateIds }, deleted_at: null })
+    ]);
+
+    const out = await Application.updateMany(
+        { ...match, job_id: { $in: activeJobs }, candidate_id: { $in: activeCandidates } },
+        { $set: { deleted_at: null } }
+    );
+    return out.modifiedCount ?? 0;
+}
+
+/**
+ * @param {number} job_id   Job ya restaurado
+ * @param {Date} at         deleted_at que tenía el Job
+ * @returns {Promise<{ applications: number }>}
+ */
+export async function cascadeJobRestore(job_id, at) {
+    return { applications: await restoreApplications({ job_id }, at) };
+}
+
+/**
+ * @param {number} company_id  Company ya restaurada
+ * @param {Date} at            deleted_at que tenía la Company
+ * @returns {Promise<{ jobs: number, applications: number, users: number }>}
+ */
+export async function cascadeCompanyRestore(company_id, at) {
+    const jobs = await Job.updateMany(
+        { company_id, deleted_at: at },
+        { $set: { deleted_at: null, deleted_by: null } }
+    );
+
+    const users = await User.updateMany({ company_id, deleted_at: at }, { $set: { deleted_at: null } });
+
+    return {
+        jobs: jobs.modifiedCount ?? 0,
+        applications: await restoreApplications({ company_id }, at),
+        users: users.modifiedCount ?? 0
+    };
+}
+
+/**
+ * @param {number} candidate_id  Candidate ya restaurado
+ * @param {Date} at              deleted_at que tenía el Candidate
+ * @returns {Promise<{ applications: number, users: number }>}
+ */
+export async function cascadeCandidateRestore(candidate_id, at) {
+    const users = await User.updateMany({ candidate_id, deleted_at: at }, { $set: { deleted_at: null } });
+
+    return {
+        applications: await restoreApplications({ candidate_id }, at),
+        users: users.modifiedCount ?? 0
+    };
+}
+
+/* =============================================================================
+ * Purga
+ * =============================================================================
+ */
+
+function removeFileIfExists(filePath) {
+    if (!fs.existsSync(filePath)) return 0;
+    fs.unlinkSync(filePath);
+    return 1;
+}
+
+async function purgeUsers(filter) {
+    const userIds = await User.distinct("user_id", filter);
+    if (userIds.length === 0) return 0;
+
+    await Promise.all([
+        Session.deleteMany({ user_id: { $in: userIds } }),
+        AuthToken.deleteMany({ user_id: { $in: userIds } }),
+        Notification.deleteMany({ user_id: { $in: userIds } })
+    ]);
+    const out = await User.deleteMany({ user_id: { $in: userIds } });
+    return out.deletedCount ?? 0;
+}
+
+async function purgeApplications(filter) {
+    const applicationIds = await Application.distinct("application_id", filter);
+    if (applicationIds.length === 0) return { applications: 0, files: 0 };
+
+    // Mismo path que applicationService (data/application_cv/<application_id>.pdf)
+    let files = 0;
+    for (const application_id of applicationIds) {
+        files += removeFileIfExists(path.resolve("data", "application_cv", `${application_id}.pdf`));
+    }
+
+    await Promise.all([
+        Interview.deleteMany({ application_id: { $in: applicationIds } }),
+        ApplicationEvent.deleteMany({ application_id: { $in: applicationIds } })
+    ]);
+    const out = await Application.deleteMany({ application_id: { $in: applicationIds } });
+    return { applications: out.deletedCount ?? 0, files };
+}
+
+async function purgeJobs(filter) {
+    const jobIds = await Job.distinct("job_id", filter);
+    if (jobIds.length === 0) return { jobs: 0, applications: 0, favorites: 0, files: 0 };
+
+    const [apps, favs] = await Promise.all([
+        purgeApplications({ job_id: { $in: jobIds } }),
+        Favorite.deleteMany({ job_id: { $in: jobIds } }),
+        JobRevision.deleteMany({ job_id: { $in: jobIds } })
+    ]);
+    const jobs = await Job.deleteMany({ job_id: { $in: jobIds } });
+
+    return {
+        jobs: jobs.deletedCount ?? 0,
+        applications: apps.applications,
+        favorites: favs.deletedCount ?? 0,
+        files: apps.files
+    };
+}
+
+/**
+ * purgeSoftDeletedService
+ * Elimina físicamente Companies, Jobs y Candidates borrados antes del corte,
+ * con sus dependientes y archivos.
+ *
+ * @param {Object} [options]
+ * @param {Date}   [options.now=new Date()]
+ * @param {number} [options.retentionDays=getRetentionDays()]
+ *
+ * @returns {Promise<{
+ *   cutoff: Date,
+ *   companies: number, jobs: number, candidates: number,
+ *   applications: number, favorites: number, saved_searches: number,
+ *   users: number, files: number
+ * }>}
+ */
+export async function purgeSoftDeletedService({ now = new Date(), retentionDays = getRetentionDays() } = {}) {
+    const cutoff = new Date(now.getTime() - retentionDays * DAY_MS);
+    const expired = { deleted_at: { $ne: null, $lte: cutoff } };
+
+    const totals = {
+        cutoff,
+        companies: 0,
+        jobs: 0,
+        candidates: 0,
+        applications: 0,
+        favorites: 0,
+        saved_searches: 0,
+        users: 0,
+        files: 0
+    };
+
+    const addJobs = (out) => {
+        totals.jobs += out.jobs;
+        totals.applications += out.applications;
+        totals.favorites += out.favorites;
+        totals.files += out.files;
+    };
+
+    // 1) Companies (todos sus jobs, usuarios, invitaciones y logos)
+    const LOGO_DIR = path.join(process.cwd(), "data", "company_logos");
+    const companyIds = await Company.distinct("company_id", expired);
+
+    for (const company_id of companyIds) {
+        addJobs(await purgeJobs({ company_id }));
+
+        const apps = await purgeApplications({ company_id });
+        totals.applications += apps.applications;
+        totals.files += apps.files;
+
+        await Promise.all([
+            FeaturedCompany.deleteOne({ company_id }),
+            CompanyInvitation.deleteMany({ company_id })
+        ]);
+        totals.users += await purgeUsers({ company_id });
+
+        totals.files += removeFileIfExists(path.join(LOGO_DIR, "original", `${company_id}.png`));
+        totals.files += removeFileIfExists(path.join(LOGO_DIR, "processed", `${company_id}.png`));
+
+        await Company.deleteOne({ company_id });
+        totals.companies += 1;
+    }
+
+    // 2) Jobs sueltos
+    addJobs(await purgeJobs(expired));
+
+    // 3) Candidates (postulaciones con sus CV, favoritos, búsquedas, cuenta y CV)
+    const candidateIds = await Candidate.distinct("candidate_id", expired);
+
+    for (const candidate_id of candidateIds) {
+        const [apps, favs, searches] = await Promise.all([
+            purgeApplications({ candidate_id }),
+            Favorite.deleteMany({ candidate_id }),
+            SavedSearch.deleteMany({ candidate_id })
+        ]);
+        totals.applications += apps.applications;
+        totals.files += apps.files;
+        totals.favorites += favs.deletedCount ?? 0;
+        totals.saved_searches += searches.deletedCount ?? 0;
+
+        totals.users += await purgeUsers({ candidate_id });
+
+        // Mismo path que candidateService (data/cv/<candidate_id>.pdf)
+        totals.files += removeFileIfExists(path.resolve("data", "cv", `${candidate_id}.pdf`));
+
+        await Candidate.deleteOne({ candidate_id });
+        totals.candidates += 1;
+    }
+
+    // 4) Users sueltos (miembros quitados, cuentas admin dadas de baja)
+    totals.users += await purgeUsers(expired);
+
+    return totals;
+}
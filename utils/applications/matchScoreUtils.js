@@ -0,0 +1,177 @@
+// utils/applications/matchScoreUtils.js
+
+/**
+ * Match score empleo ↔ candidato (0–100) con desglose por componente.
+ * Este módulo no depende de Express ni de Mongoose.
+ *
+ * Componentes (peso máximo):
+ * - skills (50):        skills del candidato presentes en título/descripción del job
+ *                       (ponderadas por proficiency; en el título valen más)
+ * - headline (15):      términos del título del job presentes en headline
+ *                       + títulos de experiencia del candidato
+ * - location (20):      ciudad > estado > país (REMOTE = puntaje completo)
+ * - work_location (15): work_location_type del job vs preferencias del candidato
+ *                       (sin dato en alguno de los dos = mitad de puntos)
+ */
+
+import { tokenize } from "../text.js";
+
+export const MATCH_WEIGHTS = Object.freeze({
+    skills: 50,
+    headline: 15,
+    location: 20,
+    work_location: 15
+});
+
+const PROFICIENCY_WEIGHT = Object.freeze({
+    BEGINNER: 0.5,
+    INTERMEDIATE: 0.75,
+    ADVANCED: 0.9,
+    EXPERT: 1
+});
+
+// Suma de pesos de skills con la que el componente se satura
+const SKILL_SATURATION = 4;
+const TITLE_SKILL_BONUS = 1.5;
+const MAX_EXPERIENCE_TITLES = 3;
+
+const STOPWORDS = new Set([
+    // es
+    "de", "la", "el", "en", "y", "a", "los", "las", "del", "con", "para", "por", "un", "una",
+    "al", "se", "su", "sus", "o", "que", "como", "es",
+    // en
+    "the", "and", "of", "to", "in", "for", "with", "on", "at", "an", "or", "is", "are", "be",
+    "as", "by", "we", "you", "our", "your", "will"
+]);
+
+function meaningfulTokens(str) {
+    return tokenize(str).filter((t) => t.length > 1 && !STOPWORDS.has(t));
+}
+
+function normalizePlace(value) {
+    const tokens = tokenize(value);
+    return tokens.length ? tokens.join(" ") : null;
+}
+
+/**
+ * Pre-calcula lo que el score necesita de un Job (reutilizable entre candidatos).
+ *
+ * @param {{ title?: string, description?: string, country?: string, state?: string,
+ *           city?: string, work_location_type?: string }} job
+ */
+export function buildJobMatchProfile(job = {}) {
+    const titleTerms = new Set(meaningfulTokens(job.title));
+    const allTerms = new Set([...titleTerms, ...meaningfulTokens(job.description)]);
+
+    return {
+        job_id: job.job_id ?? null,
+        titleTerms,
+        allTerms,
+        country: normalizePlace(job.country),
+        state: normalizePlace(job.state),
+        city: normalizePlace(job.city),
+        work_location_type: job.work_location_type ? String(job.work_location_type).toUpperCase() : null
+    };
+}
+
+function round1(n) {
+    return Math.round(n * 10) / 10;
+}
+
+function scoreSkills(profile, candidate) {
+    const max = MATCH_WEIGHTS.skills;
+    const skills = Array.isArray(candidate.skills) ? candidate.skills : [];
+
+    const matched = [];
+    let weight = 0;
+
+    for (const skill of skills) {
+        const tokens = meaningfulTokens(skill?.name);
+        if (tokens.length === 0) continue;
+        if (!tokens.every((t) => profile.allTerms.has(t))) continue;
+
+        const inTitle = tokens.every((t) => profile.titleTerms.has(t));
+        const w = (PROFICIENCY_WEIGHT[skill.proficiency] ?? PROFICIENCY_WEIGHT.INTERMEDIATE) *
+            (inTitle ? TITLE_SKILL_BONUS : 1);
+
+        weight += w;
+        matched.push({ name: skill.name, proficiency: skill.proficiency ?? null, in_title: inTitle });
+    }
+
+    const score = Math.min(1, weight / SKILL_SATURATION) * max;
+    return { score: round1(score), max, matched, candidate_skills: skills.length };
+}
+
+function scoreHeadline(profile, candidate) {
+    const max = MATCH_WEIGHTS.headline;
+
+    const experienceTitles = (Array.isArray(candidate.experience) ? candidate.experience : [])
+        .slice(0, MAX_EXPERIENCE_TITLES)
+        .map((e) => e?.title)
+        .filter(Boolean);
+
+    const candidateTerms = new Set(meaningfulTokens([candidate.headline, ...experienceTitles].join(" ")));
+
+    const matchedTerms = [...profile.titleTerms].filter((t) => candidateTerms.has(t));
+    const score = profile.titleTerms.size ? (matchedTerms.length / profile.titleTerms.size) * max : 0;
+
+    return { score: round1(score), max, matched_terms: matchedTerms };
+}
+
+function scoreLocation(profile, candidate) {
+    const max = MATCH_WEIGHTS.location;
+
+    if (profile.work_location_type === "REMOTE") {
+        return { score: max, max, level: "remote" };
+    }
+
+    const country = normalizePlace(candidate.country);
+    const state = normalizePlace(candidate.state);
+    const city = normalizePlace(candidate.city);
+
+    if (!profile.country || !country) return { score: 0, max, level: "unknown" };
+    if (profile.country !== country) return { score: 0, max, level: "none" };
+
+    if (profile.state && state && profile.state === state) {
+        if (profile.city && city && profile.city === city) return { score: max, max, level: "city" };
+        return { score: round1(max * 0.7), max, level: "state" };
+    }
+
+    return { score: round1(max * 0.4), max, level: "country" };
+}
+
+function scoreWorkLocation(profile, candidate) {
+    const max = MATCH_WEIGHTS.work_location;
+    const preferences = Array.isArray(candidate.work_location_preferences)
+        ? candidate.work_location_preferences
+        : [];
+
+    const base = { max, job: profile.work_location_type, preferences };
+
+    if (!profile.work_location_type || preferences.length === 0) {
+        return { ...base, score: round1(max / 2), compatible: null };
+    }
+
+    const compatible = preferences.includes(profile.work_location_type);
+    return { ...base, score: compatible ? max : 0, compatible };
+}
+
+/**
+ * Calcula el match score de un candidato contra un job.
+ *
+ * @param {ReturnType<typeof buildJobMatchProfile>} profile
+ * @param {Object} candidate  (skills, headline, experience, country/state/city,
+ *                             work_location_preferences)
+ * @returns {{ score: number, breakdown: Object }}
+ */
+export function computeMatchScore(profile, candidate = {}) {
+    const breakdown = {
+        skills: scoreSkills(profile, candidate),
+        headline: scoreHeadline(profile, candidate),
+        location: scoreLocation(profile, candidate),
+        work_location: scoreWorkLocation(profile, candidate)
+    };
+
+    const total = Object.values(breakdown).reduce((acc, c) => acc + c.score, 0);
+    return { score: Math.round(total), breakdown };
+}
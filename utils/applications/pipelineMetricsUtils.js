@@ -0,0 +1,81 @@
+// utils/applications/pipelineMetricsUtils.js
+
+/**
+ * Cálculos reutilizables para métricas del pipeline de postulaciones.
+ * Los conteos, medianas y promedios se calculan en MongoDB (ver
+ * getCompanyApplicationAnalyticsService); aquí solo se les da forma.
+ * Este módulo no depende de Express ni de Mongoose.
+ */
+
+export const DAY_MS = 1000 * 60 * 60 * 24;
+const WEEK_MS = DAY_MS * 7;
+
+/**
+ * Redondea a 2 decimales (null se conserva).
+ * @param {number|null} value
+ * @returns {number|null}
+ */
+export function round2(value) {
+    if (value === null || value === undefined || !Number.isFinite(value)) return null;
+    return Math.round(value * 100) / 100;
+}
+
+/**
+ * Proporción a/b redondeada a 4 decimales. Regresa null si b es 0.
+ * @param {number} a
+ * @param {number} b
+ * @returns {number|null}
+ */
+export function ratio(a, b) {
+    if (!b) return null;
+    return Math.round((a / b) * 10000) / 10000;
+}
+
+/**
+ * Inicio de la semana (lunes 00:00 UTC) que contiene la fecha.
+ * @param {Date|string} date
+ * @returns {Date}
+ */
+export function startOfWeekUTC(date) {
+    const d = new Date(date);
+    const day = d.getUTCDay(); // 0 = domingo
+    const diff = (day + 6) % 7; // días desde el lunes
+    return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate() - diff));
+}
+
+/**
+ * Serie semanal continua (semanas vacías con count 0).
+ *
+ * @param {Array<{ week_start: Date|string, count: number }>} weeks
+ *   Conteos por semana; week_start es el lunes 00:00 UTC (o cualquier fecha
+ *   de esa semana).
+ * @param {Object} [range]
+ * @param {Date|null} [range.from]  Si falta, usa la semana mínima.
+ * @param {Date|null} [range.to]    Si falta, usa la semana máxima.
+ * @param {number} [maxWeeks=260]   Tope de semanas (evita series enormes).
+ * @returns {Array<{ week_start: string, count: number }>}
+ */
+export function buildWeeklySeries(weeks = [], { from = null, to = null } = {}, maxWeeks = 260) {
+    const counts = new Map();
+    for (const w of weeks) {
+        const d = new Date(w?.week_start);
+        if (!Number.isFinite(d.getTime())) continue;
+        const key = startOfWeekUTC(d).getTime();
+        counts.set(key, (counts.get(key) || 0) + (w.count || 0));
+    }
+    if (counts.size === 0 && (!from || !to)) return [];
+
+    const keys = [...counts.keys()];
+    const start = startOfWeekUTC(from ?? new Date(Math.min(...keys)));
+    const end = startOfWeekUTC(to ?? new Date(Math.max(...keys)));
+
+    const series = [];
+    for (let t = start.getTime(); t <= end.getTime() && series.length < maxWeeks; t += WEEK_MS) {
+        series.push({
+            week_start: new Date(t).toISOString().slice(0, 10),
+            count: counts.get(t) || 0
+        });
+    }
+
+    return series;
+}
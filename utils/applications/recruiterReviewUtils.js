@@ -0,0 +1,178 @@
+// utils/applications/recruiterReviewUtils.js
+
+/**
+ * Evaluación interna de una postulación por la empresa: etiquetas libres
+ * (recruiter_tags), calificación 1–5 (recruiter_rating) y notas.
+ *
+ * - Las etiquetas se guardan en minúsculas, sin espacios extra ni duplicados.
+ * - Los normalizadores lanzan ServiceError 400 ("invalid_payload" en el body,
+ *   "invalid_params" en query params).
+ *
+ * Este módulo no depende de Express ni de Mongoose.
+ */
+
+import { ServiceError } from "../serviceError.js";
+import { parseNumber } from "../parsingUtils.js";
+
+/* =============================================================================
+ * Constantes
+ * ============================================================================= */
+
+export const RECRUITER_RATING_MIN = 1;
+export const RECRUITER_RATING_MAX = 5;
+
+export const RECRUITER_REVIEW_LIMITS = Object.freeze({
+    tags: 20,
+    tag: 40,
+    note: 5000
+});
+
+const TAG_RE = /^[\p{L}\p{N}][\p{L}\p{N} _.+#-]*$/u;
+
+/* =============================================================================
+ * Helpers
+ * ============================================================================= */
+
+function normalizeTag(raw) {
+    return String(raw ?? "").trim().replace(/\s+/g, " ").toLowerCase();
+}
+
+/* =============================================================================
+ * Body
+ * ============================================================================= */
+
+/**
+ * Valida y normaliza la lista de etiquetas (reemplaza la anterior).
+ *
+ * @param {any} raw  arreglo de strings (null = sin etiquetas)
+ * @returns {string[]}
+ * @throws {ServiceError} 400 invalid_payload
+ */
+export function normalizeRecruiterTags(raw) {
+    if (raw === null) return [];
+    if (!Array.isArray(raw)) throw new ServiceError("invalid_payload", "tags debe ser un arreglo.", 400);
+
+    const tags = [...new Set(raw.map(normalizeTag).filter(Boolean))];
+
+    if (tags.length > RECRUITER_REVIEW_LIMITS.tags) {
+        throw new ServiceError(
+            "invalid_payload",
+            `tags admite máximo ${RECRUITER_REVIEW_LIMITS.tags} etiquetas.`,
+            400
+        );
+    }
+    for (const tag of tags) {
+        if (tag.length > RECRUITER_REVIEW_LIMITS.tag || !TAG_RE.test(tag)) {
+            throw new ServiceError(
+                "invalid_payload",
+                `tags: "${tag}" no es válida (máx. ${RECRUITER_REVIEW_LIMITS.tag} caracteres; letras, números, espacio y _ . + # -).`,
+                400
+            );
+        }
+    }
+
+    return tags;
+}
+
+/**
+ * Valida la calificación (entero 1–5; null la borra).
+ *
+ * @param {any} raw
+ * @returns {number|null}
+ * @throws {ServiceError} 400 invalid_payload
+ */
+export function normalizeRecruiterRating(raw) {
+    if (raw === null || raw === "") return null;
+
+    const n = parseNumber(raw);
+    if (!Number.isInteger(n) || n < RECRUITER_RATING_MIN || n > RECRUITER_RATING_MAX) {
+        throw new ServiceError(
+            "invalid_payload",
+            `rating debe ser un entero entre ${RECRUITER_RATING_MIN} y ${RECRUITER_RATING_MAX} (o null).`,
+            400
+        );
+    }
+    return n;
+}
+
+/**
+ * Valida el texto de una nota.
+ *
+ * @param {any} raw
+ * @returns {string}
+ * @throws {ServiceError} 400 invalid_payload
+ */
+export function normalizeRecruiterNote(raw) {
+    const s = typeof raw === "string" ? raw.trim() : "";
+    if (!s) throw new ServiceError("invalid_payload", "body es obligatorio.", 400);
+    if (s.length > RECRUITER_REVIEW_LIMITS.note) {
+        throw new ServiceError(
+            "invalid_payload",
+            `body admite máximo ${RECRUITER_REVIEW_LIMITS.note} caracteres.`,
+            400
+        );
+    }
+    return s;
+}
+
+/* =============================================================================
+ * Query (listado de empresa)
+ * ============================================================================= */
+
+/**
+ * Filtro Mongo por etiquetas y calificación a partir de query params.
+ *
+ * - tags=a,b        → la postulación tiene TODAS las etiquetas
+ * - tags_any=a,b    → tiene AL MENOS una
+ * - min_rating / max_rating (1–5)
+ * - rated=true|false → con / sin calificación
+ *
+ * @param {Object} queryParams
+ * @returns {Object}  condiciones para combinar con el filtro base
+ * @throws {ServiceError} 400 invalid_params
+ */
+export function buildRecruiterReviewFilter(queryParams = {}) {
+    const filter = {};
+
+    const list = (raw) =>
+        String(raw ?? "")
+            .split(",")
+            .map(normalizeTag)
+            .filter(Boolean);
+
+    const all = list(queryParams.tags);
+    const any = list(queryParams.tags_any);
+    if (all.length > 0 || any.length > 0) {
+        filter.recruiter_tags = {};
+        if (all.length > 0) filter.recruiter_tags.$all = all;
+        if (any.length > 0) filter.recruiter_tags.$in = any;
+    }
+
+    const rating = {};
+    for (const [param, op] of [["min_rating", "$gte"], ["max_rating", "$lte"]]) {
+        const raw = queryParams[param];
+        if (raw === undefined || raw === "") continue;
+
+        const n = parseNumber(raw);
+        if (n === null || n < RECRUITER_RATING_MIN || n > RECRUITER_RATING_MAX) {
+            throw new ServiceError(
+                "invalid_params",
+                `${param} debe estar entre ${RECRUITER_RATING_MIN} y ${RECRUITER_RATING_MAX}.`,
+                400
+            );
+        }
+        rating[op] = n;
+    }
+
+    const rated = String(queryParams.rated ?? "").trim().toLowerCase();
+    if (rated === "false") {
+        if (Object.keys(rating).length > 0) {
+            throw new ServiceError("invalid_params", "rated=false no se combina con min_rating/max_rating.", 400);
+        }
+        filter.recruiter_rating = null;
+    } else if (rated === "true" || Object.keys(rating).length > 0) {
+        filter.recruiter_rating = { $ne: null, ...rating };
+    }
+
+    return filter;
+}
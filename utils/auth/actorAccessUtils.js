@@ -12,9 +12,16 @@
  * Contrato mínimo esperado:
  *   actor = {
  *     type: "admin" | "company" | "candidate",
- *     company_id?: number
+ *     company_id?: number,
+ *     company_role?: "owner" | "recruiter" | "viewer"
  *   }
  *
+ * Roles dentro de una empresa (actor.type === "company"):
+ * - owner     : todo (perfil de empresa, miembros, empleos, postulaciones)
+ * - recruiter : empleos y postulaciones (lectura/escritura)
+ * - viewer    : solo lectura
+ * Cuentas anteriores a los roles (sin company_role) se tratan como owner.
+ *
  * Convención de errores:
  * - Error con `httpStatus` se traduce a HTTP en el controller.
  *   401: no autenticado
@@ -58,17 +65,65 @@ export function requireActorType(actor, allowed) {
     }
 }
 
+/* =============================================================================
+ * Roles de empresa
+ * ============================================================================= */
+
+export const COMPANY_ROLES = Object.freeze(["owner", "recruiter", "viewer"]);
+
+/**
+ * Permiso → roles que lo tienen.
+ */
+export const COMPANY_PERMISSIONS = Object.freeze({
+    "company:update": ["owner"],
+    "company:delete": ["owner"],
+    "members:manage": ["owner"],
+    "jobs:write": ["owner", "recruiter"],
+    "applications:read": ["owner", "recruiter", "viewer"],
+    "applications:write": ["owner", "recruiter"]
+});
+
+/**
+ * Rol del actor dentro de su empresa (null si no es company).
+ * @param {any} actor
+ * @returns {"owner"|"recruiter"|"viewer"|null}
+ */
+export function getCompanyRole(actor) {
+    if (actor?.type !== "company") return null;
+    return COMPANY_ROLES.includes(actor.company_role) ? actor.company_role : "owner";
+}
+
+/**
+ * ¿El actor tiene el permiso? admin siempre; company según su rol.
+ * Sin permiso (null) basta con ser miembro.
+ *
+ * @param {any} actor
+ * @param {string|null} permission  llave de COMPANY_PERMISSIONS
+ * @returns {boolean}
+ */
+export function companyRoleCan(actor, permission = null) {
+    if (actor?.type === "admin") return true;
+
+    const role = getCompanyRole(actor);
+    if (!role) return false;
+    if (!permission) return true;
+
+    return (COMPANY_PERMISSIONS[permission] || []).includes(role);
+}
+
 /**
  * Restringe acceso a un recurso "Company" por company_id.
  *
  * Regla:
  * - admin: acceso total
  * - company: solo si actor.company_id === company_id
+ *   y (si se indica) su rol tiene el permiso
  *
  * @param {any} actor
  * @param {number} companyId
+ * @param {string|null} [permission]  llave de COMPANY_PERMISSIONS
  */
-export function requireCompanyScope(actor, companyId) {
+export function requireCompanyScope(actor, companyId, permission = null) {
     requireActor(actor);
 
     if (actor.type === "admin") return;
@@ -77,7 +132,10 @@ export function requireCompanyScope(actor, companyId) {
         const actorCompanyId = Number(actor.company_id);
         const targetCompanyId = Number(companyId);
 
-        if (Number.isInteger(actorCompanyId) && actorCompanyId === targetCompanyId) return;
+        if (Number.isInteger(actorCompanyId) && actorCompanyId === targetCompanyId) {
+            if (companyRoleCan(actor, permission)) return;
+            throw httpError(403, "Company role not allowed");
+        }
     }
 
     //console.log(actor, companyId)
@@ -0,0 +1,309 @@
+// utils/candidates/candidateProfileUtils.js
+
+/**
+ * Validación y normalización del perfil estructurado del candidato
+ * (experience, education, skills, languages, desired_salary,
+ * work_location_preferences).
+ *
+ * - Cada normalizador recibe el valor crudo del payload y regresa el valor a
+ *   persistir, o lanza ServiceError 400 ("invalid_payload") indicando el campo.
+ * - Las listas reemplazan por completo a las anteriores (no hay merge por item).
+ *
+ * Este módulo no depende de Express ni de Mongoose (los enums del modelo
+ * Candidate deben coincidir con las constantes de aquí).
+ */
+
+import { ServiceError } from "../serviceError.js";
+import { parseNumber, parseDate } from "../parsingUtils.js";
+
+/* =============================================================================
+ * Constantes
+ * ============================================================================= */
+
+export const CANDIDATE_PROFILE_FIELDS = Object.freeze([
+    "experience",
+    "education",
+    "skills",
+    "languages",
+    "desired_salary",
+    "work_location_preferences"
+]);
+
+export const SKILL_PROFICIENCY_LEVELS = Object.freeze(["BEGINNER", "INTERMEDIATE", "ADVANCED", "EXPERT"]);
+export const LANGUAGE_PROFICIENCY_LEVELS = Object.freeze(["BASIC", "CONVERSATIONAL", "FLUENT", "NATIVE"]);
+export const WORK_LOCATION_TYPES = Object.freeze(["ONSITE", "HYBRID", "REMOTE"]);
+export const PAY_PERIODS = Object.freeze(["HOURLY", "WEEKLY", "BIWEEKLY", "MONTHLY", "YEARLY"]);
+
+const LIMITS = Object.freeze({
+    experience: 30,
+    education: 20,
+    skills: 50,
+    languages: 20,
+    shortText: 150,
+    longText: 2000
+});
+
+/* =============================================================================
+ * Helpers
+ * ============================================================================= */
+
+function invalid(field, message) {
+    return new ServiceError("invalid_payload", `${field}: ${message}`, 400);
+}
+
+function requireArray(field, raw, max) {
+    if (raw === null) return [];
+    if (!Array.isArray(raw)) throw invalid(field, "debe ser un arreglo.");
+    if (raw.length > max) throw invalid(field, `admite máximo ${max} elementos.`);
+    return raw;
+}
+
+function requireObject(field, raw) {
+    if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+        throw invalid(field, "debe ser un objeto.");
+    }
+    return raw;
+}
+
+function text(field, raw, { required = false, max = LIMITS.shortText } = {}) {
+    if (raw === undefined || raw === null || String(raw).trim() === "") {
+        if (required) throw invalid(field, "es obligatorio.");
+        return null;
+    }
+    const s = String(raw).trim();
+    if (s.length > max) throw invalid(field, `admite máximo ${max} caracteres.`);
+    return s;
+}
+
+function date(field, raw, { required = false } = {}) {
+    if (raw === undefined || raw === null || raw === "") {
+        if (required) throw invalid(field, "es obligatorio.");
+        return null;
+    }
+    const d = parseDate(raw);
+    if (!d) throw invalid(field, "no es una fecha válida.");
+    return d;
+}
+
+function nonNegative(field, raw) {
+    if (raw === undefined || raw === null || raw === "") return null;
+    const n = parseNumber(raw);
+    if (n === null || n < 0) throw invalid(field, "debe ser un número >= 0.");
+    return n;
+}
+
+function oneOf(field, raw, allowed, { required = false, fallback = null } = {}) {
+    if (raw === undefined || raw === null || raw === "") {
+        if (required) throw invalid(field, `es obligatorio (${allowed.join(", ")}).`);
+        return fallback;
+    }
+    const v = String(raw).trim().toUpperCase();
+    if (!allowed.includes(v)) throw invalid(field, `debe ser uno de: ${allowed.join(", ")}.`);
+    return v;
+}
+
+function assertRange(field, start, end) {
+    if (start && end && end < start) throw invalid(field, "end_date no puede ser anterior a start_date.");
+}
+
+/* =============================================================================
+ * Normalizadores por campo
+ * ============================================================================= */
+
+/**
+ * experience: [{ title, company_name, location?, start_date, end_date?, description? }]
+ * - end_date null = empleo actual.
+ * - Se ordena por start_date desc.
+ */
+export function normalizeExperience(raw) {
+    const list = requireArray("experience", raw, LIMITS.experience);
+
+    const items = list.map((item, i) => {
+        const f = `experience[${i}]`;
+        requireObject(f, item);
+
+        const start_date = date(`${f}.start_date`, item.start_date, { required: true });
+        const end_date = date(`${f}.end_date`, item.end_date);
+        assertRange(f, start_date, end_date);
+
+        return {
+            title: text(`${f}.title`, item.title, { required: true }),
+            company_name: text(`${f}.company_name`, item.company_name, { required: true }),
+            location: text(`${f}.location`, item.location),
+            start_date,
+            end_date,
+            description: text(`${f}.description`, item.description, { max: LIMITS.longText })
+        };
+    });
+
+    return items.sort((a, b) => b.start_date - a.start_date);
+}
+
+/**
+ * education: [{ institution, degree?, field_of_study?, start_date?, end_date?, description? }]
+ */
+export function normalizeEducation(raw) {
+    const list = requireArray("education", raw, LIMITS.education);
+
+    return list.map((item, i) => {
+        const f = `education[${i}]`;
+        requireObject(f, item);
+
+        const start_date = date(`${f}.start_date`, item.start_date);
+        const end_date = date(`${f}.end_date`, item.end_date);
+        assertRange(f, start_date, end_date);
+
+        return {
+            institution: text(`${f}.institution`, item.institution, { required: true }),
+            degree: text(`${f}.degree`, item.degree),
+            field_of_study: text(`${f}.field_of_study`, item.field_of_study),
+            start_date,
+            end_date,
+            description: text(`${f}.description`, item.description, { max: LIMITS.longText })
+        };
+    });
+}
+
+/**
+ * skills: [{ name, proficiency?, years? }]
+ * - proficiency default INTERMEDIATE.
+ * - Nombres duplicados (sin distinguir mayúsculas) se rechazan.
+ */
+export function normalizeSkills(raw) {
+    const list = requireArray("skills", raw, LIMITS.skills);
+    const seen = new Set();
+
+    return list.map((item, i) => {
+        const f = `skills[${i}]`;
+        const obj = typeof item === "string" ? { name: item } : requireObject(f, item);
+
+        const name = text(`${f}.name`, obj.name, { required: true, max: 60 });
+        const key = name.toLowerCase();
+        if (seen.has(key)) throw invalid(f, `skill duplicada (${name}).`);
+        seen.add(key);
+
+        const years = nonNegative(`${f}.years`, obj.years);
+        if (years !== null && years > 60) throw invalid(`${f}.years`, "debe ser <= 60.");
+
+        return {
+            name,
+            proficiency: oneOf(`${f}.proficiency`, obj.proficiency, SKILL_PROFICIENCY_LEVELS, {
+                fallback: "INTERMEDIATE"
+            }),
+            years
+        };
+    });
+}
+
+/**
+ * languages: [{ language, proficiency }]
+ */
+export function normalizeLanguages(raw) {
+    const list = requireArray("languages", raw, LIMITS.languages);
+    const seen = new Set();
+
+    return list.map((item, i) => {
+        const f = `languages[${i}]`;
+        requireObject(f, item);
+
+        const language = text(`${f}.language`, item.language, { required: true, max: 60 });
+        const key = language.toLowerCase();
+        if (seen.has(key)) throw invalid(f, `idioma duplicado (${language}).`);
+        seen.add(key);
+
+        return {
+            language,
+            proficiency: oneOf(`${f}.proficiency`, item.proficiency, LANGUAGE_PROFICIENCY_LEVELS, {
+                required: true
+            })
+        };
+    });
+}
+
+/**
+ * desired_salary: { min?, max?, currency?, pay_period? } | null
+ * - Requiere al menos min o max; currency es código de 3 letras.
+ */
+export function normalizeDesiredSalary(raw) {
+    if (raw === null) return null;
+    requireObject("desired_salary", raw);
+
+    const min = nonNegative("desired_salary.min", raw.min);
+    const max = nonNegative("desired_salary.max", raw.max);
+
+    if (min === null && max === null) throw invalid("desired_salary", "requiere min o max.");
+    if (min !== null && max !== null && max < min) throw invalid("desired_salary", "max no puede ser menor que min.");
+
+    const currency = text("desired_salary.currency", raw.currency, { max: 3 });
+    if (currency && !/^[A-Za-z]{3}$/.test(currency)) {
+        throw invalid("desired_salary.currency", "debe ser un código de 3 letras (p. ej. USD).");
+    }
+
+    return {
+        min,
+        max,
+        currency: currency ? currency.toUpperCase() : null,
+        pay_period: oneOf("desired_salary.pay_period", raw.pay_period, PAY_PERIODS)
+    };
+}
+
+/**
+ * work_location_preferences: ["REMOTE" | "ONSITE" | "HYBRID"] (sin duplicados)
+ */
+export function normalizeWorkLocationPreferences(raw) {
+    const list = requireArray("work_location_preferences", raw, WORK_LOCATION_TYPES.length * 2);
+    const values = list.map((v, i) =>
+        oneOf(`work_location_preferences[${i}]`, v, WORK_LOCATION_TYPES, { required: true })
+    );
+    return [...new Set(values)];
+}
+
+const NORMALIZERS = Object.freeze({
+    experience: normalizeExperience,
+    education: normalizeEducation,
+    skills: normalizeSkills,
+    languages: normalizeLanguages,
+    desired_salary: normalizeDesiredSalary,
+    work_location_preferences: normalizeWorkLocationPreferences
+});
+
+/* =============================================================================
+ * API
+ * ============================================================================= */
+
+/**
+ * Construye el $set de los campos de perfil presentes en el payload.
+ * @param {Object} payload
+ * @returns {Object} $set parcial (solo campos presentes)
+ */
+export function buildCandidateProfileSet(payload = {}) {
+    const $set = {};
+    for (const field of CANDIDATE_PROFILE_FIELDS) {
+        if (payload[field] !== undefined) $set[field] = NORMALIZERS[field](payload[field]);
+    }
+    return $set;
+}
+
+/**
+ * Campos de perfil listos para un DTO (defaults para perfiles antiguos).
+ * @param {Object} candidate
+ */
+export function pickCandidateProfile(candidate = {}) {
+    return {
+        experience: candidate.experience ?? [],
+        education: candidate.education ?? [],
+        skills: candidate.skills ?? [],
+        languages: candidate.languages ?? [],
+        desired_salary: candidate.desired_salary ?? null,
+        work_location_preferences: candidate.work_location_preferences ?? []
+    };
+}
+
+/**
+ * Proyección de aggregate para los campos de perfil desde un $lookup.
+ * @param {string} [prefix="$candidate"]
+ * @returns {Object}
+ */
+export function buildCandidateProfileProjection(prefix = "$candidate") {
+    return Object.fromEntries(CANDIDATE_PROFILE_FIELDS.map((f) => [f, `${prefix}.${f}`]));
+}
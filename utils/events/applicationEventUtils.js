@@ -0,0 +1,108 @@
+// utils/events/applicationEventUtils.js
+
+/**
+ * Eventos de postulaciones para el stream en tiempo real (SSE) y formato de
+ * los mensajes text/event-stream.
+ *
+ * Tipos:
+ * - APPLICATION_CREATED        → nueva postulación
+ * - APPLICATION_STATUS_CHANGED → cambio de status (empresa/admin)
+ * - APPLICATION_WITHDRAWN      → el candidato retiró su postulación
+ *
+ * Alcance (scope): filtro de igualdad sobre company_id / candidate_id / job_id;
+ * se usa igual para consultar el log (Mongo) y para filtrar eventos en vivo.
+ *
+ * Este módulo no depende de Express ni de Mongoose.
+ */
+
+/* =============================================================================
+ * Constantes
+ * ============================================================================= */
+
+export const APPLICATION_EVENT_TYPES = Object.freeze([
+    "APPLICATION_CREATED",
+    "APPLICATION_STATUS_CHANGED",
+    "APPLICATION_WITHDRAWN"
+]);
+
+const SCOPE_KEYS = Object.freeze(["company_id", "candidate_id", "job_id"]);
+
+/* =============================================================================
+ * Eventos
+ * ============================================================================= */
+
+/**
+ * Forma pública de un evento (la misma para replay y en vivo).
+ *
+ * @param {Object} event  documento ApplicationEvent (lean)
+ * @returns {Object}
+ */
+export function toPublicApplicationEvent(event) {
+    return {
+        event_id: event.event_id,
+        type: event.type,
+        application_id: event.application_id,
+        job_id: event.job_id,
+        candidate_id: event.candidate_id,
+        company_id: event.company_id,
+        status: event.status,
+        from_status: event.from_status ?? null,
+        created_at: event.created_at
+    };
+}
+
+/**
+ * ¿El evento cae dentro del alcance de la conexión?
+ *
+ * @param {Object} scope  { company_id?, candidate_id?, job_id? }
+ * @param {Object} event
+ * @returns {boolean}
+ */
+export function eventMatchesScope(scope, event) {
+    return SCOPE_KEYS.every((key) => scope[key] === undefined || scope[key] === event[key]);
+}
+
+/**
+ * Id de reanudación (header Last-Event-ID o query last_event_id).
+ *
+ * @param {any} raw
+ * @returns {number|null}  null = sin replay
+ */
+export function parseLastEventId(raw) {
+    const s = String(raw ?? "").trim();
+    if (!/^\d+$/.test(s)) return null;
+    const n = Number(s);
+    return Number.isSafeInteger(n) ? n : null;
+}
+
+/* =============================================================================
+ * Formato text/event-stream
+ * ============================================================================= */
+
+/**
+ * Mensaje SSE.
+ *
+ * @param {{ id?: number|string, event?: string, data?: any, retry?: number }} message
+ * @returns {string}
+ */
+export function formatSseMessage({ id, event, data, retry } = {}) {
+    let out = "";
+    if (retry !== undefined) out += `retry: ${retry}\n`;
+    if (id !== undefined && id !== null) out += `id: ${id}\n`;
+    if (event) out += `event: ${event}\n`;
+    if (data !== undefined) {
+        const text = typeof data === "string" ? data : JSON.stringify(data);
+        for (const line of text.split(/\r?\n/)) out += `data: ${line}\n`;
+    }
+    return `${out}\n`;
+}
+
+/**
+ * Comentario SSE (lo ignora el cliente; sirve como heartbeat).
+ *
+ * @param {string} [text]
+ * @returns {string}
+ */
+export function formatSseComment(text = "") {
+    return `: ${text}\n\n`;
+}
@@ -0,0 +1,116 @@
+// utils/interviews/icsUtils.js
+
+/**
+ * Generación de archivos iCalendar (.ics, RFC 5545) para entrevistas.
+ *
+ * - Horas en UTC (sufijo Z); cada calendario las muestra en su zona.
+ * - UID estable por entrevista + SEQUENCE creciente: al reimportar, el
+ *   calendario actualiza (reprogramación) o elimina (cancelación) el evento
+ *   en lugar de duplicarlo.
+ *
+ * Este módulo no depende de Express ni de Mongoose.
+ */
+
+const MAX_LINE_OCTETS = 75;
+
+/**
+ * Fecha en formato UTC de iCalendar (YYYYMMDDTHHMMSSZ).
+ * @param {Date|string} value
+ * @returns {string}
+ */
+export function formatIcsDate(value) {
+    return new Date(value).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+}
+
+/**
+ * Escapa un valor TEXT (\ ; , y saltos de línea).
+ * @param {any} value
+ * @returns {string}
+ */
+export function escapeIcsText(value) {
+    return String(value ?? "")
+        .replace(/\\/g, "\\\\")
+        .replace(/;/g, "\\;")
+        .replace(/,/g, "\\,")
+        .replace(/\r?\n/g, "\\n");
+}
+
+/**
+ * Parte una línea en bloques de máximo 75 octetos (continuación con espacio),
+ * sin cortar caracteres multibyte.
+ */
+function foldLine(line) {
+    if (Buffer.byteLength(line, "utf8") <= MAX_LINE_OCTETS) return line;
+
+    const parts = [];
+    let current = "";
+    let size = 0;
+    let limit = MAX_LINE_OCTETS;
+
+    for (const ch of line) {
+        const bytes = Buffer.byteLength(ch, "utf8");
+        if (size + bytes > limit) {
+            parts.push(current);
+            current = "";
+            size = 0;
+            limit = MAX_LINE_OCTETS - 1; // el espacio inicial cuenta
+        }
+        current += ch;
+        size += bytes;
+    }
+    parts.push(current);
+
+    return parts.join("\r\n ");
+}
+
+/**
+ * Construye un VCALENDAR con un único VEVENT.
+ *
+ * @param {Object} event
+ * @param {string} event.uid
+ * @param {number} [event.sequence=0]
+ * @param {Date}   event.start
+ * @param {Date}   event.end
+ * @param {string} event.summary
+ * @param {string} [event.description]
+ * @param {string} [event.location]
+ * @param {string} [event.url]
+ * @param {boolean} [event.cancelled=false]  METHOD:CANCEL + STATUS:CANCELLED
+ * @param {Date}   [event.stamp=new Date()]  DTSTAMP
+ * @returns {string}  contenido .ics (líneas CRLF)
+ */
+export function buildIcsEvent({
+    uid,
+    sequence = 0,
+    start,
+    end,
+    summary,
+    description,
+    location,
+    url,
+    cancelled = false,
+    stamp = new Date()
+}) {
+    const lines = [
+        "BEGIN:VCALENDAR",
+        "VERSION:2.0",
+        "PRODID:-//Jobs API//Interviews//ES",
+        "CALSCALE:GREGORIAN",
+        `METHOD:${cancelled ? "CANCEL" : "PUBLISH"}`,
+        "BEGIN:VEVENT",
+        `UID:${uid}`,
+        `SEQUENCE:${sequence}`,
+        `DTSTAMP:${formatIcsDate(stamp)}`,
+        `DTSTART:${formatIcsDate(start)}`,
+        `DTEND:${formatIcsDate(end)}`,
+        `SUMMARY:${escapeIcsText(summary)}`
+    ];
+
+    if (description) lines.push(`DESCRIPTION:${escapeIcsText(description)}`);
+    if (location) lines.push(`LOCATION:${escapeIcsText(location)}`);
+    if (url) lines.push(`URL:${url}`);
+
+    lines.push(`STATUS:${cancelled ? "CANCELLED" : "CONFIRMED"}`, "END:VEVENT", "END:VCALENDAR");
+
+    return lines.map(foldLine).join("\r\n") + "\r\n";
+}
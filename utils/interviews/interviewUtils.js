@@ -0,0 +1,137 @@
+// utils/interviews/interviewUtils.js
+
+/**
+ * Constantes de entrevistas, horarios propuestos y detección de traslapes.
+ *
+ * Slot:
+ *   { slot_id, start_at, end_at }
+ *
+ * - slot_id se asigna en orden cronológico (s1, s2, ...).
+ * - Los normalizadores lanzan ServiceError 400 "invalid_payload" indicando el
+ *   campo.
+ *
+ * Este módulo no depende de Express ni de Mongoose.
+ */
+
+import { ServiceError } from "../serviceError.js";
+
+/* =============================================================================
+ * Constantes
+ * ============================================================================= */
+
+/**
+ * Status de una entrevista:
+ * - PROPOSED  : horarios propuestos, esperando que el candidato elija
+ * - SCHEDULED : horario confirmado
+ * - CANCELLED : cancelada (empresa o candidato)
+ */
+export const INTERVIEW_STATUSES = Object.freeze(["PROPOSED", "SCHEDULED", "CANCELLED"]);
+
+/**
+ * Status en los que la entrevista sigue vigente (se puede reprogramar/cancelar).
+ */
+export const OPEN_INTERVIEW_STATUSES = Object.freeze(["PROPOSED", "SCHEDULED"]);
+
+export const INTERVIEW_LOCATION_TYPES = Object.freeze(["ONSITE", "VIDEO", "PHONE"]);
+
+const LIMITS = Object.freeze({
+    slots: 10,
+    minMinutes: 15,
+    maxMinutes: 8 * 60
+});
+
+const MINUTE_MS = 60 * 1000;
+
+/* =============================================================================
+ * Helpers
+ * ============================================================================= */
+
+function invalid(field, message) {
+    return new ServiceError("invalid_payload", `${field}: ${message}`, 400);
+}
+
+function toDate(value) {
+    if (value === undefined || value === null || value === "") return null;
+    const d = value instanceof Date ? value : new Date(value);
+    return Number.isNaN(d.getTime()) ? null : d;
+}
+
+/**
+ * true si [aStart, aEnd) y [bStart, bEnd) se traslapan
+ * (terminar justo cuando empieza la otra no cuenta).
+ *
+ * @param {Date} aStart
+ * @param {Date} aEnd
+ * @param {Date} bStart
+ * @param {Date} bEnd
+ * @returns {boolean}
+ */
+export function intervalsOverlap(aStart, aEnd, bStart, bEnd) {
+    return new Date(aStart) < new Date(bEnd) && new Date(bStart) < new Date(aEnd);
+}
+
+/* =============================================================================
+ * Slots
+ * ============================================================================= */
+
+/**
+ * Valida y normaliza los horarios propuestos.
+ *
+ * Reglas
+ * - 1..10 slots, cada uno { start_at, end_at } en ISO 8601.
+ * - Duración entre 15 minutos y 8 horas.
+ * - start_at en el futuro (respecto a `now`).
+ * - Sin traslapes entre ellos.
+ *
+ * @param {any} raw
+ * @param {Date} [now]
+ * @returns {Array<{ slot_id: string, start_at: Date, end_at: Date }>}
+ * @throws {ServiceError} 400 invalid_payload
+ */
+export function normalizeInterviewSlots(raw, now = new Date()) {
+    if (!Array.isArray(raw) || raw.length === 0) throw invalid("slots", "requiere al menos un horario.");
+    if (raw.length > LIMITS.slots) throw invalid("slots", `admite máximo ${LIMITS.slots} horarios.`);
+
+    const slots = raw.map((s, i) => {
+        const f = `slots[${i}]`;
+        if (!s || typeof s !== "object" || Array.isArray(s)) throw invalid(f, "debe ser un objeto.");
+
+        const start_at = toDate(s.start_at);
+        const end_at = toDate(s.end_at);
+        if (!start_at) throw invalid(`${f}.start_at`, "debe ser una fecha válida (ISO 8601).");
+        if (!end_at) throw invalid(`${f}.end_at`, "debe ser una fecha válida (ISO 8601).");
+        if (start_at <= now) throw invalid(`${f}.start_at`, "debe ser una fecha futura.");
+
+        const minutes = (end_at.getTime() - start_at.getTime()) / MINUTE_MS;
+        if (minutes < LIMITS.minMinutes || minutes > LIMITS.maxMinutes) {
+            throw invalid(f, `la duración debe estar entre ${LIMITS.minMinutes} y ${LIMITS.maxMinutes} minutos.`);
+        }
+
+        return { start_at, end_at };
+    });
+
+    slots.sort((a, b) => a.start_at - b.start_at);
+
+    for (let i = 1; i < slots.length; i++) {
+        if (intervalsOverlap(slots[i - 1].start_at, slots[i - 1].end_at, slots[i].start_at, slots[i].end_at)) {
+            throw invalid("slots", "los horarios propuestos no pueden traslaparse.");
+        }
+    }
+
+    return slots.map((s, i) => ({ slot_id: `s${i + 1}`, ...s }));
+}
+
+/**
+ * Condición MongoDB: entrevistas agendadas que se traslapan con [start, end).
+ *
+ * @param {Date} start
+ * @param {Date} end
+ * @returns {Object}
+ */
+export function buildScheduledOverlapCondition(start, end) {
+    return {
+        status: "SCHEDULED",
+        scheduled_start: { $lt: end },
+        scheduled_end: { $gt: start }
+    };
+}
@@ -10,9 +10,16 @@ export const INTERNAL_JOB_FIELDS = [
     "__v",
     "createdAt",
     "updatedAt",
+    "title_terms",
+    "screening_questions",
+    "deleted_at",
+    "deleted_by",
     "textScore",
     "titleLower",
     "descLower",
+    "countryLower",
+    "stateLower",
+    "cityLower",
     "listedTimeMs",
     "titleTermScore",
     "descTermScore",
@@ -20,5 +27,32 @@ export const INTERNAL_JOB_FIELDS = [
     "phraseInTitle",
     "phraseInDesc",
     "recencyBoost",
+    "locationScore",
+    "workLocationScore",
+    "workTypeScore",
+    "salaryScore",
     "finalScore"
 ];
+
+/**
+ * Campos que la empresa (o admin) puede enviar al crear/editar un job.
+ * El resto los asigna el sistema: ids (job_id, company_id), ciclo de vida
+ * (status, listed_time, closed_at), revision, borrado lógico (deleted_at,
+ * deleted_by) y derivados (title_terms, normalized_salary, *_base).
+ */
+export const EDITABLE_JOB_FIELDS = [
+    "title",
+    "description",
+    "min_salary",
+    "max_salary",
+    "pay_period",
+    "currency",
+    "work_type",
+    "work_location_type",
+    "city",
+    "state",
+    "country",
+    "publish_at",
+    "expires_at",
+    "screening_questions"
+];
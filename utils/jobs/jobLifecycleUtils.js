@@ -0,0 +1,167 @@
+// utils/jobs/jobLifecycleUtils.js
+
+/**
+ * Ciclo de vida de un Job (status + publish_at + expires_at).
+ * Este módulo no depende de Express ni de Mongoose.
+ *
+ * Status:
+ * - DRAFT     : borrador, nunca visible al público
+ * - PUBLISHED : visible si publish_at ya pasó (o es null) y no ha expirado
+ * - PAUSED    : oculto temporalmente por la empresa
+ * - CLOSED    : cerrado por la empresa
+ * - EXPIRED   : expires_at ya pasó (lo materializa expireOverdueJobsService)
+ *
+ * Un job PUBLISHED con expires_at vencido ya se trata como EXPIRED aunque el
+ * barrido todavía no lo haya persistido (ver effectiveJobStatus).
+ *
+ * Un job sin status (datos previos al ciclo de vida) cuenta como PUBLISHED en
+ * todas partes, también en las consultas (PUBLISHED_STATUS_VALUES), aunque no
+ * se haya corrido `npm run joblifecycle`.
+ */
+
+export const JOB_STATUSES = Object.freeze(["DRAFT", "PUBLISHED", "PAUSED", "CLOSED", "EXPIRED"]);
+
+/**
+ * Status con el que se puede crear un job (default PUBLISHED).
+ */
+export const JOB_CREATE_STATUSES = Object.freeze(["DRAFT", "PUBLISHED"]);
+
+/**
+ * Valores persistidos que equivalen a PUBLISHED en consultas MongoDB
+ * (null también coincide con documentos sin el campo).
+ */
+export const PUBLISHED_STATUS_VALUES = Object.freeze(["PUBLISHED", null]);
+
+/**
+ * Acciones de la empresa sobre el ciclo de vida: status efectivo de origen
+ * permitido -> status destino. EXPIRED solo lo asigna el sistema.
+ */
+export const JOB_ACTIONS = Object.freeze({
+    publish: Object.freeze({ from: Object.freeze(["DRAFT"]), to: "PUBLISHED" }),
+    pause: Object.freeze({ from: Object.freeze(["PUBLISHED"]), to: "PAUSED" }),
+    reopen: Object.freeze({ from: Object.freeze(["PAUSED", "CLOSED", "EXPIRED"]), to: "PUBLISHED" }),
+    close: Object.freeze({ from: Object.freeze(["DRAFT", "PUBLISHED", "PAUSED", "EXPIRED"]), to: "CLOSED" })
+});
+
+function toDate(value) {
+    if (value === undefined || value === null || value === "") return null;
+    const d = value instanceof Date ? value : new Date(value);
+    return Number.isNaN(d.getTime()) ? null : d;
+}
+
+/**
+ * Status efectivo a la fecha `now` (PUBLISHED vencido -> EXPIRED).
+ * Un job sin status (datos previos al ciclo de vida) cuenta como PUBLISHED.
+ *
+ * @param {{ status?: string, expires_at?: Date|string|null }} job
+ * @param {Date} [now]
+ * @returns {string}
+ */
+export function effectiveJobStatus(job = {}, now = new Date()) {
+    const status = job.status || "PUBLISHED";
+    if (status !== "PUBLISHED") return status;
+
+    const expiresAt = toDate(job.expires_at);
+    return expiresAt && expiresAt <= now ? "EXPIRED" : "PUBLISHED";
+}
+
+/**
+ * true si el job está visible al público y acepta postulaciones:
+ * no eliminado, PUBLISHED, publish_at alcanzado y sin expirar.
+ *
+ * @param {{ status?: string, publish_at?: Date|string|null, expires_at?: Date|string|null, deleted_at?: Date|null }} job
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+export function isJobOpen(job = {}, now = new Date()) {
+    if (job.deleted_at) return false;
+    if (effectiveJobStatus(job, now) !== "PUBLISHED") return false;
+
+    const publishAt = toDate(job.publish_at);
+    return !publishAt || publishAt <= now;
+}
+
+/**
+ * Condiciones MongoDB equivalentes a isJobOpen, para combinarse con `$and`
+ * (no usa `$or` en la raíz para no chocar con la búsqueda por regex).
+ *
+ * @param {Date} [now]
+ * @returns {Array<Object>}
+ */
+export function buildOpenJobConditions(now = new Date()) {
+    return [
+        { deleted_at: null },
+        { status: { $in: PUBLISHED_STATUS_VALUES } },
+        { $or: [{ publish_at: null }, { publish_at: { $lte: now } }] },
+        { $or: [{ expires_at: null }, { expires_at: { $gt: now } }] }
+    ];
+}
+
+/**
+ * Condición MongoDB por status EFECTIVO (vista de la empresa dueña):
+ * PUBLISHED excluye los vencidos y EXPIRED incluye los PUBLISHED vencidos
+ * que el barrido aún no ha persistido.
+ *
+ * @param {string[]} statuses  subconjunto de JOB_STATUSES
+ * @param {Date} [now]
+ * @returns {Object}  condición para combinarse con `$and`
+ */
+export function buildStatusCondition(statuses = [], now = new Date()) {
+    const plain = statuses.filter((s) => s !== "PUBLISHED" && s !== "EXPIRED");
+    const or = [];
+
+    if (plain.length > 0) or.push({ status: { $in: plain } });
+    if (statuses.includes("PUBLISHED")) {
+        or.push({
+            status: { $in: PUBLISHED_STATUS_VALUES },
+            $or: [{ expires_at: null }, { expires_at: { $gt: now } }]
+        });
+    }
+    if (statuses.includes("EXPIRED")) {
+        or.push({ status: "EXPIRED" });
+        or.push({ status: { $in: PUBLISHED_STATUS_VALUES }, expires_at: { $ne: null, $lte: now } });
+    }
+
+    return or.length === 1 ? or[0] : { $or: or };
+}
+
+/**
+ * Valida y normaliza publish_at / expires_at de un payload.
+ *
+ * - Campo ausente (undefined): no se toca.
+ * - null / "": se limpia (null).
+ * - Fecha inválida: error.
+ * - expires_at debe ser posterior a publish_at.
+ *
+ * @param {Object} payload
+ * @param {{ publish_at?: Date|null, expires_at?: Date|null }} [current={}]
+ *   Valores vigentes del job (para validar contra el que no viene en el payload).
+ * @returns {{ ok: true, dates: { publish_at?: Date|null, expires_at?: Date|null } }
+ *          | { ok: false, message: string }}
+ */
+export function parseLifecycleDates(payload = {}, current = {}) {
+    const dates = {};
+
+    for (const field of ["publish_at", "expires_at"]) {
+        const raw = payload[field];
+        if (raw === undefined) continue;
+
+        if (raw === null || raw === "") {
+            dates[field] = null;
+            continue;
+        }
+
+        const d = toDate(raw);
+        if (!d) return { ok: false, message: `${field} debe ser una fecha válida (ISO 8601).` };
+        dates[field] = d;
+    }
+
+    const publishAt = "publish_at" in dates ? dates.publish_at : toDate(current.publish_at);
+    const expiresAt = "expires_at" in dates ? dates.expires_at : toDate(current.expires_at);
+
+    if (publishAt && expiresAt && expiresAt <= publishAt) {
+        return { ok: false, message: "expires_at debe ser posterior a publish_at." };
+    }
+
+    return { ok: true, dates };
+}
@@ -0,0 +1,101 @@
+// utils/jobs/jobRecommendationUtils.js
+
+/**
+ * Helpers puros para recomendaciones de empleos (sin Express ni Mongoose).
+ *
+ * - buildInterestTerms: arma los términos de interés ponderados de un candidato
+ *   a partir de headline, skills y títulos de empleos postulados/favoritos.
+ * - mostFrequent: valores más repetidos (work_type de su historial).
+ * - diversifyByCompany: aplica un máximo de empleos por empresa sobre una lista
+ *   ya ordenada por score.
+ */
+
+import { tokenize } from "../text.js";
+
+const STOPWORDS = new Set([
+    "de", "la", "el", "en", "y", "a", "los", "las", "del", "con", "para", "por", "un", "una",
+    "the", "and", "of", "to", "in", "for", "with", "on", "at", "an", "or",
+    // palabras genéricas de títulos que no aportan señal
+    "sr", "jr", "senior", "junior", "lead", "ii", "iii"
+]);
+
+export const INTEREST_TERM_WEIGHTS = Object.freeze({
+    headline: 3,
+    skill: 2,
+    applied_title: 2,
+    favorite_title: 1
+});
+
+function addTerms(acc, text, weight) {
+    for (const t of tokenize(text)) {
+        if (t.length < 2 || STOPWORDS.has(t)) continue;
+        acc.set(t, (acc.get(t) ?? 0) + weight);
+    }
+}
+
+/**
+ * @param {Object} signals
+ * @param {string|null} [signals.headline]
+ * @param {Array<{name:string}>} [signals.skills]
+ * @param {string[]} [signals.appliedTitles]
+ * @param {string[]} [signals.favoriteTitles]
+ * @param {Object} [options]
+ * @param {number} [options.maxTerms=12]
+ * @returns {Array<{ term: string, weight: number }>} ordenado por peso desc
+ */
+export function buildInterestTerms(
+    { headline = null, skills = [], appliedTitles = [], favoriteTitles = [] } = {},
+    { maxTerms = 12 } = {}
+) {
+    const acc = new Map();
+
+    addTerms(acc, headline, INTEREST_TERM_WEIGHTS.headline);
+    for (const s of skills) addTerms(acc, s?.name, INTEREST_TERM_WEIGHTS.skill);
+    for (const t of appliedTitles) addTerms(acc, t, INTEREST_TERM_WEIGHTS.applied_title);
+    for (const t of favoriteTitles) addTerms(acc, t, INTEREST_TERM_WEIGHTS.favorite_title);
+
+    return [...acc.entries()]
+        .map(([term, weight]) => ({ term, weight }))
+        .sort((a, b) => b.weight - a.weight || a.term.localeCompare(b.term))
+        .slice(0, maxTerms);
+}
+
+/**
+ * @param {Array<any>} values
+ * @param {number} [n=2]
+ * @returns {Array<any>} valores no vacíos más frecuentes
+ */
+export function mostFrequent(values = [], n = 2) {
+    const counts = new Map();
+    for (const v of values) {
+        if (v === undefined || v === null || v === "") continue;
+        counts.set(v, (counts.get(v) ?? 0) + 1);
+    }
+    return [...counts.entries()]
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, n)
+        .map(([v]) => v);
+}
+
+/**
+ * Conserva el orden de entrada y descarta los empleos que excedan
+ * maxPerCompany para su company_id.
+ *
+ * @param {Array<{ company_id?: any }>} items
+ * @param {number} maxPerCompany
+ * @returns {Array}
+ */
+export function diversifyByCompany(items = [], maxPerCompany = 2) {
+    const counts = new Map();
+    const out = [];
+
+    for (const item of items) {
+        const key = item?.company_id ?? null;
+        const n = counts.get(key) ?? 0;
+        if (n >= maxPerCompany) continue;
+        counts.set(key, n + 1);
+        out.push(item);
+    }
+
+    return out;
+}
@@ -0,0 +1,67 @@
+// utils/jobs/jobRevisionUtils.js
+
+/**
+ * Snapshot y diff del contenido de un Job para su historial de revisiones
+ * (ver models/JobRevision.js).
+ *
+ * Solo se versiona lo que el candidato ve de la vacante; status, fechas del
+ * ciclo de vida y campos derivados (normalized_salary, *_base, title_terms)
+ * no generan revisiones.
+ *
+ * Este módulo no depende de Express ni de Mongoose.
+ */
+
+export const JOB_REVISION_FIELDS = Object.freeze([
+    "title",
+    "description",
+    "min_salary",
+    "max_salary",
+    "pay_period",
+    "currency",
+    "work_type",
+    "work_location_type",
+    "city",
+    "state",
+    "country"
+]);
+
+function normalizeValue(value) {
+    if (value === undefined || value === "") return null;
+    if (value instanceof Date) return value.toISOString();
+    return value;
+}
+
+/**
+ * Contenido versionado de un job (campos ausentes -> null).
+ * Acepta documento Mongoose u objeto plano.
+ *
+ * @param {Object} job
+ * @returns {Object}
+ */
+export function pickJobSnapshot(job = {}) {
+    const snapshot = {};
+    for (const field of JOB_REVISION_FIELDS) {
+        snapshot[field] = normalizeValue(job?.[field]);
+    }
+    return snapshot;
+}
+
+/**
+ * Diff por campo entre dos snapshots (pickJobSnapshot).
+ *
+ * @param {Object} before
+ * @param {Object} after
+ * @returns {Array<{ field: string, from: any, to: any }>}
+ *   En el orden de JOB_REVISION_FIELDS; vacío si no hay cambios.
+ */
+export function diffJobSnapshots(before = {}, after = {}) {
+    const changes = [];
+
+    for (const field of JOB_REVISION_FIELDS) {
+        const from = normalizeValue(before[field]);
+        const to = normalizeValue(after[field]);
+        if (from !== to) changes.push({ field, from, to });
+    }
+
+    return changes;
+}
@@ -0,0 +1,29 @@
+// utils/jobs/jobTermUtils.js
+
+/**
+ * Índice de términos del título de un Job (Job.title_terms).
+ * Este módulo no depende de Express ni de Mongoose.
+ *
+ * - Términos normalizados (sin acentos, minúsculas) vía utils/text.js
+ * - Se descartan stopwords y términos de 1 carácter
+ * - Sin duplicados, máximo MAX_TITLE_TERMS
+ */
+
+import { tokenize } from "../text.js";
+
+export const MAX_TITLE_TERMS = 20;
+
+const STOPWORDS = new Set([
+    "de", "la", "el", "en", "y", "a", "los", "las", "del", "con", "para", "por", "un", "una",
+    "the", "and", "of", "to", "in", "for", "with", "on", "at", "an", "or"
+]);
+
+/**
+ * @param {string|null|undefined} title
+ * @returns {string[]}
+ */
+export function buildTitleTerms(title) {
+    return tokenize(title ?? "")
+        .filter((t) => t.length > 1 && !STOPWORDS.has(t))
+        .slice(0, MAX_TITLE_TERMS);
+}
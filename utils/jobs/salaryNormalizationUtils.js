@@ -0,0 +1,92 @@
+// utils/jobs/salaryNormalizationUtils.js
+
+/**
+ * Conversión de salarios de Job a la moneda base
+ * (SALARY_BASE_CURRENCY, default USD). normalized_salary (anual, en la moneda
+ * del job) lo calcula el modelo Job; aquí solo se convierte.
+ *
+ * Tipos de cambio:
+ * - rates: Map/objeto { "MXN": 0.055, ... } = unidades de moneda base por 1 unidad
+ *   de esa moneda. La moneda base vale 1 implícitamente.
+ *
+ * Este módulo no depende de Express ni de Mongoose.
+ */
+
+const CURRENCY_RE = /^[A-Z]{3}$/;
+
+/**
+ * Moneda base configurada (SALARY_BASE_CURRENCY); default USD.
+ * @returns {string}
+ */
+export function getSalaryBaseCurrency() {
+    const raw = String(process.env.SALARY_BASE_CURRENCY || "USD").trim().toUpperCase();
+    return CURRENCY_RE.test(raw) ? raw : "USD";
+}
+
+/**
+ * Normaliza un código de moneda (3 letras, mayúsculas). null si no es válido.
+ * @param {any} raw
+ * @returns {string|null}
+ */
+export function normalizeCurrencyCode(raw) {
+    if (raw === undefined || raw === null) return null;
+    const s = String(raw).trim().toUpperCase();
+    return CURRENCY_RE.test(s) ? s : null;
+}
+
+function positive(n) {
+    const v = Number(n);
+    return Number.isFinite(v) && v > 0 ? v : null;
+}
+
+/**
+ * Unidades de moneda base por 1 unidad de `currency`. null si no hay tasa.
+ * @param {string|null} currency
+ * @param {Map<string, number>|Object} rates
+ * @param {string} [base]
+ * @returns {number|null}
+ */
+export function getRateToBase(currency, rates, base = getSalaryBaseCurrency()) {
+    const code = normalizeCurrencyCode(currency);
+    if (!code) return null;
+    if (code === base) return 1;
+
+    const rate = rates instanceof Map ? rates.get(code) : rates?.[code];
+    return positive(rate);
+}
+
+/**
+ * Convierte un monto de `currency` a la moneda base. null si no hay tasa o monto.
+ * @param {number|null} amount
+ * @param {string|null} currency
+ * @param {Map<string, number>|Object} rates
+ * @param {string} [base]
+ * @returns {number|null}
+ */
+export function toBaseAmount(amount, currency, rates, base = getSalaryBaseCurrency()) {
+    const value = positive(amount);
+    const rate = getRateToBase(currency, rates, base);
+    if (value === null || rate === null) return null;
+    return Math.round(value * rate * 100) / 100;
+}
+
+/**
+ * Montos del Job convertidos a la moneda base.
+ * Usa normalized_salary ya calculado (no lo recalcula).
+ *
+ * @param {Object} job  (normalized_salary, min_salary, max_salary, currency)
+ * @param {Map<string, number>|Object} rates
+ * @param {string} [base]
+ * @returns {{
+ *   normalized_salary_base: number|null,
+ *   min_salary_base: number|null,
+ *   max_salary_base: number|null
+ * }}
+ */
+export function buildBaseSalaryFields(job = {}, rates = {}, base = getSalaryBaseCurrency()) {
+    return {
+        normalized_salary_base: toBaseAmount(job.normalized_salary, job.currency, rates, base),
+        min_salary_base: toBaseAmount(job.min_salary, job.currency, rates, base),
+        max_salary_base: toBaseAmount(job.max_salary, job.currency, rates, base)
+    };
+}
@@ -0,0 +1,47 @@
+// utils/jobs/salaryStatsUtils.js
+
+/**
+ * Estadística de salarios para insights (percentiles, conteos, monedas).
+ * Los valores se calculan en MongoDB (ver getSalaryInsightsService); aquí solo
+ * se les da la forma de la respuesta.
+ * Este módulo no depende de Express ni de Mongoose.
+ */
+
+/**
+ * Percentiles que se reportan (en el mismo orden que `percentiles` del $group).
+ */
+export const SALARY_PERCENTILES = Object.freeze([10, 25, 50, 75, 90]);
+
+const PERCENTILE_FIELDS = Object.freeze(["p10", "p25", "median", "p75", "p90"]);
+
+function round0(n) {
+    return Number.isFinite(n) ? Math.round(n) : null;
+}
+
+/**
+ * Resume un grupo calculado en la base.
+ *
+ * @param {{ count:number, min:number, max:number, mean:number, percentiles:number[] }|null} row
+ * @param {Array<{ currency: string|null, count: number }>} [currencies=[]]
+ * @returns {{
+ *   count:number, min:number|null, max:number|null, mean:number|null,
+ *   p10:number|null, p25:number|null, median:number|null, p75:number|null, p90:number|null,
+ *   currencies: Array<{ currency: string|null, count: number }>
+ * }}
+ */
+export function toSalarySummary(row, currencies = []) {
+    const count = row?.count ?? 0;
+    const summary = {
+        count,
+        min: count ? round0(row.min) : null,
+        max: count ? round0(row.max) : null,
+        mean: count ? round0(row.mean) : null
+    };
+
+    PERCENTILE_FIELDS.forEach((field, i) => {
+        summary[field] = count ? round0(row.percentiles?.[i]) : null;
+    });
+
+    summary.currencies = [...(currencies || [])].sort((a, b) => b.count - a.count);
+    return summary;
+}
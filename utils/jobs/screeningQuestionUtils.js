@@ -0,0 +1,334 @@
+// utils/jobs/screeningQuestionUtils.js
+
+/**
+ * Preguntas de filtro (screening) de un Job y evaluación de las respuestas
+ * del candidato al postularse.
+ *
+ * Pregunta:
+ *   { question_id, prompt, type, required, options?, knockout? }
+ *
+ * Tipos y regla de descarte (knockout) que admite cada uno:
+ * - YES_NO        : { expected: true|false }  descarta si la respuesta es distinta
+ * - NUMBER        : { min?, max? }            descarta fuera del rango
+ * - SINGLE_CHOICE : { options: [...] }        descarta si elige una de esas opciones
+ * - MULTI_CHOICE  : { options: [...] }        descarta si elige alguna de esas opciones
+ * - TEXT          : sin knockout
+ *
+ * - Los normalizadores lanzan ServiceError 400 indicando el campo
+ *   ("invalid_payload" al definir preguntas, "invalid_screening_answers" al
+ *   responder).
+ * - La regla knockout es privada de la empresa (ver toPublicScreeningQuestions).
+ *
+ * Este módulo no depende de Express ni de Mongoose (los enums del modelo
+ * Job deben coincidir con las constantes de aquí).
+ */
+
+import { ServiceError } from "../serviceError.js";
+import { parseNumber } from "../parsingUtils.js";
+
+/* =============================================================================
+ * Constantes
+ * ============================================================================= */
+
+export const SCREENING_QUESTION_TYPES = Object.freeze([
+    "YES_NO",
+    "NUMBER",
+    "SINGLE_CHOICE",
+    "MULTI_CHOICE",
+    "TEXT"
+]);
+
+const CHOICE_TYPES = Object.freeze(["SINGLE_CHOICE", "MULTI_CHOICE"]);
+
+const LIMITS = Object.freeze({
+    questions: 20,
+    options: 20,
+    questionId: 40,
+    prompt: 300,
+    option: 100,
+    answerText: 2000
+});
+
+const QUESTION_ID_RE = /^[A-Za-z0-9_-]+$/;
+
+/* =============================================================================
+ * Helpers
+ * ============================================================================= */
+
+function invalid(field, message) {
+    return new ServiceError("invalid_payload", `${field}: ${message}`, 400);
+}
+
+function invalidAnswer(questionId, message) {
+    return new ServiceError(
+        "invalid_screening_answers",
+        `${questionId}: ${message}`,
+        400,
+        { question_id: questionId }
+    );
+}
+
+function text(field, raw, { required = false, max }) {
+    if (raw === undefined || raw === null || String(raw).trim() === "") {
+        if (required) throw invalid(field, "es obligatorio.");
+        return null;
+    }
+    const s = String(raw).trim();
+    if (s.length > max) throw invalid(field, `admite máximo ${max} caracteres.`);
+    return s;
+}
+
+function parseBoolean(raw) {
+    if (raw === true || raw === false) return raw;
+    const s = String(raw ?? "").trim().toLowerCase();
+    if (["true", "yes", "si", "sí"].includes(s)) return true;
+    if (["false", "no"].includes(s)) return false;
+    return null;
+}
+
+function normalizeOptions(field, raw) {
+    if (!Array.isArray(raw) || raw.length < 2) throw invalid(field, "requiere al menos 2 opciones.");
+    if (raw.length > LIMITS.options) throw invalid(field, `admite máximo ${LIMITS.options} opciones.`);
+
+    const seen = new Set();
+    return raw.map((o, i) => {
+        const option = text(`${field}[${i}]`, o, { required: true, max: LIMITS.option });
+        const key = option.toLowerCase();
+        if (seen.has(key)) throw invalid(`${field}[${i}]`, `opción duplicada (${option}).`);
+        seen.add(key);
+        return option;
+    });
+}
+
+function normalizeKnockout(field, raw, type, options) {
+    if (raw === undefined || raw === null) return null;
+    if (typeof raw !== "object" || Array.isArray(raw)) throw invalid(field, "debe ser un objeto.");
+
+    if (type === "YES_NO") {
+        const expected = parseBoolean(raw.expected);
+        if (expected === null) throw invalid(`${field}.expected`, "debe ser true o false.");
+        return { expected };
+    }
+
+    if (type === "NUMBER") {
+        const min = raw.min === undefined || raw.min === null ? null : parseNumber(raw.min);
+        const max = raw.max === undefined || raw.max === null ? null : parseNumber(raw.max);
+        if (raw.min != null && min === null) throw invalid(`${field}.min`, "debe ser un número.");
+        if (raw.max != null && max === null) throw invalid(`${field}.max`, "debe ser un número.");
+        if (min === null && max === null) throw invalid(field, "requiere min o max.");
+        if (min !== null && max !== null && max < min) throw invalid(field, "max no puede ser menor que min.");
+        return { min, max };
+    }
+
+    if (CHOICE_TYPES.includes(type)) {
+        if (!Array.isArray(raw.options) || raw.options.length === 0) {
+            throw invalid(`${field}.options`, "requiere al menos una opción que descarte.");
+        }
+        const rejected = raw.options.map((o) => String(o ?? "").trim());
+        for (const o of rejected) {
+            if (!options.includes(o)) throw invalid(`${field}.options`, `"${o}" no es una opción de la pregunta.`);
+        }
+        if (type === "SINGLE_CHOICE" && rejected.length >= options.length) {
+            throw invalid(`${field}.options`, "no puede descartar todas las opciones.");
+        }
+        return { options: [...new Set(rejected)] };
+    }
+
+    throw invalid(field, `el tipo ${type} no admite knockout.`);
+}
+
+/* =============================================================================
+ * Definición de preguntas (Job)
+ * ============================================================================= */
+
+/**
+ * Valida y normaliza screening_questions de un payload de Job.
+ * question_id se genera (q1, q2, ...) cuando no viene.
+ *
+ * @param {any} raw  arreglo de preguntas (null = sin preguntas)
+ * @returns {Array<Object>}
+ * @throws {ServiceError} 400 invalid_payload
+ */
+export function normalizeScreeningQuestions(raw) {
+    if (raw === null) return [];
+    if (!Array.isArray(raw)) throw invalid("screening_questions", "debe ser un arreglo.");
+    if (raw.length > LIMITS.questions) {
+        throw invalid("screening_questions", `admite máximo ${LIMITS.questions} preguntas.`);
+    }
+
+    const seen = new Set();
+
+    return raw.map((q, i) => {
+        const f = `screening_questions[${i}]`;
+        if (!q || typeof q !== "object" || Array.isArray(q)) throw invalid(f, "debe ser un objeto.");
+
+        const question_id = text(`${f}.question_id`, q.question_id, { max: LIMITS.questionId }) || `q${i + 1}`;
+        if (!QUESTION_ID_RE.test(question_id)) {
+            throw invalid(`${f}.question_id`, "solo admite letras, números, _ y -.");
+        }
+        if (seen.has(question_id)) throw invalid(`${f}.question_id`, `duplicado (${question_id}).`);
+        seen.add(question_id);
+
+        const prompt = text(`${f}.prompt`, q.prompt, { required: true, max: LIMITS.prompt });
+
+        const type = String(q.type ?? "").trim().toUpperCase();
+        if (!SCREENING_QUESTION_TYPES.includes(type)) {
+            throw invalid(`${f}.type`, `debe ser uno de: ${SCREENING_QUESTION_TYPES.join(", ")}.`);
+        }
+
+        const options = CHOICE_TYPES.includes(type) ? normalizeOptions(`${f}.options`, q.options) : [];
+        const knockout = normalizeKnockout(`${f}.knockout`, q.knockout, type, options);
+
+        return {
+            question_id,
+            prompt,
+            type,
+            required: parseBoolean(q.required) === true,
+            options,
+            knockout
+        };
+    });
+}
+
+/**
+ * Preguntas sin la regla knockout (vista pública / candidato).
+ *
+ * @param {Array<Object>} questions
+ * @returns {Array<Object>}
+ */
+export function toPublicScreeningQuestions(questions = []) {
+    return (questions || []).map((q) => ({
+        question_id: q.question_id,
+        prompt: q.prompt,
+        type: q.type,
+        required: Boolean(q.required),
+        options: q.type && CHOICE_TYPES.includes(q.type) ? [...(q.options || [])] : []
+    }));
+}
+
+/* =============================================================================
+ * Respuestas (Application)
+ * ============================================================================= */
+
+function normalizeAnswer(question, raw) {
+    const id = question.question_id;
+
+    switch (question.type) {
+        case "YES_NO": {
+            const v = parseBoolean(raw);
+            if (v === null) throw invalidAnswer(id, "debe ser true o false.");
+            return v;
+        }
+        case "NUMBER": {
+            const n = parseNumber(raw);
+            if (n === null) throw invalidAnswer(id, "debe ser un número.");
+            return n;
+        }
+        case "SINGLE_CHOICE": {
+            const v = String(raw).trim();
+            if (!question.options.includes(v)) throw invalidAnswer(id, "no es una opción válida.");
+            return v;
+        }
+        case "MULTI_CHOICE": {
+            const list = Array.isArray(raw) ? raw : [raw];
+            const values = [...new Set(list.map((o) => String(o ?? "").trim()))];
+            for (const v of values) {
+                if (!question.options.includes(v)) throw invalidAnswer(id, `"${v}" no es una opción válida.`);
+            }
+            return values;
+        }
+        default: {
+            const s = String(raw).trim();
+            if (s.length > LIMITS.answerText) {
+                throw invalidAnswer(id, `admite máximo ${LIMITS.answerText} caracteres.`);
+            }
+            return s;
+        }
+    }
+}
+
+function isKnockedOut(question, answer) {
+    const rule = question.knockout;
+    if (!rule || answer === null) return false;
+
+    switch (question.type) {
+        case "YES_NO":
+            return answer !== rule.expected;
+        case "NUMBER":
+            return (rule.min != null && answer < rule.min) || (rule.max != null && answer > rule.max);
+        case "SINGLE_CHOICE":
+            return (rule.options || []).includes(answer);
+        case "MULTI_CHOICE":
+            return answer.some((v) => (rule.options || []).includes(v));
+        default:
+            return false;
+    }
+}
+
+function isEmptyAnswer(raw) {
+    if (raw === undefined || raw === null) return true;
+    if (Array.isArray(raw)) return raw.length === 0;
+    return String(raw).trim() === "";
+}
+
+/**
+ * Valida las respuestas contra las preguntas del job y evalúa knockouts.
+ *
+ * Las respuestas guardan una copia de prompt/type para que cambios
+ * posteriores a las preguntas del job no alteren lo que respondió.
+ *
+ * @param {Array<Object>} questions  Job.screening_questions
+ * @param {any} raw  [{ question_id, answer }] (undefined/null = sin respuestas)
+ * @returns {{
+ *   answers: Array<{ question_id, prompt, type, answer, knockout: boolean }>,
+ *   knocked_out: boolean,
+ *   knockout_question_ids: string[]
+ * }}
+ * @throws {ServiceError} 400 invalid_screening_answers
+ *   (pregunta desconocida, requerida sin respuesta o respuesta inválida)
+ */
+export function evaluateScreeningAnswers(questions = [], raw) {
+    const list = raw === undefined || raw === null ? [] : raw;
+    if (!Array.isArray(list)) {
+        throw new ServiceError("invalid_screening_answers", "screening_answers debe ser un arreglo.", 400);
+    }
+
+    const byId = new Map();
+    for (const item of list) {
+        const id = item && typeof item === "object" ? String(item.question_id ?? "").trim() : "";
+        if (!id) {
+            throw new ServiceError(
+                "invalid_screening_answers",
+                "Cada respuesta requiere question_id.",
+                400
+            );
+        }
+        if (byId.has(id)) throw invalidAnswer(id, "respuesta duplicada.");
+        byId.set(id, item.answer);
+    }
+
+    const known = new Set((questions || []).map((q) => q.question_id));
+    for (const id of byId.keys()) {
+        if (!known.has(id)) throw invalidAnswer(id, "pregunta desconocida.");
+    }
+
+    const answers = [];
+    const knockoutIds = [];
+
+    for (const q of questions || []) {
+        const rawAnswer = byId.get(q.question_id);
+
+        if (isEmptyAnswer(rawAnswer)) {
+            if (q.required) throw invalidAnswer(q.question_id, "es obligatoria.");
+            continue;
+        }
+
+        const answer = normalizeAnswer(q, rawAnswer);
+        const knockout = isKnockedOut(q, answer);
+        if (knockout) knockoutIds.push(q.question_id);
+
+        answers.push({ question_id: q.question_id, prompt: q.prompt, type: q.type, answer, knockout });
+    }
+
+    return { answers, knocked_out: knockoutIds.length > 0, knockout_question_ids: knockoutIds };
+}
@@ -0,0 +1,99 @@
+// utils/mail/mailer.js
+
+/**
+ * Envío de correo con transporte intercambiable.
+ *
+ * Un transporte es una función async `({ to, subject, text, html? }) => void`.
+ *
+ * Transportes incluidos (MAIL_TRANSPORT):
+ * - "console" (default): imprime el correo en stdout.
+ * - "file": escribe cada correo como JSON en data/mail_outbox/ (MAIL_OUTBOX_DIR).
+ *
+ * Para producción se registra uno real (SMTP, API externa, ...) al arrancar:
+ *   registerMailTransport("smtp", async (mail) => { ... });
+ *   y MAIL_TRANSPORT=smtp
+ * o bien se fuerza directo con setMailTransport(fn).
+ */
+
+import fs from "fs";
+import path from "path";
+
+import { logger } from "../logger.js";
+
+/* =============================================================================
+ * Transportes de desarrollo
+ * ============================================================================= */
+
+async function consoleTransport({ to, subject, text }) {
+    logger.info(`[mail] to=${to} subject="${subject}"\n${text}`);
+}
+
+async function fileTransport(mail) {
+    const dir = path.resolve(process.env.MAIL_OUTBOX_DIR || path.join("data", "mail_outbox"));
+    await fs.promises.mkdir(dir, { recursive: true });
+
+    const safeTo = String(mail.to).replace(/[^a-z0-9@._-]/gi, "_");
+    const file = path.join(dir, `${Date.now()}-${safeTo}.json`);
+
+    await fs.promises.writeFile(
+        file,
+        JSON.stringify({ ...mail, sent_at: new Date().toISOString() }, null, 2)
+    );
+}
+
+/* =============================================================================
+ * Registro
+ * ============================================================================= */
+
+const transports = new Map([
+    ["console", consoleTransport],
+    ["file", fileTransport]
+]);
+
+let activeTransport = null;
+
+/**
+ * Registra un transporte con nombre (seleccionable con MAIL_TRANSPORT).
+ * @param {string} name
+ * @param {(mail: Object) => Promise<void>} transport
+ */
+export function registerMailTransport(name, transport) {
+    if (typeof transport !== "function") {
+        throw new TypeError("transport debe ser una función");
+    }
+    transports.set(String(name).toLowerCase(), transport);
+}
+
+/**
+ * Fuerza un transporte (ignora MAIL_TRANSPORT). null regresa al default.
+ * @param {((mail: Object) => Promise<void>)|null} transport
+ */
+export function setMailTransport(transport) {
+    activeTransport = transport;
+}
+
+function resolveTransport() {
+    if (activeTransport) return activeTransport;
+
+    const name = String(process.env.MAIL_TRANSPORT || "console").toLowerCase();
+    const transport = transports.get(name);
+    if (!transport) {
+        throw new Error(`MAIL_TRANSPORT desconocido: ${name}`);
+    }
+    return transport;
+}
+
+/**
+ * Envía un correo con el transporte activo.
+ *
+ * @param {{ to: string, subject: string, text: string, html?: string }} mail
+ * @returns {Promise<void>}
+ */
+export async function sendMail({ to, subject, text, html }) {
+    if (!to || !subject) {
+        throw new Error("sendMail requiere to y subject");
+    }
+
+    const from = process.env.MAIL_FROM || "no-reply@localhost";
+    await resolveTransport()({ from, to, subject, text: text ?? "", html });
+}
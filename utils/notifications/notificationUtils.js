@@ -0,0 +1,156 @@
+// utils/notifications/notificationUtils.js
+
+/**
+ * Tipos de notificación, a quién van dirigidos y el texto que ve el usuario.
+ *
+ * Tipos:
+ * - APPLICATION_CREATED        → empresa: llegó una postulación
+ * - APPLICATION_WITHDRAWN      → empresa: el candidato retiró su postulación
+ * - JOB_EXPIRED                → empresa: una vacante expiró
+ * - APPLICATION_STATUS_CHANGED → candidato: cambió el status de su postulación
+ *
+ * Preferencias: cada usuario puede silenciar tipos de su audiencia
+ * (User.muted_notification_types). Por defecto recibe todos.
+ *
+ * Este módulo no depende de Express ni de Mongoose.
+ */
+
+import { ServiceError } from "../serviceError.js";
+
+/* =============================================================================
+ * Constantes
+ * ============================================================================= */
+
+/**
+ * Tipo → tipo de actor que lo recibe.
+ */
+export const NOTIFICATION_AUDIENCES = Object.freeze({
+    APPLICATION_CREATED: "company",
+    APPLICATION_WITHDRAWN: "company",
+    JOB_EXPIRED: "company",
+    APPLICATION_STATUS_CHANGED: "candidate"
+});
+
+export const NOTIFICATION_TYPES = Object.freeze(Object.keys(NOTIFICATION_AUDIENCES));
+
+/**
+ * Status mostrados al candidato en el texto de la notificación.
+ */
+const STATUS_LABELS = Object.freeze({
+    APPLIED: "Postulado",
+    REVIEWING: "En revisión",
+    INTERVIEW: "Entrevista",
+    OFFERED: "Oferta",
+    REJECTED: "No seleccionado",
+    HIRED: "Contratado",
+    WITHDRAWN: "Retirada"
+});
+
+/* =============================================================================
+ * Tipos por actor
+ * ============================================================================= */
+
+/**
+ * Tipos que puede recibir un tipo de actor.
+ *
+ * @param {string} actorType  "candidate" | "company" | "admin"
+ * @returns {string[]}
+ */
+export function notificationTypesFor(actorType) {
+    return NOTIFICATION_TYPES.filter((t) => NOTIFICATION_AUDIENCES[t] === actorType);
+}
+
+/* =============================================================================
+ * Contenido
+ * ============================================================================= */
+
+/**
+ * Título y mensaje de una notificación.
+ *
+ * @param {string} type
+ * @param {Object} data  { job_title?, candidate_name?, from_status?, to_status? }
+ * @returns {{ title: string, message: string }}
+ */
+export function buildNotificationContent(type, data = {}) {
+    const job = data.job_title ? `"${data.job_title}"` : "la vacante";
+
+    switch (type) {
+        case "APPLICATION_CREATED":
+            return {
+                title: "Nueva postulación",
+                message: `${data.candidate_name || "Un candidato"} se postuló a ${job}.`
+            };
+        case "APPLICATION_WITHDRAWN":
+            return {
+                title: "Postulación retirada",
+                message: `${data.candidate_name || "Un candidato"} retiró su postulación a ${job}.`
+            };
+        case "JOB_EXPIRED":
+            return {
+                title: "Vacante expirada",
+                message: `${job} expiró y ya no recibe postulaciones.`
+            };
+        case "APPLICATION_STATUS_CHANGED": {
+            const label = STATUS_LABELS[data.to_status] || data.to_status;
+            return {
+                title: "Tu postulación cambió de estado",
+                message: `Tu postulación a ${job} ahora está en: ${label}.`
+            };
+        }
+        default:
+            return { title: "Notificación", message: "" };
+    }
+}
+
+/* =============================================================================
+ * Preferencias
+ * ============================================================================= */
+
+/**
+ * Mapa de preferencias { TYPE: boolean } para los tipos del actor.
+ *
+ * @param {string} actorType
+ * @param {string[]} muted  User.muted_notification_types
+ * @returns {Object<string, boolean>}
+ */
+export function toPreferenceMap(actorType, muted = []) {
+    const set = new Set(muted || []);
+    const out = {};
+    for (const type of notificationTypesFor(actorType)) out[type] = !set.has(type);
+    return out;
+}
+
+/**
+ * Aplica un mapa parcial { TYPE: boolean } sobre los tipos silenciados.
+ *
+ * @param {string} actorType
+ * @param {string[]} muted  valor actual
+ * @param {any} raw         { TYPE: true|false }
+ * @returns {string[]}      nuevos tipos silenciados
+ * @throws {ServiceError} 400 invalid_payload
+ */
+export function applyPreferenceChanges(actorType, muted = [], raw) {
+    if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+        throw new ServiceError("invalid_payload", "preferences debe ser un objeto { TYPE: boolean }.", 400);
+    }
+
+    const allowed = notificationTypesFor(actorType);
+    const next = new Set(muted || []);
+
+    for (const [type, enabled] of Object.entries(raw)) {
+        if (!allowed.includes(type)) {
+            throw new ServiceError(
+                "invalid_payload",
+                `preferences.${type}: tipo desconocido (permitidos: ${allowed.join(", ") || "ninguno"}).`,
+                400
+            );
+        }
+        if (typeof enabled !== "boolean") {
+            throw new ServiceError("invalid_payload", `preferences.${type} debe ser true o false.`, 400);
+        }
+        if (enabled) next.delete(type);
+        else next.add(type);
+    }
+
+    return allowed.filter((t) => next.has(t));
+}